@@ -2,12 +2,18 @@ const { app, BrowserWindow, dialog, ipcMain, shell, globalShortcut } = require('
 const path = require('path');
 const fs = require('fs');
 const { getVersion } = require('../version');
+const SearchQuery = require('../renderer/js/search-query');
 
 let mainWindow;
 let currentFile = null;
 
 const isDev = process.argv.includes('--dev');
 
+// A packaged app gets [exe, ...args], `electron .` gets [electron, appPath, ...args].
+// `markdd export ...` renders files in a hidden window and exits (runCommandLineExport).
+const commandLineArgs = process.argv.slice(app.isPackaged ? 1 : 2);
+const isCommandLineExport = commandLineArgs.find(arg => !arg.startsWith('-')) === 'export';
+
 // Enhanced logging for debugging
 function logError(context, error) {
   console.error(`[${new Date().toISOString()}] ERROR in ${context}:`, error);
@@ -19,6 +25,21 @@ function logInfo(context, message) {
   }
 }
 
+// The renderer has no Node access; everything it needs from the main process goes
+// through window.markdd (src/main/preload.js). The preload itself uses Node's
+// path/url modules, which a sandboxed preload cannot load.
+function getAppWebPreferences() {
+  return {
+    preload: path.join(__dirname, 'preload.js'),
+    nodeIntegration: false,
+    contextIsolation: true,
+    sandbox: false,
+    webSecurity: true,
+    // Read by the preload (markdd.isDev): the preview's render timing overlay
+    additionalArguments: isDev ? ['--markdd-dev'] : []
+  };
+}
+
 function createWindow() {
   logInfo('Main', 'Creating main window...');
   
@@ -27,17 +48,27 @@ function createWindow() {
     height: 900,
     minWidth: 800,
     minHeight: 600,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: true,
-      webSecurity: false
-    },
+    webPreferences: getAppWebPreferences(),
     icon: path.join(__dirname, '../assets/icons/icon.png'),
     titleBarStyle: 'default',
     show: false
   });
 
+  // A document must not replace the app or open windows of its own; web links go to the browser
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (isExternalUrl(url)) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    if (url !== mainWindow.webContents.getURL()) {
+      event.preventDefault();
+      logInfo('Main', `Blocked navigation to ${url}`);
+    }
+  });
+
   // Enhanced error handling for renderer process
   mainWindow.webContents.on('crashed', (event) => {
     logError('Renderer', 'Renderer process crashed');
@@ -84,40 +115,14 @@ function createWindow() {
       mainWindow.webContents.openDevTools();
       logInfo('Main', 'DevTools opened for debugging');
     }
-
-    // DEV-AUTORUN: If running in dev and MARKDD_DEV_AUTORUN_EXPORT is set,
-    // trigger a one-time export from the renderer and save to the provided path.
-    // This is strictly dev-only and gated by the isDev flag and env var.
-    try {
-      const autorunPath = process.env.MARKDD_DEV_AUTORUN_EXPORT;
-      if (isDev && autorunPath) {
-        logInfo('Main', `DEV autorun export requested: ${autorunPath}`);
-        // Execute in renderer: build export HTML and call ipcRenderer.invoke('export-pdf', ...)
-        const escPath = JSON.stringify(autorunPath);
-        mainWindow.webContents.executeJavaScript(`(async function(){
-          try{
-            const preview = window.markddApp && window.markddApp.getPreview ? window.markddApp.getPreview() : null;
-            if(!preview) return { success: false, error: 'Preview API not available' };
-            const html = await preview.exportAsHTML({ title: preview.getCurrentFileName() });
-            const { ipcRenderer } = require('electron');
-            return await ipcRenderer.invoke('export-pdf', {
-              fileName: preview.getCurrentFileName().replace(/\\.md$/i, '.pdf'),
-              html: html,
-              devAutoSavePath: ${escPath}
-            });
-          }catch(e){ return { success: false, error: e && e.message ? e.message : String(e) } }
-        })()`)
-        .then(res => logInfo('Main', `DEV autorun export result: ${JSON.stringify(res)}`))
-        .catch(err => logError('Main', `DEV autorun executeJavaScript failed: ${err && err.message ? err.message : String(err)}`));
-      }
-    } catch (e) {
-      logError('Main', `DEV autorun scheduling failed: ${e && e.message ? e.message : String(e)}`);
-    }
   });
 
   // Handle window closed
   mainWindow.on('closed', () => {
     logInfo('Main', 'Main window closed');
+    stopFolderWatcher();
+    stopOpenFilesWatcher();
+    stopDataFilesWatcher();
     mainWindow = null;
   });
 
@@ -229,6 +234,15 @@ function handleFileOpen(filePath) {
 
 // App event handlers
 app.whenReady().then(() => {
+  if (isCommandLineExport) {
+    const exportArgs = commandLineArgs.slice(commandLineArgs.indexOf('export') + 1);
+    runCommandLineExport(exportArgs).then(code => app.exit(code), (error) => {
+      console.error(`markdd export: ${error.message}`);
+      app.exit(1);
+    });
+    return;
+  }
+
   console.log('[Main] App is ready, creating window...');
   console.log('[Main] Command line arguments:', process.argv);
   
@@ -297,6 +311,9 @@ app.whenReady().then(() => {
 });
 
 app.on('window-all-closed', () => {
+  // Command-line export exits on its own once every file is written
+  if (isCommandLineExport) return;
+
   console.log('[Main] All windows closed');
   // Unregister all shortcuts before quitting
   globalShortcut.unregisterAll();
@@ -402,11 +419,38 @@ ipcMain.handle('toggle-devtools', async () => {
   return { success: false, error: 'No main window' };
 });
 
+// Modification times of files as last read or written by the app; a newer time on
+// disk means something else changed the file (git, another editor, a sync tool)
+const knownFileMtimes = new Map();
+
+function rememberFileMtime(filePath) {
+  try {
+    const mtimeMs = fs.statSync(filePath).mtimeMs;
+    knownFileMtimes.set(filePath, mtimeMs);
+    return mtimeMs;
+  } catch (error) {
+    knownFileMtimes.delete(filePath);
+    return null;
+  }
+}
+
+function isChangedOnDisk(filePath) {
+  const knownMtime = knownFileMtimes.get(filePath);
+  if (knownMtime === undefined || !fs.existsSync(filePath)) return false;
+  return fs.statSync(filePath).mtimeMs > knownMtime;
+}
+
 // IPC handlers
-ipcMain.handle('save-file', async (event, { filePath, content }) => {
+ipcMain.handle('save-file', async (event, { filePath, content, force = false }) => {
   try {
     if (filePath) {
+      // Refuse to overwrite newer on-disk content unless the user confirmed it
+      if (!force && isChangedOnDisk(filePath)) {
+        logInfo('Save', `Not saving ${filePath}: changed on disk since it was opened`);
+        return { success: false, conflict: true, filePath, error: 'The file was changed on disk' };
+      }
       fs.writeFileSync(filePath, content, 'utf-8');
+      rememberFileMtime(filePath);
       currentFile = filePath;
       return { success: true, filePath };
     } else {
@@ -419,6 +463,7 @@ ipcMain.handle('save-file', async (event, { filePath, content }) => {
 
       if (!result.canceled) {
         fs.writeFileSync(result.filePath, content, 'utf-8');
+        rememberFileMtime(result.filePath);
         currentFile = result.filePath;
         return { success: true, filePath: result.filePath };
       }
@@ -429,10 +474,17 @@ ipcMain.handle('save-file', async (event, { filePath, content }) => {
   }
 });
 
-ipcMain.handle('export-html', async (event, { html, fileName }) => {
+// Exported HTML beside its document links images by relative path (relativeHtml); saved
+// anywhere else it keeps the file:// URLs so the images still load
+function isDocumentFolder(outputPath, documentPath) {
+  return !!documentPath && path.dirname(path.resolve(outputPath)) === path.dirname(path.resolve(documentPath));
+}
+
+ipcMain.handle('export-html', async (event, { html, relativeHtml, documentPath, fileName }) => {
   try {
+    const defaultName = fileName || 'export.html';
     const result = await dialog.showSaveDialog(mainWindow, {
-      defaultPath: fileName || 'export.html',
+      defaultPath: documentPath ? path.join(path.dirname(documentPath), defaultName) : defaultName,
       filters: [
         { name: 'HTML Files', extensions: ['html'] },
         { name: 'All Files', extensions: ['*'] }
@@ -440,7 +492,8 @@ ipcMain.handle('export-html', async (event, { html, fileName }) => {
     });
 
     if (!result.canceled) {
-      fs.writeFileSync(result.filePath, html, 'utf-8');
+      const output = relativeHtml && isDocumentFolder(result.filePath, documentPath) ? relativeHtml : html;
+      fs.writeFileSync(result.filePath, output, 'utf-8');
       return { success: true, filePath: result.filePath };
     }
     return { success: false };
@@ -449,6 +502,190 @@ ipcMain.handle('export-html', async (event, { html, fileName }) => {
   }
 });
 
+// MIDI/WAV export of ABC tunes; the renderer synthesizes the audio and sends the bytes
+const AUDIO_EXPORT_FORMATS = {
+  midi: { name: 'MIDI Files', extension: 'mid' },
+  wav: { name: 'WAV Audio', extension: 'wav' }
+};
+
+ipcMain.handle('export-audio', async (event, { data, format, fileName }) => {
+  try {
+    const type = AUDIO_EXPORT_FORMATS[format];
+    if (!type) {
+      throw new Error(`Unsupported audio format: ${format}`);
+    }
+    const baseName = String(fileName || 'tune').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'tune';
+
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `${baseName}.${type.extension}`,
+      filters: [
+        { name: type.name, extensions: [type.extension] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+
+    if (!result.canceled) {
+      fs.writeFileSync(result.filePath, Buffer.from(data));
+      logInfo('Export', `Saved ${format.toUpperCase()} to ${result.filePath}`);
+      return { success: true, filePath: result.filePath };
+    }
+    return { success: false, canceled: true };
+  } catch (error) {
+    logError('Export', `Audio export failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// PDF page options - set in the export dialog, overridden per document by front-matter `pdf:` keys
+const PDF_PAGE_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+const PDF_CSS_LENGTH = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+
+// Header/footer placeholders mapped to Chromium's print template classes
+const PDF_TEMPLATE_FIELDS = {
+  title: 'title',
+  date: 'date',
+  page: 'pageNumber',
+  pages: 'totalPages'
+};
+
+function escapeTemplateHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Turn "Page {page} of {pages}" into a print header/footer template
+function buildPdfHeaderFooterTemplate(text) {
+  if (!text || !String(text).trim()) {
+    return '<span></span>';
+  }
+  const body = escapeTemplateHtml(text).replace(/\{(title|date|page|pages)\}/g,
+    (match, field) => `<span class="${PDF_TEMPLATE_FIELDS[field]}"></span>`);
+  return `<div style="width:100%;font-size:9px;color:#666;text-align:center;padding:0 10mm;">${body}</div>`;
+}
+
+// Convert a CSS length (px/in/cm/mm, unitless = px) to inches for printToPDF
+function cssLengthToInches(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(px|in|cm|mm)?$/);
+  const amount = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'in': return amount;
+    case 'cm': return amount / 2.54;
+    case 'mm': return amount / 25.4;
+    default: return amount / 96;
+  }
+}
+
+// Map export dialog / front-matter options onto webContents.printToPDF options
+function normalizePdfOptions(pdfOptions = {}) {
+  const options = {
+    pageSize: 'A4',
+    landscape: false,
+    margins: { top: cssLengthToInches('20mm'), right: cssLengthToInches('20mm'), bottom: cssLengthToInches('20mm'), left: cssLengthToInches('20mm') },
+    displayHeaderFooter: false,
+    headerTemplate: '<span></span>',
+    footerTemplate: '<span></span>',
+    preferCSSPageSize: false,
+    printBackground: true
+  };
+  pdfOptions = pdfOptions || {};
+
+  const isLength = value => value !== undefined && PDF_CSS_LENGTH.test(String(value).trim());
+
+  if (typeof pdfOptions.format === 'string' && pdfOptions.format.toLowerCase() === 'custom') {
+    if (isLength(pdfOptions.width) && isLength(pdfOptions.height)) {
+      options.pageSize = {
+        width: cssLengthToInches(pdfOptions.width),
+        height: cssLengthToInches(pdfOptions.height)
+      };
+    } else {
+      logError('PDF', `Invalid custom page size ${pdfOptions.width} x ${pdfOptions.height}, using ${options.pageSize}`);
+    }
+  } else if (typeof pdfOptions.format === 'string') {
+    const format = PDF_PAGE_FORMATS.find(f => f.toLowerCase() === pdfOptions.format.trim().toLowerCase());
+    if (format) {
+      options.pageSize = format;
+    } else {
+      logError('PDF', `Unknown page format "${pdfOptions.format}", using ${options.pageSize}`);
+    }
+  }
+
+  if (typeof pdfOptions.landscape === 'boolean') {
+    options.landscape = pdfOptions.landscape;
+  }
+
+  if (pdfOptions.margin && typeof pdfOptions.margin === 'object') {
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      if (isLength(pdfOptions.margin[side])) {
+        options.margins[side] = cssLengthToInches(pdfOptions.margin[side]);
+      }
+    }
+  }
+
+  if (pdfOptions.headerTemplate || pdfOptions.footerTemplate) {
+    options.displayHeaderFooter = true;
+    options.headerTemplate = buildPdfHeaderFooterTemplate(pdfOptions.headerTemplate);
+    options.footerTemplate = buildPdfHeaderFooterTemplate(pdfOptions.footerTemplate);
+  }
+
+  // Let @page size/margin rules in the document win over the dialog settings
+  if (typeof pdfOptions.preferCSSPageSize === 'boolean') {
+    options.preferCSSPageSize = pdfOptions.preferCSSPageSize;
+  }
+
+  return options;
+}
+
+// Render an HTML document to PDF in a hidden window using Electron's own Chromium.
+// Export documents resolve window.__markddRenderComplete once MathJax, Mermaid,
+// TikZ, Vega etc. have finished; pages without the signal print after load.
+const PDF_RENDER_TIMEOUT_MS = 60000;
+
+async function renderHtmlToPDF(html, printOptions) {
+  const tempFile = path.join(app.getPath('temp'), `markdd-export-${process.pid}-${Date.now()}.html`);
+  const pdfWindow = new BrowserWindow({
+    show: false,
+    width: 1200,
+    height: 800,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    }
+  });
+
+  try {
+    // Loaded from a temp file: data: URLs are size-limited for large documents
+    fs.writeFileSync(tempFile, html, 'utf-8');
+    await pdfWindow.loadFile(tempFile);
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), PDF_RENDER_TIMEOUT_MS);
+    });
+    const state = await Promise.race([
+      pdfWindow.webContents.executeJavaScript(
+        'window.__markddRenderComplete ? window.__markddRenderComplete.then(() => "complete") : "no-signal"', true),
+      timeout
+    ]);
+    clearTimeout(timer);
+    if (state === 'timeout') {
+      logError('PDF', `Render-complete signal not received within ${PDF_RENDER_TIMEOUT_MS}ms, printing anyway`);
+    } else {
+      logInfo('PDF', `Render state before printing: ${state}`);
+    }
+
+    return await pdfWindow.webContents.printToPDF(printOptions);
+  } finally {
+    if (!pdfWindow.isDestroyed()) {
+      pdfWindow.destroy();
+    }
+    fs.promises.unlink(tempFile).catch(() => {});
+  }
+}
+
 ipcMain.handle('export-mindmap-pdf', async (event, { imageData, fileName }) => {
   try {
     logInfo('Mindmap PDF', `Starting mindmap PDF export: ${fileName}`);
@@ -469,16 +706,6 @@ ipcMain.handle('export-mindmap-pdf', async (event, { imageData, fileName }) => {
     const savePath = result.filePath;
     logInfo('Mindmap PDF', `Target path: ${savePath}`);
     
-    // Use Puppeteer to create PDF from PNG
-    const puppeteer = require('puppeteer');
-    
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    const page = await browser.newPage();
-    
     // Create HTML with centered image
     const htmlContent = `
       <!DOCTYPE html>
@@ -506,30 +733,14 @@ ipcMain.handle('export-mindmap-pdf', async (event, { imageData, fileName }) => {
       </html>
     `;
     
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-    
-    // Wait for image to load
-    await page.waitForSelector('img', { timeout: 5000 });
-    await page.evaluate(() => new Promise(resolve => {
-      const img = document.querySelector('img');
-      if (img.complete) {
-        resolve();
-      } else {
-        img.onload = resolve;
-        img.onerror = resolve;
-      }
-    }));
-    
-    // Generate PDF
-    await page.pdf({
-      path: savePath,
-      format: 'A4',
+    // The load event waits for the embedded image, so no render signal is needed
+    const pdfData = await renderHtmlToPDF(htmlContent, {
+      pageSize: 'A4',
       landscape: true,
-      margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' },
+      margins: { top: cssLengthToInches('10mm'), right: cssLengthToInches('10mm'), bottom: cssLengthToInches('10mm'), left: cssLengthToInches('10mm') },
       printBackground: true
     });
-    
-    await browser.close();
+    fs.writeFileSync(savePath, pdfData);
     
     logInfo('Mindmap PDF', `PDF exported successfully to: ${savePath}`);
     return { success: true, filePath: savePath };
@@ -540,93 +751,29 @@ ipcMain.handle('export-mindmap-pdf', async (event, { imageData, fileName }) => {
   }
 });
 
-ipcMain.handle('export-pdf', async (event, { fileName, html, devAutoSavePath }) => {
+ipcMain.handle('export-pdf', async (event, { fileName, html, pdfOptions }) => {
   try {
     logInfo('PDF', `Starting PDF export: ${fileName}`);
+    const pageOptions = normalizePdfOptions(pdfOptions);
     
-    // Use Puppeteer for PDF generation to ensure proper rendering
-    const puppeteer = require('puppeteer');
-    
-    // Determine save path
-    let savePath;
-    if (devAutoSavePath) {
-      savePath = devAutoSavePath;
-    } else {
-      const result = await dialog.showSaveDialog({
-        title: 'Export as PDF',
-        defaultPath: fileName,
-        filters: [
-          { name: 'PDF Files', extensions: ['pdf'] }
-        ]
-      });
-      
-      if (result.canceled || !result.filePath) {
-        return { success: false, error: 'Export cancelled by user' };
-      }
-      savePath = result.filePath;
-    }
-    
-    logInfo('PDF', `Target path: ${savePath}`);
-    
-    // Launch headless browser
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu'
+    const result = await dialog.showSaveDialog({
+      title: 'Export as PDF',
+      defaultPath: fileName,
+      filters: [
+        { name: 'PDF Files', extensions: ['pdf'] }
       ]
     });
     
-    const page = await browser.newPage();
-    
-    // Set viewport for consistent rendering
-    await page.setViewport({
-      width: 1200,
-      height: 800,
-      deviceScaleFactor: 2
-    });
-    
-    // Load the HTML content
-    await page.setContent(html, {
-      waitUntil: ['networkidle0', 'load'],
-      timeout: 60000
-    });
-    
-    // Wait for MathJax rendering to complete
-    await page.evaluate(() => {
-      return new Promise((resolve) => {
-        if (window.MathJax && window.MathJax.typesetPromise) {
-          window.MathJax.typesetPromise().then(() => {
-            // Give extra time for SVG rendering
-            setTimeout(resolve, 1000);
-          }).catch(() => {
-            setTimeout(resolve, 1000);
-          });
-        } else {
-          setTimeout(resolve, 2000);
-        }
-      });
-    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, error: 'Export cancelled by user' };
+    }
+    const savePath = result.filePath;
     
-    // Generate PDF with high quality settings
-    await page.pdf({
-      path: savePath,
-      format: 'A4',
-      margin: {
-        top: '20mm',
-        right: '20mm',
-        bottom: '20mm',
-        left: '20mm'
-      },
-      printBackground: true,
-      preferCSSPageSize: false,
-      displayHeaderFooter: false
-    });
+    logInfo('PDF', `Target path: ${savePath}`);
     
-    await browser.close();
+    // Render in a hidden window once the document signals render-complete
+    const pdfData = await renderHtmlToPDF(html, pageOptions);
+    fs.writeFileSync(savePath, pdfData);
     
     logInfo('PDF', `PDF exported successfully to: ${savePath}`);
     return { success: true, filePath: savePath };
@@ -637,6 +784,287 @@ ipcMain.handle('export-pdf', async (event, { fileName, html, devAutoSavePath })
   }
 });
 
+// Command-line export: `markdd export <files|globs> --to pdf|html [options]`
+// (from a checkout: `npx electron . export ...`). The app is loaded in a hidden window
+// with its own in-memory storage, so the settings and tabs of the interactive app are
+// neither used nor changed; each file is rendered there exactly as the preview does,
+// then written as HTML or printed to PDF like the Export menu items.
+const CLI_EXPORT_FORMATS = ['html', 'pdf'];
+const CLI_EXPORT_THEMES = ['light', 'dark', 'blue', 'green', 'purple', 'orange', 'monochrome'];
+const CLI_EXPORT_MATH_ENGINES = ['mathjax', 'katex'];
+const CLI_EXPORT_INPUT_EXTENSIONS = ['.md', '.markdown'];
+const CLI_EXPORT_PARTITION = 'markdd-cli-export';
+const CLI_EXPORT_STARTUP_TIMEOUT_MS = 60000;
+
+const CLI_EXPORT_USAGE = `Usage: markdd export <file.md|glob>... [options]
+
+Options:
+  --to <html|pdf>      Output format (default: html)
+  --out-dir <dir>      Write results here instead of next to each input;
+                       files matched by a glob keep their folders below it
+  --theme <name>       Document theme: ${CLI_EXPORT_THEMES.join(', ')}
+  --math <engine>      Math engine: mathjax (default) or katex
+  --page-size <size>   PDF page size: ${PDF_PAGE_FORMATS.join(', ')}
+  --landscape          PDF in landscape orientation
+  --margin <length>    PDF page margin on every side, e.g. 20mm or 1in
+  --page-break-h1      Start every top-level heading on a new PDF page
+  -h, --help           Show this help
+
+Page options override the document's front-matter pdf: block.
+Exits with code 1 if any file fails.`;
+
+function parseExportArgs(args) {
+  const options = { inputs: [], format: 'html', outDir: null, theme: null, mathEngine: null, pdfOptions: {}, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let inlineValue;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      inlineValue = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+    const value = () => {
+      const next = inlineValue !== undefined ? inlineValue : args[++i];
+      if (next === undefined || next === '' || (inlineValue === undefined && next.startsWith('--'))) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return next;
+    };
+    const choice = (allowed) => {
+      const chosen = value().toLowerCase();
+      if (!allowed.includes(chosen)) {
+        throw new Error(`${arg} must be one of: ${allowed.join(', ')}`);
+      }
+      return chosen;
+    };
+
+    switch (arg) {
+      case '--to':
+        options.format = choice(CLI_EXPORT_FORMATS);
+        break;
+      case '--out-dir':
+        options.outDir = path.resolve(value());
+        break;
+      case '--theme':
+        options.theme = choice(CLI_EXPORT_THEMES);
+        break;
+      case '--math':
+        options.mathEngine = choice(CLI_EXPORT_MATH_ENGINES);
+        break;
+      case '--page-size': {
+        const size = value();
+        const format = PDF_PAGE_FORMATS.find(f => f.toLowerCase() === size.toLowerCase());
+        if (!format) {
+          throw new Error(`--page-size must be one of: ${PDF_PAGE_FORMATS.join(', ')}`);
+        }
+        options.pdfOptions.format = format;
+        break;
+      }
+      case '--landscape':
+        options.pdfOptions.landscape = true;
+        break;
+      case '--margin': {
+        const margin = value();
+        if (!PDF_CSS_LENGTH.test(margin)) {
+          throw new Error(`--margin must be a length such as 20mm, 1in or 72px`);
+        }
+        options.pdfOptions.margin = { top: margin, right: margin, bottom: margin, left: margin };
+        break;
+      }
+      case '--page-break-h1':
+        options.pdfOptions.pageBreakBeforeH1 = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '--dev':
+        break;
+      default:
+        // Chromium/Electron switches (--no-sandbox, --disable-gpu, ...) are theirs, not ours
+        if (arg.startsWith('-')) {
+          if (!app.commandLine.hasSwitch(arg.replace(/^-+/, ''))) {
+            throw new Error(`Unknown option ${arg}`);
+          }
+        } else {
+          options.inputs.push(arg);
+        }
+    }
+  }
+
+  if (!options.help && options.inputs.length === 0) {
+    throw new Error('No input files given');
+  }
+  return options;
+}
+
+// `*`, `?` and `**` in a glob, matched against '/'-separated relative paths
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Files for one input argument, each with the path its output keeps below --out-dir.
+// Globs are expanded here too, for shells that pass them through (cmd.exe, quoted args).
+function expandExportInput(input) {
+  if (!/[*?]/.test(input)) {
+    const filePath = path.resolve(input);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`${input}: no such file`);
+    }
+    return [{ filePath, relativePath: path.basename(filePath) }];
+  }
+
+  const parts = input.replace(/\\/g, '/').split('/');
+  const firstGlob = parts.findIndex(part => /[*?]/.test(part));
+  const baseDir = path.resolve(parts.slice(0, firstGlob).join('/') || (path.isAbsolute(input) ? '/' : '.'));
+  const pattern = globToRegExp(parts.slice(firstGlob).join('/'));
+
+  return listMarkdownFiles(baseDir)
+    .filter(file => CLI_EXPORT_INPUT_EXTENSIONS.includes(path.extname(file.name).toLowerCase()))
+    .filter(file => pattern.test(file.relativePath))
+    .map(file => ({ filePath: file.path, relativePath: file.relativePath }));
+}
+
+function getExportOutputPath({ filePath, relativePath }, options) {
+  const extension = `.${options.format}`;
+  if (!options.outDir) {
+    return path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)) + extension);
+  }
+  const relative = relativePath.slice(0, relativePath.length - path.extname(relativePath).length) + extension;
+  return path.join(options.outDir, ...relative.split('/'));
+}
+
+// Resolves once window.markddApp has finished initializing in the export window
+function waitForExportApp(exportWindow) {
+  return exportWindow.webContents.executeJavaScript(`(async function () {
+    const started = Date.now();
+    while (!(window.markddApp && window.markddApp.initialized)) {
+      if (Date.now() - started > ${CLI_EXPORT_STARTUP_TIMEOUT_MS}) {
+        return { success: false, error: 'The editor did not start within ${CLI_EXPORT_STARTUP_TIMEOUT_MS / 1000}s' };
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await window.markddApp.initialized;
+    return { success: true };
+  })()`, true).then(result => {
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  });
+}
+
+// Render one file in the export window; resolves with the standalone document
+async function renderFileForExport(exportWindow, filePath, options) {
+  const request = {
+    filePath,
+    content: fs.readFileSync(filePath, 'utf-8'),
+    format: options.format,
+    theme: options.theme,
+    mathEngine: options.mathEngine,
+    pdfOptions: options.pdfOptions
+  };
+  const result = await exportWindow.webContents.executeJavaScript(`window.markddApp.exportForCommandLine(${JSON.stringify(request)})
+    .then(exported => Object.assign({ success: true }, exported))
+    .catch(error => ({ success: false, error: error && error.message ? error.message : String(error) }))`, true);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+// Returns the process exit code: 0 when every file was written, 1 otherwise
+async function runCommandLineExport(args) {
+  let options;
+  try {
+    options = parseExportArgs(args);
+  } catch (error) {
+    console.error(`markdd export: ${error.message}\n\n${CLI_EXPORT_USAGE}`);
+    return 1;
+  }
+  if (options.help) {
+    console.log(CLI_EXPORT_USAGE);
+    return 0;
+  }
+
+  let failures = 0;
+  let exported = 0;
+  const files = new Map();
+  for (const input of options.inputs) {
+    try {
+      const matches = expandExportInput(input);
+      if (matches.length === 0) {
+        throw new Error(`${input}: no markdown files match`);
+      }
+      matches.forEach(match => {
+        if (!files.has(match.filePath)) files.set(match.filePath, match);
+      });
+    } catch (error) {
+      failures++;
+      console.error(`markdd export: ${error.message}`);
+    }
+  }
+  if (files.size === 0) {
+    return 1;
+  }
+
+  const exportWindow = new BrowserWindow({
+    show: false,
+    width: 1400,
+    height: 900,
+    webPreferences: { ...getAppWebPreferences(), partition: CLI_EXPORT_PARTITION }
+  });
+  exportWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+  try {
+    await exportWindow.loadFile(path.join(__dirname, '../renderer/index.html'));
+    await waitForExportApp(exportWindow);
+
+    for (const file of files.values()) {
+      const outputPath = getExportOutputPath(file, options);
+      try {
+        const { html, relativeHtml, pdfOptions, warnings } = await renderFileForExport(exportWindow, file.filePath, options);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        if (options.format === 'pdf') {
+          fs.writeFileSync(outputPath, await renderHtmlToPDF(html, normalizePdfOptions(pdfOptions)));
+        } else {
+          fs.writeFileSync(outputPath, isDocumentFolder(outputPath, file.filePath) ? relativeHtml : html, 'utf-8');
+        }
+        exported++;
+        console.log(`${file.filePath} -> ${outputPath}`);
+        warnings.forEach(warning => console.error(`  warning: ${warning}`));
+      } catch (error) {
+        failures++;
+        console.error(`${file.filePath}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    console.error(`markdd export: ${error.message}`);
+    return 1;
+  } finally {
+    if (!exportWindow.isDestroyed()) {
+      exportWindow.destroy();
+    }
+  }
+
+  console.log(`Exported ${exported} of ${files.size} file(s)`);
+  return failures > 0 ? 1 : 0;
+}
+
 // TikZ server-side rendering handler - STRICT LOCAL ONLY
 ipcMain.handle('render-tikz-server-side', async (event, { tikzCode, isCircuit = false }) => {
   try {
@@ -726,62 +1154,778 @@ ipcMain.handle('render-tikz-server-side', async (event, { tikzCode, isCircuit =
   }
 });
 
-ipcMain.handle('open-external', async (event, url) => {
-  shell.openExternal(url);
-});
+// Diagram tool settings - which programs PlantUML and Graphviz run and where PlantUML source
+// is sent. They are kept here and only changed through main-process dialogs, so a script in the
+// renderer cannot point them at another program or server.
+const DIAGRAM_TOOLS_FILE = 'diagram-tools.json';
+const DIAGRAM_TOOLS_DEFAULTS = {
+  plantumlMode: 'jar',
+  plantumlJarPath: '',
+  plantumlJavaPath: '',
+  plantumlServerUrl: 'http://localhost:8080/plantuml',
+  graphvizPath: ''
+};
+// Setting name -> open dialog for the file it holds
+const DIAGRAM_TOOL_DIALOGS = {
+  plantumlJarPath: {
+    title: 'Select plantuml.jar',
+    filters: [{ name: 'PlantUML jar', extensions: ['jar'] }]
+  },
+  plantumlJavaPath: {
+    title: 'Select the Java executable'
+  },
+  graphvizPath: {
+    title: 'Select the Graphviz dot executable'
+  }
+};
+let diagramTools = null;
 
-// IPC handler for open-file-dialog (renderer invokes this to open a file)
-ipcMain.handle('open-file-dialog', async () => {
-  try {
-    const result = await dialog.showOpenDialog(mainWindow, {
-      properties: ['openFile'],
-      filters: [
-        { name: 'Markdown Files', extensions: ['md', 'markdown', 'mdown', 'mkd'] },
-        { name: 'All Files', extensions: ['*'] }
-      ]
-    });
-    if (!result.canceled && result.filePaths.length > 0) {
-      const filePath = result.filePaths[0];
-      const content = fs.readFileSync(filePath, 'utf-8');
-      currentFile = filePath;
-      return { filePath, content };
+function getDiagramTools() {
+  if (!diagramTools) {
+    let stored = {};
+    try {
+      stored = JSON.parse(fs.readFileSync(path.join(app.getPath('userData'), DIAGRAM_TOOLS_FILE), 'utf8'));
+    } catch (error) {
+      // First run or unreadable file - defaults
     }
-    return { canceled: true };
-  } catch (error) {
-    return { canceled: true, error: error.message };
+    diagramTools = Object.assign({}, DIAGRAM_TOOLS_DEFAULTS);
+    Object.keys(DIAGRAM_TOOLS_DEFAULTS).forEach(key => {
+      if (stored && typeof stored[key] === 'string') {
+        diagramTools[key] = stored[key];
+      }
+    });
   }
-});
+  return diagramTools;
+}
 
-// File browser IPC handlers
-ipcMain.handle('open-folder-dialog', async () => {
+function saveDiagramTools() {
   try {
-    const result = await dialog.showOpenDialog(mainWindow, {
-      properties: ['openDirectory']
-    });
-    
-    if (!result.canceled && result.filePaths.length > 0) {
-      const folderPath = result.filePaths[0];
-      mainWindow.webContents.send('folder-opened', folderPath);
-      return { success: true, folderPath };
-    }
-    return { success: false };
+    fs.writeFileSync(path.join(app.getPath('userData'), DIAGRAM_TOOLS_FILE),
+      JSON.stringify(getDiagramTools(), null, 2), 'utf8');
   } catch (error) {
-    return { success: false, error: error.message };
+    logError('DiagramTools', `Could not save settings: ${error.message}`);
   }
+}
+
+ipcMain.handle('get-diagram-tools', async () => {
+  return { success: true, settings: Object.assign({}, getDiagramTools()) };
 });
 
-ipcMain.handle('get-file-tree', async (event, folderPath) => {
+// Renderer mode and local server URL; plantuml.com is confirmed in a dialog shown from here
+ipcMain.handle('set-diagram-tools', async (event, { plantumlMode, plantumlServerUrl } = {}) => {
   try {
-    return await getFileTree(folderPath);
+    const settings = getDiagramTools();
+    if (plantumlServerUrl !== undefined) {
+      if (plantumlServerUrl && !/^https?:\/\//i.test(plantumlServerUrl)) {
+        throw new Error('The PlantUML server URL must start with http:// or https://');
+      }
+      settings.plantumlServerUrl = plantumlServerUrl || DIAGRAM_TOOLS_DEFAULTS.plantumlServerUrl;
+    }
+    if (plantumlMode !== undefined && plantumlMode !== settings.plantumlMode) {
+      if (!['jar', 'server', 'remote'].includes(plantumlMode)) {
+        throw new Error(`Unknown PlantUML mode: ${plantumlMode}`);
+      }
+      if (plantumlMode === 'remote') {
+        const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender) || mainWindow, {
+          type: 'warning',
+          title: 'PlantUML',
+          message: 'Render PlantUML diagrams with plantuml.com?',
+          detail: 'The source of every PlantUML diagram you open is sent to a third-party server.',
+          buttons: ['Cancel', 'Use plantuml.com'],
+          defaultId: 0,
+          cancelId: 0
+        });
+        if (response !== 1) {
+          return { success: true, settings: Object.assign({}, settings) };
+        }
+      }
+      settings.plantumlMode = plantumlMode;
+    }
+    saveDiagramTools();
+    return { success: true, settings: Object.assign({}, settings) };
   } catch (error) {
-    throw new Error(`Failed to read directory: ${error.message}`);
+    logError('DiagramTools', error.message);
+    return { success: false, error: error.message, settings: Object.assign({}, getDiagramTools()) };
   }
 });
 
-ipcMain.handle('get-directory-children', async (event, dirPath) => {
+// Pick a program location in an open dialog, or clear it (`clear: true`) to fall back to PATH
+ipcMain.handle('choose-diagram-tool', async (event, { setting, clear = false } = {}) => {
   try {
-    const children = await getDirectoryChildren(dirPath);
-    return children;
+    const options = DIAGRAM_TOOL_DIALOGS[setting];
+    if (!options) {
+      throw new Error(`Unknown diagram tool setting: ${setting}`);
+    }
+    const settings = getDiagramTools();
+    if (clear) {
+      settings[setting] = '';
+    } else {
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender) || mainWindow,
+        Object.assign({ properties: ['openFile'] }, options));
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: true, canceled: true, settings: Object.assign({}, settings) };
+      }
+      settings[setting] = result.filePaths[0];
+    }
+    saveDiagramTools();
+    logInfo('DiagramTools', `${setting} set to ${settings[setting] || '(default)'}`);
+    return { success: true, settings: Object.assign({}, settings) };
+  } catch (error) {
+    logError('DiagramTools', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// PlantUML rendering handler - LOCAL FIRST
+// Renders through a local plantuml.jar (java -jar ... -pipe) or a local PlantUML server.
+// The public plantuml.com server is only used when the user explicitly opts in, since it
+// sends the diagram source to a third party. Results are cached by source hash.
+const PLANTUML_PUBLIC_SERVER = 'https://www.plantuml.com/plantuml';
+const PLANTUML_TIMEOUT_MS = 20000;
+const PLANTUML_CACHE_LIMIT = 200;
+const plantumlCache = new Map();
+
+function getPlantUMLCacheKey(code, mode, source) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(`${mode}\n${source || ''}\n${code}`).digest('hex');
+}
+
+function rememberPlantUMLSvg(key, svg) {
+  // Map keeps insertion order, so dropping the first key evicts the oldest entry
+  if (plantumlCache.size >= PLANTUML_CACHE_LIMIT) {
+    plantumlCache.delete(plantumlCache.keys().next().value);
+  }
+  plantumlCache.set(key, svg);
+}
+
+// Add PlantUML delimiters if not present
+function normalizePlantUMLSource(code) {
+  const uml = (code || '').trim();
+  return /^@start\w+/.test(uml) ? uml : `@startuml\n${uml}\n@enduml`;
+}
+
+function extractSvg(output) {
+  const start = output.indexOf('<svg');
+  const end = output.lastIndexOf('</svg>');
+  return start !== -1 && end !== -1 ? output.substring(start, end + 6) : null;
+}
+
+function renderPlantUMLWithJar(code, jarPath, javaPath) {
+  const { spawn } = require('child_process');
+
+  return new Promise((resolve, reject) => {
+    if (!jarPath || !fs.existsSync(jarPath)) {
+      reject(new Error(`PlantUML jar not found${jarPath ? ` at ${jarPath}` : ''}. Set the jar path in Settings.`));
+      return;
+    }
+
+    const child = spawn(javaPath || 'java', ['-Djava.awt.headless=true', '-jar', jarPath, '-tsvg', '-pipe', '-charset', 'UTF-8'], {
+      windowsHide: true
+    });
+    let stdout = '';
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`PlantUML timed out after ${PLANTUML_TIMEOUT_MS / 1000}s`));
+    }, PLANTUML_TIMEOUT_MS);
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(error.code === 'ENOENT' ? `Java runtime not found (${javaPath || 'java'})` : error.message));
+    });
+
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      // PlantUML draws syntax errors into the SVG itself, so any SVG output is returned
+      const svg = extractSvg(stdout);
+      if (svg) {
+        resolve(svg);
+      } else {
+        reject(new Error(stderr.trim() || `PlantUML exited with code ${exitCode}`));
+      }
+    });
+
+    child.stdin.end(code, 'utf8');
+  });
+}
+
+async function renderPlantUMLWithServer(code, serverUrl) {
+  const plantumlEncoder = require('plantuml-encoder');
+  const url = `${serverUrl.replace(/\/+$/, '')}/svg/${plantumlEncoder.encode(code)}`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PLANTUML_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const body = await response.text();
+    const svg = extractSvg(body);
+    // PlantUML servers answer syntax errors with HTTP 400 plus an SVG describing the error
+    if (svg) {
+      return svg;
+    }
+    throw new Error(`PlantUML server returned HTTP ${response.status}`);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`PlantUML server timed out after ${PLANTUML_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Only the diagram source comes from the renderer; the rest is the main-process settings above
+ipcMain.handle('render-plantuml', async (event, { code }) => {
+  const { plantumlMode: mode, plantumlJarPath: jarPath, plantumlJavaPath: javaPath, plantumlServerUrl: serverUrl } = getDiagramTools();
+  try {
+    let source;
+    if (mode === 'jar') {
+      source = jarPath;
+    } else if (mode === 'server') {
+      if (!serverUrl) {
+        throw new Error('No local PlantUML server URL configured. Set it in Settings.');
+      }
+      source = serverUrl;
+    } else if (mode === 'remote') {
+      source = PLANTUML_PUBLIC_SERVER;
+    } else {
+      throw new Error(`Unknown PlantUML mode: ${mode}`);
+    }
+
+    const uml = normalizePlantUMLSource(code);
+    const cacheKey = getPlantUMLCacheKey(uml, mode, source);
+    if (plantumlCache.has(cacheKey)) {
+      return { success: true, svg: plantumlCache.get(cacheKey), cached: true, method: mode };
+    }
+
+    logInfo('PlantUML', `Rendering diagram via ${mode} (${source})`);
+    const svg = mode === 'jar'
+      ? await renderPlantUMLWithJar(uml, jarPath, javaPath)
+      : await renderPlantUMLWithServer(uml, source);
+
+    rememberPlantUMLSvg(cacheKey, svg);
+    return { success: true, svg, cached: false, method: mode };
+  } catch (error) {
+    logError('PlantUML', `Rendering failed: ${error.message}`);
+    return { success: false, error: error.message, method: mode };
+  }
+});
+
+// GraphViz rendering handlers - native dot/neato/fdp/sfdp/twopi/circo
+// Executables are discovered from the Graphviz location in the diagram tool settings (file
+// or bin directory) or PATH, and run here in the main process with a timeout and an output-size limit.
+const GRAPHVIZ_ENGINES = ['dot', 'neato', 'fdp', 'sfdp', 'twopi', 'circo'];
+const GRAPHVIZ_TIMEOUT_MS = 15000;
+const GRAPHVIZ_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+const graphvizExecutableCache = new Map();
+
+function getGraphvizSearchDirs(configuredPath) {
+  const dirs = [];
+  if (configuredPath) {
+    try {
+      dirs.push(fs.statSync(configuredPath).isDirectory() ? configuredPath : path.dirname(configuredPath));
+    } catch (error) {
+      logInfo('GraphViz', `Configured path not found: ${configuredPath}`);
+    }
+  }
+  (process.env.PATH || '').split(path.delimiter).filter(Boolean).forEach(dir => dirs.push(dir));
+
+  // Common install locations that are often missing from a GUI app's PATH
+  if (process.platform === 'darwin') {
+    dirs.push('/opt/homebrew/bin', '/usr/local/bin', '/opt/local/bin');
+  } else if (process.platform === 'win32') {
+    dirs.push(path.join(process.env.ProgramFiles || 'C:\\Program Files', 'Graphviz', 'bin'));
+    dirs.push(path.join(process.cwd(), 'References', 'Graphviz-13.1.2-win64', 'bin'));
+  } else {
+    dirs.push('/usr/bin', '/usr/local/bin', '/snap/bin');
+  }
+  return [...new Set(dirs)];
+}
+
+function findGraphvizExecutable(name, configuredPath) {
+  const cacheKey = `${configuredPath || ''}|${name}`;
+  if (graphvizExecutableCache.has(cacheKey)) {
+    return graphvizExecutableCache.get(cacheKey);
+  }
+
+  const fileName = process.platform === 'win32' ? `${name}.exe` : name;
+  let found = null;
+  for (const dir of getGraphvizSearchDirs(configuredPath)) {
+    const candidate = path.join(dir, fileName);
+    try {
+      if (fs.statSync(candidate).isFile()) {
+        found = candidate;
+        break;
+      }
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+
+  // Only cache hits so a Graphviz install is picked up without restarting
+  if (found) {
+    graphvizExecutableCache.set(cacheKey, found);
+  }
+  return found;
+}
+
+// Turn Graphviz stderr into [{ line, message, severity }] so the renderer can mark source lines
+function parseGraphvizErrors(stderr) {
+  return stderr.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const lineMatch = line.match(/\bline (\d+)/i);
+      return {
+        line: lineMatch ? parseInt(lineMatch[1], 10) : null,
+        message: line.replace(/^(Error|Warning):\s*/i, ''),
+        severity: /^warning/i.test(line) ? 'warning' : 'error'
+      };
+    });
+}
+
+function runGraphviz(executable, args, code) {
+  const { spawn } = require('child_process');
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(executable, args, { windowsHide: true });
+    const chunks = [];
+    let outputBytes = 0;
+    let stderr = '';
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.kill();
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      fail(new Error(`Graphviz timed out after ${GRAPHVIZ_TIMEOUT_MS / 1000}s`));
+    }, GRAPHVIZ_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > GRAPHVIZ_MAX_OUTPUT_BYTES) {
+        fail(new Error(`Graphviz output exceeded ${GRAPHVIZ_MAX_OUTPUT_BYTES / (1024 * 1024)} MB`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    child.on('error', fail);
+    child.on('close', (exitCode) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ exitCode, svg: Buffer.concat(chunks).toString('utf8'), stderr });
+    });
+
+    child.stdin.on('error', () => {}); // Process may exit before reading all input
+    child.stdin.end(code, 'utf8');
+  });
+}
+
+ipcMain.handle('graphviz-status', async () => {
+  const { graphvizPath } = getDiagramTools();
+  try {
+    const engines = GRAPHVIZ_ENGINES.filter(engine => findGraphvizExecutable(engine, graphvizPath));
+    const dot = findGraphvizExecutable('dot', graphvizPath);
+    return { success: true, available: !!dot, executable: dot, engines };
+  } catch (error) {
+    logError('GraphViz', error);
+    return { success: false, available: false, error: error.message };
+  }
+});
+
+ipcMain.handle('render-graphviz', async (event, { code, engine = 'dot' }) => {
+  const { graphvizPath } = getDiagramTools();
+  try {
+    if (!GRAPHVIZ_ENGINES.includes(engine)) {
+      throw new Error(`Unsupported Graphviz engine: ${engine}`);
+    }
+
+    // Prefer the engine's own executable, otherwise let dot switch layouts with -K
+    let executable = findGraphvizExecutable(engine, graphvizPath);
+    const args = ['-Tsvg'];
+    if (!executable) {
+      executable = findGraphvizExecutable('dot', graphvizPath);
+      args.push(`-K${engine}`);
+    }
+    if (!executable) {
+      return { success: false, unavailable: true, error: 'Graphviz executables not found on PATH. Install Graphviz or set its location in Settings.' };
+    }
+
+    logInfo('GraphViz', `Rendering with ${executable} ${args.join(' ')}`);
+    const result = await runGraphviz(executable, args, code);
+    const errors = parseGraphvizErrors(result.stderr);
+
+    if (result.exitCode !== 0 || !result.svg.includes('<svg')) {
+      return {
+        success: false,
+        error: errors.length ? errors.map(e => e.message).join('\n') : `${path.basename(executable)} exited with code ${result.exitCode}`,
+        errors
+      };
+    }
+
+    return { success: true, svg: result.svg, warnings: errors, executable };
+  } catch (error) {
+    logError('GraphViz', `Rendering failed: ${error.message}`);
+    return { success: false, error: error.message, errors: [] };
+  }
+});
+
+// Code chunks - ```python {cmd=true} fences run in the document's folder, only for documents
+// the user trusted in a dialog shown from here; the source goes to a temporary script file.
+const CODE_CHUNK_TIMEOUT_MS = 60000;
+const CODE_CHUNK_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+const CODE_CHUNK_PYTHON = process.platform === 'win32' ? 'python' : 'python3';
+const CODE_CHUNK_LANGUAGES = {
+  python: { command: CODE_CHUNK_PYTHON, extension: '.py' },
+  py: { command: CODE_CHUNK_PYTHON, extension: '.py' },
+  bash: { command: 'bash', extension: '.sh' },
+  sh: { command: 'sh', extension: '.sh' },
+  shell: { command: process.platform === 'win32' ? 'bash' : 'sh', extension: '.sh' },
+  zsh: { command: 'zsh', extension: '.sh' },
+  node: { command: 'node', extension: '.js' },
+  js: { command: 'node', extension: '.js' },
+  javascript: { command: 'node', extension: '.js' },
+  powershell: { command: 'pwsh', args: ['-NoProfile', '-File'], extension: '.ps1' },
+  ps1: { command: 'pwsh', args: ['-NoProfile', '-File'], extension: '.ps1' }
+};
+
+// Trusted document paths live in the main process (userData), so script in the page cannot
+// grant itself permission to run code
+const CODE_CHUNK_TRUST_FILE = 'code-chunk-trusted-documents.json';
+let trustedChunkDocuments = null;
+
+function getTrustedChunkDocuments() {
+  if (!trustedChunkDocuments) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(path.join(app.getPath('userData'), CODE_CHUNK_TRUST_FILE), 'utf8'));
+      trustedChunkDocuments = new Set(Array.isArray(stored) ? stored : []);
+    } catch (error) {
+      trustedChunkDocuments = new Set();
+    }
+  }
+  return trustedChunkDocuments;
+}
+
+function saveTrustedChunkDocuments() {
+  try {
+    fs.writeFileSync(path.join(app.getPath('userData'), CODE_CHUNK_TRUST_FILE),
+      JSON.stringify(Array.from(getTrustedChunkDocuments()), null, 2), 'utf8');
+  } catch (error) {
+    logError('CodeChunk', `Could not save trusted documents: ${error.message}`);
+  }
+}
+
+ipcMain.handle('trust-code-chunk-document', async (event, { documentPath }) => {
+  try {
+    if (!documentPath) {
+      throw new Error('Save the document first; code chunks run in its folder');
+    }
+    const resolvedPath = path.resolve(documentPath);
+    const trusted = getTrustedChunkDocuments();
+    if (trusted.has(resolvedPath)) {
+      return { success: true, trusted: true };
+    }
+
+    const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender) || mainWindow, {
+      type: 'warning',
+      title: 'Run Code Chunks',
+      message: `Run code from "${path.basename(resolvedPath)}"?`,
+      detail: `${resolvedPath}\n\nCode chunks run as programs on this computer with your permissions, in the ` +
+        'document\'s folder. Only continue if you trust this document and its author.\n\n' +
+        'Your answer is remembered for this document.',
+      buttons: ['Cancel', 'Trust and Run'],
+      defaultId: 0,
+      cancelId: 0
+    });
+    if (response !== 1) {
+      return { success: true, trusted: false };
+    }
+
+    trusted.add(resolvedPath);
+    saveTrustedChunkDocuments();
+    logInfo('CodeChunk', `Trusted ${resolvedPath}`);
+    return { success: true, trusted: true };
+  } catch (error) {
+    logError('CodeChunk', error.message);
+    return { success: false, trusted: false, error: error.message };
+  }
+});
+
+function runCodeChunkProcess(command, args, cwd) {
+  const { spawn } = require('child_process');
+
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { cwd, windowsHide: true, env: process.env });
+    const stdout = [];
+    let stderr = '';
+    let outputBytes = 0;
+    let settled = false;
+    let timedOut = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, CODE_CHUNK_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > CODE_CHUNK_MAX_OUTPUT_BYTES) {
+        child.kill();
+        finish({ exitCode: null, stdout: Buffer.concat(stdout), stderr, error: `Output exceeded ${CODE_CHUNK_MAX_OUTPUT_BYTES / (1024 * 1024)} MB` });
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      if (stderr.length < CODE_CHUNK_MAX_OUTPUT_BYTES) stderr += chunk;
+    });
+
+    child.on('error', (error) => {
+      finish({
+        exitCode: null,
+        stdout: Buffer.concat(stdout),
+        stderr,
+        error: error.code === 'ENOENT' ? `${command} was not found on PATH` : error.message
+      });
+    });
+    child.on('close', (exitCode) => {
+      finish({
+        exitCode,
+        stdout: Buffer.concat(stdout),
+        stderr,
+        error: timedOut ? `Timed out after ${CODE_CHUNK_TIMEOUT_MS / 1000}s` : null
+      });
+    });
+  });
+}
+
+ipcMain.handle('run-code-chunk', async (event, { code, lang, cmd, args = [], documentPath, output = 'text' }) => {
+  let scriptPath = null;
+  try {
+    if (!documentPath) {
+      throw new Error('Save the document first; code chunks run in its folder');
+    }
+    if (!getTrustedChunkDocuments().has(path.resolve(documentPath))) {
+      throw new Error('This document is not trusted to run code chunks');
+    }
+    const language = CODE_CHUNK_LANGUAGES[String(lang || '').toLowerCase()];
+    if (!language && (!cmd || cmd === true)) {
+      throw new Error(`No interpreter known for "${lang}"; set one with {cmd="..."}`);
+    }
+
+    const os = require('os');
+    const extension = language ? language.extension : (path.extname(`chunk.${lang}`) || '.txt');
+    scriptPath = path.join(os.tmpdir(), `markdd-chunk-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`);
+    fs.writeFileSync(scriptPath, code, 'utf8');
+
+    const command = typeof cmd === 'string' && cmd.trim() ? cmd.trim() : language.command;
+    const commandArgs = [...(language && command === language.command ? language.args || [] : []), ...args, scriptPath];
+    const cwd = path.dirname(documentPath);
+
+    logInfo('CodeChunk', `Running ${command} in ${cwd}`);
+    const result = await runCodeChunkProcess(command, commandArgs, cwd);
+    const isImage = output === 'png' || output === 'image';
+
+    return {
+      success: !result.error && result.exitCode === 0,
+      exitCode: result.exitCode,
+      stdout: result.stdout.toString(isImage ? 'base64' : 'utf8'),
+      stderr: result.stderr,
+      error: result.error || (result.exitCode !== 0 ? `${path.basename(command)} exited with code ${result.exitCode}` : null)
+    };
+  } catch (error) {
+    logError('CodeChunk', error.message);
+    return { success: false, stdout: '', stderr: '', error: error.message };
+  } finally {
+    if (scriptPath) {
+      fs.rm(scriptPath, { force: true }, () => {});
+    }
+  }
+});
+
+// Pasted and dropped images are written next to the document instead of inlined as data URLs.
+// Folder and name templates take ${filename} (document name without extension), ${name}
+// (the image's own name), ${date} (YYYY-MM-DD), ${time} (HHmmss) and ${timestamp}.
+const IMAGE_ASSET_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/avif': 'avif'
+};
+const IMAGE_ASSET_MAX_BYTES = 50 * 1024 * 1024;
+
+function sanitizeAssetName(name) {
+  return String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-').replace(/^[.\s]+|[.\s]+$/g, '').trim();
+}
+
+function expandAssetTemplate(template, values) {
+  return String(template || '').replace(/\$\{(\w+)\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  ));
+}
+
+ipcMain.handle('save-image-asset', async (event, { documentPath, data, mimeType, name, folderTemplate = 'assets/${filename}', nameTemplate = '${name}' }) => {
+  try {
+    if (!documentPath) {
+      throw new Error('Save the document first; images are stored next to it');
+    }
+    const extension = IMAGE_ASSET_TYPES[String(mimeType || '').toLowerCase()];
+    if (!extension) {
+      throw new Error(`Unsupported image type: ${mimeType}`);
+    }
+    const bytes = Buffer.from(data);
+    if (bytes.length === 0 || bytes.length > IMAGE_ASSET_MAX_BYTES) {
+      throw new Error(`Images must be between 1 byte and ${IMAGE_ASSET_MAX_BYTES / (1024 * 1024)} MB`);
+    }
+
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const values = {
+      filename: sanitizeAssetName(path.basename(documentPath, path.extname(documentPath))) || 'document',
+      name: sanitizeAssetName(String(name || '').replace(/\.[^.]+$/, '')) || 'image',
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`,
+      timestamp: String(now.getTime())
+    };
+
+    // The folder may contain separators; each template value was stripped of them above.
+    // It must stay inside the document's folder, like the files documents may read
+    const documentDir = path.dirname(documentPath);
+    const folder = path.resolve(documentDir, expandAssetTemplate(folderTemplate, values).trim() || '.');
+    if (!isPathInside(documentDir, folder)) {
+      throw new Error(`The image folder must be inside the document's folder: ${folderTemplate}`);
+    }
+    const baseName = sanitizeAssetName(expandAssetTemplate(nameTemplate, values)) || values.name;
+    fs.mkdirSync(folder, { recursive: true });
+    // Symlinks must not lead out of it either
+    if (!isPathInside(fs.realpathSync(documentDir), fs.realpathSync(folder))) {
+      throw new Error(`The image folder must be inside the document's folder: ${folderTemplate}`);
+    }
+
+    // 'wx' fails when the file exists, so an existing image is never overwritten
+    let filePath = null;
+    for (let attempt = 0; !filePath; attempt++) {
+      const candidate = path.join(folder, `${baseName}${attempt ? `-${attempt}` : ''}.${extension}`);
+      try {
+        fs.writeFileSync(candidate, bytes, { flag: 'wx' });
+        filePath = candidate;
+      } catch (error) {
+        if (error.code !== 'EEXIST' || attempt >= 999) throw error;
+      }
+    }
+
+    // Markdown link targets end at ')' and spaces, so the relative path is URL-encoded
+    const relativePath = path.relative(documentDir, filePath).split(path.sep)
+      .map(segment => encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29'))
+      .join('/');
+
+    logInfo('ImageAsset', `Saved ${filePath}`);
+    return { success: true, filePath, relativePath };
+  } catch (error) {
+    logError('ImageAsset', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Only web and mail links leave the app; file:, javascript: etc. from a document are refused
+const EXTERNAL_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function isExternalUrl(url) {
+  try {
+    return EXTERNAL_URL_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+ipcMain.handle('open-external', async (event, url) => {
+  if (!isExternalUrl(url)) {
+    logError('IPC', `Refusing to open external URL: ${url}`);
+    return { success: false, error: 'Only http(s) and mailto links can be opened' };
+  }
+  await shell.openExternal(url);
+  return { success: true };
+});
+
+// IPC handler for open-file-dialog (renderer invokes this to open a file)
+ipcMain.handle('open-file-dialog', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      filters: [
+        { name: 'Markdown Files', extensions: ['md', 'markdown', 'mdown', 'mkd'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (!result.canceled && result.filePaths.length > 0) {
+      const filePath = result.filePaths[0];
+      const content = fs.readFileSync(filePath, 'utf-8');
+      rememberFileMtime(filePath);
+      currentFile = filePath;
+      return { filePath, content };
+    }
+    return { canceled: true };
+  } catch (error) {
+    return { canceled: true, error: error.message };
+  }
+});
+
+// File browser IPC handlers
+ipcMain.handle('open-folder-dialog', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openDirectory']
+    });
+    
+    if (!result.canceled && result.filePaths.length > 0) {
+      const folderPath = result.filePaths[0];
+      mainWindow.webContents.send('folder-opened', folderPath);
+      return { success: true, folderPath };
+    }
+    return { success: false };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-file-tree', async (event, folderPath) => {
+  try {
+    return await getFileTree(folderPath);
+  } catch (error) {
+    throw new Error(`Failed to read directory: ${error.message}`);
+  }
+});
+
+ipcMain.handle('get-directory-children', async (event, dirPath) => {
+  try {
+    const children = await getDirectoryChildren(dirPath);
+    return children;
   } catch (error) {
     throw new Error(`Failed to read directory children: ${error.message}`);
   }
@@ -790,9 +1934,11 @@ ipcMain.handle('get-directory-children', async (event, dirPath) => {
 ipcMain.handle('read-file', async (event, filePath) => {
   try {
     const content = fs.readFileSync(filePath, 'utf8');
-    return content;
+    rememberFileMtime(filePath);
+    return { success: true, content };
   } catch (error) {
-    throw new Error(`Failed to read file: ${error.message}`);
+    logError('IPC', `Failed to read file: ${error.message}`);
+    return { success: false, error: error.message };
   }
 });
 
@@ -832,6 +1978,574 @@ ipcMain.handle('read-directory', async (event, dirPath) => {
   }
 });
 
+// Workspace helpers - markdown files under the opened folder, wiki-link resolution
+const WORKSPACE_MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt', '.text'];
+const WORKSPACE_SKIP_DIRS = new Set(['node_modules', '.git']);
+const WORKSPACE_MAX_FILES = 5000;
+const WIKI_LINK_PATTERN = /\[\[([^\[\]\n|#]*)(?:#([^\[\]\n|]*))?(?:\|([^\[\]\n]*))?\]\]/g;
+
+function listMarkdownFiles(rootPath) {
+  const files = [];
+  const walk = (dirPath) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (error) {
+      logError('Workspace', `Skipping unreadable directory ${dirPath}: ${error.message}`);
+      return;
+    }
+    for (const entry of entries) {
+      if (files.length >= WORKSPACE_MAX_FILES) return;
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !WORKSPACE_SKIP_DIRS.has(entry.name)) {
+          walk(fullPath);
+        }
+      } else if (WORKSPACE_MARKDOWN_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push({
+          name: entry.name,
+          path: fullPath,
+          relativePath: path.relative(rootPath, fullPath).split(path.sep).join('/')
+        });
+      }
+    }
+  };
+  walk(rootPath);
+  return files;
+}
+
+// Wiki-link targets match a file name or workspace-relative path, with or without extension
+function normalizeWikiLinkTarget(target) {
+  const normalized = String(target).trim().replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+  const ext = path.extname(normalized);
+  return WORKSPACE_MARKDOWN_EXTENSIONS.includes(ext) ? normalized.slice(0, -ext.length) : normalized;
+}
+
+// Same rules as MarkdownRenderer.setWikiLinkIndex so preview and backlinks agree
+function buildWikiLinkIndex(files) {
+  const index = new Map();
+  const depth = file => file.relativePath.split('/').length;
+  // Shallowest file wins when several folders contain the same note name
+  for (const file of [...files].sort((a, b) => depth(a) - depth(b))) {
+    index.set(normalizeWikiLinkTarget(file.relativePath), file.path);
+    const nameKey = normalizeWikiLinkTarget(file.name);
+    if (!index.has(nameKey)) {
+      index.set(nameKey, file.path);
+    }
+  }
+  return index;
+}
+
+ipcMain.handle('list-markdown-files', async (event, { rootPath }) => {
+  try {
+    const files = listMarkdownFiles(rootPath);
+    return { success: true, files, truncated: files.length >= WORKSPACE_MAX_FILES };
+  } catch (error) {
+    logError('Workspace', `Failed to list markdown files: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Backlinks - every workspace file containing a [[wiki-link]] that resolves to filePath
+ipcMain.handle('find-backlinks', async (event, { rootPath, filePath }) => {
+  try {
+    const files = listMarkdownFiles(rootPath);
+    const index = buildWikiLinkIndex(files);
+    const target = path.resolve(filePath);
+    const backlinks = [];
+
+    for (const file of files) {
+      if (path.resolve(file.path) === target) continue;
+
+      let content;
+      try {
+        content = await fs.promises.readFile(file.path, 'utf-8');
+      } catch (error) {
+        continue;
+      }
+      if (!content.includes('[[')) continue;
+
+      const mentions = [];
+      content.split(/\r?\n/).forEach((line, lineIndex) => {
+        WIKI_LINK_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = WIKI_LINK_PATTERN.exec(line)) !== null) {
+          const resolved = match[1].trim() ? index.get(normalizeWikiLinkTarget(match[1])) : null;
+          if (resolved && path.resolve(resolved) === target) {
+            mentions.push({ line: lineIndex + 1, context: line.trim().substring(0, 200) });
+            break;
+          }
+        }
+      });
+
+      if (mentions.length) {
+        backlinks.push({ path: file.path, name: file.name, relativePath: file.relativePath, mentions });
+      }
+    }
+
+    return { success: true, backlinks };
+  } catch (error) {
+    logError('Workspace', `Failed to find backlinks: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Workspace search - the Search panel builds its queries with the same SearchQuery
+const WORKSPACE_SEARCH_MAX_MATCHES = 2000;
+
+ipcMain.handle('search-workspace', async (event, { rootPath, query, isRegex, isCaseSensitive, isWholeWord }) => {
+  try {
+    const searchRegex = SearchQuery.buildRegex(query, { isRegex, isCaseSensitive, isWholeWord });
+    const files = listMarkdownFiles(rootPath);
+    const results = [];
+    let totalMatches = 0;
+    let truncated = false;
+
+    for (const file of files) {
+      if (truncated) break;
+
+      let content;
+      try {
+        content = await fs.promises.readFile(file.path, 'utf-8');
+      } catch (error) {
+        continue;
+      }
+
+      const matches = [];
+      const lines = content.split(/\r?\n/);
+      for (let i = 0; i < lines.length && !truncated; i++) {
+        searchRegex.lastIndex = 0;
+        let match;
+        while ((match = searchRegex.exec(lines[i])) !== null) {
+          // Prevent infinite loop on zero-length matches
+          if (match[0].length === 0) {
+            searchRegex.lastIndex++;
+            continue;
+          }
+          matches.push({ line: i + 1, column: match.index, length: match[0].length, text: lines[i] });
+          if (++totalMatches >= WORKSPACE_SEARCH_MAX_MATCHES) {
+            truncated = true;
+            break;
+          }
+        }
+      }
+
+      if (matches.length) {
+        results.push({ path: file.path, name: file.name, relativePath: file.relativePath, matches });
+      }
+    }
+
+    return { success: true, results, totalMatches, truncated, filesSearched: files.length };
+  } catch (error) {
+    logError('Workspace', `Search failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Workspace replace - dryRun returns per-line before/after previews without writing.
+// Patterns that match empty text (^, \b, a*) are refused: the replacement would be inserted
+// at every such place without being counted. `expected` carries the previewed {path, count, mtimeMs} per file; a file that changed since
+// the preview is skipped, so only the replacements the user approved are written
+ipcMain.handle('replace-in-workspace', async (event, { rootPath, query, replacement = '', isRegex, isCaseSensitive, isWholeWord, filePaths, expected, dryRun = true }) => {
+  try {
+    const searchRegex = SearchQuery.buildRegex(query, { isRegex, isCaseSensitive, isWholeWord });
+    if (SearchQuery.matchesEmptyText(searchRegex)) {
+      throw new Error('The pattern matches empty text, so it cannot be used to replace');
+    }
+    // Literal replacement text unless the query is a regular expression ($1 etc. allowed)
+    const replaceWith = isRegex ? replacement : replacement.replace(/\$/g, '$$$$');
+    const only = Array.isArray(filePaths) ? new Set(filePaths.map(p => path.resolve(p))) : null;
+    const files = listMarkdownFiles(rootPath).filter(file => !only || only.has(path.resolve(file.path)));
+    const previewed = Array.isArray(expected) ? new Map(expected.map(entry => [path.resolve(entry.path), entry])) : null;
+    const changes = [];
+    const skipped = [];
+    let totalReplacements = 0;
+
+    for (const file of files) {
+      let content;
+      let mtimeMs;
+      try {
+        mtimeMs = (await fs.promises.stat(file.path)).mtimeMs;
+        content = await fs.promises.readFile(file.path, 'utf-8');
+      } catch (error) {
+        continue;
+      }
+
+      const eol = content.includes('\r\n') ? '\r\n' : '\n';
+      const lines = content.split(/\r?\n/);
+      const lineChanges = [];
+      let count = 0;
+
+      const newLines = lines.map((line, index) => {
+        if (SearchQuery.matchesEmptyText(searchRegex, line)) {
+          throw new Error(`The pattern matches empty text in ${file.relativePath} line ${index + 1}, so it cannot be used to replace`);
+        }
+        const lineMatches = (line.match(searchRegex) || []).length;
+        if (!lineMatches) return line;
+        searchRegex.lastIndex = 0;
+        const replaced = line.replace(searchRegex, replaceWith);
+        count += lineMatches;
+        lineChanges.push({ line: index + 1, before: line, after: replaced });
+        return replaced;
+      });
+
+      const approved = previewed && previewed.get(path.resolve(file.path));
+      if (!dryRun && previewed && (!approved || approved.count !== count || approved.mtimeMs !== mtimeMs)) {
+        if (approved) {
+          logInfo('Workspace', `Not replacing in ${file.path}: changed since the preview`);
+          skipped.push({ path: file.path, relativePath: file.relativePath });
+        }
+        continue;
+      }
+
+      if (!count) continue;
+      totalReplacements += count;
+      changes.push({ path: file.path, name: file.name, relativePath: file.relativePath, count, mtimeMs, lines: lineChanges });
+
+      if (!dryRun) {
+        await fs.promises.writeFile(file.path, newLines.join(eol), 'utf-8');
+        logInfo('Workspace', `Replaced ${count} match(es) in ${file.path}`);
+      }
+    }
+
+    return { success: true, changes, skipped, totalReplacements, applied: !dryRun };
+  } catch (error) {
+    logError('Workspace', `Replace failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// File tree operations - rename, duplicate, move, trash and reveal
+function assertPlainFileName(name) {
+  if (!name || !name.trim() || /[\\/]/.test(name) || name === '.' || name === '..') {
+    throw new Error(`Invalid name: ${name}`);
+  }
+}
+
+function assertPathAvailable(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    throw new Error(`${path.basename(targetPath)} already exists`);
+  }
+}
+
+// "notes.md" -> "notes copy.md", then "notes copy 2.md", ...
+function getDuplicatePath(sourcePath) {
+  const dir = path.dirname(sourcePath);
+  const isDirectory = fs.statSync(sourcePath).isDirectory();
+  const ext = isDirectory ? '' : path.extname(sourcePath);
+  const base = path.basename(sourcePath, ext);
+  let candidate = path.join(dir, `${base} copy${ext}`);
+  for (let i = 2; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${base} copy ${i}${ext}`);
+  }
+  return candidate;
+}
+
+function movePath(sourcePath, targetPath) {
+  try {
+    fs.renameSync(sourcePath, targetPath);
+  } catch (error) {
+    // rename() cannot cross devices; fall back to copy + delete
+    if (error.code !== 'EXDEV') throw error;
+    fs.cpSync(sourcePath, targetPath, { recursive: true, errorOnExist: true, force: false });
+    fs.rmSync(sourcePath, { recursive: true, force: true });
+  }
+}
+
+ipcMain.handle('rename-path', async (event, { oldPath, newName }) => {
+  try {
+    assertPlainFileName(newName);
+    const newPath = path.join(path.dirname(oldPath), newName.trim());
+    if (newPath === oldPath) {
+      return { success: true, oldPath, newPath };
+    }
+    // Allow case-only renames on case-insensitive file systems
+    if (newPath.toLowerCase() !== oldPath.toLowerCase()) {
+      assertPathAvailable(newPath);
+    }
+    fs.renameSync(oldPath, newPath);
+    logInfo('Files', `Renamed ${oldPath} -> ${newPath}`);
+    return { success: true, oldPath, newPath };
+  } catch (error) {
+    logError('Files', `Rename failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('duplicate-path', async (event, { sourcePath }) => {
+  try {
+    const newPath = getDuplicatePath(sourcePath);
+    fs.cpSync(sourcePath, newPath, { recursive: true, errorOnExist: true, force: false });
+    logInfo('Files', `Duplicated ${sourcePath} -> ${newPath}`);
+    return { success: true, newPath };
+  } catch (error) {
+    logError('Files', `Duplicate failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('move-path', async (event, { sourcePath, targetDir }) => {
+  try {
+    if (!fs.statSync(targetDir).isDirectory()) {
+      throw new Error(`${targetDir} is not a folder`);
+    }
+    const newPath = path.join(targetDir, path.basename(sourcePath));
+    if (newPath === sourcePath) {
+      return { success: true, oldPath: sourcePath, newPath };
+    }
+    const relative = path.relative(sourcePath, targetDir);
+    if (!relative || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+      throw new Error('Cannot move a folder into itself');
+    }
+    assertPathAvailable(newPath);
+    movePath(sourcePath, newPath);
+    logInfo('Files', `Moved ${sourcePath} -> ${newPath}`);
+    return { success: true, oldPath: sourcePath, newPath };
+  } catch (error) {
+    logError('Files', `Move failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('trash-path', async (event, { targetPath }) => {
+  try {
+    await shell.trashItem(targetPath);
+    logInfo('Files', `Moved to trash: ${targetPath}`);
+    return { success: true };
+  } catch (error) {
+    logError('Files', `Trash failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reveal-path', async (event, { targetPath }) => {
+  shell.showItemInFolder(targetPath);
+  return { success: true };
+});
+
+// Folder watcher - pushes add/change/unlink events for the opened folder to the renderer
+let folderWatcher = null;
+
+function stopFolderWatcher() {
+  if (!folderWatcher) return Promise.resolve();
+  const watcher = folderWatcher;
+  folderWatcher = null;
+  return watcher.close().catch(error => logError('Watcher', error.message));
+}
+
+ipcMain.handle('watch-folder', async (event, { rootPath }) => {
+  try {
+    await stopFolderWatcher();
+    if (!rootPath) {
+      return { success: true };
+    }
+
+    const chokidar = require('chokidar');
+    const sender = event.sender;
+    folderWatcher = chokidar.watch(rootPath, {
+      ignoreInitial: true,
+      // Same exclusions as the file tree and workspace search
+      ignored: (watchedPath) => {
+        const name = path.basename(watchedPath);
+        return watchedPath !== rootPath && (name.startsWith('.') || WORKSPACE_SKIP_DIRS.has(name));
+      },
+      awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 }
+    });
+
+    folderWatcher.on('all', (eventName, changedPath) => {
+      if (!sender.isDestroyed()) {
+        sender.send('file-system-changed', { event: eventName, path: changedPath });
+      }
+    });
+    folderWatcher.on('error', error => logError('Watcher', error.message));
+
+    logInfo('Watcher', `Watching ${rootPath}`);
+    return { success: true };
+  } catch (error) {
+    logError('Watcher', `Failed to watch folder: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Open files watcher - tells the renderer when a file backing a tab changes on disk
+let openFilesWatcher = null;
+let watchedOpenFiles = new Set();
+
+function stopOpenFilesWatcher() {
+  watchedOpenFiles = new Set();
+  if (!openFilesWatcher) return Promise.resolve();
+  const watcher = openFilesWatcher;
+  openFilesWatcher = null;
+  return watcher.close().catch(error => logError('Watcher', error.message));
+}
+
+ipcMain.handle('watch-open-files', async (event, { filePaths = [] }) => {
+  try {
+    const wanted = new Set(filePaths.filter(Boolean));
+    if (wanted.size === 0) {
+      await stopOpenFilesWatcher();
+      return { success: true };
+    }
+
+    if (!openFilesWatcher) {
+      const chokidar = require('chokidar');
+      const sender = event.sender;
+      openFilesWatcher = chokidar.watch([], {
+        ignoreInitial: true,
+        awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 }
+      });
+      openFilesWatcher.on('all', (eventName, changedPath) => {
+        if (sender.isDestroyed() || !['add', 'change', 'unlink'].includes(eventName)) return;
+
+        let content = null;
+        if (eventName !== 'unlink') {
+          // Our own saves update the known mtime first, so they are not reported
+          if (!isChangedOnDisk(changedPath)) return;
+          try {
+            content = fs.readFileSync(changedPath, 'utf8');
+          } catch (error) {
+            logError('Watcher', `Failed to read ${changedPath}: ${error.message}`);
+            return;
+          }
+        }
+        sender.send('open-file-changed', { event: eventName, path: changedPath, content });
+      });
+      openFilesWatcher.on('error', error => logError('Watcher', error.message));
+    }
+
+    const added = [...wanted].filter(filePath => !watchedOpenFiles.has(filePath));
+    const removed = [...watchedOpenFiles].filter(filePath => !wanted.has(filePath));
+    added.forEach(filePath => {
+      // Files opened without read-file (startup, drag and drop) get their baseline here
+      if (!knownFileMtimes.has(filePath)) rememberFileMtime(filePath);
+    });
+    if (added.length) openFilesWatcher.add(added);
+    if (removed.length) openFilesWatcher.unwatch(removed);
+    watchedOpenFiles = wanted;
+
+    return { success: true };
+  } catch (error) {
+    logError('Watcher', `Failed to watch open files: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// The user kept their version; accept the current disk state as the new baseline
+ipcMain.handle('acknowledge-file-change', async (event, { filePath }) => {
+  rememberFileMtime(filePath);
+  return { success: true };
+});
+
+// Data files for Vega/Vega-Lite charts and @import. `data.url` resolves relative to the markdown
+// file (an @import relative to the file containing it) and must stay inside the document's folder
+// or the opened workspace; network URLs are never fetched.
+const DATA_FILE_EXTENSIONS = new Set(['.csv', '.tsv', '.dsv', '.json', '.geojson', '.topojson', '.txt']);
+const DATA_FILE_MAX_BYTES = 20 * 1024 * 1024;
+
+function isPathInside(parentPath, childPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function resolveDataFilePath(url, documentPath, workspaceRoot, { basePath = documentPath, anyExtension = false } = {}) {
+  // Anything with a scheme (http:, https:, file:, ...) is refused; Windows drive letters are not schemes
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^[a-z]:[\\/]/i.test(url)) {
+    throw new Error(`Only local data files can be loaded, not ${url}`);
+  }
+  if (!documentPath) {
+    throw new Error('Save the document first so data files can be found relative to it');
+  }
+
+  const filePath = path.resolve(path.dirname(basePath || documentPath), decodeURIComponent(url.split(/[?#]/)[0]));
+  const roots = [path.dirname(documentPath), workspaceRoot].filter(Boolean).map(root => path.resolve(root));
+  if (!roots.some(root => isPathInside(root, filePath))) {
+    throw new Error(`Data file is outside the document folder: ${url}`);
+  }
+  if (!anyExtension && !DATA_FILE_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    throw new Error(`Unsupported data file type: ${url}`);
+  }
+  return filePath;
+}
+
+// `basePath` is the importing file for nested @import; `anyExtension` lets @import read code files
+ipcMain.handle('load-data-file', async (event, { url, documentPath, workspaceRoot, basePath, anyExtension = false }) => {
+  let filePath = null;
+  try {
+    filePath = resolveDataFilePath(String(url || ''), documentPath, workspaceRoot, { basePath, anyExtension });
+
+    // Symlinks must not lead out of the allowed folders either
+    const realPath = fs.realpathSync(filePath);
+    const realRoots = [path.dirname(documentPath), workspaceRoot].filter(Boolean).map(root => {
+      try { return fs.realpathSync(root); } catch (error) { return path.resolve(root); }
+    });
+    if (!realRoots.some(root => isPathInside(root, realPath))) {
+      throw new Error(`Data file is outside the document folder: ${url}`);
+    }
+
+    const stats = fs.statSync(realPath);
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${url}`);
+    }
+    if (stats.size > DATA_FILE_MAX_BYTES) {
+      throw new Error(`Data file is larger than ${DATA_FILE_MAX_BYTES / (1024 * 1024)} MB: ${url}`);
+    }
+
+    return { success: true, filePath, content: fs.readFileSync(realPath, 'utf8') };
+  } catch (error) {
+    logError('DataFile', `Failed to load ${url}: ${error.message}`);
+    // filePath is still returned so a missing file can be watched and picked up once created
+    return { success: false, filePath, error: error.code === 'ENOENT' ? `Data file not found: ${url}` : error.message };
+  }
+});
+
+// Data files watcher - charts and @import re-render when a file they loaded changes on disk
+let dataFilesWatcher = null;
+let watchedDataFiles = new Set();
+
+function stopDataFilesWatcher() {
+  watchedDataFiles = new Set();
+  if (!dataFilesWatcher) return Promise.resolve();
+  const watcher = dataFilesWatcher;
+  dataFilesWatcher = null;
+  return watcher.close().catch(error => logError('Watcher', error.message));
+}
+
+ipcMain.handle('watch-data-files', async (event, { filePaths = [] }) => {
+  try {
+    const wanted = new Set(filePaths.filter(Boolean));
+    if (wanted.size === 0) {
+      await stopDataFilesWatcher();
+      return { success: true };
+    }
+
+    if (!dataFilesWatcher) {
+      const chokidar = require('chokidar');
+      const sender = event.sender;
+      dataFilesWatcher = chokidar.watch([], {
+        ignoreInitial: true,
+        awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 }
+      });
+      dataFilesWatcher.on('all', (eventName, changedPath) => {
+        if (!sender.isDestroyed() && ['add', 'change', 'unlink'].includes(eventName)) {
+          sender.send('data-file-changed', { event: eventName, path: changedPath });
+        }
+      });
+      dataFilesWatcher.on('error', error => logError('Watcher', error.message));
+    }
+
+    const added = [...wanted].filter(filePath => !watchedDataFiles.has(filePath));
+    const removed = [...watchedDataFiles].filter(filePath => !wanted.has(filePath));
+    if (added.length) dataFilesWatcher.add(added);
+    if (removed.length) dataFilesWatcher.unwatch(removed);
+    watchedDataFiles = wanted;
+
+    return { success: true };
+  } catch (error) {
+    logError('Watcher', `Failed to watch data files: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('create-new-file', async () => {
   try {
     const result = await dialog.showSaveDialog(mainWindow, {
@@ -1022,6 +2736,32 @@ ipcMain.handle('read-third-party-licenses', async () => {
   }
 });
 
+// Feature showcase shown in a fresh editor: the working copy next to the app, or the one
+// packaged into resources/
+const SHOWCASE_FILE_NAME = 'COMPREHENSIVE-FEATURES-SHOWCASE.md';
+
+ipcMain.handle('read-showcase-file', async () => {
+  const candidates = [
+    path.join(process.cwd(), SHOWCASE_FILE_NAME),
+    path.join(__dirname, '..', '..', SHOWCASE_FILE_NAME),
+    path.join(process.env.INIT_CWD || process.cwd(), SHOWCASE_FILE_NAME),
+    process.resourcesPath ? path.join(process.resourcesPath, SHOWCASE_FILE_NAME) : null
+  ].filter(Boolean);
+
+  try {
+    const filePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!filePath) {
+      return { success: false, filePath: candidates[0], error: 'Showcase file not found' };
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    rememberFileMtime(filePath);
+    return { success: true, filePath, content };
+  } catch (error) {
+    logError('Showcase', `Failed to read showcase file: ${error.message}`);
+    return { success: false, filePath: candidates[0], error: error.message };
+  }
+});
+
 // Plugin installation handlers
 ipcMain.handle('get-available-plugins', async () => {
   const { execSync } = require('child_process');
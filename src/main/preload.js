@@ -0,0 +1,277 @@
+/**
+ * Preload bridge
+ * The renderer runs with context isolation and without Node, so this script is its only
+ * way into the main process: `window.markdd` has one method per ipcMain channel in
+ * main.js, an allowlisted event subscription and the few path helpers the renderer
+ * used to take from require('path') / require('url').
+ */
+const { contextBridge, ipcRenderer } = require('electron');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Channels the main process (or the legacy menu wiring) sends to the renderer
+const EVENT_CHANNELS = [
+  'open-file-from-system',
+  'check-unsaved-tabs',
+  'folder-opened',
+  'file-system-changed',
+  'open-file-changed',
+  'data-file-changed',
+  'window-maximized',
+  'window-unmaximized',
+  'window-fullscreen-changed',
+  'fullscreen-changed',
+  'file-opened',
+  'menu-new-file',
+  'menu-open-file',
+  'menu-save-file',
+  'menu-save-as-file',
+  'menu-toggle-view',
+  'menu-toggle-preview',
+  'menu-show-markmap',
+  'menu-export-html',
+  'menu-export-pdf'
+];
+
+/**
+ * @typedef {Object} IpcResult
+ * @property {boolean} success
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} FileContentResult
+ * @property {boolean} success
+ * @property {string} [filePath]
+ * @property {string} [content]
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} WorkspaceQuery
+ * @property {string} rootPath
+ * @property {string} query
+ * @property {boolean} [isRegex]
+ * @property {boolean} [isCaseSensitive]
+ * @property {boolean} [isWholeWord]
+ */
+
+const invoke = (channel, ...args) => ipcRenderer.invoke(channel, ...args);
+
+const markdd = {
+  /** @type {string} Node's process.platform ('win32', 'darwin', 'linux') */
+  platform: process.platform,
+  /** @type {boolean} the app was started with --dev (render timing overlay in the preview) */
+  isDev: process.argv.includes('--markdd-dev'),
+
+  // Documents
+
+  /** @returns {Promise<{success: boolean, filePath: ?string}>} file passed on the command line */
+  getStartupFile: () => invoke('get-startup-file'),
+  /** @param {string} filePath @returns {Promise<FileContentResult>} */
+  readFile: (filePath) => invoke('read-file', filePath),
+  /**
+   * Without a filePath a save dialog is shown; `conflict: true` means the file changed on
+   * disk and needs `force` to be overwritten
+   * @param {{filePath: ?string, content: string, force?: boolean}} request
+   * @returns {Promise<IpcResult & {filePath?: string, conflict?: boolean}>}
+   */
+  saveFile: (request) => invoke('save-file', request),
+  /** @returns {Promise<{filePath?: string, content?: string, canceled?: boolean, error?: string}>} */
+  openFileDialog: () => invoke('open-file-dialog'),
+  /** @returns {Promise<FileContentResult>} */
+  createNewFile: () => invoke('create-new-file'),
+  /** @returns {Promise<IpcResult & {folderPath?: string}>} */
+  createNewFolder: () => invoke('create-new-folder'),
+  /** @returns {Promise<FileContentResult>} the bundled feature showcase */
+  readShowcaseFile: () => invoke('read-showcase-file'),
+
+  // Folders and the file tree
+
+  /** @returns {Promise<IpcResult & {folderPath?: string}>} */
+  openFolderDialog: () => invoke('open-folder-dialog'),
+  /** @param {string} folderPath @returns {Promise<Object>} */
+  getFileTree: (folderPath) => invoke('get-file-tree', folderPath),
+  /** @param {string} dirPath @returns {Promise<Array<{name: string, path: string, type: string}>>} */
+  getDirectoryChildren: (dirPath) => invoke('get-directory-children', dirPath),
+  /** @param {string} dirPath @returns {Promise<Array<Object>>} */
+  readDirectory: (dirPath) => invoke('read-directory', dirPath),
+  /** @param {string} parentPath @param {string} fileName @returns {Promise<IpcResult & {filePath?: string}>} */
+  createFile: (parentPath, fileName) => invoke('create-file', parentPath, fileName),
+  /** @param {string} parentPath @param {string} folderName @returns {Promise<IpcResult & {folderPath?: string}>} */
+  createFolder: (parentPath, folderName) => invoke('create-folder', parentPath, folderName),
+  /** @param {{oldPath: string, newName: string}} request @returns {Promise<IpcResult & {newPath?: string}>} */
+  renamePath: (request) => invoke('rename-path', request),
+  /** @param {{sourcePath: string}} request @returns {Promise<IpcResult & {newPath?: string}>} */
+  duplicatePath: (request) => invoke('duplicate-path', request),
+  /** @param {{sourcePath: string, targetDir: string}} request @returns {Promise<IpcResult & {newPath?: string}>} */
+  movePath: (request) => invoke('move-path', request),
+  /** @param {{targetPath: string}} request @returns {Promise<IpcResult>} */
+  trashPath: (request) => invoke('trash-path', request),
+  /** @param {{targetPath: string}} request @returns {Promise<IpcResult>} */
+  revealPath: (request) => invoke('reveal-path', request),
+
+  // Workspace
+
+  /** @param {{rootPath: string}} request @returns {Promise<IpcResult & {files?: Array<Object>}>} */
+  listMarkdownFiles: (request) => invoke('list-markdown-files', request),
+  /** @param {{rootPath: string, filePath: string}} request @returns {Promise<IpcResult & {backlinks?: Array<Object>}>} */
+  findBacklinks: (request) => invoke('find-backlinks', request),
+  /** @param {WorkspaceQuery} request @returns {Promise<IpcResult & {results?: Array<Object>, totalMatches?: number, truncated?: boolean}>} */
+  searchWorkspace: (request) => invoke('search-workspace', request),
+  /**
+   * `expected` is the dry run's {path, count, mtimeMs} per file; files changed since then are skipped
+   * @param {WorkspaceQuery & {replacement?: string, filePaths?: string[], expected?: Array<Object>, dryRun?: boolean}} request
+   * @returns {Promise<IpcResult & {changes?: Array<Object>, skipped?: Array<Object>, totalReplacements?: number, applied?: boolean}>}
+   */
+  replaceInWorkspace: (request) => invoke('replace-in-workspace', request),
+
+  // File watching ('file-system-changed', 'open-file-changed', 'data-file-changed' events)
+
+  /** @param {{rootPath: string}} request @returns {Promise<IpcResult>} */
+  watchFolder: (request) => invoke('watch-folder', request),
+  /** @param {{filePaths: string[]}} request @returns {Promise<IpcResult>} */
+  watchOpenFiles: (request) => invoke('watch-open-files', request),
+  /** @param {{filePath: string}} request @returns {Promise<IpcResult>} */
+  acknowledgeFileChange: (request) => invoke('acknowledge-file-change', request),
+  /** @param {{filePaths: string[]}} request @returns {Promise<IpcResult>} */
+  watchDataFiles: (request) => invoke('watch-data-files', request),
+  /**
+   * Read a file referenced by a document (chart data, @import) within its folder or workspace
+   * @param {{url: string, documentPath: ?string, workspaceRoot: ?string, basePath?: string, anyExtension?: boolean}} request
+   * @returns {Promise<FileContentResult>}
+   */
+  loadDataFile: (request) => invoke('load-data-file', request),
+
+  // Rendering
+
+  /** @param {{tikzCode: string, isCircuit?: boolean}} request @returns {Promise<IpcResult & {svg?: string}>} */
+  renderTikzServerSide: (request) => invoke('render-tikz-server-side', request),
+  /**
+   * Renders with the renderer, jar, Java and server chosen in the diagram tool settings
+   * @param {{code: string}} request
+   * @returns {Promise<IpcResult & {svg?: string}>}
+   */
+  renderPlantUML: (request) => invoke('render-plantuml', request),
+  /** @returns {Promise<IpcResult & {settings: Object}>} PlantUML renderer, PlantUML and Graphviz locations */
+  getDiagramTools: () => invoke('get-diagram-tools'),
+  /**
+   * Change the PlantUML renderer or server URL; choosing plantuml.com asks for confirmation
+   * @param {{plantumlMode?: string, plantumlServerUrl?: string}} request
+   * @returns {Promise<IpcResult & {settings: Object}>}
+   */
+  setDiagramTools: (request) => invoke('set-diagram-tools', request),
+  /**
+   * Pick a program location in an open dialog, or clear it with `clear: true`
+   * @param {{setting: string, clear?: boolean}} request
+   * @returns {Promise<IpcResult & {settings?: Object, canceled?: boolean}>}
+   */
+  chooseDiagramTool: (request) => invoke('choose-diagram-tool', request),
+  /** @returns {Promise<IpcResult & {available: boolean, executable?: string, engines?: string[]}>} */
+  graphvizStatus: () => invoke('graphviz-status'),
+  /** @param {{code: string, engine?: string}} request @returns {Promise<IpcResult & {svg?: string}>} */
+  renderGraphviz: (request) => invoke('render-graphviz', request),
+  /**
+   * Refused unless the document was trusted through trustCodeChunkDocument
+   * @param {{code: string, lang: string, cmd?: string, args?: string[], documentPath: string, output?: string}} request
+   * @returns {Promise<IpcResult & {stdout: string, stderr: string}>}
+   */
+  runCodeChunk: (request) => invoke('run-code-chunk', request),
+  /**
+   * Ask (in a main-process dialog) whether the document may run code chunks; answers are remembered
+   * @param {{documentPath: string}} request
+   * @returns {Promise<IpcResult & {trusted: boolean}>}
+   */
+  trustCodeChunkDocument: (request) => invoke('trust-code-chunk-document', request),
+  /**
+   * Write image bytes into the document's assets folder under a name that is not taken yet
+   * @param {{documentPath: string, data: Uint8Array, mimeType: string, name?: string, folderTemplate?: string, nameTemplate?: string}} request
+   * @returns {Promise<IpcResult & {filePath?: string, relativePath?: string}>} relativePath is URL-encoded for a markdown link
+   */
+  saveImageAsset: (request) => invoke('save-image-asset', request),
+
+  // Export
+
+  /**
+   * Save dialog for exported HTML; `relativeHtml` is written instead of `html` when it is saved
+   * in the document's folder, where its relative image paths resolve
+   * @param {{html: string, relativeHtml?: string, documentPath?: ?string, fileName: string}} request
+   * @returns {Promise<IpcResult & {filePath?: string}>}
+   */
+  exportHtml: (request) => invoke('export-html', request),
+  /**
+   * @param {{fileName: string, html: string, pdfOptions?: Object}} request
+   * @returns {Promise<IpcResult & {filePath?: string}>}
+   */
+  exportPdf: (request) => invoke('export-pdf', request),
+  /** @param {{imageData: string, fileName: string}} request @returns {Promise<IpcResult & {filePath?: string}>} */
+  exportMindmapPdf: (request) => invoke('export-mindmap-pdf', request),
+  /** @param {{data: string, format: string, fileName: string}} request @returns {Promise<IpcResult & {filePath?: string}>} */
+  exportAudio: (request) => invoke('export-audio', request),
+
+  // Plugins
+
+  /** @returns {Promise<Array<Object>>} */
+  getAvailablePlugins: () => invoke('get-available-plugins'),
+  /** @param {string} pluginName @returns {Promise<IpcResult>} */
+  installPlugin: (pluginName) => invoke('install-plugin', pluginName),
+  /** @param {string} pluginName @returns {Promise<IpcResult>} */
+  uninstallPlugin: (pluginName) => invoke('uninstall-plugin', pluginName),
+
+  // Application and window
+
+  /** @returns {Promise<{success: boolean, data: {name: string, version: string, description: string, author: string}}>} */
+  getPackageData: () => invoke('get-package-data'),
+  /** @returns {Promise<FileContentResult>} */
+  readLicense: () => invoke('read-license'),
+  /** @returns {Promise<FileContentResult>} */
+  readThirdPartyLicenses: () => invoke('read-third-party-licenses'),
+  /** @param {string} url only http(s) and mailto links are opened */
+  openExternal: (url) => invoke('open-external', url),
+  /** @returns {Promise<IpcResult>} */
+  showAbout: () => invoke('show-about'),
+  /** @returns {Promise<IpcResult>} */
+  quitApp: () => invoke('app-quit'),
+  /** @returns {Promise<IpcResult & {opened?: boolean}>} */
+  toggleDevTools: () => invoke('toggle-devtools'),
+  /** @returns {Promise<IpcResult & {isFullscreen?: boolean}>} */
+  toggleFullscreen: () => invoke('toggle-fullscreen'),
+  /** @returns {Promise<IpcResult & {isFullscreen?: boolean}>} */
+  getFullscreenState: () => invoke('get-fullscreen-state'),
+  minimizeWindow: () => ipcRenderer.send('window-minimize'),
+  maximizeWindow: () => ipcRenderer.send('window-maximize'),
+  closeWindow: () => ipcRenderer.send('window-close'),
+  toggleWindowFullscreen: () => ipcRenderer.send('window-fullscreen'),
+  /** Answer to a 'check-unsaved-tabs' event @param {{hasUnsaved: boolean, count: number}} result */
+  sendUnsavedTabsResponse: (result) => ipcRenderer.send('unsaved-tabs-response', result),
+
+  /**
+   * Listen to one of EVENT_CHANNELS; the listener gets the payload without the IPC event
+   * @param {string} channel
+   * @param {(...args: any[]) => void} listener
+   * @returns {() => void} removes the listener
+   */
+  on(channel, listener) {
+    if (!EVENT_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown event channel: ${channel}`);
+    }
+    const handler = (event, ...args) => listener(...args);
+    ipcRenderer.on(channel, handler);
+    return () => ipcRenderer.removeListener(channel, handler);
+  },
+
+  // Path helpers (Node's path module and url.pathToFileURL)
+  path: {
+    sep: path.sep,
+    basename: (filePath, extension) => path.basename(filePath, extension),
+    dirname: (filePath) => path.dirname(filePath),
+    extname: (filePath) => path.extname(filePath),
+    join: (...parts) => path.join(...parts),
+    relative: (from, to) => path.relative(from, to),
+    resolve: (...parts) => path.resolve(...parts)
+  },
+  /** @param {string} filePath @returns {string} file:// URL */
+  pathToFileURL: (filePath) => pathToFileURL(filePath).href
+};
+
+contextBridge.exposeInMainWorld('markdd', markdd);
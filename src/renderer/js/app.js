@@ -37,7 +37,8 @@ class MarkDDApp {
         // Prevent multiple initialization calls
         this.initialUpdateTriggered = false;
         
-        this.init();
+        // Resolves once initialization has run (command-line export waits for it)
+        this.initialized = this.init();
     }
 
     async init() {
@@ -111,18 +112,15 @@ class MarkDDApp {
         try {
             console.log('[App] checkStartupFile: Checking for startup file...');
             
-            if (typeof require !== 'undefined') {
-                console.log('[App] checkStartupFile: require is available');
-                const { ipcRenderer } = require('electron');
-                console.log('[App] checkStartupFile: ipcRenderer loaded');
+            if (window.markdd) {
+                console.log('[App] checkStartupFile: preload bridge is available');
                 
                 // Listen for file open events from system
-                ipcRenderer.on('open-file-from-system', async (event, filePath) => {
+                window.markdd.on('open-file-from-system', async (filePath) => {
                     console.log('[App] open-file-from-system event received:', filePath);
                     try {
-                        // Read the file content using Node.js fs module
-                        const fs = require('fs');
-                        const content = fs.readFileSync(filePath, 'utf-8');
+                        // Read the file content through the main process
+                        const content = await this.readFileContent(filePath);
                         console.log('[App] File read successfully, length:', content.length);
                         // This is from system event, treat as startup file
                         await this.openFile(filePath, content, true);
@@ -135,15 +133,14 @@ class MarkDDApp {
                 
                 // Check if there's a file to open on startup
                 console.log('[App] checkStartupFile: Invoking get-startup-file IPC...');
-                const result = await ipcRenderer.invoke('get-startup-file');
+                const result = await window.markdd.getStartupFile();
                 console.log('[App] checkStartupFile: IPC result:', result);
                 
                 if (result.success && result.filePath) {
                     console.log('[App] checkStartupFile: File found, opening immediately:', result.filePath);
                     try {
-                        // Read the file content using Node.js fs module
-                        const fs = require('fs');
-                        const content = fs.readFileSync(result.filePath, 'utf-8');
+                        // Read the file content through the main process
+                        const content = await this.readFileContent(result.filePath);
                         console.log('[App] File read successfully, length:', content.length);
                         // This is the startup file from Electron, pass isStartupFile=true
                         await this.openFile(result.filePath, content, true);
@@ -155,7 +152,7 @@ class MarkDDApp {
                     console.log('[App] checkStartupFile: No startup file to open');
                 }
             } else {
-                console.log('[App] checkStartupFile: require is not available (not in Electron context)');
+                console.log('[App] checkStartupFile: preload bridge is not available (not in Electron context)');
             }
         } catch (error) {
             console.error('[App] checkStartupFile: Error occurred:', error);
@@ -163,6 +160,14 @@ class MarkDDApp {
         }
     }
 
+    async readFileContent(filePath) {
+        const result = await window.markdd.readFile(filePath);
+        if (!result.success) {
+            throw new Error(result.error || `Cannot read ${filePath}`);
+        }
+        return result.content;
+    }
+
     setupGlobalErrorHandlers() {
         // Handle uncaught JavaScript errors
         window.addEventListener('error', (event) => {
@@ -317,6 +322,16 @@ class MarkDDApp {
             }
             
             this.preview = new Preview(previewElement, this.renderer);
+
+            // Runnable ```lang {cmd=true} code chunks
+            if (typeof CodeChunkRunner !== 'undefined') {
+                this.codeChunkRunner = new CodeChunkRunner(this);
+            }
+
+            // Pasted and dropped images saved next to the document
+            if (typeof ImageAssets !== 'undefined') {
+                this.imageAssets = new ImageAssets(this);
+            }
             this.logInfo('Components', 'Preview initialized');
             
             this.logInfo('Components', 'Initializing file browser...');
@@ -550,6 +565,11 @@ class MarkDDApp {
             this.tabManager.on('tab-updated', (event) => {
                 // Tab UI will handle visual updates
             });
+
+            // Notice when files open in tabs are changed by other programs
+            if (typeof FileChangeMonitor !== 'undefined') {
+                this.fileChangeMonitor = new FileChangeMonitor(this);
+            }
             
             this.logInfo('Components', 'Tab system initialized successfully');
         } else {
@@ -586,46 +606,38 @@ class MarkDDApp {
     }
 
     setupElectronListeners() {
-        if (typeof require === 'undefined') return;
-        
-        const { ipcRenderer } = require('electron');
+        if (!window.markdd) return;
         
         // Clear existing listeners to prevent duplicate registrations
-        ipcRenderer.removeAllListeners('menu-new-file');
-        ipcRenderer.removeAllListeners('menu-open-file');
-        ipcRenderer.removeAllListeners('menu-save-file');
-        ipcRenderer.removeAllListeners('menu-save-as-file');
-        ipcRenderer.removeAllListeners('menu-toggle-view');
-        ipcRenderer.removeAllListeners('menu-toggle-preview');
-        ipcRenderer.removeAllListeners('menu-show-markmap');
-        ipcRenderer.removeAllListeners('menu-export-html');
-        ipcRenderer.removeAllListeners('menu-export-pdf');
-        ipcRenderer.removeAllListeners('file-opened');
-        
-        // Menu actions - single registration only
-        ipcRenderer.on('menu-new-file', () => this.newFile());
-        ipcRenderer.on('menu-open-file', () => this.openFileDialog());
-        ipcRenderer.on('menu-save-file', () => this.saveFile());
-        ipcRenderer.on('menu-save-as-file', () => this.saveAsFile());
-        ipcRenderer.on('menu-toggle-view', () => this.toggleViewMode());
-        ipcRenderer.on('menu-toggle-preview', () => this.toggleLivePreview());
-        ipcRenderer.on('menu-show-markmap', () => this.showMarkmap());
-        ipcRenderer.on('menu-export-html', () => this.exportHTML());
-        ipcRenderer.on('menu-export-pdf', () => this.exportPDF());
-        
-        // File operations
-        ipcRenderer.on('file-opened', (event, data) => {
-            this.openFile(data.filePath, data.content);
-        });
+        (this.electronListeners || []).forEach(removeListener => removeListener());
+        const on = (channel, listener) => window.markdd.on(channel, listener);
+        
+        this.electronListeners = [
+            // Menu actions - single registration only
+            on('menu-new-file', () => this.newFile()),
+            on('menu-open-file', () => this.openFileDialog()),
+            on('menu-save-file', () => this.saveFile()),
+            on('menu-save-as-file', () => this.saveAsFile()),
+            on('menu-toggle-view', () => this.toggleViewMode()),
+            on('menu-toggle-preview', () => this.toggleLivePreview()),
+            on('menu-show-markmap', () => this.showMarkmap()),
+            on('menu-export-html', () => this.exportHTML()),
+            on('menu-export-pdf', () => this.exportPDF()),
+            
+            // File operations
+            on('file-opened', (data) => {
+                this.openFile(data.filePath, data.content);
+            })
+        ];
         
         // Fullscreen state change listener
-        ipcRenderer.on('fullscreen-changed', (event, isFullscreen) => {
+        window.markdd.on('fullscreen-changed', (isFullscreen) => {
             console.log('[DEBUG] Received fullscreen-changed event:', isFullscreen);
             this.updateFullscreenButtonState(isFullscreen);
         });
         
         // Handle request to check for unsaved tabs (invoked by main process before-quit)
-        ipcRenderer.on('check-unsaved-tabs', () => {
+        window.markdd.on('check-unsaved-tabs', () => {
             const unsavedTabs = [];
             
             if (this.tabManager) {
@@ -647,7 +659,7 @@ class MarkDDApp {
             };
             
             // Send result back to main process
-            ipcRenderer.send('unsaved-tabs-response', result);
+            window.markdd.sendUnsavedTabsResponse(result);
         });
     }
 
@@ -773,30 +785,34 @@ class MarkDDApp {
     }
 
     setupDragDrop() {
-        const editorElement = document.getElementById('editor');
+        // The visible editing surface is CodeMirror's wrapper, not the hidden #editor textarea
+        const editorElement = this.editor ? this.editor.getWrapperElement() : document.getElementById('editor');
         
         editorElement.addEventListener('dragover', (e) => {
             e.preventDefault();
             e.dataTransfer.dropEffect = 'copy';
         });
         
+        // Capture phase so file drops never reach CodeMirror, which would paste their raw text
         editorElement.addEventListener('drop', async (e) => {
-            e.preventDefault();
-            
             const files = Array.from(e.dataTransfer.files);
             if (files.length > 0) {
+                e.preventDefault();
+                e.stopPropagation();
+
                 const file = files[0];
+                const images = files.filter(dropped => dropped.type.startsWith('image/'));
                 
                 if (file.type.startsWith('text/') || file.name.endsWith('.md') || file.name.endsWith('.markdown')) {
                     // Handle markdown/text files
                     const content = await this.readFile(file);
                     this.openFile(file.path || file.name, content);
-                } else if (file.type.startsWith('image/')) {
-                    // Handle image files
-                    this.insertImageFile(file);
+                } else if (images.length > 0) {
+                    // Handle image files, all of them
+                    this.insertImageFiles(images);
                 }
             }
-        });
+        }, true);
     }
 
     setupSplitter() {
@@ -948,9 +964,8 @@ class MarkDDApp {
         this.bindButton('menu-export-html', () => this.exportHTML());
         this.bindButton('menu-export-pdf', () => this.exportPDF());
         this.bindButton('menu-exit', () => {
-            if (typeof require !== 'undefined') {
-                const { ipcRenderer } = require('electron');
-                ipcRenderer.invoke('app-quit');
+            if (window.markdd) {
+                window.markdd.quitApp();
             }
         });
         
@@ -970,6 +985,8 @@ class MarkDDApp {
         this.bindButton('menu-superscript', () => this.editor && this.editor.toggleSuperscript());
         this.bindButton('menu-subscript', () => this.editor && this.editor.toggleSubscript());
         this.bindButton('menu-keyboard-key', () => this.editor && this.editor.insertKeyboardShortcut());
+        this.bindButton('menu-insert-toc', () => this.editor && this.editor.insertTableOfContents());
+        this.bindButton('menu-convert-inline-images', () => this.imageAssets && this.imageAssets.convertInlineImages({ notify: true }));
         
         // Search/Replace handlers
         this.bindButton('menu-find', () => {
@@ -1012,6 +1029,7 @@ class MarkDDApp {
         if (settingsBtn && typeof this.showSettingsModal === 'function') {
             this.bindButton('menu-settings', () => this.showSettingsModal());
         }
+        this.bindButton('menu-run-all-chunks', () => this.codeChunkRunner && this.codeChunkRunner.runAll());
         
         // Help menu handlers
         this.bindButton('menu-about', () => this.showAboutDialog());
@@ -1063,6 +1081,12 @@ class MarkDDApp {
                             this.manualRefreshPreview();
                         }
                         break;
+                    case 'enter':
+                        if (e.shiftKey && !e.altKey && this.codeChunkRunner) {
+                            e.preventDefault();
+                            this.codeChunkRunner.runAll();
+                        }
+                        break;
                 }
             } else if (e.key === 'F3') {
                 e.preventDefault();
@@ -1201,7 +1225,7 @@ class MarkDDApp {
                 console.log('[App] openFile: Opening file in editor:', filePath);
                 this.editor.openFile(filePath, content);
             } else {
-                if (typeof require !== 'undefined') {
+                if (window.markdd) {
                     console.log('[App] openFile: No file path provided, opening dialog...');
                 }
             }
@@ -1248,7 +1272,7 @@ class MarkDDApp {
         } else {
             console.log('[App] openFile: No file path or content provided');
             // Trigger file dialog through Electron
-            if (typeof require !== 'undefined') {
+            if (window.markdd) {
                 console.log('[App] openFile: Opening file dialog...');
             }
         }
@@ -1260,6 +1284,10 @@ class MarkDDApp {
         }
         
         const success = await this.editor.save();
+        if (success && this.imageAssets) {
+            // The document has a folder now, so its inline images can become files
+            await this.imageAssets.convertAfterSave();
+        }
         if (success) {
             // Mark active tab as saved if tab system is active
             if (this.tabManager) {
@@ -1298,6 +1326,9 @@ class MarkDDApp {
                 this.editor.currentFile = currentFile;
                 this.showError('Failed to save file');
             } else {
+                if (this.imageAssets) {
+                    await this.imageAssets.convertAfterSave();
+                }
                 this.showMessage('File saved successfully');
             }
             
@@ -1324,13 +1355,23 @@ class MarkDDApp {
     }
 
     async insertImageFile(file) {
-        try {
-            // Create a data URL for the image
-            const dataUrl = await this.fileToDataURL(file);
-            const alt = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
-            this.editor.insertImage(dataUrl, alt);
-        } catch (error) {
-            this.showError('Failed to insert image: ' + error.message);
+        return this.insertImageFiles([file]);
+    }
+
+    async insertImageFiles(files) {
+        if (this.imageAssets) {
+            // Saved into the document's assets folder, or inlined per the image settings
+            return this.imageAssets.insertFiles(files);
+        }
+        for (const file of files) {
+            try {
+                // Create a data URL for the image
+                const dataUrl = await this.fileToDataURL(file);
+                const alt = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
+                this.editor.insertImage(dataUrl, alt);
+            } catch (error) {
+                this.showError('Failed to insert image: ' + error.message);
+            }
         }
     }
 
@@ -1537,16 +1578,15 @@ Bob -> Alice: Hi there
         console.log('[DEBUG] toggleFullscreenPreview called');
         
         // Check if Electron is available
-        if (typeof require === 'undefined') {
+        if (!window.markdd) {
             console.error('[DEBUG] Electron not available for fullscreen');
             this.showError('Fullscreen not supported in this environment');
             return;
         }
         
         // Toggle Electron window fullscreen instead of just view mode
-        const { ipcRenderer } = require('electron');
         console.log('[DEBUG] Invoking toggle-fullscreen IPC');
-        ipcRenderer.invoke('toggle-fullscreen').then(result => {
+        window.markdd.toggleFullscreen().then(result => {
             console.log('[DEBUG] toggle-fullscreen result:', result);
             if (result.success) {
                 console.log('[DEBUG] Fullscreen toggled successfully, new state:', result.isFullscreen);
@@ -1580,10 +1620,9 @@ Bob -> Alice: Hi there
 
     async initializeFullscreenState() {
         // Get initial fullscreen state from main process
-        if (typeof require !== 'undefined') {
+        if (window.markdd) {
             try {
-                const { ipcRenderer } = require('electron');
-                const result = await ipcRenderer.invoke('get-fullscreen-state');
+                const result = await window.markdd.getFullscreenState();
                 if (result.success) {
                     this.updateFullscreenButtonState(result.isFullscreen);
                 }
@@ -1627,8 +1666,21 @@ Bob -> Alice: Hi there
         this._exportingPDF = true;
         
         try {
+            // Page setup dialog, pre-filled with front-matter `pdf:` overrides
+            if (!this.pdfExportDialog && typeof PdfExportDialog !== 'undefined') {
+                this.pdfExportDialog = new PdfExportDialog();
+            }
+            let pdfOptions;
+            if (this.pdfExportDialog) {
+                pdfOptions = await this.pdfExportDialog.show(this.renderer.getFrontMatterExportOptions());
+                if (!pdfOptions) {
+                    return; // Cancelled
+                }
+            }
+
             const filePath = await this.preview.exportAsPDF({
-                onlyEnabledPlugins: window.markddExportEnabledPluginsOnly !== false
+                onlyEnabledPlugins: window.markddExportEnabledPluginsOnly !== false,
+                pdfOptions
             });
             if (filePath) {
                 this.showMessage(`PDF exported to: ${filePath}`);
@@ -1640,6 +1692,35 @@ Bob -> Alice: Hi there
         }
     }
 
+    // Command-line export (`markdd export`): main.js loads the app in a hidden window and
+    // calls this once per file. Returns the standalone document; main writes HTML or prints PDF.
+    async exportForCommandLine({ filePath, content, format = 'html', theme = null, mathEngine = null, pdfOptions = {} }) {
+        if (!this.editor || !this.preview) {
+            throw new Error('Editor failed to initialize');
+        }
+        if (mathEngine) {
+            this.setMathEngine(mathEngine);
+        }
+
+        this.editor.openFile(filePath, content);
+        await this.preview.renderDocument(content);
+
+        const failure = this.preview.element.querySelector('.preview-error');
+        if (failure) {
+            throw new Error(failure.textContent.trim());
+        }
+        const warnings = Array.from(this.preview.element.querySelectorAll('.diagram-error'))
+            .map(element => element.textContent.trim().replace(/\s+/g, ' '));
+
+        // Page options given on the command line win over the front-matter `pdf:` block
+        const exported = await this.preview.buildExportDocument({
+            format,
+            theme,
+            pdfOptions: format === 'pdf' ? Object.assign({}, this.renderer.getFrontMatterExportOptions(), pdfOptions) : null
+        });
+        return { html: exported.html, relativeHtml: exported.relativeHtml, pdfOptions: exported.pdfOptions, warnings };
+    }
+
     // Markmap integration
     showMarkmap() {
         if (this.markmapIntegration) {
@@ -1749,9 +1830,8 @@ Bob -> Alice: Hi there
         loading.style.display = 'block';
         
         try {
-            if (typeof require !== 'undefined') {
-                const { ipcRenderer } = require('electron');
-                const plugins = await ipcRenderer.invoke('get-available-plugins');
+            if (window.markdd) {
+                const plugins = await window.markdd.getAvailablePlugins();
                 
                 loading.style.display = 'none';
                 
@@ -1800,15 +1880,13 @@ Bob -> Alice: Hi there
     }
 
     async installPlugin(pluginName, buttonEl) {
-        if (typeof require === 'undefined') return;
-        
-        const { ipcRenderer } = require('electron');
+        if (!window.markdd) return;
         
         buttonEl.disabled = true;
         buttonEl.textContent = 'Installing...';
         
         try {
-            const result = await ipcRenderer.invoke('install-plugin', pluginName);
+            const result = await window.markdd.installPlugin(pluginName);
             
             if (result.success) {
                 buttonEl.textContent = 'Installed';
@@ -1843,9 +1921,7 @@ Bob -> Alice: Hi there
     }
 
     async uninstallPlugin(pluginName, buttonEl) {
-        if (typeof require === 'undefined') return;
-        
-        const { ipcRenderer } = require('electron');
+        if (!window.markdd) return;
         
         if (!confirm(`Are you sure you want to uninstall ${pluginName}?`)) return;
         
@@ -1853,7 +1929,7 @@ Bob -> Alice: Hi there
         buttonEl.textContent = 'Uninstalling...';
         
         try {
-            const result = await ipcRenderer.invoke('uninstall-plugin', pluginName);
+            const result = await window.markdd.uninstallPlugin(pluginName);
             
             if (result.success) {
                 buttonEl.className = 'install-btn';
@@ -1920,7 +1996,7 @@ Bob -> Alice: Hi there
     }
 
     setupZoomHandlers() {
-        const editorEl = document.getElementById('editor');
+        const editorEl = this.editor ? this.editor.getWrapperElement() : document.getElementById('editor');
         const previewEl = document.getElementById('preview');
 
         const clamp = (v) => Math.min(this.maxZoom, Math.max(this.minZoom, v));
@@ -1945,12 +2021,10 @@ Bob -> Alice: Hi there
     }
 
     applyZoom() {
-        const editorEl = document.getElementById('editor');
         const previewEl = document.getElementById('preview');
         
-        if (editorEl) {
-            editorEl.style.fontSize = `${14 * this.editorZoom}px`;
-            editorEl.style.lineHeight = `${1.6 * this.editorZoom}`;
+        if (this.editor) {
+            this.editor.setFontSize(14 * this.editorZoom);
         }
         if (previewEl) {
             previewEl.style.transformOrigin = 'top left';
@@ -2244,9 +2318,8 @@ Bob -> Alice: Hi there
         };
         
         try {
-            if (typeof require !== 'undefined') {
-                const { ipcRenderer } = require('electron');
-                const result = await ipcRenderer.invoke('get-package-data');
+            if (window.markdd) {
+                const result = await window.markdd.getPackageData();
                 if (result.success) {
                     packageData = result.data;
                 }
@@ -2367,9 +2440,8 @@ Bob -> Alice: Hi there
             if (!versionElement) return; // Element not yet in DOM
             
             // Try to get version from main process via IPC
-            if (typeof require !== 'undefined') {
-                const { ipcRenderer } = require('electron');
-                const result = await ipcRenderer.invoke('get-package-data');
+            if (window.markdd) {
+                const result = await window.markdd.getPackageData();
                 if (result.success && result.data && result.data.version) {
                     versionElement.textContent = result.data.version;
                     return;
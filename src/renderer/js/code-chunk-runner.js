@@ -0,0 +1,232 @@
+/**
+ * Code Chunk Runner
+ * Runs MPE-style code chunks (```python {cmd=true}) through the main process, with the
+ * document's folder as working directory, and shows their output below the block as
+ * text, markdown, html or a png image. Nothing runs until the user has trusted the
+ * document; the main process asks and remembers the answer per document path, and refuses
+ * to run chunks of any other document. Markdown and html output is sanitized like raw HTML
+ * in strict mode.
+ */
+class CodeChunkRunner {
+    constructor(app) {
+        this.app = app;
+        // documentPath -> Map(chunkKey -> { output, result })
+        this.outputs = new Map();
+        this.running = false;
+
+        if (!window.markdd) {
+            console.log('[CodeChunkRunner] Running code chunks requires the desktop app');
+            return;
+        }
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.run-chunk-btn');
+            if (!button) return;
+            e.preventDefault();
+            const chunk = button.closest('.code-chunk');
+            if (chunk) {
+                this.runChunks([chunk]);
+            }
+        });
+
+        // Each render replaces the preview markup, so put the last outputs back
+        document.addEventListener('preview-updated', (e) => {
+            const element = e.detail && e.detail.element;
+            if (element) {
+                this.restoreOutputs(element);
+            }
+        });
+    }
+
+    getPreviewElement() {
+        return this.app.preview && this.app.preview.element;
+    }
+
+    getDocumentPath() {
+        const editor = this.app.editor;
+        return editor && typeof editor.getCurrentFile === 'function' ? editor.getCurrentFile() : null;
+    }
+
+    async runAll() {
+        const previewElement = this.getPreviewElement();
+        const chunks = previewElement ? Array.from(previewElement.querySelectorAll('.code-chunk')) : [];
+        if (chunks.length === 0) {
+            alert('This document has no code chunks to run.');
+            return;
+        }
+        await this.runChunks(chunks);
+    }
+
+    async runChunks(chunks) {
+        if (this.running) {
+            console.log('[CodeChunkRunner] Code chunks are already running');
+            return;
+        }
+
+        const documentPath = this.getDocumentPath();
+        if (!documentPath) {
+            alert('Save the document before running code chunks; they run in its folder.');
+            return;
+        }
+        if (!(await this.confirmTrust(documentPath))) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            for (const chunk of chunks) {
+                await this.runChunk(chunk, documentPath);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async runChunk(chunk, documentPath) {
+        const button = chunk.querySelector('.run-chunk-btn');
+        const outputElement = chunk.querySelector('.code-chunk-output');
+        const output = chunk.getAttribute('data-chunk-output') || 'text';
+        const args = (chunk.getAttribute('data-chunk-args') || '').split(/\s+/).filter(Boolean);
+
+        if (button) {
+            button.disabled = true;
+            button.textContent = '… Running';
+        }
+        if (outputElement) {
+            outputElement.innerHTML = '<div class="code-chunk-running">Running…</div>';
+        }
+
+        let result;
+        try {
+            result = await window.markdd.runCodeChunk({
+                code: decodeURIComponent(chunk.getAttribute('data-chunk-code') || ''),
+                lang: chunk.getAttribute('data-chunk-lang'),
+                cmd: chunk.getAttribute('data-chunk-cmd') || undefined,
+                args,
+                documentPath,
+                output
+            });
+        } catch (error) {
+            result = { success: false, stdout: '', stderr: '', error: error.message };
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = '▶ Run';
+            }
+        }
+
+        this.storeOutput(documentPath, chunk, { output, result });
+        if (chunk.isConnected && outputElement) {
+            this.renderOutput(outputElement, output, result);
+        } else if (this.getPreviewElement()) {
+            // The preview re-rendered while the chunk was running
+            this.restoreOutputs(this.getPreviewElement());
+        }
+    }
+
+    renderOutput(outputElement, output, result) {
+        const parts = [];
+        const stdout = result.stdout || '';
+
+        if (stdout && output !== 'none') {
+            if (output === 'png' || output === 'image') {
+                parts.push(`<img class="code-chunk-image" src="data:image/png;base64,${stdout}" alt="Code chunk output">`);
+            } else if (output === 'markdown') {
+                parts.push(`<div class="code-chunk-markdown">${this.sanitize(this.renderMarkdown(stdout))}</div>`);
+            } else if (output === 'html') {
+                parts.push(`<div class="code-chunk-html">${this.sanitize(stdout)}</div>`);
+            } else {
+                parts.push(`<pre class="code-chunk-text">${this.escapeHtml(stdout)}</pre>`);
+            }
+        }
+        if (result.stderr) {
+            parts.push(`<pre class="code-chunk-stderr">${this.escapeHtml(result.stderr)}</pre>`);
+        }
+        if (result.error) {
+            parts.push(`<div class="code-chunk-error">${this.escapeHtml(result.error)}</div>`);
+        }
+
+        outputElement.innerHTML = parts.join('');
+    }
+
+    renderMarkdown(markdown) {
+        const renderer = this.app.renderer;
+        if (renderer && typeof renderer.markedParse === 'function') {
+            return renderer.markedParse(markdown);
+        }
+        return `<pre class="code-chunk-text">${this.escapeHtml(markdown)}</pre>`;
+    }
+
+    // Program output is cleaned in strict mode whatever the raw HTML setting says
+    sanitize(html) {
+        const renderer = this.app.renderer;
+        const sanitizer = renderer && renderer.htmlSanitizer ? renderer.htmlSanitizer : new HtmlSanitizer();
+        return sanitizer.sanitize(html, 'strict');
+    }
+
+    // Chunks are keyed by language, source and how many identical chunks came before,
+    // so outputs survive re-renders and edits elsewhere in the document
+    getChunkKeys(container) {
+        const seen = new Map();
+        return Array.from(container.querySelectorAll('.code-chunk')).map(chunk => {
+            const base = `${chunk.getAttribute('data-chunk-lang')}\n${chunk.getAttribute('data-chunk-code')}`;
+            const occurrence = seen.get(base) || 0;
+            seen.set(base, occurrence + 1);
+            return { chunk, key: `${base}\n${occurrence}` };
+        });
+    }
+
+    storeOutput(documentPath, chunk, entry) {
+        const container = chunk.closest('#preview') || chunk.parentNode;
+        const match = container && this.getChunkKeys(container).find(item => item.chunk === chunk);
+        if (!match) return;
+        if (!this.outputs.has(documentPath)) {
+            this.outputs.set(documentPath, new Map());
+        }
+        this.outputs.get(documentPath).set(match.key, entry);
+    }
+
+    restoreOutputs(container) {
+        const stored = this.outputs.get(this.getDocumentPath());
+        if (!stored) return;
+        this.getChunkKeys(container).forEach(({ chunk, key }) => {
+            const entry = stored.get(key);
+            const outputElement = chunk.querySelector('.code-chunk-output');
+            if (entry && outputElement) {
+                this.renderOutput(outputElement, entry.output, entry.result);
+            }
+        });
+    }
+
+    async confirmTrust(documentPath) {
+        try {
+            const result = await window.markdd.trustCodeChunkDocument({ documentPath });
+            if (!result.success) {
+                console.warn('[CodeChunkRunner] Could not confirm trust:', result.error);
+            }
+            return result.trusted === true;
+        } catch (error) {
+            console.warn('[CodeChunkRunner] Could not confirm trust:', error);
+            return false;
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeChunkRunner;
+} else {
+    window.CodeChunkRunner = CodeChunkRunner;
+}
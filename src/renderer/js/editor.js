@@ -1,31 +1,79 @@
 console.log('🔥🔥🔥 EDITOR.JS SCRIPT IS LOADING! 🔥🔥🔥');
 
+// Fence languages used by MarkDD's diagram blocks that CodeMirror's meta.js doesn't know about
+const FENCE_MODE_ALIASES = [
+    { name: 'TikZ', mime: 'text/x-stex', mode: 'stex', alias: ['tikz', 'circuitikz', 'latex'] },
+    { name: 'Vega', mime: 'application/json', mode: 'javascript', alias: ['vega', 'vega-lite', 'wavedrom', 'kityminder'] }
+];
+
 class Editor {
     // --- In-Editor Search & Replace ---
     // All legacy search bar code removed. Only SearchReplaceModal is used.
-    // Toggle spellcheck on the editor textarea
+    // Toggle spellcheck in the editor. The contenteditable input lets the browser's spellchecker
+    // see the text CodeMirror draws; the hidden #editor textarea is never typed into
     static setSpellcheck(enabled) {
-        const textarea = document.getElementById('editor');
-        if (textarea) textarea.spellcheck = !!enabled;
+        const editor = window.markddApp && window.markddApp.editor;
+        if (editor && editor.codeMirror) {
+            editor.codeMirror.setOption('spellcheck', !!enabled);
+        }
+    }
+
+    // CodeMirror 5 (the codemirror dependency) and its modes and addons are loaded by script
+    // tags in index.html; add MarkDD's fence aliases once
+    static loadCodeMirror() {
+        const CodeMirror = window.CodeMirror || null;
+        if (CodeMirror && CodeMirror.modeInfo && !CodeMirror.modeInfo.includes(FENCE_MODE_ALIASES[0])) {
+            FENCE_MODE_ALIASES.forEach(info => CodeMirror.modeInfo.push(info));
+        }
+        return CodeMirror;
+    }
+
+    // Fold ``` / ~~~ fenced blocks from the opening fence to its closing fence
+    static fencedCodeRangeFinder(cm, start) {
+        const fenceRE = /^\s*(`{3,}|~{3,})/;
+        const startLine = cm.getLine(start.line);
+        const open = startLine && startLine.match(fenceRE);
+        if (!open) return undefined;
+
+        // Only opening fences fold - count the fences above to know which side we are on
+        let fencesAbove = 0;
+        for (let i = cm.firstLine(); i < start.line; i++) {
+            if (fenceRE.test(cm.getLine(i))) fencesAbove++;
+        }
+        if (fencesAbove % 2 !== 0) return undefined;
+
+        for (let i = start.line + 1; i <= cm.lastLine(); i++) {
+            const close = cm.getLine(i).match(fenceRE);
+            if (close && close[1][0] === open[1][0] && close[1].length >= open[1].length) {
+                return {
+                    from: CodeMirror.Pos(start.line, startLine.length),
+                    to: CodeMirror.Pos(i, cm.getLine(i).length)
+                };
+            }
+        }
+        return undefined;
     }
+
     constructor(editorElement) {
         console.log('[Editor] ⚡ CONSTRUCTOR STARTED with element:', editorElement);
         this.element = editorElement;
+        this.codeMirror = null;
         this.content = '';
         this.currentFile = null;
         this.isModified = false;
-        this.history = [];
-        this.historyIndex = -1;
         this.maxHistory = 100;
-        
+
+        // Set while the whole document is replaced programmatically (open, tab switch)
+        this.isSettingContent = false;
+
         // Autosave configuration (default OFF, read from localStorage)
         this.autosaveEnabled = localStorage.getItem('autosave-enabled') === 'true';
         this.autosaveInterval = 30000; // 30 seconds
         this.autosaveTimer = null;
-        
+
         // Content change debouncing
         this.contentChangeTimeout = null;
-        
+
         console.log('[Editor] About to call init()...');
         this.init();
         console.log('[Editor] Constructor completed');
@@ -33,18 +81,48 @@ class Editor {
 
     init() {
         console.log('[Editor] ⚡ INIT() FUNCTION STARTED');
-        
-        // Ensure the editor element is properly configured
-        this.element.removeAttribute('readonly');
-        this.element.removeAttribute('disabled');
-        this.element.style.pointerEvents = 'auto';
-        this.element.style.userSelect = 'text';
-        this.element.focus();
-        
+
+        const CodeMirror = Editor.loadCodeMirror();
+        if (!CodeMirror) {
+            throw new Error('CodeMirror could not be loaded');
+        }
+
+        this.codeMirror = CodeMirror.fromTextArea(this.element, {
+            mode: {
+                name: 'gfm',
+                fencedCodeBlocks: true,
+                highlightFormatting: true
+            },
+            lineNumbers: true,
+            lineWrapping: localStorage.getItem('word-wrap-enabled') === 'true',
+            inputStyle: 'contenteditable',
+            spellcheck: localStorage.getItem('spellcheck-enabled') !== 'false',
+            indentUnit: 4,
+            tabSize: 4,
+            undoDepth: this.maxHistory,
+            matchBrackets: true,
+            styleActiveLine: true,
+            foldGutter: {
+                rangeFinder: CodeMirror.fold.combine(CodeMirror.fold.markdown, Editor.fencedCodeRangeFinder)
+            },
+            gutters: ['CodeMirror-linenumbers', 'CodeMirror-foldgutter'],
+            extraKeys: {
+                'Enter': 'newlineAndIndentContinueMarkdownList',
+                'Tab': () => this.insertTab(),
+                'Shift-Tab': 'indentLess',
+                // Ctrl+U is CodeMirror's undoSelection by default - MarkDD uses it for highlight
+                'Ctrl-U': () => this.toggleHighlight(),
+                'Cmd-U': () => this.toggleHighlight()
+            }
+        });
+        this.codeMirror.getWrapperElement().classList.add('editor-codemirror');
+
+        this.installTextareaBridge();
         this.setupEventListeners();
         this.setupShortcuts();
         this.updateStatus();
-        
+        this.codeMirror.focus();
+
         // Initialize professional search/replace modal
         this.searchReplaceModal = new SearchReplaceModal();
 
@@ -53,21 +131,86 @@ class Editor {
         this.loadComprehensiveShowcase();
     }
 
+    // CodeMirror hides the original <textarea id="editor">, but Preview scroll sync,
+    // SearchReplaceModal, FileBrowser and the mindmap integrations still talk to it
+    // directly (value, selection, scrollTop). Proxy those properties to CodeMirror so
+    // they keep working unchanged.
+    installTextareaBridge() {
+        const cm = this.codeMirror;
+        const textarea = this.element;
+        const wrapper = cm.getWrapperElement();
+        const toPos = (index) => cm.posFromIndex(Math.max(0, index || 0));
+        const toIndex = (pos) => cm.indexFromPos(pos);
+        const define = (name, descriptor) => Object.defineProperty(textarea, name, Object.assign({ configurable: true }, descriptor));
+
+        define('value', {
+            get: () => cm.getValue(),
+            set: (value) => {
+                const text = value === null || value === undefined ? '' : String(value);
+                if (text === cm.getValue()) return;
+                // replaceRange (unlike setValue) keeps the edit on the undo stack
+                cm.replaceRange(text, CodeMirror.Pos(cm.firstLine(), 0), CodeMirror.Pos(cm.lastLine()));
+            }
+        });
+        define('selectionStart', {
+            get: () => toIndex(cm.getCursor('from')),
+            set: (index) => {
+                const end = Math.max(index, toIndex(cm.getCursor('to')));
+                cm.setSelection(toPos(index), toPos(end));
+            }
+        });
+        define('selectionEnd', {
+            get: () => toIndex(cm.getCursor('to')),
+            set: (index) => {
+                const start = Math.min(index, toIndex(cm.getCursor('from')));
+                cm.setSelection(toPos(start), toPos(index));
+            }
+        });
+        define('scrollTop', {
+            get: () => cm.getScrollInfo().top,
+            set: (top) => cm.scrollTo(null, top)
+        });
+        define('scrollHeight', { get: () => cm.getScrollInfo().height });
+        define('clientHeight', { get: () => cm.getScrollInfo().clientHeight });
+        define('offsetHeight', { get: () => wrapper.offsetHeight });
+
+        textarea.setSelectionRange = (start, end) => cm.setSelection(toPos(start), toPos(end));
+        textarea.setRangeText = (text, start, end) => {
+            const from = start === undefined ? cm.getCursor('from') : toPos(start);
+            const to = end === undefined ? cm.getCursor('to') : toPos(end);
+            cm.replaceRange(text, from, to);
+        };
+        textarea.select = () => cm.execCommand('selectAll');
+        textarea.focus = () => cm.focus();
+        textarea.getBoundingClientRect = () => wrapper.getBoundingClientRect();
+
+        // Re-dispatch scroll on the textarea for listeners attached to #editor
+        cm.on('scroll', () => {
+            textarea.dispatchEvent(new Event('scroll'));
+        });
+    }
+
     setupEventListeners() {
         // Content change tracking with debouncing
         let debounceTimeout = null;
-        
-        this.element.addEventListener('input', (e) => {
-            this.content = e.target.value;
+
+        // 'changes' fires once per CodeMirror operation, so typing, paste, cut,
+        // delete, undo and bridged textarea writes all come through here
+        this.codeMirror.on('changes', () => {
+            this.content = this.codeMirror.getValue();
+            if (this.isSettingContent) {
+                return;
+            }
+
             this.setModified(true);
-            this.saveToHistory();
             this.updateStatus();
-            
+            this.element.dispatchEvent(new Event('input'));
+
             // Debounce content change events to prevent excessive refreshes
             if (debounceTimeout) {
                 clearTimeout(debounceTimeout);
             }
-            
+
             // PERFORMANCE FIX: Reduced debounce for faster live preview
             debounceTimeout = setTimeout(() => {
                 this.triggerContentChange();
@@ -75,67 +218,22 @@ class Editor {
             }, 100); // Reduced from 250ms to 100ms for faster updates
         });
 
-        // --- FIX: Additional event listeners to catch ALL content changes ---
-        // Handle paste operations
-        this.element.addEventListener('paste', (e) => {
-            setTimeout(() => {
-                this.content = this.element.value;
-                this.setModified(true);
-                this.saveToHistory();
-                this.updateStatus();
-                this.triggerContentChange();
-            }, 10); // Small delay to ensure paste content is processed
-        });
-
-        // Handle cut operations
-        this.element.addEventListener('cut', (e) => {
-            setTimeout(() => {
-                this.content = this.element.value;
-                this.setModified(true);
-                this.saveToHistory();
-                this.updateStatus();
-                this.triggerContentChange();
-            }, 10); // Small delay to ensure cut content is processed
-        });
-
-        // Handle delete and backspace explicitly
-        this.element.addEventListener('keydown', (e) => {
-            if (e.key === 'Delete' || e.key === 'Backspace') {
-                setTimeout(() => {
-                    const newContent = this.element.value;
-                    if (newContent !== this.content) {
-                        this.content = newContent;
-                        this.setModified(true);
-                        this.saveToHistory();
-                        this.updateStatus();
-                        this.triggerContentChange();
-                    }
-                }, 10); // Small delay to ensure delete/backspace content is processed
-            }
-        });
-
         // Selection tracking for cursor position
-        this.element.addEventListener('selectionchange', () => {
-            this.updateCursorPosition();
-        });
-
-        // Click and focus events
-        this.element.addEventListener('click', () => {
+        this.codeMirror.on('cursorActivity', () => {
             this.updateCursorPosition();
         });
 
-        this.element.addEventListener('focus', () => {
+        this.codeMirror.on('focus', () => {
             this.updateCursorPosition();
         });
-
-        // Tab handling
-        this.element.addEventListener('keydown', (e) => {
-            this.handleKeyDown(e);
-        });
     }
 
     setupShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // Keys CodeMirror already handled (undo/redo inside the editor) arrive prevented
+            if (e.defaultPrevented) {
+                return;
+            }
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key.toLowerCase()) {
                     case 's':
@@ -196,104 +294,29 @@ class Editor {
         });
     }
 
-    handleKeyDown(e) {
-        switch (e.key) {
-            case 'Tab':
-                e.preventDefault();
-                this.insertTab();
-                break;
-            case 'Enter':
-                this.handleEnter(e);
-                break;
-        }
-    }
-
     insertTab() {
-        const start = this.element.selectionStart;
-        const end = this.element.selectionEnd;
-        
         // If text is selected, indent each line
-        if (start !== end) {
-            const selectedText = this.content.substring(start, end);
-            const lines = selectedText.split('\n');
-            const indentedLines = lines.map(line => '    ' + line);
-            const indentedText = indentedLines.join('\n');
-            
-            this.replaceSelection(indentedText);
+        if (this.codeMirror.somethingSelected()) {
+            this.codeMirror.execCommand('indentMore');
         } else {
             // Insert 4 spaces at cursor
             this.insertText('    ');
         }
     }
 
-    handleEnter(e) {
-        const start = this.element.selectionStart;
-        const lineStart = this.content.lastIndexOf('\n', start - 1) + 1;
-        const currentLine = this.content.substring(lineStart, start);
-        
-        // Auto-indent: preserve leading whitespace
-        const indentMatch = currentLine.match(/^(\s*)/);
-        const indent = indentMatch ? indentMatch[1] : '';
-        
-        // Handle list continuation
-        const listMatch = currentLine.match(/^(\s*)([*+-]|\d+\.)\s/);
-        if (listMatch) {
-            e.preventDefault();
-            const [, leadingSpace, marker] = listMatch;
-            
-            // If current line is empty list item, remove it
-            if (currentLine.trim() === marker) {
-                const lineEnd = this.content.indexOf('\n', start);
-                this.element.selectionStart = lineStart;
-                this.element.selectionEnd = lineEnd === -1 ? this.content.length : lineEnd;
-                this.replaceSelection('\n');
-                return;
-            }
-            
-            // Continue numbered list
-            if (marker.includes('.')) {
-                const num = parseInt(marker) + 1;
-                this.insertText(`\n${leadingSpace}${num}. `);
-            } else {
-                // Continue bullet list
-                this.insertText(`\n${leadingSpace}${marker} `);
-            }
-        } else if (indent) {
-            // Just preserve indentation
-            e.preventDefault();
-            this.insertText('\n' + indent);
-        }
-    }
-
     insertText(text) {
-        const start = this.element.selectionStart;
-        const end = this.element.selectionEnd;
-        
-        this.element.setRangeText(text);
-        this.element.selectionStart = this.element.selectionEnd = start + text.length;
-        
-        this.content = this.element.value;
-        this.setModified(true);
-        this.saveToHistory();
-        this.triggerContentChange();
+        this.codeMirror.replaceSelection(text);
+        this.codeMirror.focus();
     }
 
     replaceSelection(text) {
-        const start = this.element.selectionStart;
-        this.element.setRangeText(text);
-        this.element.selectionStart = start;
-        this.element.selectionEnd = start + text.length;
-        
-        this.content = this.element.value;
-        this.setModified(true);
-        this.saveToHistory();
-        this.triggerContentChange();
+        // 'around' keeps the replacement selected, like the old setRangeText behaviour
+        this.codeMirror.replaceSelection(text, 'around');
+        this.codeMirror.focus();
     }
 
     getSelectedText() {
-        const start = this.element.selectionStart;
-        const end = this.element.selectionEnd;
-        return this.content.substring(start, end);
+        return this.codeMirror.getSelection();
     }
 
     // Formatting methods
@@ -398,10 +421,39 @@ class Editor {
     insertKeyboardShortcut() {
         const selectedText = this.getSelectedText();
         if (selectedText) {
-            this.replaceSelection(`[[${selectedText}]]`);
+            this.replaceSelection(`++${selectedText}++`);
+        } else {
+            this.insertText('++Ctrl+Key++');
+        }
+    }
+
+    // Write an MPE-style TOC block at the cursor, or refresh the one already in the file:
+    //   <!-- @import "[TOC]" {levels=2-3 numbered} -->
+    //   - [Heading](#heading)
+    //   <!-- /TOC -->
+    // The list is plain markdown, so the TOC also works where the file is shown as-is (GitHub)
+    insertTableOfContents() {
+        const renderer = window.markddApp && window.markddApp.renderer;
+        if (!renderer || typeof renderer.generateTOCMarkdown !== 'function') return;
+
+        const cm = this.codeMirror;
+        const content = cm.getValue();
+        const existing = /<!--\s*@import\s+"\[TOC\]"\s*(\{[^}]*\})?\s*-->[\s\S]*?<!--\s*\/TOC\s*-->/.exec(content);
+        const optionBlock = existing && existing[1] ? existing[1] : '';
+        const options = renderer.parseTOCOptions(optionBlock.slice(1, -1));
+
+        // Headings are read from the document without the block being replaced
+        const source = existing ? content.slice(0, existing.index) + content.slice(existing.index + existing[0].length) : content;
+        const list = renderer.generateTOCMarkdown(source, options);
+        const block = `<!-- @import "[TOC]"${optionBlock ? ` ${optionBlock}` : ''} -->\n\n${list}\n\n<!-- /TOC -->`;
+
+        if (existing) {
+            cm.replaceRange(block, cm.posFromIndex(existing.index), cm.posFromIndex(existing.index + existing[0].length));
         } else {
-            this.insertText('[[Ctrl+Key]]');
+            const cursor = cm.getCursor('from');
+            cm.replaceSelection(`${cursor.ch > 0 ? '\n\n' : ''}${block}\n`);
         }
+        cm.focus();
     }
 
     insertInlineCode() {
@@ -495,7 +547,7 @@ Bob --> Alice: Authentication Response
 @enduml
 \`\`\``;
         this.insertText('\n' + diagram + '\n');
-        this.element.focus();
+        this.focus();
     }
 
     insertVegaChart() {
@@ -511,7 +563,7 @@ Bob --> Alice: Authentication Response
 }
 \`\`\``;
         this.insertText('\n' + chart + '\n');
-        this.element.focus();
+        this.focus();
     }
 
     insertLaTeX() {
@@ -522,85 +574,70 @@ Hello LaTeX!
 \\end{document}
 \`\`\``;
         this.insertText('\n' + latex + '\n');
-        this.element.focus();
-    }
-
-    // History management
-    saveToHistory() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyIndex + 1);
-        }
-        
-        this.history.push({
-            content: this.content,
-            selectionStart: this.element.selectionStart,
-            selectionEnd: this.element.selectionEnd,
-            timestamp: Date.now()
-        });
-        
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
-        } else {
-            this.historyIndex++;
-        }
+        this.focus();
     }
 
+    // History management - CodeMirror keeps the undo stack (limited by undoDepth)
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            const state = this.history[this.historyIndex];
-            this.restoreState(state);
-        }
+        this.codeMirror.undo();
     }
 
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            const state = this.history[this.historyIndex];
-            this.restoreState(state);
-        }
+        this.codeMirror.redo();
     }
 
-    restoreState(state) {
-        this.element.value = state.content;
-        this.element.selectionStart = state.selectionStart;
-        this.element.selectionEnd = state.selectionEnd;
-        this.content = state.content;
-        this.triggerContentChange();
-        this.updateStatus();
+    // Replace the whole document without treating it as a user edit
+    setDocumentValue(content) {
+        this.isSettingContent = true;
+        try {
+            this.codeMirror.setValue(content || '');
+        } finally {
+            this.isSettingContent = false;
+        }
+        this.content = this.codeMirror.getValue();
+        this.clearHistory();
     }
 
     // File operations
     newFile() {
-        this.content = '';
-        this.element.value = '';
+        this.setDocumentValue('');
         this.currentFile = null;
         this.setModified(false);
-        this.clearHistory();
         this.clearAutosaveTimer(); // Clear autosave when creating new file
         this.updateStatus();
         this.triggerContentChange();
     }
 
     openFile(filePath, content) {
-        this.content = content;
-        this.element.value = content;
+        this.setDocumentValue(content);
         this.currentFile = filePath;
         this.setModified(false);
-        this.clearHistory();
-        this.saveToHistory();
         this.clearAutosaveTimer(); // Clear any existing autosave timer
         this.updateStatus();
         this.triggerContentChange();
     }
 
-    async save() {
+    // confirmOverwrite: ask before replacing a file that changed on disk (off for autosave)
+    async save(confirmOverwrite = true) {
         try {
-            const { ipcRenderer } = require('electron');
-            const result = await ipcRenderer.invoke('save-file', {
+            let result = await window.markdd.saveFile({
                 filePath: this.currentFile,
                 content: this.content
             });
+
+            if (result.conflict) {
+                const fileName = this.currentFile.split(/[/\\]/).pop();
+                if (!confirmOverwrite ||
+                    !confirm(`"${fileName}" was changed on disk since you opened it.\n\nOverwrite it with your version?`)) {
+                    console.warn('Save skipped: file changed on disk');
+                    return false;
+                }
+                result = await window.markdd.saveFile({
+                    filePath: this.currentFile,
+                    content: this.content,
+                    force: true
+                });
+            }
             
             if (result.success) {
                 this.currentFile = result.filePath;
@@ -637,7 +674,8 @@ Hello LaTeX!
         
         try {
             console.log('[Editor] Performing autosave...');
-            const success = await this.save();
+            // Never overwrite external changes unattended
+            const success = await this.save(false);
             if (success) {
                 console.log('[Editor] Autosave completed successfully');
                 // Show subtle notification
@@ -755,13 +793,11 @@ Hello LaTeX!
     }
 
     getCursorPosition() {
-        const pos = this.element.selectionStart;
-        const textBeforeCursor = this.content.substring(0, pos);
-        const lines = textBeforeCursor.split('\n');
-        
+        const cursor = this.codeMirror.getCursor();
+
         return {
-            line: lines.length,
-            column: lines[lines.length - 1].length + 1
+            line: cursor.line + 1,
+            column: cursor.ch + 1
         };
     }
 
@@ -772,17 +808,10 @@ Hello LaTeX!
     setModified(modified) {
         this.isModified = modified;
         
-        // Update window title
-        if (typeof require !== 'undefined') {
-            const { remote } = require('electron');
-            if (remote && remote.getCurrentWindow) {
-                const window = remote.getCurrentWindow();
-                const title = this.currentFile ? 
-                    `${this.currentFile.split(/[/\\]/).pop()}${modified ? ' •' : ''} - MarkDD Editor` :
-                    `Untitled${modified ? ' •' : ''} - MarkDD Editor`;
-                window.setTitle(title);
-            }
-        }
+        // Update window title (Electron mirrors document.title)
+        document.title = this.currentFile ?
+            `${this.currentFile.split(/[/\\]/).pop()}${modified ? ' •' : ''} - MarkDD Editor` :
+            `Untitled${modified ? ' •' : ''} - MarkDD Editor`;
         
         // Handle autosave scheduling
         if (modified && this.currentFile) {
@@ -793,8 +822,7 @@ Hello LaTeX!
     }
 
     clearHistory() {
-        this.history = [];
-        this.historyIndex = -1;
+        this.codeMirror.clearHistory();
     }
 
     triggerContentChange() {
@@ -822,10 +850,8 @@ Hello LaTeX!
     }
 
     setContent(content) {
-        this.content = content;
-        this.element.value = content;
+        this.setDocumentValue(content);
         this.setModified(false);
-        this.saveToHistory();
         this.updateStatus();
         this.triggerContentChange();
     }
@@ -841,7 +867,66 @@ Hello LaTeX!
     }
 
     focus() {
-        this.element.focus();
+        this.codeMirror.focus();
+    }
+
+    // Move the caret to a 1-based line (and 0-based column), centring it in view
+    goToLine(lineNumber, column = 0, length = 0) {
+        const line = Math.max(0, Math.min(lineNumber - 1, this.codeMirror.lineCount() - 1));
+        const from = { line, ch: column };
+        this.codeMirror.setSelection(from, { line, ch: column + length });
+        const top = this.codeMirror.charCoords(from, 'local').top;
+        this.codeMirror.scrollTo(null, top - this.codeMirror.getScrollInfo().clientHeight / 2);
+        this.codeMirror.focus();
+    }
+
+    // Fractional 0-based line at the top of the viewport (used by preview scroll sync)
+    getTopVisibleLine() {
+        const cm = this.codeMirror;
+        const scrollTop = cm.getScrollInfo().top;
+        const line = cm.lineAtHeight(scrollTop, 'local');
+        const lineTop = cm.heightAtLine(line, 'local');
+        const height = cm.getLineHandle(line).height || 1;
+        return line + Math.min(1, Math.max(0, (scrollTop - lineTop) / height));
+    }
+
+    // Scroll so the fractional 0-based line sits at the top of the viewport
+    scrollToSourceLine(line) {
+        const cm = this.codeMirror;
+        const index = Math.max(0, Math.min(Math.floor(line), cm.lineCount() - 1));
+        const fraction = Math.min(1, Math.max(0, line - index));
+        const top = cm.heightAtLine(index, 'local') + fraction * (cm.getLineHandle(index).height || 0);
+        cm.scrollTo(null, top);
+    }
+
+    // Place the caret at the start of a 1-based line, scrolling only if it is off-screen
+    setCursorLine(lineNumber) {
+        const line = Math.max(0, Math.min(lineNumber - 1, this.codeMirror.lineCount() - 1));
+        const pos = { line, ch: 0 };
+        this.codeMirror.setCursor(pos, null, { scroll: false });
+        this.codeMirror.scrollIntoView(pos, 40);
+        this.codeMirror.focus();
+    }
+
+    // Outer CodeMirror element - the visible editing surface (drag/drop, wheel zoom)
+    getWrapperElement() {
+        return this.codeMirror.getWrapperElement();
+    }
+
+    // Font size in px; also mirrored on the hidden textarea because scroll sync and
+    // SearchReplaceModal measure line height from its computed style
+    setFontSize(size, lineHeight = 1.6) {
+        const fontSize = `${size}px`;
+        const wrapper = this.getWrapperElement();
+        wrapper.style.fontSize = fontSize;
+        wrapper.style.lineHeight = `${lineHeight}`;
+        this.element.style.fontSize = fontSize;
+        this.element.style.lineHeight = `${lineHeight}`;
+        this.codeMirror.refresh();
+    }
+
+    setLineWrapping(enabled) {
+        this.codeMirror.setOption('lineWrapping', !!enabled);
     }
 
     getCurrentFile() {
@@ -1317,55 +1402,38 @@ All source implementations are available in the \`References/\` directory:
     async loadComprehensiveShowcase() {
         console.log('[Editor] ⚡ loadComprehensiveShowcase() STARTED');
         try {
-            // First try to load the actual file from disk
-            const fs = require('fs');
-            const path = require('path');
-            
-            // Try multiple possible locations for the showcase file
-            const possiblePaths = [
-                path.join(process.cwd(), 'COMPREHENSIVE-FEATURES-SHOWCASE.md'),
-                path.join(__dirname, '..', '..', '..', 'COMPREHENSIVE-FEATURES-SHOWCASE.md'),
-                path.join(process.env.INIT_CWD || process.cwd(), 'COMPREHENSIVE-FEATURES-SHOWCASE.md'),
-                'C:\\Users\\DD\\Desktop\\MARKDD\\WP\\COMPREHENSIVE-FEATURES-SHOWCASE.md'
-            ];
-            
-            console.log('[Editor] Current working directory:', process.cwd());
-            console.log('[Editor] __dirname:', __dirname);
-            console.log('[Editor] process.env.INIT_CWD:', process.env.INIT_CWD);
-            console.log('[Editor] Trying showcase file paths:', possiblePaths);
-            
-            for (let i = 0; i < possiblePaths.length; i++) {
-                const showcaseFilePath = possiblePaths[i];
-                console.log(`[Editor] Checking path ${i + 1}/${possiblePaths.length}: ${showcaseFilePath}`);
-                console.log(`[Editor] Path exists: ${fs.existsSync(showcaseFilePath)}`);
-                
-                if (fs.existsSync(showcaseFilePath)) {
-                    console.log(`[Editor] ✅ FOUND file at: ${showcaseFilePath}`);
-                    const content = fs.readFileSync(showcaseFilePath, 'utf8');
-                    console.log(`[Editor] Read content length: ${content.length} characters`);
-                    console.log(`[Editor] Content preview (first 200 chars): ${content.substring(0, 200)}`);
-                    
-                    this.currentFile = showcaseFilePath;
-                    this.setContent(content);
-                    this.isModified = false;
-                    this.updateStatus();
-                    this.setupAutosave();
-                    
-                    // Force immediate preview update with actual content
-                    console.log('🔥🔥🔥 [Editor] FORCING IMMEDIATE PREVIEW UPDATE with actual file content');
-                    console.log('🔥🔥🔥 [Editor] Content preview (first 200 chars):', content.substring(0, 200));
-                    setTimeout(() => {
-                        this.triggerContentChange();
-                    }, 100); // Give a moment for everything to initialize
-                    
-                    console.log('✅ [Editor] Successfully loaded actual showcase file from disk:', showcaseFilePath);
-                    return;
-                }
+            if (!window.markdd) {
+                throw new Error('Reading the showcase file requires the desktop app');
             }
-            
+
+            // First try to load the actual file from disk (working copy or packaged resource)
+            const result = await window.markdd.readShowcaseFile();
+            console.log('[Editor] Showcase file lookup:', result.success ? result.filePath : result.error);
+
+            if (result.success) {
+                const content = result.content;
+                console.log(`[Editor] ✅ FOUND file at: ${result.filePath}`);
+                console.log(`[Editor] Read content length: ${content.length} characters`);
+
+                this.currentFile = result.filePath;
+                this.setContent(content);
+                this.isModified = false;
+                this.updateStatus();
+                this.setupAutosave();
+
+                // Force immediate preview update with actual content
+                console.log('🔥🔥🔥 [Editor] FORCING IMMEDIATE PREVIEW UPDATE with actual file content');
+                setTimeout(() => {
+                    this.triggerContentChange();
+                }, 100); // Give a moment for everything to initialize
+
+                console.log('✅ [Editor] Successfully loaded actual showcase file from disk:', result.filePath);
+                return;
+            }
+
             console.log('[Editor] ❌ Showcase file not found in any location, creating it...');
-            await this.createShowcaseFile();
-            
+            await this.createShowcaseFile(result.filePath);
+
         } catch (error) {
             console.error('[Editor] ❌ ERROR in loadComprehensiveShowcase:', error);
             // Fallback to hardcoded content
@@ -1374,22 +1442,21 @@ All source implementations are available in the \`References/\` directory:
         }
     }
 
-    async createShowcaseFile() {
+    async createShowcaseFile(showcaseFilePath) {
         try {
-            const fs = require('fs');
-            const path = require('path');
             const showcaseContent = this.getCleanComprehensiveExample();
-            const showcaseFilePath = path.join(process.cwd(), 'COMPREHENSIVE-FEATURES-SHOWCASE.md');
-            
-            fs.writeFileSync(showcaseFilePath, showcaseContent, 'utf8');
-            
-            this.currentFile = showcaseFilePath;
+            const result = await window.markdd.saveFile({ filePath: showcaseFilePath, content: showcaseContent });
+            if (!result.success) {
+                throw new Error(result.error || 'save failed');
+            }
+
+            this.currentFile = result.filePath;
             this.setContent(showcaseContent);
             this.isModified = false;
             this.updateStatus();
             this.setupAutosave();
-            
-            console.log('✅ Created and loaded new showcase file:', showcaseFilePath);
+
+            console.log('✅ Created and loaded new showcase file:', result.filePath);
         } catch (error) {
             console.error('❌ Failed to create showcase file:', error);
             // Fallback to memory-only content
@@ -1605,7 +1672,7 @@ Here's a sentence with a footnote[^1]. And another one[^2].
 
 ### Keyboard Shortcuts
 
-Press [[Ctrl+S]] to save, [[Ctrl+O]] to open, and [[Ctrl+N]] to create a new file.
+Press ++Ctrl+S++ to save, ++Ctrl+O++ to open, and ++Ctrl+N++ to create a new file.
 
 ### Emoji Support
 
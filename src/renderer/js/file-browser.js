@@ -1,11 +1,10 @@
 class FileBrowser {
     // Open file dialog for menu/toolbar integration
     async openFileDialog() {
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
             try {
                 // Ask main process to open file dialog and return file path/content
-                const result = await ipcRenderer.invoke('open-file-dialog');
+                const result = await window.markdd.openFileDialog();
                 if (result && result.filePath && result.content) {
                     // Open file in app (creates tab with filename)
                     if (window.markddApp) {
@@ -22,6 +21,17 @@ class FileBrowser {
     
     constructor() {
         this.currentPath = null;
+        // Folder opened by the user; wiki-links and backlinks resolve against it
+        // even while browsing its subfolders
+        this.workspaceRoot = localStorage.getItem('workspace-root') || localStorage.getItem('last-opened-folder') || null;
+        this.backlinksFile = null;
+        this.searchOptions = { isCaseSensitive: false, isWholeWord: false, isRegex: false };
+        this.searchRequestId = 0;
+        // Folders expanded in the file tree, restored when the tree is rebuilt
+        this.expandedFolders = new Set(JSON.parse(localStorage.getItem('file-tree-expanded') || '[]'));
+        this.treeRenderId = 0;
+        this.pendingFileSystemChanges = [];
+        this.fileSystemChangeTimer = null;
         this.fileTree = null;
         this.isCollapsed = localStorage.getItem('sidebar-collapsed') === 'true';
         this.currentPanel = localStorage.getItem('sidebar-panel') || 'files';
@@ -37,6 +47,9 @@ class FileBrowser {
         this.applySidebarState();
         this.showPanel(this.currentPanel);
         this.updateAppVersion();
+        this.refreshWikiLinkIndex();
+        this.setupFileSystemListener();
+        this.watchWorkspace();
     }
 
     setupElements() {
@@ -187,6 +200,68 @@ class FileBrowser {
             });
         }
 
+        // PlantUML renderer settings
+        const plantumlModeSelect = document.getElementById('plantuml-mode-select');
+        if (plantumlModeSelect) {
+            plantumlModeSelect.addEventListener('change', (e) => {
+                this.changePlantUMLMode(e.target.value);
+            });
+        }
+        const plantumlServerInput = document.getElementById('plantuml-server-url');
+        if (plantumlServerInput) {
+            plantumlServerInput.addEventListener('change', (e) => {
+                this.changeDiagramTools({ plantumlServerUrl: e.target.value.trim() });
+            });
+        }
+        // Program locations (plantuml.jar, java, Graphviz) are chosen in a main-process open dialog
+        document.querySelectorAll('[data-diagram-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.chooseDiagramTool(button.getAttribute('data-diagram-tool'));
+            });
+        });
+        document.querySelectorAll('[data-diagram-tool-clear]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.chooseDiagramTool(button.getAttribute('data-diagram-tool-clear'), true);
+            });
+        });
+
+        const frontMatterDisplaySelect = document.getElementById('front-matter-display-select');
+        if (frontMatterDisplaySelect) {
+            frontMatterDisplaySelect.addEventListener('change', (e) => {
+                this.changeFrontMatterDisplay(e.target.value);
+            });
+        }
+
+        const htmlSanitizationSelect = document.getElementById('html-sanitization-select');
+        if (htmlSanitizationSelect) {
+            htmlSanitizationSelect.addEventListener('change', (e) => {
+                this.changeHtmlSanitization(e.target.value);
+            });
+        }
+
+        // Pasted/dropped image settings, read by ImageAssets when an image is inserted
+        const imageStorageSelect = document.getElementById('image-storage-select');
+        if (imageStorageSelect) {
+            imageStorageSelect.addEventListener('change', (e) => {
+                this.changeImageSetting('image-storage', e.target.value);
+                this.updateImageSettingsVisibility(e.target.value);
+            });
+        }
+        ['image-assets-folder', 'image-name-template'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    this.changeImageSetting(id, e.target.value.trim());
+                });
+            }
+        });
+        const imageConvertCheckbox = document.getElementById('image-convert-inline');
+        if (imageConvertCheckbox) {
+            imageConvertCheckbox.addEventListener('change', (e) => {
+                this.changeImageSetting('image-convert-inline', String(e.target.checked));
+            });
+        }
+
         // File tree interactions
         this.fileTreeElement.addEventListener('click', (e) => {
             if (e.target.matches('.file-item') || e.target.closest('.file-item')) {
@@ -251,12 +326,25 @@ class FileBrowser {
         });
 
         // Listen for editor content changes to update TOC
-        document.addEventListener('editor-content-changed', () => {
+        document.addEventListener('editor-content-changed', (e) => {
             if (this.currentPanel === 'toc') {
                 this.updateTableOfContents();
             }
+            // Backlinks depend on other files, so only reload when the current file changes
+            const currentFile = e.detail ? e.detail.currentFile : null;
+            if (this.currentPanel === 'backlinks' && currentFile !== this.backlinksFile) {
+                this.loadBacklinks();
+            }
         });
 
+        const refreshBacklinksBtn = document.getElementById('refreshBacklinksBtn');
+        if (refreshBacklinksBtn) {
+            refreshBacklinksBtn.addEventListener('click', () => {
+                this.refreshWikiLinkIndex();
+                this.loadBacklinks();
+            });
+        }
+
         // Search input with debouncing
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
@@ -267,6 +355,37 @@ class FileBrowser {
                     this.performSearch(e.target.value);
                 }, 300);
             });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    clearTimeout(searchTimeout);
+                    this.performSearch(e.target.value);
+                }
+            });
+        }
+
+        // Search options (same semantics as the Find and Replace modal)
+        [
+            ['search-case-btn', 'isCaseSensitive'],
+            ['search-word-btn', 'isWholeWord'],
+            ['search-regex-btn', 'isRegex']
+        ].forEach(([id, option]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.searchOptions[option] = !this.searchOptions[option];
+                    button.classList.toggle('active', this.searchOptions[option]);
+                    const input = document.getElementById('search-input');
+                    if (input && input.value.trim()) {
+                        this.performSearch(input.value);
+                    }
+                });
+            }
+        });
+
+        const replacePreviewBtn = document.getElementById('search-replace-preview-btn');
+        if (replacePreviewBtn) {
+            replacePreviewBtn.addEventListener('click', () => this.previewWorkspaceReplace());
         }
     }
 
@@ -402,6 +521,9 @@ class FileBrowser {
             case 'bookmarks':
                 this.loadBookmarks();
                 break;
+            case 'backlinks':
+                this.loadBacklinks();
+                break;
             case 'settings':
                 this.loadSettings();
                 break;
@@ -418,10 +540,9 @@ class FileBrowser {
 
     // File operations
     async createNewFile() {
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
             try {
-                const result = await ipcRenderer.invoke('create-new-file');
+                const result = await window.markdd.createNewFile();
                 if (result && result.success) {
                     // Open the new file in editor
                     const editor = window.markddApp?.getEditor();
@@ -443,10 +564,9 @@ class FileBrowser {
     }
 
     async createNewFolder() {
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
             try {
-                const result = await ipcRenderer.invoke('create-new-folder');
+                const result = await window.markdd.createNewFolder();
                 if (result && result.success) {
                     this.refreshFileTree();
                 }
@@ -463,14 +583,19 @@ class FileBrowser {
     }
 
     async openFolder() {
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
             try {
-                const result = await ipcRenderer.invoke('open-folder-dialog');
+                const result = await window.markdd.openFolderDialog();
                 if (result && result.folderPath) {
                     this.currentPath = result.folderPath;
+                    this.workspaceRoot = result.folderPath;
                     localStorage.setItem('last-opened-folder', this.currentPath);
+                    localStorage.setItem('workspace-root', this.workspaceRoot);
+                    this.expandedFolders.clear();
+                    this.saveExpandedFolders();
                     this.loadFileTree();
+                    this.refreshWikiLinkIndex();
+                    this.watchWorkspace();
                 }
             } catch (error) {
                 console.error('Failed to open folder:', error);
@@ -490,18 +615,19 @@ class FileBrowser {
 
     async openFile(fileItem) {
         const filePath = fileItem.getAttribute('data-path') || fileItem.getAttribute('data-file-path');
-        const fileName = fileItem.textContent.trim();
+        const fileName = this.getBaseName(filePath) || fileItem.textContent.trim();
         
-        if (typeof require !== 'undefined' && filePath) {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd && filePath) {
             try {
-                const result = await ipcRenderer.invoke('read-file', filePath);
+                const result = await window.markdd.readFile(filePath);
                 if (result && result.success) {
-                    const editor = window.markddApp?.getEditor();
-                    if (editor) {
-                        editor.openFile(filePath, result.content);
+                    if (window.markddApp) {
+                        // Opens in a new tab, or switches to the file's existing tab
+                        await window.markddApp.openFile(filePath, result.content);
                         this.addToRecentFiles(filePath, fileName);
                     }
+                } else {
+                    this.showToast(`Failed to open ${fileName}`, 'error');
                 }
             } catch (error) {
                 console.error('Failed to open file:', error);
@@ -569,10 +695,9 @@ class FileBrowser {
     }
 
     async openRecentFile(filePath) {
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
             try {
-                const result = await ipcRenderer.invoke('read-file', filePath);
+                const result = await window.markdd.readFile(filePath);
                 if (result && result.success) {
                     const editor = window.markddApp?.getEditor();
                     if (editor) {
@@ -640,15 +765,16 @@ class FileBrowser {
         const fileTree = document.getElementById('file-tree');
         if (!fileTree || !this.currentPath) return;
         
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
+            const renderId = ++this.treeRenderId;
+            const scrollTop = fileTree.scrollTop;
             try {
-                const result = await ipcRenderer.invoke('read-directory', this.currentPath);
-                if (result && result.success) {
-                    this.renderFileTree(result.files);
-                } else {
-                    fileTree.innerHTML = '<p class="file-placeholder">Failed to load folder contents</p>';
-                }
+                const children = await window.markdd.getDirectoryChildren(this.currentPath);
+                // A newer refresh started while this one was loading
+                if (renderId !== this.treeRenderId) return;
+                this.renderFileTree(children);
+                await this.restoreExpandedFolders(fileTree.querySelector('.file-tree-contents'), renderId);
+                fileTree.scrollTop = scrollTop;
             } catch (error) {
                 console.error('Failed to load folder contents:', error);
                 fileTree.innerHTML = '<p class="file-placeholder">Error loading folder</p>';
@@ -666,59 +792,426 @@ class FileBrowser {
         }
     }
 
-    renderFileTree(files) {
+    renderFileTree(children) {
         const fileTree = document.getElementById('file-tree');
         if (!fileTree) return;
         
-        const foldersHtml = files
-            .filter(file => file.isDirectory)
-            .map(folder => `
-                <div class="file-item folder-item" data-path="${folder.path}">
-                    <span class="file-icon">📁</span>
-                    <span class="file-name">${folder.name}</span>
-                </div>
-            `).join('');
-            
-        const filesHtml = files
-            .filter(file => !file.isDirectory && this.isMarkdownFile(file.name))
-            .map(file => `
-                <div class="file-item" data-path="${file.path}">
-                    <span class="file-icon">📄</span>
-                    <span class="file-name">${file.name}</span>
-                </div>
-            `).join('');
-        
         fileTree.innerHTML = `
             <div class="file-tree-section">
                 <h4>Recent Files</h4>
                 <div id="recent-files" class="recent-files"></div>
             </div>
             <div class="file-tree-section">
-                <h4>Current Folder: ${this.getBaseName(this.currentPath)}</h4>
-                <div class="file-tree-contents">
-                    ${foldersHtml}
-                    ${filesHtml}
+                <h4 title="${this.escapeHtml(this.currentPath)}">Current Folder: ${this.escapeHtml(this.getBaseName(this.currentPath))}</h4>
+                <div class="file-tree-contents" data-path="${this.escapeHtml(this.currentPath)}" tabindex="0">
+                    ${this.renderTreeItems(children, 0)}
                 </div>
             </div>
         `;
         
         // Load recent files
         this.loadRecentFiles();
-        
-        // Add click handlers for folders and files
-        fileTree.querySelectorAll('.folder-item').forEach(item => {
-            item.addEventListener('dblclick', () => {
-                const folderPath = item.getAttribute('data-path');
-                this.currentPath = folderPath;
-                localStorage.setItem('last-opened-folder', this.currentPath);
-                this.loadFolderContents();
+        this.setupTreeEvents(fileTree.querySelector('.file-tree-contents'));
+    }
+
+    // Folders and markdown files of one directory level; folder children load on expand
+    renderTreeItems(children, depth) {
+        const indent = 8 + depth * 14;
+        const items = children.filter(item => item.type === 'directory' || this.isMarkdownFile(item.name));
+
+        if (items.length === 0) {
+            return `<div class="file-tree-empty-folder" style="padding-left: ${indent + 20}px">Empty</div>`;
+        }
+
+        return items.map(item => {
+            const path = this.escapeHtml(item.path);
+            const name = this.escapeHtml(item.name);
+            if (item.type === 'directory') {
+                return `
+                <div class="file-item folder-item" data-path="${path}" draggable="true" style="padding-left: ${indent}px" title="${path}">
+                    <span class="folder-toggle">▸</span>
+                    <span class="file-icon">📁</span>
+                    <span class="file-name">${name}</span>
+                </div>
+                <div class="folder-children" data-depth="${depth + 1}"></div>`;
+            }
+            return `
+                <div class="file-item" data-path="${path}" draggable="true" style="padding-left: ${indent}px" title="${path}">
+                    <span class="folder-toggle"></span>
+                    <span class="file-icon">📄</span>
+                    <span class="file-name">${name}</span>
+                </div>`;
+        }).join('');
+    }
+
+    setupTreeEvents(container) {
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const item = e.target.closest('.file-item');
+            if (!item) return;
+            this.selectFile(item);
+            if (item.classList.contains('folder-item')) {
+                this.toggleFolder(item);
+            }
+        });
+
+        container.addEventListener('dblclick', (e) => {
+            const item = e.target.closest('.file-item');
+            if (item && !item.classList.contains('folder-item')) {
+                this.openFile(item);
+            }
+        });
+
+        container.addEventListener('contextmenu', (e) => {
+            const item = e.target.closest('.file-item');
+            if (!item) return;
+            e.preventDefault();
+            this.selectFile(item);
+            this.showTreeContextMenu(item, e.clientX, e.clientY);
+        });
+
+        container.addEventListener('keydown', (e) => {
+            const item = container.querySelector('.file-item.selected');
+            if (!item || e.target !== container) return;
+            if (e.key === 'F2') {
+                e.preventDefault();
+                this.startRename(item);
+            } else if (e.key === 'Delete') {
+                e.preventDefault();
+                this.trashTreeItem(item);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (item.classList.contains('folder-item')) {
+                    this.toggleFolder(item);
+                } else {
+                    this.openFile(item);
+                }
+            }
+        });
+
+        // Drag and drop moves files and folders between folders
+        container.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.file-item');
+            if (!item) return;
+            e.dataTransfer.setData('application/x-markdd-path', item.getAttribute('data-path'));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        container.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('application/x-markdd-path')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const target = this.getDropTarget(e.target, container);
+            container.querySelectorAll('.drop-target').forEach(el => {
+                if (el !== target.element) el.classList.remove('drop-target');
             });
+            target.element.classList.add('drop-target');
         });
-        
-        fileTree.querySelectorAll('.file-item:not(.folder-item)').forEach(item => {
-            item.addEventListener('click', () => this.selectFile(item));
-            item.addEventListener('dblclick', () => this.openFile(item));
+
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            }
         });
+
+        container.addEventListener('drop', (e) => {
+            const sourcePath = e.dataTransfer.getData('application/x-markdd-path');
+            container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            if (!sourcePath) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.moveTreeItem(sourcePath, this.getDropTarget(e.target, container).path);
+        });
+    }
+
+    // Folder under the pointer: the folder row itself, a file's parent folder, or the tree root
+    getDropTarget(element, container) {
+        const item = element.closest('.file-item');
+        if (item && item.classList.contains('folder-item')) {
+            return { element: item, path: item.getAttribute('data-path') };
+        }
+        const children = element.closest('.folder-children');
+        const folder = children && children.previousElementSibling;
+        if (folder && folder.classList.contains('folder-item')) {
+            return { element: folder, path: folder.getAttribute('data-path') };
+        }
+        return { element: container, path: container.getAttribute('data-path') };
+    }
+
+    async toggleFolder(folderItem) {
+        const folderPath = folderItem.getAttribute('data-path');
+        if (folderItem.classList.contains('expanded')) {
+            folderItem.classList.remove('expanded');
+            folderItem.querySelector('.folder-toggle').textContent = '▸';
+            folderItem.nextElementSibling.innerHTML = '';
+            this.expandedFolders.delete(folderPath);
+        } else {
+            this.expandedFolders.add(folderPath);
+            await this.expandFolder(folderItem);
+        }
+        this.saveExpandedFolders();
+    }
+
+    async expandFolder(folderItem) {
+        const childrenElement = folderItem.nextElementSibling;
+        if (!childrenElement || !window.markdd) return;
+
+        try {
+            const children = await window.markdd.getDirectoryChildren(folderItem.getAttribute('data-path'));
+            const depth = parseInt(childrenElement.getAttribute('data-depth')) || 1;
+            childrenElement.innerHTML = this.renderTreeItems(children, depth);
+            folderItem.classList.add('expanded');
+            folderItem.querySelector('.folder-toggle').textContent = '▾';
+        } catch (error) {
+            console.error('[FileBrowser] Failed to expand folder:', error);
+        }
+    }
+
+    // Re-expand remembered folders after the tree was rebuilt (nested folders included)
+    async restoreExpandedFolders(container, renderId) {
+        if (!container) return;
+        const folders = Array.from(container.querySelectorAll(':scope > .folder-item'))
+            .filter(item => this.expandedFolders.has(item.getAttribute('data-path')));
+
+        for (const folderItem of folders) {
+            if (renderId !== this.treeRenderId) return;
+            await this.expandFolder(folderItem);
+            await this.restoreExpandedFolders(folderItem.nextElementSibling, renderId);
+        }
+    }
+
+    saveExpandedFolders() {
+        localStorage.setItem('file-tree-expanded', JSON.stringify(Array.from(this.expandedFolders)));
+    }
+
+    showTreeContextMenu(item, x, y) {
+        this.hideTreeContextMenu();
+
+        const isFolder = item.classList.contains('folder-item');
+        const actions = [
+            !isFolder && { label: 'Open', action: () => this.openFile(item) },
+            { label: 'Rename…', action: () => this.startRename(item) },
+            { label: 'Duplicate', action: () => this.duplicateTreeItem(item) },
+            { label: window.markdd && window.markdd.platform === 'darwin' ? 'Reveal in Finder' : 'Reveal in File Manager', action: () => this.revealTreeItem(item) },
+            { separator: true },
+            { label: 'Move to Trash', action: () => this.trashTreeItem(item), danger: true }
+        ].filter(Boolean);
+
+        const menu = document.createElement('div');
+        menu.className = 'file-context-menu';
+        menu.innerHTML = actions.map((entry, index) => entry.separator
+            ? '<div class="file-context-menu-separator"></div>'
+            : `<div class="file-context-menu-item${entry.danger ? ' danger' : ''}" data-index="${index}">${entry.label}</div>`
+        ).join('');
+        document.body.appendChild(menu);
+
+        // Keep the menu inside the window
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+        menu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+
+        menu.addEventListener('click', (e) => {
+            const entry = e.target.closest('.file-context-menu-item');
+            if (!entry) return;
+            this.hideTreeContextMenu();
+            actions[parseInt(entry.getAttribute('data-index'))].action();
+        });
+
+        this.contextMenuCloseHandler = (e) => {
+            if (e.type === 'keydown' && e.key !== 'Escape') return;
+            if (e.type === 'mousedown' && menu.contains(e.target)) return;
+            this.hideTreeContextMenu();
+        };
+        document.addEventListener('mousedown', this.contextMenuCloseHandler, true);
+        document.addEventListener('keydown', this.contextMenuCloseHandler, true);
+        window.addEventListener('blur', this.contextMenuCloseHandler);
+        this.contextMenu = menu;
+    }
+
+    hideTreeContextMenu() {
+        if (this.contextMenu) {
+            this.contextMenu.remove();
+            this.contextMenu = null;
+        }
+        if (this.contextMenuCloseHandler) {
+            document.removeEventListener('mousedown', this.contextMenuCloseHandler, true);
+            document.removeEventListener('keydown', this.contextMenuCloseHandler, true);
+            window.removeEventListener('blur', this.contextMenuCloseHandler);
+            this.contextMenuCloseHandler = null;
+        }
+    }
+
+    // Inline rename: the name becomes an input; Enter or blur commits, Escape cancels
+    startRename(item) {
+        const nameElement = item.querySelector('.file-name');
+        if (!nameElement || item.querySelector('.file-rename-input')) return;
+
+        const oldPath = item.getAttribute('data-path');
+        const oldName = this.getBaseName(oldPath);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'file-rename-input';
+        input.value = oldName;
+        item.setAttribute('draggable', 'false');
+        nameElement.replaceWith(input);
+
+        // Select the name without its extension, like most file managers
+        const dotIndex = oldName.lastIndexOf('.');
+        input.focus();
+        input.setSelectionRange(0, item.classList.contains('folder-item') || dotIndex <= 0 ? oldName.length : dotIndex);
+
+        let finished = false;
+        const finish = async (commit) => {
+            if (finished) return;
+            finished = true;
+            const newName = input.value.trim();
+            input.replaceWith(nameElement);
+            item.setAttribute('draggable', 'true');
+            if (commit && newName && newName !== oldName) {
+                await this.renameTreeItem(oldPath, newName);
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('dblclick', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    async renameTreeItem(oldPath, newName) {
+        if (!window.markdd) return;
+        const result = await window.markdd.renamePath({ oldPath, newName });
+        if (!result || !result.success) {
+            this.showToast(`Rename failed: ${result && result.error}`, 'error');
+            return;
+        }
+        this.handlePathMoved(result.oldPath, result.newPath);
+        this.showToast(`Renamed to ${this.getBaseName(result.newPath)}`, 'success');
+    }
+
+    async moveTreeItem(sourcePath, targetDir) {
+        if (!window.markdd || !sourcePath || !targetDir) return;
+        const result = await window.markdd.movePath({ sourcePath, targetDir });
+        if (!result || !result.success) {
+            this.showToast(`Move failed: ${result && result.error}`, 'error');
+            return;
+        }
+        if (result.newPath !== result.oldPath) {
+            this.handlePathMoved(result.oldPath, result.newPath);
+            this.showToast(`Moved ${this.getBaseName(result.newPath)} to ${this.getBaseName(targetDir)}`, 'success');
+        }
+    }
+
+    async duplicateTreeItem(item) {
+        if (!window.markdd) return;
+        const result = await window.markdd.duplicatePath({ sourcePath: item.getAttribute('data-path') });
+        if (!result || !result.success) {
+            this.showToast(`Duplicate failed: ${result && result.error}`, 'error');
+            return;
+        }
+        this.loadFolderContents();
+        this.showToast(`Created ${this.getBaseName(result.newPath)}`, 'success');
+    }
+
+    async trashTreeItem(item) {
+        if (!window.markdd) return;
+        const targetPath = item.getAttribute('data-path');
+        if (!confirm(`Move "${this.getBaseName(targetPath)}" to the trash?`)) return;
+
+        const result = await window.markdd.trashPath({ targetPath });
+        if (!result || !result.success) {
+            this.showToast(`Delete failed: ${result && result.error}`, 'error');
+            return;
+        }
+        this.expandedFolders.delete(targetPath);
+        this.saveExpandedFolders();
+        this.removeFromRecentFiles(targetPath);
+        this.loadFolderContents();
+        this.refreshWikiLinkIndex();
+    }
+
+    revealTreeItem(item) {
+        if (!window.markdd) return;
+        window.markdd.revealPath({ targetPath: item.getAttribute('data-path') });
+    }
+
+    // Keep tabs, the editor and remembered tree state pointing at a renamed/moved path
+    handlePathMoved(oldPath, newPath) {
+        const remap = (filePath) => {
+            if (filePath === oldPath) return newPath;
+            if (filePath.startsWith(oldPath + '/') || filePath.startsWith(oldPath + '\\')) {
+                return newPath + filePath.slice(oldPath.length);
+            }
+            return filePath;
+        };
+
+        this.expandedFolders = new Set(Array.from(this.expandedFolders).map(remap));
+        this.saveExpandedFolders();
+
+        const app = window.markddApp;
+        if (app && app.tabManager) {
+            app.tabManager.updateTabFilepaths(oldPath, newPath);
+        }
+        const editor = app?.getEditor();
+        if (editor && editor.getCurrentFile()) {
+            editor.currentFile = remap(editor.getCurrentFile());
+            editor.updateStatus();
+        }
+
+        const recentFiles = JSON.parse(localStorage.getItem('recent-files') || '[]').map(file => {
+            const path = remap(file.path);
+            return path === file.path ? file : { ...file, path, name: this.getBaseName(path) };
+        });
+        localStorage.setItem('recent-files', JSON.stringify(recentFiles));
+
+        this.loadFolderContents();
+        this.refreshWikiLinkIndex();
+    }
+
+    // Start (or move) the main-process watcher for the opened folder
+    watchWorkspace() {
+        if (!window.markdd) return;
+        window.markdd.watchFolder({ rootPath: this.workspaceRoot }).catch(error => {
+            console.error('[FileBrowser] Failed to watch folder:', error);
+        });
+    }
+
+    setupFileSystemListener() {
+        if (!window.markdd) return;
+        if (this.removeFileSystemListener) this.removeFileSystemListener();
+        this.removeFileSystemListener = window.markdd.on('file-system-changed', (change) => {
+            // Editors and git write in bursts; handle them together
+            this.pendingFileSystemChanges.push(change);
+            clearTimeout(this.fileSystemChangeTimer);
+            this.fileSystemChangeTimer = setTimeout(() => {
+                const changes = this.pendingFileSystemChanges;
+                this.pendingFileSystemChanges = [];
+                this.handleFileSystemChanges(changes);
+            }, 300);
+        });
+    }
+
+    // Open tabs are kept in sync by FileChangeMonitor; this only refreshes the sidebar
+    handleFileSystemChanges(changes) {
+        const structural = changes.some(change => change.event !== 'change');
+        if (structural) {
+            this.loadFolderContents();
+            this.refreshWikiLinkIndex();
+        }
+
+        if (this.currentPanel === 'backlinks') {
+            this.loadBacklinks();
+        }
     }
 
     isMarkdownFile(fileName) {
@@ -731,18 +1224,28 @@ class FileBrowser {
         return filePath.split(/[/\\]/).pop() || filePath;
     }
 
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     initializeSearch() {
         const searchInput = document.getElementById('search-input');
-        const searchResults = document.getElementById('search-results');
-        
-        if (searchInput && searchResults) {
-            searchInput.addEventListener('input', (e) => {
-                this.performSearch(e.target.value);
-            });
+        if (searchInput) {
+            searchInput.focus();
+            searchInput.select();
         }
     }
 
-    performSearch(query) {
+    // Shared with the main process, so a query valid here is valid for workspace search
+    buildSearchRegex(query) {
+        return SearchQuery.buildRegex(query, this.searchOptions);
+    }
+
+    async performSearch(query) {
         const searchResults = document.getElementById('search-results');
         if (!searchResults) return;
         
@@ -751,10 +1254,43 @@ class FileBrowser {
             return;
         }
 
-        // Search in current editor content
-        const editor = document.getElementById('editor');
-        if (editor && editor.value) {
-            const results = this.searchInContent(editor.value, query);
+        try {
+            this.buildSearchRegex(query);
+        } catch (error) {
+            searchResults.innerHTML = `<p class="search-placeholder">Invalid regular expression: ${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        // Search every markdown file under the opened folder
+        if (this.workspaceRoot && window.markdd) {
+            const requestId = ++this.searchRequestId;
+            searchResults.innerHTML = '<p class="search-placeholder">Searching…</p>';
+            try {
+                const result = await window.markdd.searchWorkspace({
+                    rootPath: this.workspaceRoot,
+                    query,
+                    ...this.searchOptions
+                });
+                // A newer search superseded this one while it was running
+                if (requestId !== this.searchRequestId) return;
+
+                if (!result || !result.success) {
+                    searchResults.innerHTML = `<p class="search-placeholder">Search failed: ${this.escapeHtml(result && result.error)}</p>`;
+                    return;
+                }
+                this.displayWorkspaceSearchResults(result, query);
+            } catch (error) {
+                console.error('[FileBrowser] Workspace search failed:', error);
+                searchResults.innerHTML = '<p class="search-placeholder">Error searching files</p>';
+            }
+            return;
+        }
+
+        // No folder open: search in current editor content
+        const editor = window.markddApp?.getEditor();
+        const content = editor ? editor.getValue() : '';
+        if (content) {
+            const results = this.searchInContent(content, query);
             this.displaySearchResults(results, query);
         } else {
             searchResults.innerHTML = '<p class="search-placeholder">No content to search</p>';
@@ -764,18 +1300,18 @@ class FileBrowser {
     searchInContent(content, query) {
         const lines = content.split('\n');
         const results = [];
-        const queryLower = query.toLowerCase();
+        const searchRegex = this.buildSearchRegex(query);
 
         lines.forEach((line, index) => {
-            const lineLower = line.toLowerCase();
-            const matchIndex = lineLower.indexOf(queryLower);
+            searchRegex.lastIndex = 0;
+            const match = searchRegex.exec(line);
             
-            if (matchIndex !== -1) {
+            if (match && match[0].length > 0) {
                 results.push({
                     lineNumber: index + 1,
                     line: line,
-                    matchIndex: matchIndex,
-                    matchLength: query.length
+                    matchIndex: match.index,
+                    matchLength: match[0].length
                 });
             }
         });
@@ -783,30 +1319,33 @@ class FileBrowser {
         return results;
     }
 
+    // Line text with the match wrapped in <mark>, escaped for innerHTML
+    highlightSearchMatch(line, matchIndex, matchLength) {
+        const beforeMatch = line.substring(0, matchIndex);
+        const match = line.substring(matchIndex, matchIndex + matchLength);
+        const afterMatch = line.substring(matchIndex + matchLength);
+        // Keep some context before long matches visible
+        const context = beforeMatch.length > 40 ? '…' + beforeMatch.slice(-40) : beforeMatch;
+        return `${this.escapeHtml(context)}<mark>${this.escapeHtml(match)}</mark>${this.escapeHtml(afterMatch)}`;
+    }
+
     displaySearchResults(results, query) {
         const searchResults = document.getElementById('search-results');
         if (!searchResults) return;
 
         if (results.length === 0) {
-            searchResults.innerHTML = `<p class="search-placeholder">No matches found for "${query}"</p>`;
+            searchResults.innerHTML = `<p class="search-placeholder">No matches found for "${this.escapeHtml(query)}"</p>`;
             return;
         }
 
-        const resultsHtml = results.map(result => {
-            // Highlight the match in the line
-            const beforeMatch = result.line.substring(0, result.matchIndex);
-            const match = result.line.substring(result.matchIndex, result.matchIndex + result.matchLength);
-            const afterMatch = result.line.substring(result.matchIndex + result.matchLength);
-            
-            return `
+        const resultsHtml = results.map(result => `
                 <div class="search-result-item" data-line="${result.lineNumber}">
                     <div class="search-result-line">Line ${result.lineNumber}</div>
                     <div class="search-result-content">
-                        ${beforeMatch}<mark>${match}</mark>${afterMatch}
+                        ${this.highlightSearchMatch(result.line, result.matchIndex, result.matchLength)}
                     </div>
                 </div>
-            `;
-        }).join('');
+            `).join('');
 
         searchResults.innerHTML = `
             <div class="search-results-header">
@@ -826,6 +1365,211 @@ class FileBrowser {
         console.log('[FileBrowser] Search completed:', results.length, 'matches found');
     }
 
+    displayWorkspaceSearchResults(result, query) {
+        const searchResults = document.getElementById('search-results');
+        if (!searchResults) return;
+
+        if (result.results.length === 0) {
+            searchResults.innerHTML = `<p class="search-placeholder">No matches found for "${this.escapeHtml(query)}" in ${result.filesSearched} files</p>`;
+            return;
+        }
+
+        const groupsHtml = result.results.map(file => `
+            <div class="search-file-group">
+                <div class="search-file-header" title="${this.escapeHtml(file.path)}">
+                    📄 ${this.escapeHtml(file.relativePath)}
+                    <span class="search-file-count">${file.matches.length}</span>
+                </div>
+                ${file.matches.map(match => `
+                    <div class="search-result-item" data-path="${this.escapeHtml(file.path)}" data-line="${match.line}" data-column="${match.column}" data-length="${match.length}">
+                        <div class="search-result-line">Line ${match.line}</div>
+                        <div class="search-result-content">${this.highlightSearchMatch(match.text, match.column, match.length)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        searchResults.innerHTML = `
+            <div class="search-results-header">
+                ${result.totalMatches}${result.truncated ? '+' : ''} match${result.totalMatches === 1 ? '' : 'es'} in ${result.results.length} file${result.results.length === 1 ? '' : 's'}
+            </div>
+            ${groupsHtml}
+        `;
+
+        searchResults.querySelectorAll('.search-file-header').forEach(header => {
+            header.addEventListener('click', () => header.parentElement.classList.toggle('collapsed'));
+        });
+
+        searchResults.querySelectorAll('.search-result-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.openSearchResult(
+                    item.getAttribute('data-path'),
+                    parseInt(item.getAttribute('data-line')),
+                    parseInt(item.getAttribute('data-column')),
+                    parseInt(item.getAttribute('data-length'))
+                );
+            });
+        });
+
+        console.log('[FileBrowser] Workspace search completed:', result.totalMatches, 'matches in', result.results.length, 'files');
+    }
+
+    // Open (or switch to) the file in a tab and select the match
+    async openSearchResult(filePath, line, column = 0, length = 0) {
+        const app = window.markddApp;
+        const editor = app?.getEditor();
+        if (!editor || !window.markdd) return;
+
+        if (editor.getCurrentFile() !== filePath) {
+            try {
+                const result = await window.markdd.readFile(filePath);
+                if (!result || !result.success) {
+                    this.showToast('Failed to open file', 'error');
+                    return;
+                }
+                await app.openFile(filePath, result.content);
+                this.addToRecentFiles(filePath, this.getBaseName(filePath));
+            } catch (error) {
+                console.error('[FileBrowser] Failed to open search result:', error);
+                return;
+            }
+        }
+
+        if (typeof editor.goToLine === 'function') {
+            editor.goToLine(line, column, length);
+        } else {
+            this.scrollToLine(line);
+        }
+    }
+
+    // Files open in tabs with unsaved edits are never rewritten on disk
+    getUnsavedFilePaths() {
+        const app = window.markddApp;
+        const paths = new Set();
+        if (app && app.tabManager) {
+            app.tabManager.getAllTabs().forEach(tab => {
+                if (tab.filepath && tab.isDirty) paths.add(tab.filepath);
+            });
+        }
+        const editor = app?.getEditor();
+        if (editor && editor.getCurrentFile() && editor.isFileModified()) {
+            paths.add(editor.getCurrentFile());
+        }
+        return paths;
+    }
+
+    async previewWorkspaceReplace() {
+        const searchResults = document.getElementById('search-results');
+        const query = (document.getElementById('search-input') || {}).value || '';
+        const replacement = (document.getElementById('replace-input') || {}).value || '';
+        if (!searchResults || !query.trim()) return;
+
+        if (!this.workspaceRoot) {
+            this.showToast('Open a folder to replace across files', 'warning');
+            return;
+        }
+        if (!window.markdd) return;
+
+        const request = { rootPath: this.workspaceRoot, query, replacement, ...this.searchOptions };
+        let preview;
+        try {
+            preview = await window.markdd.replaceInWorkspace({ ...request, dryRun: true });
+        } catch (error) {
+            console.error('[FileBrowser] Replace preview failed:', error);
+            return;
+        }
+        if (!preview || !preview.success) {
+            searchResults.innerHTML = `<p class="search-placeholder">Replace failed: ${this.escapeHtml(preview && preview.error)}</p>`;
+            return;
+        }
+        if (preview.changes.length === 0) {
+            searchResults.innerHTML = `<p class="search-placeholder">No matches found for "${this.escapeHtml(query)}"</p>`;
+            return;
+        }
+
+        const unsaved = this.getUnsavedFilePaths();
+        const maxLinesPerFile = 50;
+        searchResults.innerHTML = `
+            <div class="search-results-header">
+                Replace ${preview.totalReplacements} match${preview.totalReplacements === 1 ? '' : 'es'} in ${preview.changes.length} file${preview.changes.length === 1 ? '' : 's'}?
+            </div>
+            <div class="replace-preview-actions">
+                <button id="replace-apply-btn" class="sidebar-btn replace-apply-btn">Replace</button>
+                <button id="replace-cancel-btn" class="sidebar-btn">Cancel</button>
+            </div>
+            ${preview.changes.map(file => {
+                const skipped = unsaved.has(file.path);
+                return `
+                <div class="search-file-group replace-preview-file">
+                    <label class="search-file-header" title="${this.escapeHtml(file.path)}">
+                        <input type="checkbox" class="replace-file-checkbox" data-path="${this.escapeHtml(file.path)}" ${skipped ? 'disabled' : 'checked'}>
+                        ${this.escapeHtml(file.relativePath)}
+                        <span class="search-file-count">${file.count}</span>
+                        ${skipped ? '<span class="replace-skipped">unsaved changes – skipped</span>' : ''}
+                    </label>
+                    ${file.lines.slice(0, maxLinesPerFile).map(change => `
+                        <div class="replace-preview-line">
+                            <div class="search-result-line">Line ${change.line}</div>
+                            <div class="replace-preview-before">${this.escapeHtml(change.before)}</div>
+                            <div class="replace-preview-after">${this.escapeHtml(change.after)}</div>
+                        </div>
+                    `).join('')}
+                    ${file.lines.length > maxLinesPerFile ? `<div class="search-result-line">… ${file.lines.length - maxLinesPerFile} more lines</div>` : ''}
+                </div>`;
+            }).join('')}
+        `;
+
+        document.getElementById('replace-cancel-btn').addEventListener('click', () => this.performSearch(query));
+        document.getElementById('replace-apply-btn').addEventListener('click', async () => {
+            const filePaths = Array.from(searchResults.querySelectorAll('.replace-file-checkbox:checked'))
+                .map(checkbox => checkbox.getAttribute('data-path'));
+            if (filePaths.length === 0) return;
+            // Files edited after the preview are left alone rather than replaced unseen
+            const expected = preview.changes
+                .filter(change => filePaths.includes(change.path))
+                .map(({ path, count, mtimeMs }) => ({ path, count, mtimeMs }));
+
+            try {
+                const result = await window.markdd.replaceInWorkspace({ ...request, filePaths, expected, dryRun: false });
+                if (!result || !result.success) {
+                    this.showToast(`Replace failed: ${result && result.error}`, 'error');
+                    return;
+                }
+                await this.reloadOpenTabs(result.changes.map(change => change.path));
+                const skipped = result.skipped || [];
+                this.showToast(`Replaced ${result.totalReplacements} match${result.totalReplacements === 1 ? '' : 'es'} in ${result.changes.length} file${result.changes.length === 1 ? '' : 's'}` +
+                    (skipped.length ? `; skipped ${skipped.map(file => file.relativePath).join(', ')} (changed since the preview)` : ''),
+                    skipped.length ? 'warning' : 'success');
+                this.performSearch(query);
+            } catch (error) {
+                console.error('[FileBrowser] Replace failed:', error);
+                this.showToast('Replace failed', 'error');
+            }
+        });
+    }
+
+    // Pick up on-disk changes in tabs that had no unsaved edits
+    async reloadOpenTabs(filePaths) {
+        const app = window.markddApp;
+        if (!app || !app.tabManager || !window.markdd) return;
+
+        const changed = new Set(filePaths);
+        const activeTab = app.tabManager.getActiveTab();
+
+        for (const tab of app.tabManager.getAllTabs()) {
+            if (!tab.filepath || !changed.has(tab.filepath) || tab.isDirty) continue;
+            const result = await window.markdd.readFile(tab.filepath);
+            if (!result || !result.success || result.content === tab.savedContent) continue;
+
+            tab.content = result.content;
+            tab.savedContent = result.content;
+            if (activeTab && activeTab.id === tab.id && app.editor) {
+                app.editor.setContent(result.content);
+            }
+        }
+        app.tabManager.persist();
+    }
+
     loadSearchResults() {
         // Implementation for loading search results
         const searchResults = document.getElementById('search-results');
@@ -848,44 +1592,42 @@ class FileBrowser {
         }
 
         const tocHtml = headings.map(heading => 
-            `<a href="#" class="toc-item level-${heading.level}" data-line="${heading.line}">
-                ${'&nbsp;&nbsp;'.repeat(heading.level - 1)}${heading.text}
+            `<a href="#${this.escapeHtml(heading.id)}" class="toc-item level-${heading.level}" data-line="${heading.line}" data-anchor="${this.escapeHtml(heading.id)}">
+                ${'&nbsp;&nbsp;'.repeat(heading.level - 1)}${this.escapeHtml(Slugger.plainText(heading.text))}
             </a>`
         ).join('');
 
         tocContent.innerHTML = tocHtml;
 
-        // Add click handlers
+        // Add click handlers: the editor jumps to the line; without scroll sync the
+        // preview follows through the heading's id
         tocContent.querySelectorAll('.toc-item').forEach(item => {
             item.addEventListener('click', (e) => {
                 e.preventDefault();
                 const line = parseInt(item.getAttribute('data-line'));
                 this.scrollToLine(line);
+                const preview = window.markddApp?.preview;
+                if (preview && !preview.syncScroll) {
+                    preview.scrollToAnchor(item.getAttribute('data-anchor'));
+                }
             });
         });
 
         console.log('[FileBrowser] Table of Contents updated with', headings.length, 'headings');
     }
 
+    // Same headings and ids as the preview (fenced code and front-matter skipped)
     extractHeadings(content) {
-        const lines = content.split('\n');
-        const headings = [];
-        
-        lines.forEach((line, index) => {
-            const match = line.match(/^(#{1,6})\s+(.+)$/);
-            if (match) {
-                headings.push({
-                    level: match[1].length,
-                    text: match[2].trim(),
-                    line: index + 1
-                });
-            }
-        });
-        
-        return headings;
+        return Slugger.extractHeadings(content);
     }
 
     scrollToLine(lineNumber) {
+        const markddEditor = window.markddApp?.getEditor();
+        if (markddEditor && typeof markddEditor.goToLine === 'function') {
+            markddEditor.goToLine(lineNumber);
+            return;
+        }
+
         const editor = document.getElementById('editor');
         if (!editor) return;
 
@@ -988,6 +1730,32 @@ class FileBrowser {
             // Apply to editor
             this.applyWordWrap(wordWrapEnabled);
         }
+
+        this.loadDiagramToolSettings();
+
+        const frontMatterDisplaySelect = document.getElementById('front-matter-display-select');
+        if (frontMatterDisplaySelect) {
+            frontMatterDisplaySelect.value = localStorage.getItem('front-matter-display') || 'hidden';
+        }
+
+        const htmlSanitizationSelect = document.getElementById('html-sanitization-select');
+        if (htmlSanitizationSelect) {
+            htmlSanitizationSelect.value = localStorage.getItem('html-sanitization') || 'strict';
+        }
+
+        const imageStorageSelect = document.getElementById('image-storage-select');
+        if (imageStorageSelect) {
+            imageStorageSelect.value = localStorage.getItem('image-storage') || 'files';
+            ['image-assets-folder', 'image-name-template'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.value = localStorage.getItem(id) || '';
+            });
+            const imageConvertCheckbox = document.getElementById('image-convert-inline');
+            if (imageConvertCheckbox) {
+                imageConvertCheckbox.checked = localStorage.getItem('image-convert-inline') !== 'false'; // Default to true
+            }
+            this.updateImageSettingsVisibility(imageStorageSelect.value);
+        }
     }
 
     changeTheme(theme) {
@@ -1023,14 +1791,138 @@ class FileBrowser {
         }
     }
 
+    // PlantUML and Graphviz settings live in the main process, which decides what programs run
+    async loadDiagramToolSettings() {
+        if (!window.markdd) return;
+        const result = await window.markdd.getDiagramTools();
+        if (result && result.success) {
+            this.applyDiagramToolSettings(result.settings);
+        }
+    }
+
+    applyDiagramToolSettings(settings) {
+        const plantumlModeSelect = document.getElementById('plantuml-mode-select');
+        const jarInput = document.getElementById('plantuml-jar-path');
+        const javaInput = document.getElementById('plantuml-java-path');
+        const serverInput = document.getElementById('plantuml-server-url');
+        const graphvizPathInput = document.getElementById('graphviz-path');
+        if (plantumlModeSelect) plantumlModeSelect.value = settings.plantumlMode;
+        if (jarInput) jarInput.value = settings.plantumlJarPath;
+        if (javaInput) javaInput.value = settings.plantumlJavaPath;
+        if (serverInput) serverInput.value = settings.plantumlServerUrl;
+        if (graphvizPathInput) graphvizPathInput.value = settings.graphvizPath;
+        this.updatePlantUMLSettingsVisibility(settings.plantumlMode);
+    }
+
+    changePlantUMLMode(mode) {
+        // plantuml.com receives the full diagram source - the main process asks before switching
+        this.changeDiagramTools({ plantumlMode: mode });
+    }
+
+    async changeDiagramTools(changes) {
+        if (!window.markdd) return;
+        const result = await window.markdd.setDiagramTools(changes);
+        if (result.settings) {
+            this.applyDiagramToolSettings(result.settings);
+        }
+        if (!result.success) {
+            this.showToast(result.error, 'error');
+            return;
+        }
+        console.log('[FileBrowser] Diagram tool settings changed:', changes);
+        this.rerenderDiagrams();
+    }
+
+    async chooseDiagramTool(setting, clear = false) {
+        if (!window.markdd) return;
+        const result = await window.markdd.chooseDiagramTool({ setting, clear });
+        if (!result.success) {
+            this.showToast(result.error, 'error');
+            return;
+        }
+        this.applyDiagramToolSettings(result.settings);
+        if (!result.canceled) {
+            this.rerenderDiagrams();
+        }
+    }
+
+    // Re-render so diagram blocks pick up the new renderer or program
+    rerenderDiagrams() {
+        // Drop the cached Graphviz executable lookup
+        if (window.localGraphViz && typeof window.localGraphViz.reset === 'function') {
+            window.localGraphViz.reset();
+        }
+        if (window.markddApp && window.markddApp.preview && window.markddApp.editor) {
+            window.markddApp.renderer.clearBlockCache();
+            const content = window.markddApp.editor.getValue();
+            if (content.trim()) {
+                window.markddApp.preview.updatePreview(content);
+            }
+        }
+    }
+
+    changeFrontMatterDisplay(mode) {
+        localStorage.setItem('front-matter-display', mode);
+        console.log('[FileBrowser] Front-matter display changed to:', mode);
+
+        if (window.markddApp && window.markddApp.preview && window.markddApp.editor) {
+            const content = window.markddApp.editor.getValue();
+            if (content.trim()) {
+                window.markddApp.preview.updatePreview(content);
+            }
+        }
+    }
+
+    changeHtmlSanitization(mode) {
+        localStorage.setItem('html-sanitization', mode);
+        console.log('[FileBrowser] HTML sanitization changed to:', mode);
+
+        if (window.markddApp && window.markddApp.preview && window.markddApp.editor) {
+            const content = window.markddApp.editor.getValue();
+            if (content.trim()) {
+                window.markddApp.preview.updatePreview(content);
+            }
+        }
+    }
+
+    changeImageSetting(key, value) {
+        // An empty template falls back to the default
+        if (value === '') {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+        console.log('[FileBrowser] Image setting changed:', key, value || '(default)');
+    }
+
+    updateImageSettingsVisibility(mode) {
+        const display = mode === 'inline' ? 'none' : '';
+        ['image-assets-folder', 'image-name-template'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.style.display = display;
+        });
+        const imageConvertCheckbox = document.getElementById('image-convert-inline');
+        if (imageConvertCheckbox && imageConvertCheckbox.parentElement) {
+            imageConvertCheckbox.parentElement.style.display = display;
+        }
+    }
+
+    updatePlantUMLSettingsVisibility(mode) {
+        const jarRow = document.getElementById('plantuml-jar-row');
+        const javaRow = document.getElementById('plantuml-java-row');
+        const serverInput = document.getElementById('plantuml-server-url');
+        if (jarRow) jarRow.style.display = mode === 'jar' ? '' : 'none';
+        if (javaRow) javaRow.style.display = mode === 'jar' ? '' : 'none';
+        if (serverInput) serverInput.style.display = mode === 'server' ? '' : 'none';
+    }
+
     changeFontSize(size) {
         localStorage.setItem('font-size', size);
         this.updateFontSizeDisplay(size);
         
         // Apply font size to editor
-        const editor = document.getElementById('editor');
-        if (editor) {
-            editor.style.fontSize = `${size}px`;
+        if (window.markddApp && window.markddApp.editor) {
+            window.markddApp.editor.setFontSize(size);
         }
     }
 
@@ -1096,17 +1988,8 @@ class FileBrowser {
     }
 
     applyWordWrap(enabled) {
-        const editor = document.getElementById('editor');
-        if (editor) {
-            if (enabled) {
-                editor.style.whiteSpace = 'pre-wrap';
-                editor.style.wordWrap = 'break-word';
-                editor.style.overflowWrap = 'break-word';
-            } else {
-                editor.style.whiteSpace = 'pre';
-                editor.style.wordWrap = 'normal';
-                editor.style.overflowWrap = 'normal';
-            }
+        if (window.markddApp && window.markddApp.editor) {
+            window.markddApp.editor.setLineWrapping(enabled);
         }
     }
 
@@ -1164,6 +2047,84 @@ class FileBrowser {
         console.log('[FileBrowser] Bookmark added:', fileName);
     }
 
+    // Wiki-links: give the renderer the markdown files of the opened folder
+    async refreshWikiLinkIndex() {
+        if (!window.markdd || !this.workspaceRoot) return;
+
+        try {
+            const result = await window.markdd.listMarkdownFiles({ rootPath: this.workspaceRoot });
+            if (!result || !result.success) {
+                console.warn('[FileBrowser] Failed to index workspace:', result && result.error);
+                return;
+            }
+
+            const app = window.markddApp;
+            if (app && app.renderer && typeof app.renderer.setWikiLinkIndex === 'function') {
+                app.renderer.setWikiLinkIndex(result.files);
+                // Re-render so link resolution and unresolved styling are current
+                if (app.preview && app.editor) {
+                    const content = app.editor.getValue();
+                    if (content.includes('[[')) {
+                        app.preview.updatePreview(content);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('[FileBrowser] Failed to index workspace:', error);
+        }
+    }
+
+    async loadBacklinks() {
+        const backlinksContent = document.getElementById('backlinks-content');
+        if (!backlinksContent) return;
+
+        const editor = window.markddApp?.getEditor();
+        const currentFile = editor ? editor.getCurrentFile() : null;
+        this.backlinksFile = currentFile;
+
+        if (!this.workspaceRoot) {
+            backlinksContent.innerHTML = '<p class="backlinks-placeholder">Open a folder to see backlinks</p>';
+            return;
+        }
+        if (!currentFile) {
+            backlinksContent.innerHTML = '<p class="backlinks-placeholder">Save the document to see backlinks</p>';
+            return;
+        }
+        if (!window.markdd) return;
+
+        backlinksContent.innerHTML = '<p class="backlinks-placeholder">Searching…</p>';
+        try {
+            const result = await window.markdd.findBacklinks({ rootPath: this.workspaceRoot, filePath: currentFile });
+            // Ignore stale results if the user switched files meanwhile
+            if (this.backlinksFile !== currentFile) return;
+
+            if (!result || !result.success) {
+                backlinksContent.innerHTML = `<p class="backlinks-placeholder">Failed to find backlinks: ${this.escapeHtml(result && result.error)}</p>`;
+                return;
+            }
+            if (result.backlinks.length === 0) {
+                backlinksContent.innerHTML = `<p class="backlinks-placeholder">No notes link to ${this.escapeHtml(this.getBaseName(currentFile))}</p>`;
+                return;
+            }
+
+            backlinksContent.innerHTML = result.backlinks.map(backlink => `
+                <div class="backlink-item" data-path="${this.escapeHtml(backlink.path)}">
+                    <div class="backlink-name">🔗 ${this.escapeHtml(backlink.relativePath)}</div>
+                    ${backlink.mentions.map(mention => `
+                        <div class="backlink-context" data-line="${mention.line}">${mention.line}: ${this.escapeHtml(mention.context)}</div>
+                    `).join('')}
+                </div>
+            `).join('');
+
+            backlinksContent.querySelectorAll('.backlink-item').forEach(item => {
+                item.addEventListener('click', () => this.openBookmarkedFile(item.getAttribute('data-path')));
+            });
+        } catch (error) {
+            console.error('[FileBrowser] Failed to load backlinks:', error);
+            backlinksContent.innerHTML = '<p class="backlinks-placeholder">Error loading backlinks</p>';
+        }
+    }
+
     loadBookmarks() {
         const bookmarks = JSON.parse(localStorage.getItem('bookmarks') || '[]');
         const bookmarksContent = document.getElementById('bookmarks-content');
@@ -1211,10 +2172,9 @@ class FileBrowser {
     }
 
     async openBookmarkedFile(filePath) {
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
+        if (window.markdd) {
             try {
-                const result = await ipcRenderer.invoke('read-file', filePath);
+                const result = await window.markdd.readFile(filePath);
                 if (result && result.success) {
                     const editor = window.markddApp?.getEditor();
                     if (editor) {
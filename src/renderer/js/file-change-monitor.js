@@ -0,0 +1,481 @@
+/**
+ * File Change Monitor
+ * Watches the files backing open tabs (through the main process) and reacts when
+ * something else changes them on disk: clean tabs reload silently, tabs with unsaved
+ * edits get a non-modal banner offering Reload / Keep mine / Compare.
+ */
+class FileChangeMonitor {
+    constructor(app) {
+        this.app = app;
+        this.tabManager = app.tabManager;
+        // filepath -> { event: 'change' | 'add' | 'unlink', content }
+        this.pendingChanges = new Map();
+        this.watchedKey = '';
+        this.syncTimer = null;
+        this.banner = null;
+        this.compareModal = null;
+
+        if (!window.markdd || !this.tabManager) {
+            console.log('[FileChangeMonitor] File system access not available');
+            return;
+        }
+
+        this.setupStyles();
+        this.setupBanner();
+        this.setupListeners();
+        this.syncWatchedFiles();
+    }
+
+    setupStyles() {
+        const styles = `
+            <style id="file-change-monitor-styles">
+                .file-change-banner {
+                    display: none;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 6px 12px;
+                    font-size: 13px;
+                    background: #fff8e1;
+                    color: #5d4300;
+                    border-bottom: 1px solid #ffe082;
+                }
+
+                [data-theme="dark"] .file-change-banner {
+                    background: #3d3500;
+                    color: #ffe082;
+                    border-bottom-color: #6d5d00;
+                }
+
+                .file-change-banner.visible {
+                    display: flex;
+                }
+
+                .file-change-banner-message {
+                    flex: 1;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .file-change-banner button,
+                .file-compare-footer button {
+                    padding: 3px 10px;
+                    font-size: 12px;
+                    border: 1px solid var(--border-color, #ddd);
+                    border-radius: 4px;
+                    background: var(--bg-color, #fff);
+                    color: var(--text-color, #333);
+                    cursor: pointer;
+                }
+
+                .file-change-banner button:hover,
+                .file-compare-footer button:hover {
+                    background: var(--hover-bg, #f0f0f0);
+                }
+
+                .file-compare-modal {
+                    position: fixed;
+                    inset: 0;
+                    z-index: 10000;
+                    display: none;
+                    align-items: center;
+                    justify-content: center;
+                    background: rgba(0, 0, 0, 0.5);
+                }
+
+                .file-compare-content {
+                    display: flex;
+                    flex-direction: column;
+                    width: min(900px, 94vw);
+                    max-height: 86vh;
+                    background: var(--bg-color, #fff);
+                    color: var(--text-color, #333);
+                    border: 1px solid var(--border-color, #ddd);
+                    border-radius: 8px;
+                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+                }
+
+                .file-compare-header,
+                .file-compare-footer {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 10px 16px;
+                }
+
+                .file-compare-header {
+                    justify-content: space-between;
+                    border-bottom: 1px solid var(--border-color, #ddd);
+                }
+
+                .file-compare-header h3 {
+                    margin: 0;
+                    font-size: 15px;
+                }
+
+                .file-compare-legend {
+                    font-size: 12px;
+                    color: var(--text-muted, #666);
+                }
+
+                .file-compare-footer {
+                    justify-content: flex-end;
+                    border-top: 1px solid var(--border-color, #ddd);
+                }
+
+                .file-compare-diff {
+                    flex: 1;
+                    margin: 0;
+                    overflow: auto;
+                    font-family: 'Consolas', 'Monaco', monospace;
+                    font-size: 12px;
+                    line-height: 1.5;
+                }
+
+                .file-compare-line {
+                    padding: 0 12px;
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                }
+
+                .file-compare-line.removed {
+                    background: rgba(215, 58, 73, 0.15);
+                }
+
+                .file-compare-line.added {
+                    background: rgba(40, 167, 69, 0.15);
+                }
+
+                .file-compare-line.skipped {
+                    color: var(--text-muted, #666);
+                    font-style: italic;
+                }
+            </style>
+        `;
+        document.head.insertAdjacentHTML('beforeend', styles);
+    }
+
+    setupBanner() {
+        const container = document.getElementById('editor-container');
+        if (!container) return;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'file-change-banner';
+        this.banner.setAttribute('role', 'status');
+        container.insertBefore(this.banner, container.firstChild);
+
+        this.banner.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const tab = this.tabManager.getActiveTab();
+            if (!button || !tab) return;
+
+            switch (button.getAttribute('data-action')) {
+                case 'reload':
+                    this.reloadTab(tab, this.pendingChanges.get(tab.filepath).content);
+                    break;
+                case 'keep':
+                    this.keepMine(tab);
+                    break;
+                case 'compare':
+                    this.showCompare(tab);
+                    break;
+                case 'close':
+                    this.pendingChanges.delete(tab.filepath);
+                    this.tabManager.closeTab(tab.id);
+                    this.updateBanner();
+                    break;
+            }
+        });
+    }
+
+    setupListeners() {
+        if (this.removeChangeListener) this.removeChangeListener();
+        this.removeChangeListener = window.markdd.on('open-file-changed', change => this.handleChange(change));
+
+        // Keep the watched set in step with the files open in tabs
+        ['tab-created', 'tab-closed', 'tab-updated', 'tab-title-changed'].forEach(eventName => {
+            this.tabManager.on(eventName, () => this.scheduleSync());
+        });
+        this.tabManager.on('tab-switched', () => this.updateBanner());
+    }
+
+    scheduleSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncWatchedFiles(), 200);
+    }
+
+    syncWatchedFiles() {
+        const filePaths = [...new Set(this.tabManager.getAllTabs().map(tab => tab.filepath).filter(Boolean))].sort();
+        const key = filePaths.join('\n');
+        if (key === this.watchedKey) return;
+        this.watchedKey = key;
+
+        // Forget changes for files that are no longer open
+        for (const filePath of this.pendingChanges.keys()) {
+            if (!filePaths.includes(filePath)) this.pendingChanges.delete(filePath);
+        }
+        this.updateBanner();
+
+        window.markdd.watchOpenFiles({ filePaths }).catch(error => {
+            console.error('[FileChangeMonitor] Failed to watch open files:', error);
+        });
+    }
+
+    getTabByFilepath(filePath) {
+        const tabId = this.tabManager.findTabByFilepath(filePath);
+        return tabId ? this.tabManager.getTab(tabId) : null;
+    }
+
+    handleChange(change) {
+        const tab = this.getTabByFilepath(change.path);
+        if (!tab) return;
+        console.log('[FileChangeMonitor] File changed on disk:', change.event, change.path);
+
+        if (change.event !== 'unlink') {
+            if (change.content === tab.savedContent) {
+                // Touched but identical (e.g. git checkout of the same content)
+                this.pendingChanges.delete(change.path);
+                this.acknowledge(change.path);
+                this.updateBanner();
+                return;
+            }
+            if (!tab.isDirty) {
+                this.reloadTab(tab, change.content);
+                return;
+            }
+        }
+
+        this.pendingChanges.set(change.path, { event: change.event, content: change.content });
+        this.updateBanner();
+    }
+
+    updateBanner() {
+        if (!this.banner) return;
+
+        const tab = this.tabManager.getActiveTab();
+        const change = tab && tab.filepath ? this.pendingChanges.get(tab.filepath) : null;
+        if (!change) {
+            this.banner.classList.remove('visible');
+            return;
+        }
+
+        const name = this.escapeHtml(tab.title);
+        this.banner.innerHTML = change.event === 'unlink'
+            ? `<span class="file-change-banner-message">⚠️ "${name}" was deleted on disk.</span>
+               <button data-action="keep" title="Keep the document open; saving recreates the file">Keep mine</button>
+               <button data-action="close">Close tab</button>`
+            : `<span class="file-change-banner-message">⚠️ "${name}" was changed on disk and you have unsaved edits.</span>
+               <button data-action="reload" title="Discard your edits and load the version on disk">Reload</button>
+               <button data-action="keep" title="Keep your edits; saving overwrites the version on disk">Keep mine</button>
+               <button data-action="compare">Compare</button>`;
+        this.banner.classList.add('visible');
+    }
+
+    reloadTab(tab, content) {
+        this.pendingChanges.delete(tab.filepath);
+
+        // savedContent first, so the editor change below does not mark the tab dirty
+        tab.savedContent = content;
+        tab.content = content;
+        tab.isDirty = false;
+
+        const activeTab = this.tabManager.getActiveTab();
+        if (activeTab && activeTab.id === tab.id && this.app.editor) {
+            this.app.editor.setContent(content);
+        } else {
+            this.tabManager.emit('tab-updated', { tabId: tab.id, tabData: tab });
+        }
+        this.tabManager.persist();
+        this.acknowledge(tab.filepath);
+        this.updateBanner();
+        console.log('[FileChangeMonitor] Reloaded from disk:', tab.filepath);
+    }
+
+    keepMine(tab) {
+        const change = this.pendingChanges.get(tab.filepath);
+        this.pendingChanges.delete(tab.filepath);
+        this.acknowledge(tab.filepath);
+
+        if (change && change.event === 'unlink') {
+            // Nothing on disk matches the editor any more
+            tab.isDirty = true;
+            tab.savedContent = null;
+            const activeTab = this.tabManager.getActiveTab();
+            if (activeTab && activeTab.id === tab.id && this.app.editor) {
+                this.app.editor.setModified(true);
+            }
+            this.tabManager.emit('tab-updated', { tabId: tab.id, tabData: tab });
+        }
+        this.updateBanner();
+    }
+
+    // Accept the current disk state as the baseline for the pre-save check
+    acknowledge(filePath) {
+        window.markdd.acknowledgeFileChange({ filePath }).catch(error => {
+            console.error('[FileChangeMonitor] Failed to acknowledge change:', error);
+        });
+    }
+
+    showCompare(tab) {
+        const change = this.pendingChanges.get(tab.filepath);
+        if (!change) return;
+
+        if (!this.compareModal) {
+            this.compareModal = document.createElement('div');
+            this.compareModal.className = 'file-compare-modal';
+            this.compareModal.innerHTML = `
+                <div class="file-compare-content">
+                    <div class="file-compare-header">
+                        <h3 class="file-compare-title"></h3>
+                        <span class="file-compare-legend">− your version &nbsp; + version on disk</span>
+                    </div>
+                    <div class="file-compare-diff"></div>
+                    <div class="file-compare-footer">
+                        <button data-action="reload">Use disk version</button>
+                        <button data-action="keep">Keep mine</button>
+                        <button data-action="close">Close</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(this.compareModal);
+
+            this.compareModal.addEventListener('click', (e) => {
+                if (e.target === this.compareModal) {
+                    this.hideCompare();
+                    return;
+                }
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const action = button.getAttribute('data-action');
+                const compareTab = this.tabManager.getTab(this.compareModal.getAttribute('data-tab-id'));
+                this.hideCompare();
+                if (!compareTab) return;
+                if (action === 'reload' && this.pendingChanges.has(compareTab.filepath)) {
+                    this.reloadTab(compareTab, this.pendingChanges.get(compareTab.filepath).content);
+                } else if (action === 'keep') {
+                    this.keepMine(compareTab);
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.compareModal.style.display === 'flex') {
+                    this.hideCompare();
+                }
+            });
+        }
+
+        const mine = this.getCurrentContent(tab);
+        this.compareModal.setAttribute('data-tab-id', tab.id);
+        this.compareModal.querySelector('.file-compare-title').textContent = `Compare: ${tab.title}`;
+        this.compareModal.querySelector('.file-compare-diff').innerHTML = this.renderDiff(mine, change.content);
+        this.compareModal.style.display = 'flex';
+    }
+
+    hideCompare() {
+        if (this.compareModal) {
+            this.compareModal.style.display = 'none';
+        }
+    }
+
+    getCurrentContent(tab) {
+        const activeTab = this.tabManager.getActiveTab();
+        if (activeTab && activeTab.id === tab.id && this.app.editor) {
+            return this.app.editor.getValue();
+        }
+        return tab.content || '';
+    }
+
+    renderDiff(mine, disk) {
+        const rows = this.diffLines(mine.split(/\r?\n/), disk.split(/\r?\n/));
+        const context = 3;
+        const html = [];
+
+        rows.forEach((row, index) => {
+            if (row.type === 'same') {
+                // Collapse long runs of unchanged lines, keeping some context around changes
+                const near = rows.slice(Math.max(0, index - context), index + context + 1)
+                    .some(other => other.type !== 'same');
+                if (!near) {
+                    if (html.length === 0 || html[html.length - 1] !== null) html.push(null);
+                    return;
+                }
+            }
+            const sign = row.type === 'removed' ? '−' : row.type === 'added' ? '+' : ' ';
+            html.push(`<div class="file-compare-line ${row.type}">${sign} ${this.escapeHtml(row.text)}</div>`);
+        });
+
+        if (!rows.some(row => row.type !== 'same')) {
+            return '<div class="file-compare-line skipped">The versions are identical.</div>';
+        }
+        return html.map(line => line === null ? '<div class="file-compare-line skipped">⋯</div>' : line).join('');
+    }
+
+    // Line diff via longest common subsequence, after trimming the shared head and tail
+    diffLines(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+        const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length;
+        const m = midB.length;
+
+        // Too large for a full table: show the changed region as removed + added
+        if (n * m > 4000000) {
+            return head
+                .concat(midA.map(text => ({ type: 'removed', text })))
+                .concat(midB.map(text => ({ type: 'added', text })))
+                .concat(tail);
+        }
+
+        const table = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * (m + 1) + j] = midA[i] === midB[j]
+                    ? table[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+            }
+        }
+
+        const middle = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                middle.push({ type: 'same', text: midA[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+                middle.push({ type: 'removed', text: midA[i++] });
+            } else {
+                middle.push({ type: 'added', text: midB[j++] });
+            }
+        }
+        while (i < n) middle.push({ type: 'removed', text: midA[i++] });
+        while (j < m) middle.push({ type: 'added', text: midB[j++] });
+
+        return head.concat(middle, tail);
+    }
+
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileChangeMonitor;
+} else {
+    window.FileChangeMonitor = FileChangeMonitor;
+}
@@ -0,0 +1,147 @@
+/**
+ * HTML Sanitizer
+ * Cleans the HTML that marked renders from a document before it is put into the page, so
+ * opening an untrusted .md file cannot run script: <script>, on* handlers, javascript: URLs,
+ * frames, objects and forms are removed. SVG and MathML stay (Mermaid, MathJax, TikZ and
+ * Graphviz draw SVG, KaTeX writes MathML), and so do the <!--markdd-block:N--> comments the
+ * renderer uses for scroll sync.
+ *
+ * DOMPurify does the work when the library loader found it; otherwise a built-in allowlist
+ * pass runs on an inert <template>, where nothing loads or runs while it is cleaned.
+ *
+ * Modes (Settings > Raw HTML in documents, stored as 'html-sanitization'):
+ *   strict - the default described above
+ *   embeds - also keeps <iframe> embeds (video, maps) loaded over https, sandboxed
+ *   off    - raw HTML as written; only for documents you trust
+ */
+const SANITIZATION_MODES = ['strict', 'embeds', 'off'];
+
+// DOMPurify's default URI rule plus file: (imported images, links to local files)
+const SANITIZER_ALLOWED_URI = /^(?:(?:https?|ftps?|mailto|tel|file):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+// Built-in fallback: elements dropped with their content, and attributes that take URLs
+const SANITIZER_BLOCKED_TAGS = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'base', 'link', 'meta', 'form', 'portal', 'noscript', 'template'];
+const SANITIZER_URL_ATTRIBUTES = ['href', 'src', 'xlink:href', 'action', 'formaction', 'poster', 'background',
+    'data', 'codebase', 'cite', 'srcset'];
+
+class HtmlSanitizer {
+    getMode() {
+        try {
+            const mode = localStorage.getItem('html-sanitization');
+            return SANITIZATION_MODES.includes(mode) ? mode : 'strict';
+        } catch (error) {
+            return 'strict';
+        }
+    }
+
+    sanitize(html, mode = this.getMode()) {
+        if (mode === 'off' || !html) {
+            return html;
+        }
+        if (window.DOMPurify && typeof window.DOMPurify.sanitize === 'function') {
+            return this.sanitizeWithDOMPurify(html, mode);
+        }
+        return this.sanitizeWithAllowlist(html, mode);
+    }
+
+    sanitizeWithDOMPurify(html, mode) {
+        const DOMPurify = window.DOMPurify;
+        const config = {
+            USE_PROFILES: { html: true, svg: true, svgFilters: true, mathMl: true },
+            // Comments carry the source-line markers; FORCE_BODY keeps the leading one, which
+            // the parser would otherwise hoist out of <body>
+            ADD_TAGS: ['#comment'],
+            ADD_ATTR: ['target'],
+            FORCE_BODY: true,
+            ALLOWED_URI_REGEXP: SANITIZER_ALLOWED_URI
+        };
+        if (mode !== 'embeds') {
+            return DOMPurify.sanitize(html, config);
+        }
+
+        config.ADD_TAGS.push('iframe');
+        config.ADD_ATTR.push('allow', 'allowfullscreen', 'frameborder', 'loading');
+        DOMPurify.addHook('uponSanitizeElement', (node, data) => {
+            if (data.tagName === 'iframe' && !this.isEmbeddableFrame(node)) {
+                node.parentNode.removeChild(node);
+            }
+        });
+        DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+            if (node.nodeName === 'IFRAME') {
+                node.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-popups allow-presentation');
+            }
+        });
+        try {
+            return DOMPurify.sanitize(html, config);
+        } finally {
+            DOMPurify.removeHook('afterSanitizeAttributes');
+            DOMPurify.removeHook('uponSanitizeElement');
+        }
+    }
+
+    // SVG drawn from document source outside this pipeline (PlantUML, Graphviz and TikZ in the
+    // main process, Viz.js) is cleaned as in strict mode whatever the setting; `svg` is markup or an element
+    sanitizeSvg(svg) {
+        const markup = typeof svg === 'string' ? svg : new XMLSerializer().serializeToString(svg);
+        return this.sanitize(markup, 'strict');
+    }
+
+    isEmbeddableFrame(node) {
+        return /^https:\/\//i.test((node.getAttribute('src') || '').trim()) && !node.hasAttribute('srcdoc');
+    }
+
+    // Used when DOMPurify could not be loaded: drop dangerous elements, event handler
+    // attributes and script URLs, keep everything else
+    sanitizeWithAllowlist(html, mode) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_ELEMENT);
+        const blocked = [];
+        while (walker.nextNode()) {
+            const element = walker.currentNode;
+            const tagName = element.localName.toLowerCase();
+            if (SANITIZER_BLOCKED_TAGS.includes(tagName) &&
+                !(tagName === 'iframe' && mode === 'embeds' && this.isEmbeddableFrame(element))) {
+                blocked.push(element);
+                continue;
+            }
+
+            Array.from(element.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                if (name.startsWith('on') || name === 'srcdoc' || !this.isSafeAttributeValue(element, name, attribute.value)) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+            if (tagName === 'iframe') {
+                element.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-popups allow-presentation');
+            }
+        }
+        blocked.forEach(element => element.remove());
+
+        return template.innerHTML;
+    }
+
+    isSafeAttributeValue(element, name, value) {
+        // Browsers ignore whitespace and control characters inside a URL scheme
+        const compact = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+        if (/^(?:javascript|vbscript):/i.test(compact)) {
+            return false;
+        }
+        if (!SANITIZER_URL_ATTRIBUTES.includes(name)) {
+            return true;
+        }
+        if (/^data:/i.test(compact)) {
+            return element.localName.toLowerCase() === 'img' && name === 'src' && /^data:image\//i.test(compact);
+        }
+        return name === 'srcset' || SANITIZER_ALLOWED_URI.test(compact);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+} else {
+    window.HtmlSanitizer = HtmlSanitizer;
+}
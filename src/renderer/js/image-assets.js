@@ -0,0 +1,238 @@
+/**
+ * Image Assets
+ * Pasted clipboard images and dropped image files are written into an assets folder next
+ * to the document (through the main process) and linked with a relative path, instead of
+ * being inlined as base64 data URLs that grow the markdown by megabytes.
+ *
+ * Settings (localStorage):
+ *   image-storage        'files' (default) or 'inline' to keep data URLs for single-file documents
+ *   image-assets-folder  folder relative to the document, default 'assets/${filename}'
+ *   image-name-template  file name without extension, default '${name}'
+ *   image-convert-inline 'false' stops saving from moving data-URL images into the folder
+ * Templates take ${filename}, ${name}, ${date}, ${time} and ${timestamp}; the main process
+ * expands them and never overwrites an existing image.
+ *
+ * A document that was never saved has no folder yet, so its images are inlined until the
+ * first save converts them.
+ */
+const IMAGE_ASSETS_DEFAULT_FOLDER = 'assets/${filename}';
+const IMAGE_ASSETS_DEFAULT_NAME = '${name}';
+// Markdown image targets and HTML src attributes holding a base64 image
+const INLINE_IMAGE_PATTERN = /(!\[([^\]\n]*)\]\(\s*<?|<img\b[^>]*?\bsrc\s*=\s*["']?)(data:image\/[\w.+-]+;base64,[A-Za-z0-9+/]+=*)/gi;
+
+class ImageAssets {
+    constructor(app) {
+        this.app = app;
+        this.converting = false;
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        const editor = this.app.editor;
+        if (!editor || typeof editor.getWrapperElement !== 'function') return;
+
+        // Capture phase so CodeMirror never sees an image paste (it would paste nothing or a file name)
+        editor.getWrapperElement().addEventListener('paste', (e) => {
+            const clipboard = e.clipboardData;
+            if (!clipboard || clipboard.types.includes('text/plain')) return;
+
+            const images = Array.from(clipboard.items)
+                .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+                .map(item => item.getAsFile())
+                .filter(Boolean);
+            if (images.length > 0) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.insertFiles(images);
+            }
+        }, true);
+    }
+
+    getStorageMode() {
+        return localStorage.getItem('image-storage') === 'inline' ? 'inline' : 'files';
+    }
+
+    getFolderTemplate() {
+        return localStorage.getItem('image-assets-folder') || IMAGE_ASSETS_DEFAULT_FOLDER;
+    }
+
+    getNameTemplate() {
+        return localStorage.getItem('image-name-template') || IMAGE_ASSETS_DEFAULT_NAME;
+    }
+
+    shouldConvertInline() {
+        return this.getStorageMode() === 'files' && localStorage.getItem('image-convert-inline') !== 'false';
+    }
+
+    getDocumentPath() {
+        const editor = this.app.editor;
+        return editor && typeof editor.getCurrentFile === 'function' ? editor.getCurrentFile() : null;
+    }
+
+    notify(message, type = 'info') {
+        const editor = this.app.editor;
+        if (editor && typeof editor.showNotification === 'function') {
+            editor.showNotification(message, type, type === 'error' ? 5000 : 3000);
+        } else {
+            console.log('[ImageAssets]', message);
+        }
+    }
+
+    /**
+     * Insert image files at the cursor, one image per line
+     * @param {File[]} files
+     */
+    async insertFiles(files) {
+        const lines = [];
+        for (const file of files) {
+            const alt = (file.name || '').replace(/\.[^/.]+$/, '') || 'image';
+            try {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                const url = await this.storeImage(bytes, file.type, file.name || 'image', () => this.app.fileToDataURL(file));
+                lines.push(`![${alt.replace(/[[\]]/g, '')}](${url})`);
+            } catch (error) {
+                this.notify(`Failed to insert image: ${error.message}`, 'error');
+            }
+        }
+        if (lines.length > 0) {
+            this.app.editor.insertText(lines.join('\n'));
+        }
+    }
+
+    /**
+     * Link for an image given as a data URL (KityMinder exports): a saved file, or the data URL
+     * itself when images are inlined
+     * @param {string} dataUrl
+     * @param {string} name - file name suggestion, without extension
+     * @returns {Promise<string>}
+     */
+    async storeDataUrl(dataUrl, name) {
+        const image = this.decodeDataUrl(dataUrl);
+        if (!image) return dataUrl;
+        return this.storeImage(image.bytes, image.mimeType, name, () => dataUrl);
+    }
+
+    // Save the image and return its relative link; fall back to the data URL when images are
+    // inlined, the document is unsaved or the file cannot be written
+    async storeImage(bytes, mimeType, name, getDataUrl) {
+        const documentPath = this.getDocumentPath();
+        if (this.getStorageMode() === 'inline' || !window.markdd) {
+            return getDataUrl();
+        }
+        if (!documentPath) {
+            this.notify('Image inlined: save the document to store its images in the assets folder');
+            return getDataUrl();
+        }
+
+        const result = await window.markdd.saveImageAsset({
+            documentPath,
+            data: bytes,
+            mimeType,
+            name,
+            folderTemplate: this.getFolderTemplate(),
+            nameTemplate: this.getNameTemplate()
+        });
+        if (!result.success) {
+            this.notify(`Image inlined, it could not be saved: ${result.error}`, 'error');
+            return getDataUrl();
+        }
+        return result.relativePath;
+    }
+
+    decodeDataUrl(dataUrl) {
+        const match = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/]+=*)$/i.exec(String(dataUrl || '').trim());
+        if (!match) return null;
+
+        const binary = atob(match[2]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return { mimeType: match[1].toLowerCase(), bytes };
+    }
+
+    /**
+     * Write every base64 image of the current document into the assets folder and link the files
+     * @param {{notify?: boolean}} [options] - report the outcome (the menu command) or stay quiet (saving)
+     * @returns {Promise<number>} number of images converted
+     */
+    async convertInlineImages({ notify = false } = {}) {
+        const editor = this.app.editor;
+        if (!editor || this.converting) return 0;
+        if (!this.getDocumentPath() || !window.markdd) {
+            if (notify) this.notify('Save the document first; its images are stored next to it', 'error');
+            return 0;
+        }
+
+        // The same image pasted twice becomes one file
+        const images = new Map(); // data URL -> alt text
+        for (const match of editor.getContent().matchAll(INLINE_IMAGE_PATTERN)) {
+            if (!images.has(match[3])) {
+                images.set(match[3], match[2] || 'image');
+            }
+        }
+        if (images.size === 0) {
+            if (notify) this.notify('This document has no inline images');
+            return 0;
+        }
+
+        this.converting = true;
+        const links = new Map();
+        try {
+            for (const [dataUrl, alt] of images) {
+                const image = this.decodeDataUrl(dataUrl);
+                if (!image) continue;
+                const result = await window.markdd.saveImageAsset({
+                    documentPath: this.getDocumentPath(),
+                    data: image.bytes,
+                    mimeType: image.mimeType,
+                    name: alt,
+                    folderTemplate: this.getFolderTemplate(),
+                    nameTemplate: this.getNameTemplate()
+                });
+                if (result.success) {
+                    links.set(dataUrl, result.relativePath);
+                } else {
+                    console.warn('[ImageAssets] Image left inline:', result.error);
+                }
+            }
+        } finally {
+            this.converting = false;
+        }
+
+        // Looked up again because the text may have changed while the files were written
+        const cm = editor.codeMirror;
+        cm.operation(() => {
+            links.forEach((relativePath, dataUrl) => {
+                let index;
+                while ((index = cm.getValue().indexOf(dataUrl)) !== -1) {
+                    cm.replaceRange(relativePath, cm.posFromIndex(index), cm.posFromIndex(index + dataUrl.length));
+                }
+            });
+        });
+
+        if (notify || links.size < images.size) {
+            const failed = images.size - links.size;
+            this.notify(`${links.size} inline image(s) saved to files${failed ? `, ${failed} could not be saved` : ''}`,
+                failed ? 'error' : 'success');
+        }
+        return links.size;
+    }
+
+    // Called after a successful save: move the document's inline images into files and save again
+    async convertAfterSave() {
+        if (!this.shouldConvertInline()) return;
+        const converted = await this.convertInlineImages();
+        if (converted > 0) {
+            await this.app.editor.save(false);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageAssets;
+} else {
+    window.ImageAssets = ImageAssets;
+}
@@ -831,7 +831,7 @@ ${jsonData}
      * Insert mindmap image into markdown editor
      * @param {Object} data - Image data {imageData, format, mindmapData}
      */
-    insertMindmapImage(data) {
+    async insertMindmapImage(data) {
         try {
             const editor = document.getElementById('editor');
             if (!editor) {
@@ -841,10 +841,14 @@ ${jsonData}
             
             // Generate unique filename
             const timestamp = Date.now();
-            const filename = `kityminder-${timestamp}.${data.format}`;
+            const filename = `kityminder-${timestamp}`;
+
+            // Written into the document's assets folder unless images are inlined
+            const imageAssets = window.markddApp && window.markddApp.imageAssets;
+            const imageUrl = imageAssets ? await imageAssets.storeDataUrl(data.imageData, filename) : data.imageData;
             
             // Insert markdown image syntax
-            const imageMarkdown = `\n![KityMinder Mind Map](${data.imageData})\n\n`;
+            const imageMarkdown = `\n![KityMinder Mind Map](${imageUrl})\n\n`;
             
             const start = editor.selectionStart;
             const end = editor.selectionEnd;
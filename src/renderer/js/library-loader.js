@@ -2,6 +2,7 @@ class LibraryLoader {
     constructor() {
         this.loadedLibraries = new Set();
         this.loadPromises = new Map();
+        this.librarySources = new Map(); // library name -> URL of the script it was loaded from
         this.setupUniversalPatching();
     }
 
@@ -228,6 +229,7 @@ class LibraryLoader {
 
                     console.log(`[LibraryLoader] ${libraryName} loaded successfully`);
                     this.loadedLibraries.add(libraryName);
+                    this.librarySources.set(libraryName, script.src);
                     resolve(true);
                 } else if (attempts < maxAttempts) {
                     setTimeout(checkLoaded, 100);
@@ -362,6 +364,12 @@ class LibraryLoader {
             'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css'
         );
         
+        // abcjs player controls (play/pause, loop, progress, tempo)
+        this.loadLocalCSS(
+            '../../node_modules/abcjs/abcjs-audio.css',
+            'https://cdn.jsdelivr.net/npm/abcjs@6.5.2/abcjs-audio.css'
+        );
+        
         // Define essential libraries with correct local paths AND CDN fallbacks
         // Fixed paths based on actual node_modules structure
         const libraries = [
@@ -369,6 +377,8 @@ class LibraryLoader {
                 name: 'Marked',
                 requireModule: () => {
                     console.log('[LibraryLoader] Marked.requireModule() called');
+                    // The renderer has no Node require() since context isolation; kept for plain browser builds that bundle one
+                    if (typeof require !== 'function') return false;
                     try {
                         console.log('[LibraryLoader] Attempting require("marked")...');
                         const markedModule = require('marked');
@@ -397,6 +407,18 @@ class LibraryLoader {
                     return result;
                 }
             },
+            {
+                name: 'DOMPurify',
+                localUrl: '../../node_modules/dompurify/dist/purify.min.js',
+                cdnUrl: 'https://cdn.jsdelivr.net/npm/dompurify@3.2.6/dist/purify.min.js',
+                check: () => typeof window.DOMPurify === 'function' && typeof window.DOMPurify.sanitize === 'function'
+            },
+            {
+                name: 'JsYaml',
+                localUrl: '../../node_modules/js-yaml/dist/js-yaml.min.js',
+                cdnUrl: 'https://cdn.jsdelivr.net/npm/js-yaml@4.1.0/dist/js-yaml.min.js',
+                check: () => typeof window.jsyaml === 'object' && window.jsyaml !== null && typeof window.jsyaml.load === 'function'
+            },
             {
                 name: 'KaTeX',
                 localUrl: '../../node_modules/katex/dist/katex.min.js',
@@ -469,6 +491,24 @@ class LibraryLoader {
                 cdnUrl: 'https://paulrosen.github.io/abcjs/dist/abcjs-basic-min.js',
                 check: () => typeof window.ABCJS === 'object' && window.ABCJS !== null
             },
+            {
+                name: 'WaveDrom',
+                localUrl: '../../node_modules/wavedrom/wavedrom.min.js',
+                cdnUrl: 'https://cdn.jsdelivr.net/npm/wavedrom@3.5.0/wavedrom.min.js',
+                check: () => typeof window.WaveDrom === 'object' && window.WaveDrom !== null && typeof window.WaveDrom.renderWaveElement === 'function'
+            },
+            {
+                name: 'WaveDromSkinDefault',
+                localUrl: '../../node_modules/wavedrom/skins/default.js',
+                cdnUrl: 'https://cdn.jsdelivr.net/npm/wavedrom@3.5.0/skins/default.js',
+                check: () => !!(window.WaveSkin && window.WaveSkin.default)
+            },
+            {
+                name: 'WaveDromSkinDark',
+                localUrl: '../../node_modules/wavedrom/skins/dark.js',
+                cdnUrl: 'https://cdn.jsdelivr.net/npm/wavedrom@3.5.0/skins/dark.js',
+                check: () => !!(window.WaveSkin && window.WaveSkin.dark)
+            },
             {
                 name: 'PlantUMLEncoder',
                 localUrl: '../../node_modules/plantuml-encoder/dist/plantuml-encoder.min.js',
@@ -854,7 +894,7 @@ class LibraryLoader {
                 window.mermaid.initialize({
                     startOnLoad: false,
                     theme: 'default',
-                    securityLevel: 'loose'
+                    securityLevel: 'strict' // no click callbacks or raw HTML labels from untrusted documents
                 });
                 console.log('[LibraryLoader] Mermaid initialized');
             } catch (error) {
@@ -1100,6 +1140,12 @@ class LibraryLoader {
     getLoadedLibraries() {
         return Array.from(this.loadedLibraries);
     }
+
+    // Absolute URL a library was loaded from (null if it came from require() or is not
+    // loaded); the markdown worker imports the same files
+    getLibrarySource(libraryName) {
+        return this.librarySources.get(libraryName) || null;
+    }
 }
 
 // Create global instance
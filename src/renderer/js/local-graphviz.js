@@ -1,6 +1,8 @@
 /**
- * Local GraphViz Renderer using the local dot.exe executable
- * Fallback for when Viz.js CDN is unavailable
+ * Local GraphViz Renderer using the native Graphviz executables
+ * (dot, neato, fdp, sfdp, twopi, circo) found on PATH or at the location chosen in Settings,
+ * which the main process keeps.
+ * Rendering runs in the main process via IPC; Viz.js is the fallback when unavailable.
  */
 
 // Prevent duplicate class declaration
@@ -8,42 +10,46 @@ if (typeof window === 'undefined' || !window.LocalGraphVizRenderer) {
 
 class LocalGraphVizRenderer {
     constructor() {
-        this.dotExecutablePath = null;
+        this.status = null;
         this.initialized = false;
-        this.setupPaths();
+        console.log('[LocalGraphViz] Initialized - executables resolved by the main process');
     }
 
-    setupPaths() {
-        // Local GraphViz installation paths
-        const possiblePaths = [
-            '../../References/Graphviz-13.1.2-win64/bin/dot.exe',
-            '../../../References/Graphviz-13.1.2-win64/bin/dot.exe',
-            'References/Graphviz-13.1.2-win64/bin/dot.exe'
-        ];
-        
-        // Use the first available path (we'll check existence when needed)
-        this.dotExecutablePath = possiblePaths[0];
-        console.log('[LocalGraphViz] Initialized with dot path:', this.dotExecutablePath);
+    // Preload bridge to the main process (window.markdd), null outside the desktop app
+    getBridge() {
+        return typeof window !== 'undefined' && window.markdd ? window.markdd : null;
     }
 
-    async isAvailable() {
-        // Check if we're in an Electron environment with access to Node.js APIs
-        if (typeof window !== 'undefined' && window.require) {
-            try {
-                const fs = window.require('fs');
-                const path = window.require('path');
-                
-                // Resolve the absolute path
-                const absolutePath = path.resolve(__dirname, this.dotExecutablePath);
-                
-                // Check if the dot.exe file exists
-                return fs.existsSync(absolutePath);
-            } catch (error) {
-                console.log('[LocalGraphViz] Node.js APIs not available:', error.message);
-                return false;
-            }
+    // Forget the cached lookup, e.g. after the Graphviz location setting changes
+    reset() {
+        this.status = null;
+        this.initialized = false;
+    }
+
+    async getStatus() {
+        if (this.status) {
+            return this.status;
+        }
+
+        const bridge = this.getBridge();
+        if (!bridge) {
+            return { available: false, engines: [] };
+        }
+
+        try {
+            this.status = await bridge.graphvizStatus();
+            this.initialized = true;
+            console.log('[LocalGraphViz] Status:', this.status);
+        } catch (error) {
+            console.log('[LocalGraphViz] Status check failed:', error.message);
+            this.status = { available: false, engines: [] };
         }
-        return false;
+        return this.status;
+    }
+
+    async isAvailable() {
+        const status = await this.getStatus();
+        return !!(status && status.available);
     }
 
     async renderSVG(dotSource, engine = 'dot') {
@@ -51,72 +57,38 @@ class LocalGraphVizRenderer {
             throw new Error('Local GraphViz not available');
         }
 
-        try {
-            const { spawn } = window.require('child_process');
-            const path = window.require('path');
-            
-            // Resolve absolute path to dot.exe
-            const absoluteDotPath = path.resolve(__dirname, this.dotExecutablePath);
-            
-            return new Promise((resolve, reject) => {
-                // Spawn the dot process
-                const dotProcess = spawn(absoluteDotPath, ['-T', 'svg', '-K', engine], {
-                    stdio: ['pipe', 'pipe', 'pipe']
-                });
-
-                let svgOutput = '';
-                let errorOutput = '';
-
-                // Collect stdout (SVG output)
-                dotProcess.stdout.on('data', (data) => {
-                    svgOutput += data.toString();
-                });
-
-                // Collect stderr (error output)
-                dotProcess.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                });
-
-                // Handle process completion
-                dotProcess.on('close', (code) => {
-                    if (code === 0 && svgOutput.includes('<svg')) {
-                        console.log('[LocalGraphViz] Successfully rendered SVG using local dot.exe');
-                        resolve(svgOutput);
-                    } else {
-                        const error = errorOutput || `dot.exe exited with code ${code}`;
-                        console.error('[LocalGraphViz] Error from dot.exe:', error);
-                        reject(new Error(`GraphViz rendering failed: ${error}`));
-                    }
-                });
-
-                // Handle process errors
-                dotProcess.on('error', (error) => {
-                    console.error('[LocalGraphViz] Failed to spawn dot.exe:', error);
-                    reject(new Error(`Failed to execute local GraphViz: ${error.message}`));
-                });
-
-                // Send the DOT source to the process
-                dotProcess.stdin.write(dotSource);
-                dotProcess.stdin.end();
-            });
+        const result = await this.getBridge().renderGraphviz({
+            code: dotSource,
+            engine
+        });
+
+        if (!result.success) {
+            console.error('[LocalGraphViz] Error from Graphviz:', result.error);
+            const error = new Error(`GraphViz rendering failed: ${result.error}`);
+            // Line-numbered diagnostics for processGraphvizDiagrams' error block
+            error.graphvizErrors = result.errors || [];
+            error.unavailable = !!result.unavailable;
+            throw error;
+        }
 
-        } catch (error) {
-            console.error('[LocalGraphViz] Error setting up local GraphViz:', error);
-            throw new Error(`Local GraphViz setup failed: ${error.message}`);
+        if (result.warnings && result.warnings.length) {
+            console.warn('[LocalGraphViz] Graphviz warnings:', result.warnings);
         }
+        console.log('[LocalGraphViz] Successfully rendered SVG using', result.executable);
+        return result.svg;
     }
 
     async renderSVGElement(dotSource, options = {}) {
         const engine = options.engine || 'dot';
-        
+
         try {
             const svgString = await this.renderSVG(dotSource, engine);
-            
+
             // Parse SVG string into DOM element
             const parser = new DOMParser();
             const doc = parser.parseFromString(svgString, 'image/svg+xml');
             const svgElement = doc.documentElement;
-            
+
             if (svgElement.tagName === 'svg') {
                 return svgElement;
             } else {
@@ -143,4 +115,4 @@ if (typeof window !== 'undefined' && !window.LocalGraphVizRenderer) {
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = LocalGraphVizRenderer;
-}
\ No newline at end of file
+}
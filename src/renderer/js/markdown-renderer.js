@@ -1,3 +1,58 @@
+// Tablature instruments supported by abcjs (```abc {tablature=guitar})
+const ABC_TABLATURE_INSTRUMENTS = ['guitar', 'violin', 'fiddle', 'mandolin'];
+
+// MPE `@import "file" {attributes}`, on its own line or inside an HTML comment
+const IMPORT_DIRECTIVE_PATTERN = /^\s*(?:<!--\s*)?@import\s+"([^"]+)"\s*(\{[^}]*\})?\s*(?:-->)?\s*$/;
+const IMPORT_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico'];
+const IMPORT_DIAGRAM_LANGUAGES = {
+    '.mmd': 'mermaid',
+    '.mermaid': 'mermaid',
+    '.dot': 'dot',
+    '.gv': 'dot',
+    '.puml': 'plantuml',
+    '.plantuml': 'plantuml',
+    '.tikz': 'tikz'
+};
+// Incremental rendering: top-level blocks holding these diagrams are cached after postProcess,
+// keyed by a hash of their parsed HTML, so an edit elsewhere does not draw them again
+const DIAGRAM_BLOCK_SELECTOR = '.mermaid-container, .graphviz-container, .plantuml-container, ' +
+    '.tikz-container, .wavedrom-container';
+// Markmap zoom/pan and KityMinder editors live in JS objects that cached HTML would not bring
+// back, so blocks holding them are always drawn again (the preview keeps unchanged ones live)
+const INTERACTIVE_BLOCK_SELECTOR = '.markmap-inline-container, .kityminder-container';
+const BLOCK_CACHE_LIMIT = 200;
+// `<type>-<Date.now()>-<random>` ids the diagram/code renderers generate on every parse
+const VOLATILE_BLOCK_ID_PATTERN = /-\d{13}-[a-z0-9]+/g;
+const SOURCE_LINE_ATTRIBUTE_PATTERN = / data-source-line(?:-end)?="[^"]*"/g;
+
+// Attributes @import consumes itself; the rest are passed on to the generated code fence
+const IMPORT_OWN_ATTRIBUTES = ['line_begin', 'line_end', 'code_block', 'as', 'width', 'height', 'alt', 'title'];
+
+// Per-stage durations of one render for the dev-mode timing overlay: lap(stage) records the
+// time since the previous lap, include(stages) adds stages timed elsewhere (the render worker)
+// and books the rest of that wait as `remainder`
+function createStageTimer() {
+    const stages = [];
+    let last = performance.now();
+    return {
+        stages,
+        lap(stage) {
+            const now = performance.now();
+            stages.push({ stage, ms: now - last });
+            last = now;
+        },
+        include(timedStages, remainder = null) {
+            const now = performance.now();
+            const spent = timedStages.reduce((total, entry) => total + entry.ms, 0);
+            stages.push(...timedStages);
+            if (remainder) {
+                stages.push({ stage: remainder, ms: Math.max(0, now - last - spent) });
+            }
+            last = now;
+        }
+    };
+}
+
 // --- Remark integration ---
 let remark = null;
 let remarkPlugins = [];
@@ -96,15 +151,15 @@ class MarkdownRenderer {
                     // Fallback: Try direct kityminder API
                     try {
                         element.innerHTML = `
-                            <div class="kityminder-diagram" id="${id}" data-mindmap-json="${encodeURIComponent(code)}">
+                            <div class="kityminder-diagram" id="${this.escapeHtml(id)}" data-mindmap-json="${encodeURIComponent(code)}">
                                 <div class="diagram-header">
                                     <span class="diagram-type">KityMinder Mind Map</span>
                                     <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                                    <pre class="diagram-source hidden"><code>${code.substring(0, 500)}${code.length > 500 ? '...' : ''}</code></pre>
-                                    <button class="diagram-view-json-btn" onclick="window.markdownRenderer.viewKityMinderJSON('${id}')" style="margin-left: 8px; padding: 4px 12px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">👁️ View JSON</button>
-                                    <button class="diagram-edit-btn" onclick="window.markdownRenderer.editKityMinder('${id}')" style="margin-left: 8px; padding: 4px 12px; background: #0969da; color: white; border: none; border-radius: 4px; cursor: pointer;">✏️ Edit</button>
+                                    <pre class="diagram-source hidden"><code>${this.escapeHtml(code.substring(0, 500))}${code.length > 500 ? '...' : ''}</code></pre>
+                                    <button class="diagram-view-json-btn" style="margin-left: 8px; padding: 4px 12px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">👁️ View JSON</button>
+                                    <button class="diagram-edit-btn" style="margin-left: 8px; padding: 4px 12px; background: #0969da; color: white; border: none; border-radius: 4px; cursor: pointer;">✏️ Edit</button>
                                 </div>
-                                <div class="diagram-content" id="${id}-mindmap" style="width: 100%; height: 400px; border: 1px solid #e1e5e9;"></div>
+                                <div class="diagram-content" id="${this.escapeHtml(id)}-mindmap" style="width: 100%; height: 400px; border: 1px solid #e1e5e9;"></div>
                             </div>
                         `;
                         
@@ -138,7 +193,7 @@ class MarkdownRenderer {
                             <div class="fallback-header">
                                 <span class="diagram-type">KityMinder Mind Map - Library Loading</span>
                                 <button class="fallback-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                                <pre class="fallback-source hidden"><code>${code}</code></pre>
+                                <pre class="fallback-source hidden"><code>${this.escapeHtml(code)}</code></pre>
                             </div>
                             <div class="fallback-content">
                                 <p>🧠 KityMinder mind map would render here</p>
@@ -154,10 +209,10 @@ class MarkdownRenderer {
                 element.innerHTML = `
                     <div class="diagram-error">
                         <h4>KityMinder Error</h4>
-                        <p>${error.message}</p>
+                        <p>${this.escapeHtml(error.message)}</p>
                         <details>
                             <summary>Source Code</summary>
-                            <pre><code>${code}</code></pre>
+                            <pre><code>${this.escapeHtml(code)}</code></pre>
                         </details>
                     </div>
                 `;
@@ -332,7 +387,7 @@ class MarkdownRenderer {
     
     renderMindmapAsText(node, level = 0) {
         const indent = '  '.repeat(level);
-        let result = `${indent}<div class="mindmap-node level-${level}">${node.data ? node.data.text || 'Node' : 'Node'}</div>\n`;
+        let result = `${indent}<div class="mindmap-node level-${level}">${this.escapeHtml(node.data ? node.data.text || 'Node' : 'Node')}</div>\n`;
         
         if (node.children && node.children.length > 0) {
             result += '<div class="mindmap-children">\n';
@@ -347,11 +402,19 @@ class MarkdownRenderer {
     constructor() {
         this.marked = null;
         this.markedParse = null; // unified parse function reference
+        this.slugger = new Slugger(); // heading ids of the document being parsed
+        this.htmlSanitizer = new HtmlSanitizer(); // strips script from raw HTML in documents (Settings > Raw HTML)
+        this.blockCache = new Map(); // block key -> diagram block HTML after postProcess (LRU, BLOCK_CACHE_LIMIT)
+        this.renderWorker = null; // MarkdownWorkerClient running the text stages off the UI thread (set in init)
+        this.lastRenderTimings = null; // { inWorker, stages: [{stage, ms}] } of the last render
         this.hljs = null;
         this.katex = null;
         this.mathjax = null;
         this.mermaid = null;
         this.mathEngine = 'mathjax'; // Default to MathJax as primary
+        this.preferredMathEngine = 'mathjax'; // Engine chosen in Settings; front-matter `math:` overrides per document
+        this.frontMatter = null; // Parsed YAML front-matter of the last rendered document
+        this.wikiLinkIndex = null; // Map of normalized note name/relative path -> file path
         this.isInitialized = false;
         // Unified MathJax readiness handling
         this._mathJaxReadyPromise = null; // promise resolving true when ready (tex2svg available) else false after timeout
@@ -448,6 +511,12 @@ class MarkdownRenderer {
         console.log('⚡⚡⚡ [MarkdownRenderer] About to call initializeMarked()');
         this.initializeMarked();
         console.log('⚡⚡⚡ [MarkdownRenderer] initializeMarked() completed');
+
+        // The text stages run in a worker when one can be started (see MarkdownWorkerClient)
+        if (!this.renderWorker && window.MarkdownWorkerClient && typeof Worker === 'function') {
+            this.renderWorker = new window.MarkdownWorkerClient();
+            this.renderWorker.setWikiLinkIndex(this.wikiLinkIndex);
+        }
         
         console.log('⚡⚡⚡ [MarkdownRenderer] About to call initializeMermaid()');
         this.initializeMermaid();
@@ -501,14 +570,16 @@ class MarkdownRenderer {
             if (typeof code !== 'string') {
                 code = String(code);
             }
+
+            // Attributes after the language (```abc {transpose=2 tablature=guitar}) are passed to block renderers
+            const fenceInfo = this.parseFenceInfo(lang);
+            lang = fenceInfo.lang;
             
             // KityMinder mind map
             if (lang === 'kityminder') {
                 return this.renderKityMinder(code);
             }
             
-            const validLang = lang && this.hljs && this.hljs.getLanguage && this.hljs.getLanguage(lang) ? lang : 'plaintext';
-            
             // Handle special diagram types
             if (lang === 'mermaid') {
                 return this.renderMermaid(code);
@@ -527,7 +598,7 @@ class MarkdownRenderer {
             }
 
             if (lang === 'vega' || lang === 'vega-lite') {
-                return this.renderVegaLite(code);
+                return this.renderVegaLite(code, lang);
             }
 
             // Handle special code blocks with additional features
@@ -575,7 +646,7 @@ class MarkdownRenderer {
 
             // ABC music notation
             if (lang === 'abc') {
-                return this.renderAbcMusic(code);
+                return this.renderAbcMusic(code, fenceInfo.attributes);
             }
 
             // Wavedrom timing diagrams
@@ -583,69 +654,20 @@ class MarkdownRenderer {
                 return this.renderWavedrom(code);
             }
             
-            // ENHANCED: Regular code highlighting with proper line formatting and export support
-            if (this.hljs && this.hljs.highlight) {
-                const highlighted = this.hljs.highlight(code, { language: validLang }).value;
-                const lineNumbers = this.generateLineNumbers(code);
-                const codeId = `code-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-                
-                // CRITICAL FIX: Preserve original code formatting for HTML export
-                const escapedCode = code
-                    .replace(/&/g, '&amp;')
-                    .replace(/</g, '&lt;')
-                    .replace(/>/g, '&gt;')
-                    .replace(/"/g, '&quot;')
-                    .replace(/'/g, '&#39;');
-                
-                return `<div class="code-block-container" data-language="${validLang}">
-                    <div class="code-block-header">
-                        <span class="code-language">${lang || 'text'}</span>
-                        <button class="copy-code-btn" data-target="${codeId}" title="Copy code">
-                            <i class="icon-copy"></i> Copy
-                        </button>
-                    </div>
-                    <div class="code-block-content">
-                        <div class="line-numbers">${lineNumbers}</div>
-                        <pre class="code-pre"><code id="${codeId}" class="hljs ${validLang}">${highlighted}</code></pre>
-                        <!-- EXPORT FALLBACK: Hidden plain text version for export -->
-                        <pre class="code-export-fallback" style="display:none;"><code>${escapedCode}</code></pre>
-                    </div>
-                </div>`;
-            } else {
-                // Fallback when hljs is not available
-                const codeId = `code-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-                const lineNumbers = this.generateLineNumbers(code);
-                const escapedCode = code
-                    .replace(/&/g, '&amp;')
-                    .replace(/</g, '&lt;')
-                    .replace(/>/g, '&gt;')
-                    .replace(/"/g, '&quot;')
-                    .replace(/'/g, '&#39;');
-                    
-                return `<div class="code-block-container" data-language="${validLang}">
-                    <div class="code-block-header">
-                        <span class="code-language">${lang || 'text'}</span>
-                        <button class="copy-code-btn" data-target="${codeId}" title="Copy code">
-                            <i class="icon-copy"></i> Copy
-                        </button>
-                    </div>
-                    <div class="code-block-content">
-                        <div class="line-numbers">${lineNumbers}</div>
-                        <pre class="code-pre"><code id="${codeId}">${escapedCode}</code></pre>
-                    </div>
-                </div>`;
-            }
+            // Regular code: fence attributes, per-line markup and an export fallback
+            return this.renderCodeBlock(code, lang, fenceInfo);
         };
         
         // Custom heading renderer with anchors (defensive: coerce non-string text)
-        renderer.heading = function(textParam, levelParam, raw) {
+        renderer.heading = (textParam, levelParam, raw) => {
             // CRITICAL FIX: Marked.js v5+ passes token object as first parameter
-            let text, level;
+            let text, level, tokens;
             
             if (typeof textParam === 'object' && textParam !== null) {
                 // New Marked.js v5+ API: token object {type, text, depth, tokens, raw}
                 text = textParam.text || textParam.raw || '';
                 level = textParam.depth || 2;
+                tokens = textParam.tokens;
             } else {
                 // Old API: separate parameters
                 text = textParam || '';
@@ -662,8 +684,19 @@ class MarkdownRenderer {
                 level = 2;
             }
 
-            const escapedText = (text || '').toLowerCase().replace(/[^\w]+/g, '-');
-            return `<h${level} id="${escapedText}">${text}</h${level}>`;
+            // A trailing {#id .class} block sets the id and classes and is not displayed
+            const heading = Slugger.parseHeading(text);
+            if (heading.text !== text.trim() && Array.isArray(tokens)) {
+                tokens = this.stripHeadingAttributes(tokens);
+            }
+
+            // Inline tokens carry emphasis, code and footnote references
+            const content = Array.isArray(tokens) && renderer.parser ? renderer.parser.parseInline(tokens) : heading.text;
+            const id = this.escapeHtml(this.slugger.slug(heading.text, heading.id));
+            const classAttr = heading.classes.length ? ` class="${this.escapeHtml(heading.classes.join(' '))}"` : '';
+            const number = this.nextHeadingNumber(level, heading.classes);
+            const numberHtml = number ? `<span class="section-number">${number}</span> ` : '';
+            return `<h${level} id="${id}"${classAttr}>${numberHtml}${content}<a class="heading-anchor" href="#${id}" aria-label="Link to this section" title="Link to this section">#</a></h${level}>`;
         };
         
         // Custom table rendering with classes
@@ -714,8 +747,8 @@ class MarkdownRenderer {
                             <div class="diagram-header" style="background: #f8f9fa; padding: 8px 12px; border-bottom: 1px solid #dee2e6; display: flex; align-items: center; justify-content: space-between;">
                                 <span class="diagram-type" style="font-weight: 600; color: #495057;">KityMinder Mind Map</span>
                                 <div style="display: flex; gap: 8px;">
-                                    <button class="diagram-view-json-btn" onclick="window.markdownRenderer.viewKityMinderJSON('${resourceId}')" style="padding: 4px 12px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 13px;">👁️ View JSON</button>
-                                    <button class="diagram-edit-btn" onclick="window.markdownRenderer.editKityMinder('${resourceId}')" style="padding: 4px 12px; background: #0969da; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 13px;">✏️ Edit</button>
+                                    <button class="diagram-view-json-btn" style="padding: 4px 12px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 13px;">👁️ View JSON</button>
+                                    <button class="diagram-edit-btn" style="padding: 4px 12px; background: #0969da; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 13px;">✏️ Edit</button>
                                 </div>
                             </div>
                             <img src="${resource.data_png}" alt="${altText}"${titleAttr} class="mindmap-image" data-resource-id="${resourceId}" style="display: block; max-width: 100%; height: auto; border: 1px solid #dee2e6;" />
@@ -728,8 +761,8 @@ class MarkdownRenderer {
                 return `<div class="mindmap-placeholder kityminder-diagram" id="${resourceId}" data-resource-id="${resourceId}"${jsonDataAttr}>
                     <div class="diagram-header" style="background: #f8f9fa; padding: 8px 12px; border-bottom: 1px solid #dee2e6;">
                         <span class="diagram-type" style="font-weight: 600; color: #495057;">KityMinder Mind Map</span>
-                        ${jsonData ? `<button class="diagram-view-json-btn" onclick="window.markdownRenderer.viewKityMinderJSON('${resourceId}')" style="margin-left: 8px; padding: 4px 12px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">�️ View JSON</button>` : ''}
-                        ${jsonData ? `<button class="diagram-edit-btn" onclick="window.markdownRenderer.editKityMinder('${resourceId}')" style="margin-left: 8px; padding: 4px 12px; background: #0969da; color: white; border: none; border-radius: 4px; cursor: pointer;">✏️ Edit</button>` : ''}
+                        ${jsonData ? `<button class="diagram-view-json-btn" style="margin-left: 8px; padding: 4px 12px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">�️ View JSON</button>` : ''}
+                        ${jsonData ? `<button class="diagram-edit-btn" style="margin-left: 8px; padding: 4px 12px; background: #0969da; color: white; border: none; border-radius: 4px; cursor: pointer;">✏️ Edit</button>` : ''}
                     </div>
                     <p style="padding: 40px; text-align: center;">�🗺️ Mind Map (loading...)</p>
                     <p style="text-align: center; color: #6c757d;"><small>Resource ID: ${resourceId}</small></p>
@@ -749,7 +782,7 @@ class MarkdownRenderer {
             gfm: true,
             headerIds: false,  // Disabled to avoid deprecation warning
             mangle: false,
-            sanitize: false,
+            sanitize: false, // raw HTML is cleaned by HtmlSanitizer after parsing
             smartLists: true,
             smartypants: false,  // Disabled to avoid deprecation warning
             xhtml: false
@@ -855,6 +888,143 @@ class MarkdownRenderer {
                 }
             }]
         });
+
+        // Footnotes ([^label], [^label]: definitions, ^[inline notes]); marked.parse() goes
+        // through the hooks, parseLexedMarkdown resets and appends the section itself
+        this.marked.use({
+            extensions: this.createFootnoteExtensions(),
+            hooks: {
+                preprocess: (markdown) => {
+                    this.resetFootnotes();
+                    this.slugger.reset();
+                    if (this.sectionNumbering) this.sectionNumbering.counters = [];
+                    return markdown;
+                },
+                postprocess: (html) => html + this.renderFootnoteSection()
+            }
+        });
+    }
+
+    // Footnotes as marked extensions. A definition continues over indented lines (and lazy
+    // continuation lines of its first paragraph), so it can hold several paragraphs, lists
+    // or code. Notes are numbered in order of first reference; renderFootnoteSection lists
+    // them with a back-reference to every place they were cited.
+    createFootnoteExtensions() {
+        const footnotes = this;
+        return [{
+            name: 'footnoteDefinition',
+            level: 'block',
+            start(src) {
+                const match = src.match(/^\[\^[^\]\s]+\]:/m);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const rule = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n|$)(?:(?![ \t]*(?:\n|$)|\[\^|#{1,6}\s|`{3}|~{3}|>)[^\n]+(?:\n|$))*(?:(?:[ \t]*\n)*(?: {4}|\t)[^\n]*(?:\n|$))*)/;
+                const match = rule.exec(src);
+                if (!match) return undefined;
+                footnotes.footnoteState.labels.add(match[1]);
+                const content = match[2].replace(/^(?: {4}|\t)/gm, '');
+                return {
+                    type: 'footnoteDefinition',
+                    raw: match[0],
+                    label: match[1],
+                    tokens: this.lexer.blockTokens(content, [])
+                };
+            },
+            renderer(token) {
+                footnotes.footnoteState.definitions.set(token.label, this.parser.parse(token.tokens));
+                return '';
+            }
+        }, {
+            name: 'footnoteReference',
+            level: 'inline',
+            start(src) {
+                const index = src.indexOf('[^');
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                const match = /^\[\^([^\]\s]+)\](?!:)/.exec(src);
+                if (match && footnotes.footnoteState.labels.has(match[1])) {
+                    return { type: 'footnoteReference', raw: match[0], label: match[1] };
+                }
+                return undefined;
+            },
+            renderer(token) {
+                return footnotes.renderFootnoteReference(token.label);
+            }
+        }, {
+            name: 'inlineFootnote',
+            level: 'inline',
+            start(src) {
+                const index = src.indexOf('^[');
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                if (!src.startsWith('^[')) return undefined;
+                let depth = 0;
+                for (let i = 1; i < src.length; i++) {
+                    if (src[i] === '\\') {
+                        i++;
+                    } else if (src[i] === '[') {
+                        depth++;
+                    } else if (src[i] === ']' && --depth === 0) {
+                        return {
+                            type: 'inlineFootnote',
+                            raw: src.slice(0, i + 1),
+                            tokens: this.lexer.inlineTokens(src.slice(2, i))
+                        };
+                    }
+                }
+                return undefined;
+            },
+            renderer(token) {
+                const state = footnotes.footnoteState;
+                const label = `^inline-${++state.inlineCount}`;
+                state.definitions.set(label, `<p>${this.parser.parseInline(token.tokens)}</p>`);
+                return footnotes.renderFootnoteReference(label);
+            }
+        }];
+    }
+
+    resetFootnotes() {
+        this.footnoteState = {
+            labels: new Set(),
+            definitions: new Map(),
+            numbers: new Map(),
+            referenceCounts: new Map(),
+            inlineCount: 0
+        };
+    }
+
+    renderFootnoteReference(label) {
+        const state = this.footnoteState;
+        if (!state.numbers.has(label)) {
+            state.numbers.set(label, state.numbers.size + 1);
+        }
+        const number = state.numbers.get(label);
+        const count = (state.referenceCounts.get(label) || 0) + 1;
+        state.referenceCounts.set(label, count);
+        const id = count === 1 ? `fnref-${number}` : `fnref-${number}-${count}`;
+        return `<sup class="footnote-ref"><a href="#fn-${number}" id="${id}" data-footnote="${number}">${number}</a></sup>`;
+    }
+
+    renderFootnoteSection() {
+        const state = this.footnoteState;
+        if (!state || state.numbers.size === 0) return '';
+
+        const items = [...state.numbers].map(([label, number]) => {
+            const count = state.referenceCounts.get(label) || 1;
+            const backrefs = Array.from({ length: count }, (_, index) => {
+                const target = index === 0 ? `fnref-${number}` : `fnref-${number}-${index + 1}`;
+                const suffix = index === 0 ? '' : `<sup>${index + 1}</sup>`;
+                return `<a href="#${target}" class="footnote-backref" title="Back to reference">↩${suffix}</a>`;
+            }).join(' ');
+            const html = (state.definitions.get(label) || '').trim();
+            // Back-references go at the end of the note's last paragraph when it ends with one
+            const content = /<\/p>$/.test(html) ? html.replace(/<\/p>$/, ` ${backrefs}</p>`) : `${html} ${backrefs}`;
+            return `<li id="fn-${number}">${content}</li>`;
+        });
+        return `<section class="footnotes"><hr><ol>${items.join('')}</ol></section>`;
     }
 
     initializeMermaid() {
@@ -982,6 +1152,7 @@ class MarkdownRenderer {
     setMathEngine(engine) {
         if (engine === 'mathjax' || engine === 'katex') {
             this.mathEngine = engine;
+            this.preferredMathEngine = engine;
             console.log(`[MarkdownRenderer] Math engine set to: ${engine}`);
         } else {
             console.warn(`[MarkdownRenderer] Invalid math engine: ${engine}`);
@@ -1278,8 +1449,88 @@ class MarkdownRenderer {
         return { content, mindmapDataMap };
     }
 
+    // Stop a render still waiting on the worker; its render() call returns null
+    cancelRender() {
+        if (this.renderWorker) {
+            this.renderWorker.cancel();
+        }
+    }
+
+    // Steps 1-6a of render(): math protection, front-matter, TOC, custom block rewriting and
+    // marked's lexer. They only transform strings, so MarkdownWorkerClient runs them in a
+    // worker; the result (tokens, Maps, plain objects) survives postMessage and carries the
+    // per-document state the UI-thread stages need.
+    prepareMarkdown(markdown, expandedMarkdown, prePlugins = []) {
+        const timer = createStageTimer();
+
+        // Protect math IMMEDIATELY before ANY processing
+        const { protectedContent, latexPlaceholders } = this.protectLaTeXEnvironments(expandedMarkdown);
+        let processedMarkdown = protectedContent;
+
+        for (const plugin of prePlugins) {
+            try {
+                processedMarkdown = plugin(processedMarkdown) || processedMarkdown;
+            } catch (e) {
+                console.warn('[MarkDD Plugin] Preprocessing error:', e);
+            }
+        }
+        timer.lap('protect math');
+
+        // Step 1: Process YAML frontmatter
+        const { content, frontmatter } = this.processYAMLFrontmatter(processedMarkdown);
+        processedMarkdown = content;
+
+        // Step 1.5: `toc: true` (or `toc: {levels: 2-3, numbered: true}`) in front-matter
+        // behaves like a leading [TOC] marker
+        const frontMatterTOC = frontmatter ? frontmatter.toc : null;
+        if ((frontMatterTOC === true || (frontMatterTOC && typeof frontMatterTOC === 'object')) &&
+            !/\[TOC(?:\s+[^\]]*)?\]/i.test(processedMarkdown)) {
+            const tocOptions = frontMatterTOC === true ? '' : Object.entries(frontMatterTOC)
+                .map(([key, value]) => (value === true ? ` ${key}` : value === false ? '' : ` ${key}=${value}`)).join('');
+            processedMarkdown = `[TOC${tocOptions}]\n\n` + processedMarkdown;
+        }
+
+        // Step 1.6: `number_sections: true` (or the heading level to start at) numbers headings
+        this.sectionNumbering = this.getSectionNumbering(frontmatter, processedMarkdown);
+        timer.lap('front-matter');
+
+        // Step 2: Replace [TOC] markers and @import "[TOC]" blocks with the TOC
+        processedMarkdown = this.insertTOC(processedMarkdown);
+        timer.lap('toc');
+
+        // Step 3: Process custom markdown content extensions
+        processedMarkdown = this.processMarkdownContent(processedMarkdown);
+
+        // Step 4: Process custom blocks and containers (math already protected)
+        processedMarkdown = this.processCustomBlocks(processedMarkdown);
+        timer.lap('custom blocks');
+
+        // DEBUG: Check placeholders before marked processing
+        const beforeMarked = processedMarkdown.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g);
+        console.log('[MarkdownRenderer] Placeholders before marked:', beforeMarked ? beforeMarked.length : 0);
+
+        // Step 5.5: Extract KityMinder JSON from HTML comments for persistence
+        const { content: contentWithExtractedJson, mindmapDataMap } = this.extractKityMinderJson(processedMarkdown);
+        console.log('[MarkdownRenderer] Extracted', mindmapDataMap.size, 'KityMinder JSON data blocks');
+
+        // Step 6a: Tokenize with marked, locating each block in the editor source
+        const lexed = this.lexWithSourceLines(contentWithExtractedJson, markdown);
+        timer.lap('lex');
+
+        return {
+            frontmatter,
+            sectionNumbering: this.sectionNumbering,
+            latexPlaceholders,
+            mindmapDataMap,
+            lexed,
+            timings: timer.stages
+        };
+    }
+
     async render(markdown, options = {}) {
         if (!markdown || typeof markdown !== 'string') {
+            this.frontMatter = null;
+            this.applyFrontMatterOptions(null);
             return '<div class="preview-placeholder"><p>Start typing to see preview...</p></div>';
         }
 
@@ -1292,23 +1543,17 @@ class MarkdownRenderer {
                 }
             } catch (error) {
                 console.error('[MarkdownRenderer] Initialization error:', error);
-                return `<div class="error">Initialization Error: ${error.message}</div>`;
+                return `<div class="error">Initialization Error: ${this.escapeHtml(error.message)}</div>`;
             }
         }
 
-        // CRITICAL FIX: Protect ALL math IMMEDIATELY, before ANY other processing
-        console.log('[MarkdownRenderer] ORIGINAL input content sample:', markdown.substring(0, 500));
-        const initialMathCheck = markdown.match(/\$\$[\s\S]*?\$\$/g);
-        console.log('[MarkdownRenderer] Initial display math found:', initialMathCheck ? initialMathCheck.length : 0);
-        if (initialMathCheck) {
-            console.log('[MarkdownRenderer] Initial math examples:', initialMathCheck.slice(0, 2));
-        }
-        
-        // Protect math IMMEDIATELY before ANY processing
-        console.error('🔥🔥🔥 RENDER DEBUG: About to call protectLaTeXEnvironments 🔥🔥🔥');
-        const { protectedContent: earlyProtectedMarkdown, latexPlaceholders: earlyLatexPlaceholders } = this.protectLaTeXEnvironments(markdown);
-        console.error('🔥🔥🔥 RENDER DEBUG: protectLaTeXEnvironments completed 🔥🔥🔥');
-        let processedMarkdown = earlyProtectedMarkdown;
+        this.lastRenderTimings = null;
+        const timer = createStageTimer();
+
+        // Expand @import directives first so imported markdown gets the same math protection
+        // and processing as the document itself (reads files over IPC, so always on this thread)
+        const expandedMarkdown = await this.expandImports(markdown);
+        timer.lap('imports');
 
         // --- MPE-STYLE PLUGIN PREPROCESSING ---
         let pluginsToUse = markddPlugins;
@@ -1318,155 +1563,143 @@ class MarkdownRenderer {
                 return !disabledPlugins.includes(pname);
             });
         }
-
-        for (const plugin of pluginsToUse) {
+        const prePlugins = pluginsToUse.filter(plugin => {
             const pname = plugin.pluginName || plugin.name || 'anonymous';
-            if (typeof plugin === 'function' && plugin.type === 'pre' && (!options.onlyEnabledPlugins ? !disabledPlugins.includes(pname) : true)) {
+            return typeof plugin === 'function' && plugin.type === 'pre' && (!options.onlyEnabledPlugins ? !disabledPlugins.includes(pname) : true);
+        });
+
+        try {
+            // Steps 1-6a: the text stages, in the render worker unless a pre-processing plugin
+            // (a function on this page) has to run between them
+            let prepared = null;
+            let inWorker = false;
+            if (this.renderWorker && this.renderWorker.isAvailable() && prePlugins.length === 0) {
                 try {
-                    processedMarkdown = plugin(processedMarkdown) || processedMarkdown;
-                } catch (e) {
-                    console.warn('[MarkDD Plugin] Preprocessing error:', e);
+                    prepared = await this.renderWorker.prepare(markdown, expandedMarkdown);
+                    inWorker = true;
+                    timer.include(prepared.timings, 'worker round trip');
+                } catch (error) {
+                    if (error.cancelled) {
+                        console.log('[MarkdownRenderer] Render superseded by newer content');
+                        return null;
+                    }
+                    console.warn('[MarkdownRenderer] Render worker failed, rendering on this thread:', error.message);
                 }
             }
-        }
-
-        try {
-            // Step 1: Process YAML frontmatter
-            const { content, frontmatter } = this.processYAMLFrontmatter(processedMarkdown);
-            processedMarkdown = content;
-
-            // Step 2: Insert TOC if [TOC] present
-            if (processedMarkdown.includes('[TOC]')) {
-                const tocHtml = this.generateTOC(processedMarkdown);
-                processedMarkdown = processedMarkdown.replace(/\[TOC\]/gi, tocHtml);
+            if (!prepared) {
+                prepared = this.prepareMarkdown(markdown, expandedMarkdown, prePlugins);
+                timer.include(prepared.timings);
             }
 
-            // Step 3: Process custom markdown content extensions
-            processedMarkdown = this.processMarkdownContent(processedMarkdown);
-
-        // Step 4: Process custom blocks and containers (math already protected)
-        console.log('[MarkdownRenderer] BEFORE processCustomBlocks - found placeholders:', processedMarkdown.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g) ? processedMarkdown.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g).length : 0);
-        processedMarkdown = this.processCustomBlocks(processedMarkdown);
-        console.log('[MarkdownRenderer] AFTER processCustomBlocks - found placeholders:', processedMarkdown.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g) ? processedMarkdown.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g).length : 0);
-
-        // Step 5: Use already protected content and placeholders
-        console.log('[MarkdownRenderer] Using early math protection - skipping duplicate protection');
-        const protectedContent = processedMarkdown;
-        const latexPlaceholders = earlyLatexPlaceholders;
-        // Store placeholders as instance variable for TikZ code restoration
-        this.currentLatexPlaceholders = latexPlaceholders;
-        console.log('[MarkdownRenderer] Stored', latexPlaceholders.size, 'math placeholders for TikZ code restoration');        // DEBUG: Check placeholders before marked processing
-        const beforeMarked = protectedContent.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g);
-        console.log('[MarkdownRenderer] Placeholders before marked:', beforeMarked ? beforeMarked.length : 0);
-        if (beforeMarked) {
-            console.log('[MarkdownRenderer] Placeholder examples:', beforeMarked.slice(0, 3));
-        }
-
-        // Step 5.5: Extract KityMinder JSON from HTML comments for persistence
-        const { content: contentWithExtractedJson, mindmapDataMap } = this.extractKityMinderJson(protectedContent);
-        this.currentMindmapDataMap = mindmapDataMap; // Store for use in image renderer
-        console.log('[MarkdownRenderer] Extracted', mindmapDataMap.size, 'KityMinder JSON data blocks');
-
-        // Step 6: Render with marked (with protected LaTeX, JSON extracted)
-        let html = this.markedParse(contentWithExtractedJson);
-
-        // DEBUG: Check placeholders after marked processing
-        const afterMarked = html.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g);
-        console.log('[MarkdownRenderer] Placeholders after marked:', afterMarked ? afterMarked.length : 0);
-        if (!afterMarked && beforeMarked) {
-            console.log('[MarkdownRenderer] CRITICAL: Marked processing destroyed placeholders!');
-            console.log('[MarkdownRenderer] HTML sample:', html.substring(0, 200));
-        }
+            const { frontmatter, latexPlaceholders } = prepared;
+            this.frontMatter = frontmatter;
+            this.applyFrontMatterOptions(frontmatter);
+            this.sectionNumbering = prepared.sectionNumbering;
+            // Placeholders are kept for TikZ code restoration, mind map JSON for the image renderer
+            this.currentLatexPlaceholders = latexPlaceholders;
+            this.currentMindmapDataMap = prepared.mindmapDataMap;
+
+            // Step 6: Render the tokens with marked, marking each block with its line range
+            // in the editor for scroll sync
+            let html = this.parseLexedMarkdown(prepared.lexed);
+            timer.lap('parse');
+
+            // Step 6.5: Remove script from the document's raw HTML before it reaches the page;
+            // diagrams and math are drawn into the sanitized tree afterwards
+            html = this.htmlSanitizer.sanitize(html);
+            timer.lap('sanitize');
+
+            // DEBUG: Check placeholders after marked processing
+            const afterMarked = html.match(/MATH_(?:BLOCK|INLINE)_PLACEHOLDER_\d+|LATEX_ENV_PLACEHOLDER_\d+/g);
+            console.log('[MarkdownRenderer] Placeholders after marked:', afterMarked ? afterMarked.length : 0);
+            if (!afterMarked && latexPlaceholders.size) {
+                console.log('[MarkdownRenderer] CRITICAL: Marked processing destroyed placeholders!');
+                console.log('[MarkdownRenderer] HTML sample:', html.substring(0, 200));
+            }
 
-        // Step 7: Create container for post-processing
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
+            // Step 7: Create container for post-processing
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = html;
+            this.applySourceLines(tempDiv);
 
-        // Step 8: Restore LaTeX environments and process with KaTeX
-        this.restoreLaTeXEnvironments(tempDiv, latexPlaceholders);
+            // Step 8: Restore LaTeX environments and process with KaTeX
+            this.restoreLaTeXEnvironments(tempDiv, latexPlaceholders);
 
-        // Step 9: Post-process remaining math expressions using KaTeX directly
-        this.processKaTeXMath(tempDiv);
+            // Step 9: Post-process remaining math expressions using KaTeX directly
+            this.processKaTeXMath(tempDiv);
 
-        // Recovery pass: if any stray TeX sequences remain in the HTML (e.g. due to
-        // markdown transformations that removed placeholders), attempt to find
-        // and replace raw TeX directly in the DOM so exported HTML matches preview.
-        try {
-            this.recoverMathFromHTML(tempDiv);
-        } catch (e) {
-            console.warn('[MarkdownRenderer] recoverMathFromHTML failed:', e && e.message ? e.message : e);
-        }
+            // Recovery pass: if any stray TeX sequences remain in the HTML (e.g. due to
+            // markdown transformations that removed placeholders), attempt to find
+            // and replace raw TeX directly in the DOM so exported HTML matches preview.
+            try {
+                this.recoverMathFromHTML(tempDiv);
+            } catch (e) {
+                console.warn('[MarkdownRenderer] recoverMathFromHTML failed:', e && e.message ? e.message : e);
+            }
 
-        // Progressive MathJax re-render: if some placeholders used fallback while MathJax still pending
-        if (this._mathFallbacksUsed.length && this._mathJaxReadyState === 'pending' && this._mathJaxReadyPromise) {
-            const pendingUpgrades = [...this._mathFallbacksUsed];
-            console.log(`[MarkdownRenderer] Scheduling progressive MathJax upgrade for ${pendingUpgrades.length} math blocks`);
-            this._mathJaxReadyPromise.then(ready => {
-                if (!ready) return; // timeout, do nothing
-                // Re-render only the fallback blocks inside current container (if still present)
-                pendingUpgrades.forEach(up => {
-                    try {
-                        // Find rendered element corresponding to pattern content (heuristic: search by original TeX text comment marker could be added; using text for now minimal risk)
-                        const selector = up.display ? '.math-display' : '.math-inline';
-                        const candidates = tempDiv.querySelectorAll(selector);
-                        for (const el of candidates) {
-                            if (el.textContent && el.textContent.replace(/\s+/g,'').includes(up.content.replace(/\s+/g,''))) {
-                                const node = window.MathJax.tex2svg(up.content, { display: up.display });
-                                if (node && node.outerHTML) {
-                                    el.innerHTML = node.outerHTML;
-                                    el.setAttribute('data-upgraded-mathjax','true');
+            // Progressive MathJax re-render: if some placeholders used fallback while MathJax still pending
+            if (this._mathFallbacksUsed.length && this._mathJaxReadyState === 'pending' && this._mathJaxReadyPromise) {
+                const pendingUpgrades = [...this._mathFallbacksUsed];
+                console.log(`[MarkdownRenderer] Scheduling progressive MathJax upgrade for ${pendingUpgrades.length} math blocks`);
+                this._mathJaxReadyPromise.then(ready => {
+                    if (!ready) return; // timeout, do nothing
+                    // Re-render only the fallback blocks inside current container (if still present)
+                    pendingUpgrades.forEach(up => {
+                        try {
+                            // Find rendered element corresponding to pattern content (heuristic: search by original TeX text comment marker could be added; using text for now minimal risk)
+                            const selector = up.display ? '.math-display' : '.math-inline';
+                            const candidates = tempDiv.querySelectorAll(selector);
+                            for (const el of candidates) {
+                                if (el.textContent && el.textContent.replace(/\s+/g,'').includes(up.content.replace(/\s+/g,''))) {
+                                    const node = window.MathJax.tex2svg(up.content, { display: up.display });
+                                    if (node && node.outerHTML) {
+                                        el.innerHTML = node.outerHTML;
+                                        el.setAttribute('data-upgraded-mathjax','true');
+                                    }
+                                    break;
                                 }
-                                break;
                             }
+                        } catch (e) {
+                            console.warn('[MarkdownRenderer] Progressive MathJax upgrade failed for block:', e);
                         }
-                    } catch (e) {
-                        console.warn('[MarkdownRenderer] Progressive MathJax upgrade failed for block:', e);
-                    }
+                    });
+                    console.log('[MarkdownRenderer] Progressive MathJax upgrade complete');
                 });
-                console.log('[MarkdownRenderer] Progressive MathJax upgrade complete');
-            });
-        }
-
-        // Step 10: Post-process diagrams and special content
-        console.log('[MarkdownRenderer] About to call postProcess...');
-        html = await this.postProcess(tempDiv.innerHTML);
-        console.log('[MarkdownRenderer] postProcess completed, continuing...');
-        tempDiv.innerHTML = html;
+            }
+            timer.lap('math');
 
-        // Step 11: Process multimedia embeds
-        console.log('[MarkdownRenderer] Processing multimedia embeds...');
-        if (typeof this.processMultimediaEmbeds === 'function') {
-            this.processMultimediaEmbeds(tempDiv);
-            console.log('[MarkdownRenderer] Multimedia embeds completed');
-        } else {
-            console.log('[MarkdownRenderer] processMultimediaEmbeds method not available');
-        }
+            // Step 10: Post-process diagrams and special content
+            console.log('[MarkdownRenderer] About to call postProcess...');
+            html = await this.postProcess(tempDiv.innerHTML);
+            console.log('[MarkdownRenderer] postProcess completed, continuing...');
+            tempDiv.innerHTML = html;
+            timer.lap('diagrams');
 
-        // Step 12: Process enhanced task lists
-        console.log('[MarkdownRenderer] Processing task lists...');
-        if (typeof this.processTaskLists === 'function') {
-            this.processTaskLists(tempDiv);
-            console.log('[MarkdownRenderer] Task lists completed');
-        } else {
-            console.log('[MarkdownRenderer] processTaskLists method not available');
-        }
+            // Step 11: Process multimedia embeds
+            console.log('[MarkdownRenderer] Processing multimedia embeds...');
+            if (typeof this.processMultimediaEmbeds === 'function') {
+                this.processMultimediaEmbeds(tempDiv);
+                console.log('[MarkdownRenderer] Multimedia embeds completed');
+            } else {
+                console.log('[MarkdownRenderer] processMultimediaEmbeds method not available');
+            }
 
-        // Step 13: Process data tables with sorting
-        console.log('[MarkdownRenderer] Processing data tables...');
-        if (typeof this.processDataTables === 'function') {
-            this.processDataTables(tempDiv);
-            console.log('[MarkdownRenderer] Data tables completed');
-        } else {
-            console.log('[MarkdownRenderer] processDataTables method not available');
-        }
+            // Step 12: Process enhanced task lists
+            console.log('[MarkdownRenderer] Processing task lists...');
+            if (typeof this.processTaskLists === 'function') {
+                this.processTaskLists(tempDiv);
+                console.log('[MarkdownRenderer] Task lists completed');
+            } else {
+                console.log('[MarkdownRenderer] processTaskLists method not available');
+            }
 
-            // Step 12: Process footnotes
-            console.log('[MarkdownRenderer] Processing footnotes...');
-            if (typeof this.processFootnotes === 'function') {
-                this.processFootnotes(tempDiv);
-                console.log('[MarkdownRenderer] Footnotes completed');
+            // Step 13: Process data tables with sorting
+            console.log('[MarkdownRenderer] Processing data tables...');
+            if (typeof this.processDataTables === 'function') {
+                this.processDataTables(tempDiv);
+                console.log('[MarkdownRenderer] Data tables completed');
             } else {
-                console.log('[MarkdownRenderer] processFootnotes method not available');
+                console.log('[MarkdownRenderer] processDataTables method not available');
             }
 
             // Step 13: Add copy functionality to code blocks
@@ -1478,6 +1711,15 @@ class MarkdownRenderer {
                 console.log('[MarkdownRenderer] addCopyCodeFunctionality method not available');
             }
 
+            // Step 13.5: Show front-matter as a metadata panel when enabled in Settings
+            if (frontmatter && this.getFrontMatterDisplayMode() === 'panel') {
+                tempDiv.insertAdjacentHTML('afterbegin', this.renderFrontMatterPanel(frontmatter));
+            }
+
+            // Step 13.6: Hash every top-level block so the preview only replaces changed ones
+            this.assignBlockHashes(tempDiv);
+            timer.lap('embeds, tables, hashes');
+
             // Step 14: Get final HTML
             html = tempDiv.innerHTML;
 
@@ -1496,12 +1738,16 @@ class MarkdownRenderer {
                 }
             }
             console.log('[MarkdownRenderer] MPE-style plugin postprocessing completed');
+            timer.lap('plugins');
+
+            // Per-stage durations for the dev-mode timing overlay (Preview.showRenderTimings)
+            this.lastRenderTimings = { inWorker, stages: timer.stages };
 
             console.log('[MarkdownRenderer] Render method completing successfully');
             return html;
         } catch (error) {
             console.error('[MarkdownRenderer] Render error:', error);
-            return `<div class="error">Render Error: ${error.message}</div>`;
+            return `<div class="error">Render Error: ${this.escapeHtml(error.message)}</div>`;
         }
     }
 
@@ -1576,9 +1822,35 @@ class MarkdownRenderer {
         </div>`;
     }
 
-    renderAbcMusic(code) {
+    // Split a fence info string into the language and its {key=value .class #id flag} attributes
+    parseFenceInfo(info) {
+        const match = /^\s*([^\s{]*)\s*(?:\{([^}]*)\})?/.exec(info || '');
+        const attributes = {};
+        const classes = [];
+        if (match && match[2]) {
+            const attributePattern = /([\w-]+)\s*=\s*("[^"]*"|'[^']*'|[^\s"']+)|\.([\w-]+)|#([\w-]+)|([\w-]+)/g;
+            let part;
+            while ((part = attributePattern.exec(match[2])) !== null) {
+                if (part[1]) {
+                    attributes[part[1]] = part[2].replace(/^(["'])(.*)\1$/, '$2');
+                } else if (part[3]) {
+                    classes.push(part[3]);
+                } else if (part[4]) {
+                    attributes.id = part[4];
+                } else if (part[5]) {
+                    attributes[part[5]] = true;
+                }
+            }
+        }
+        return { lang: match ? match[1] : '', attributes, classes };
+    }
+
+    renderAbcMusic(code, attributes = {}) {
         const id = `abc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        return `<div class="abc-container" data-abc-id="${id}" data-abc-code="${encodeURIComponent(code)}">
+        const options = {};
+        if (attributes.transpose !== undefined) options.transpose = attributes.transpose;
+        if (attributes.tablature || attributes.tab) options.tablature = attributes.tablature || attributes.tab;
+        return `<div class="abc-container" data-abc-id="${id}" data-abc-code="${encodeURIComponent(code)}" data-abc-options="${encodeURIComponent(JSON.stringify(options))}">
             <div class="abc-loading">Loading music notation...</div>
         </div>`;
     }
@@ -1591,22 +1863,20 @@ class MarkdownRenderer {
     }
 
     renderPlantUML(code) {
-        if (!window.plantumlEncoder) {
-            return `<div class="diagram-error">PlantUML encoder library not loaded. Please check your internet connection or library loader settings.</div>`;
-        }
         const id = `plantuml-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         return `<div class="plantuml-container" data-plantuml-id="${id}" data-plantuml-code="${encodeURIComponent(code)}">
             <div class="plantuml-loading">Loading PlantUML diagram...</div>
         </div>`;
     }
 
-    renderVegaLite(code) {
+    renderVegaLite(code, lang = 'vega-lite') {
         if (!window.vegaEmbed) {
             return `<div class="diagram-error">Vega/Vega-Lite (vega-embed) library not loaded. Please check your internet connection or library loader settings.</div>`;
         }
         const id = `vega-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        return `<div class="vega-lite-container" data-vega-id="${id}" data-vega-code="${encodeURIComponent(code)}">
-            <div class="vega-loading">Loading Vega-Lite visualization...</div>
+        const mode = lang === 'vega' ? 'vega' : 'vega-lite';
+        return `<div class="vega-lite-container" data-vega-id="${id}" data-vega-mode="${mode}" data-vega-code="${encodeURIComponent(code)}">
+            <div class="vega-loading">Loading ${mode === 'vega' ? 'Vega' : 'Vega-Lite'} visualization...</div>
         </div>`;
     }
 
@@ -2621,7 +2891,7 @@ class MarkdownRenderer {
             // Create error wrapper and use simple innerHTML replacement
             const errorWrapper = document.createElement('div');
             errorWrapper.className = 'math-error';
-            errorWrapper.innerHTML = `Math Error (${envType}): ${error.message}<br><small>Content: ${placeholderData.content.substring(0, 100)}...</small>`;
+            errorWrapper.innerHTML = `Math Error (${this.escapeHtml(envType)}): ${this.escapeHtml(error.message)}<br><small>Content: ${this.escapeHtml(placeholderData.content.substring(0, 100))}...</small>`;
             
                 // Replace element in DOM if possible
                 try {
@@ -2928,15 +3198,10 @@ class MarkdownRenderer {
                 <div class="latex-loading">Rendering LaTeX document...</div>
             </div>`;
         } catch (error) {
-            return `<div class="diagram-error">LaTeX rendering failed: ${error.message}</div>`;
+            return `<div class="diagram-error">LaTeX rendering failed: ${this.escapeHtml(error.message)}</div>`;
         }
     }
 
-    generateLineNumbers(code) {
-        const lines = code.split('\n');
-        return lines.map((_, index) => `<span class="line-number">${index + 1}</span>`).join('');
-    }
-
     async postProcess(html) {
         console.log('[MarkdownRenderer] Starting postProcess with full diagram processing enabled');
         
@@ -2945,6 +3210,9 @@ class MarkdownRenderer {
         const doc = parser.parseFromString(`<div>${html}</div>`, 'text/html');
         const container = doc.querySelector('div');
 
+        // Unchanged diagram blocks come from the cache and sit out the processing below
+        const cachedBlocks = this.takeCachedDiagramBlocks(container);
+
         // Process safe synchronous features first
         try {
             if (typeof this.addCopyButtons === 'function') {
@@ -3011,10 +3279,109 @@ class MarkdownRenderer {
             console.warn('[MarkdownRenderer] Multimedia processing error:', error);
         }
 
+        this.cacheDiagramBlocks(container);
+        this.restoreCachedDiagramBlocks(cachedBlocks);
+
         console.log('[MarkdownRenderer] PostProcess completed successfully with full diagram support');
         return container.innerHTML;
     }
 
+    // FNV-1a, enough to tell blocks of one document apart
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${text.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+    }
+
+    // Hash of a block's HTML without what changes on every parse: generated ids, and the
+    // source lines, which move whenever lines are added above
+    getBlockHash(element) {
+        return this.hashString(element.outerHTML
+            .replace(VOLATILE_BLOCK_ID_PATTERN, '-id')
+            .replace(SOURCE_LINE_ATTRIBUTE_PATTERN, ''));
+    }
+
+    assignBlockHashes(container) {
+        Array.from(container.children).forEach(element => {
+            element.removeAttribute('data-block-hash');
+            element.setAttribute('data-block-hash', this.getBlockHash(element));
+        });
+    }
+
+    clearBlockCache() {
+        this.blockCache.clear();
+    }
+
+    // Mermaid, WaveDrom and Vega draw for the theme in effect (front-matter `theme:` over the
+    // app theme), so blocks are cached per theme and math engine, never reused across a switch
+    getBlockCacheContext() {
+        const documentTheme = this.frontMatter && typeof this.frontMatter.theme === 'string'
+            ? this.frontMatter.theme.trim().toLowerCase() : '';
+        const appTheme = document.documentElement.getAttribute('data-theme') || 'light';
+        return `${documentTheme || appTheme}|${this.mathEngine}`;
+    }
+
+    // Swap cached diagram blocks in for their freshly parsed copies and take them out of the
+    // container until postProcess is done; misses are tagged for cacheDiagramBlocks
+    takeCachedDiagramBlocks(container) {
+        const taken = [];
+        const context = this.getBlockCacheContext();
+        Array.from(container.children).forEach(element => {
+            if (!element.matches(DIAGRAM_BLOCK_SELECTOR) && !element.querySelector(DIAGRAM_BLOCK_SELECTOR)) {
+                return;
+            }
+            if (element.matches(INTERACTIVE_BLOCK_SELECTOR) || element.querySelector(INTERACTIVE_BLOCK_SELECTOR)) {
+                return;
+            }
+            const key = `${context}|${this.getBlockHash(element)}`;
+            const cachedHtml = this.blockCache.get(key);
+            if (cachedHtml === undefined) {
+                element.setAttribute('data-block-key', key);
+                return;
+            }
+
+            // Most recently used last
+            this.blockCache.delete(key);
+            this.blockCache.set(key, cachedHtml);
+
+            const template = element.ownerDocument.createElement('template');
+            template.innerHTML = cachedHtml;
+            const cached = template.content.firstElementChild;
+            ['data-source-line', 'data-source-line-end'].forEach(attribute => {
+                if (element.hasAttribute(attribute)) {
+                    cached.setAttribute(attribute, element.getAttribute(attribute));
+                }
+            });
+            const placeholder = element.ownerDocument.createComment('markdd-cached-block');
+            element.replaceWith(placeholder);
+            taken.push({ placeholder, element: cached });
+        });
+        return taken;
+    }
+
+    restoreCachedDiagramBlocks(taken) {
+        taken.forEach(({ placeholder, element }) => placeholder.replaceWith(element));
+    }
+
+    // Blocks that failed or are still loading are drawn again next time
+    cacheDiagramBlocks(container) {
+        container.querySelectorAll(':scope > [data-block-key]').forEach(element => {
+            const key = element.getAttribute('data-block-key');
+            element.removeAttribute('data-block-key');
+            if (element.querySelector('[class*="error"], [class*="loading"]')) {
+                return;
+            }
+
+            this.blockCache.set(key, element.outerHTML);
+            if (this.blockCache.size > BLOCK_CACHE_LIMIT) {
+                this.blockCache.delete(this.blockCache.keys().next().value);
+            }
+        });
+    }
+
     async processMermaidDiagrams(container) {
         const mermaidElements = container.querySelectorAll('.mermaid-container');
         
@@ -3026,7 +3393,7 @@ class MarkdownRenderer {
                 element.innerHTML = svg;
                 element.classList.add('mermaid-rendered');
             } catch (error) {
-                element.innerHTML = `<div class="mermaid-error"><b>Mermaid Diagram Error</b><br>${error.message}<br><small>Check your diagram syntax or see <a href='https://mermaid-js.github.io/mermaid/#/syntax' target='_blank'>Mermaid Syntax Guide</a>.</small><details><summary>Show code</summary><pre><code>${code}</code></pre></details></div>`;
+                element.innerHTML = `<div class="mermaid-error"><b>Mermaid Diagram Error</b><br>${this.escapeHtml(error.message)}<br><small>Check your diagram syntax or see <a href='https://mermaid-js.github.io/mermaid/#/syntax' target='_blank'>Mermaid Syntax Guide</a>.</small><details><summary>Show code</summary><pre><code>${this.escapeHtml(code)}</code></pre></details></div>`;
                 element.classList.add('mermaid-error');
             }
         }
@@ -3048,7 +3415,7 @@ class MarkdownRenderer {
                 }
                 
                 // Fallback to direct window.markmap if enhanced integration not available
-                element.innerHTML = `<svg id="${id}" width="400" height="300"></svg>`;
+                element.innerHTML = `<svg id="${this.escapeHtml(id)}" width="400" height="300"></svg>`;
                 if (window.markmap && typeof window.markmap.transform === 'function' && typeof window.markmap.Markmap === 'function') {
                     const { root } = window.markmap.transform(code);
                     const svg = d3.select(`#${id}`);
@@ -3063,7 +3430,7 @@ class MarkdownRenderer {
                 element.classList.add('markmap-rendered');
             } catch (error) {
                 console.error('[MarkdownRenderer] Markmap error:', error);
-                element.innerHTML = `<div class="markmap-error"><b>Markmap Mindmap Error</b><br>${error.message}<br><small>Check your markdown structure or see <a href='https://markmap.js.org/' target='_blank'>Markmap Docs</a>.</small><details><summary>Show code</summary><pre><code>${code}</code></pre></details></div>`;
+                element.innerHTML = `<div class="markmap-error"><b>Markmap Mindmap Error</b><br>${this.escapeHtml(error.message)}<br><small>Check your markdown structure or see <a href='https://markmap.js.org/' target='_blank'>Markmap Docs</a>.</small><details><summary>Show code</summary><pre><code>${this.escapeHtml(code)}</code></pre></details></div>`;
                 element.classList.add('markmap-error');
             }
         }
@@ -3085,30 +3452,44 @@ class MarkdownRenderer {
                 element.innerHTML = `
                     <div class="diagram-loading">
                         <div class="loading-spinner"></div>
-                        <p>Loading GraphViz diagram (${engine})...</p>
+                        <p>Loading GraphViz diagram (${this.escapeHtml(engine)})...</p>
                     </div>
                 `;
                 
-                // Check if Viz.js or local GraphViz is available - if not, load it dynamically
-                if (!window.Viz && (!window.localGraphViz || !(await window.localGraphViz.isAvailable()))) {
-                    console.log('[GraphViz] Neither Viz.js nor local GraphViz available, attempting dynamic load...');
-                    await this.loadVizJsDynamically();
+                let svg;
+                
+                // Method 0: Native Graphviz (dot/neato/... on PATH) rendered by the main process
+                if (window.localGraphViz && (await window.localGraphViz.isAvailable())) {
+                    try {
+                        console.log('[GraphViz] Attempting native Graphviz renderer');
+                        svg = await window.localGraphViz.renderSVGElement(code, { engine });
+                        console.log('[GraphViz] Native Graphviz rendering successful');
+                    } catch (localError) {
+                        // Syntax errors would fail in Viz.js as well - report Graphviz's diagnostics
+                        if (localError.graphvizErrors && localError.graphvizErrors.length && !localError.unavailable) {
+                            throw localError;
+                        }
+                        console.log('[GraphViz] Native Graphviz failed, falling back to Viz.js:', localError.message);
+                    }
                 }
                 
-                // Validate we have at least one GraphViz method available
-                const hasVizJs = !!window.Viz;
-                const hasLocalGraphViz = window.localGraphViz && (await window.localGraphViz.isAvailable());
+                // Check if Viz.js is available - if not, load it dynamically
+                if (!svg && !window.Viz) {
+                    console.log('[GraphViz] Native Graphviz unavailable and Viz.js not loaded, attempting dynamic load...');
+                    await this.loadVizJsDynamically();
+                }
                 
-                if (!hasVizJs && !hasLocalGraphViz) {
+                if (!svg && !window.Viz) {
                     throw new Error('GraphViz rendering not available. Neither Viz.js library nor local GraphViz could be loaded.');
                 }
                 
                 // Use v3.x standalone API - multiple approaches to handle different versions
-                console.log('[GraphViz] Using v3.x standalone API');
-                let svg;
+                if (!svg) {
+                    console.log('[GraphViz] Using v3.x standalone API');
+                }
                 
                 // Method 1: Try synchronous function call (v3.x standalone)
-                if (typeof window.Viz === 'function' && !window.Viz.prototype) {
+                if (!svg && typeof window.Viz === 'function' && !window.Viz.prototype) {
                     try {
                         console.log('[GraphViz] Attempting direct function call');
                         const svgText = window.Viz(code, { format: 'svg', engine });
@@ -3191,22 +3572,6 @@ class MarkdownRenderer {
                     }
                 }
                 
-                // Method 5: Try Local GraphViz as fallback
-                if (!svg && window.localGraphViz) {
-                    try {
-                        console.log('[GraphViz] Attempting local GraphViz renderer');
-                        const isLocalAvailable = await window.localGraphViz.isAvailable();
-                        if (isLocalAvailable) {
-                            svg = await window.localGraphViz.renderSVGElement(code, { engine });
-                            console.log('[GraphViz] Local GraphViz rendering successful');
-                        } else {
-                            console.log('[GraphViz] Local GraphViz not available (dot.exe not found)');
-                        }
-                    } catch (localError) {
-                        console.log('[GraphViz] Local GraphViz method failed:', localError.message);
-                    }
-                }
-                
                 if (!svg) {
                     throw new Error('Could not render GraphViz diagram with any available API method');
                 }
@@ -3215,23 +3580,26 @@ class MarkdownRenderer {
                 
                 // Success: display the rendered SVG
                 element.innerHTML = `
-                    <div class="graphviz-diagram" id="${id}">
+                    <div class="graphviz-diagram" id="${this.escapeHtml(id)}">
                         <div class="diagram-header">
-                            <span class="diagram-type">GraphViz (${engine}) Diagram</span>
+                            <span class="diagram-type">GraphViz (${this.escapeHtml(engine)}) Diagram</span>
                             <button class="diagram-toggle" onclick="toggleGraphvizSource(this)">Show Source</button>
                         </div>
                         <div class="diagram-content"></div>
-                        <pre class="diagram-source hidden"><code>${code}</code></pre>
+                        <pre class="diagram-source hidden"><code>${this.escapeHtml(code)}</code></pre>
                     </div>
                 `;
                 
-                // Append the SVG element
+                // Insert the cleaned SVG
                 const contentDiv = element.querySelector('.diagram-content');
                 if (svg && contentDiv) {
+                    contentDiv.innerHTML = this.htmlSanitizer.sanitizeSvg(svg);
                     // Ensure SVG is properly sized
-                    svg.style.maxWidth = '100%';
-                    svg.style.height = 'auto';
-                    contentDiv.appendChild(svg);
+                    const svgElement = contentDiv.querySelector('svg');
+                    if (svgElement) {
+                        svgElement.style.maxWidth = '100%';
+                        svgElement.style.height = 'auto';
+                    }
                 }
                 
                 element.classList.add('graphviz-rendered');
@@ -3240,20 +3608,27 @@ class MarkdownRenderer {
             } catch (error) {
                 console.error('[MarkdownRenderer] GraphViz error:', error);
                 
+                if (error.graphvizErrors && error.graphvizErrors.length) {
+                    element.innerHTML = this.renderGraphvizErrorBlock(code, engine, error.graphvizErrors);
+                    element.classList.add('graphviz-error');
+                    element.classList.remove('graphviz-loading');
+                    continue;
+                }
+                
                 // Show error with fallback
                 element.innerHTML = `
                     <div class="graphviz-error">
                         <div class="diagram-header">
-                            <span class="diagram-type">GraphViz (${engine}) Diagram</span>
+                            <span class="diagram-type">GraphViz (${this.escapeHtml(engine)}) Diagram</span>
                             <span class="diagram-error">Failed to Load</span>
                         </div>
                         <div class="error-message">
                             <p><strong>GraphViz Diagrams</strong></p>
-                            <p>GraphViz (Viz.js) library not loaded. Please check your internet connection or library loader settings. (${error.message})</p>
+                            <p>GraphViz (Viz.js) library not loaded. Please check your internet connection or library loader settings. (${this.escapeHtml(error.message)})</p>
                             <p>Failed to load from 3 sources</p>
                             <details>
                                 <summary>View Raw Code</summary>
-                                <pre><code>${code}</code></pre>
+                                <pre><code>${this.escapeHtml(code)}</code></pre>
                             </details>
                         </div>
                     </div>
@@ -3265,6 +3640,30 @@ class MarkdownRenderer {
         }
     }
 
+    // Graphviz syntax errors: list the diagnostics and show the source with the offending lines marked
+    renderGraphvizErrorBlock(code, engine, errors) {
+        const errorLines = new Set(errors.filter(e => e.line).map(e => e.line));
+        const messages = errors.map(e => `<li class="graphviz-error-${e.severity}">${e.line ? `<strong>Line ${e.line}:</strong> ` : ''}${this.escapeHtml(e.message)}</li>`).join('');
+        const sourceLines = code.split('\n').map((line, index) => {
+            const lineNumber = index + 1;
+            const marked = errorLines.has(lineNumber) ? ' graphviz-error-line' : '';
+            return `<span class="graphviz-source-line${marked}"><span class="line-number">${lineNumber}</span>${this.escapeHtml(line)}</span>`;
+        }).join('\n');
+
+        return `
+            <div class="graphviz-error">
+                <div class="diagram-header">
+                    <span class="diagram-type">GraphViz (${this.escapeHtml(engine)}) Diagram</span>
+                    <span class="diagram-error">Syntax Error</span>
+                </div>
+                <div class="error-message">
+                    <ul class="graphviz-error-list">${messages}</ul>
+                    <pre class="graphviz-error-source"><code>${sourceLines}</code></pre>
+                </div>
+            </div>
+        `;
+    }
+
     // Dynamic Viz.js loader as fallback
     async loadVizJsDynamically() {
         // First, try to load local GraphViz renderer
@@ -3319,46 +3718,40 @@ class MarkdownRenderer {
     }
 
     async processPlantUMLDiagrams(container) {
-        const plantumlElements = container.querySelectorAll('.plantuml-container');
+        const plantumlElements = container.querySelectorAll('.plantuml-container:not(.plantuml-rendered)');
         
         for (const element of plantumlElements) {
             const code = decodeURIComponent(element.getAttribute('data-plantuml-code'));
             const id = element.getAttribute('data-plantuml-id');
             
             try {
-                // ENHANCED: Use PlantUML server for rendering with proper HTML export support
-                const server = 'https://www.plantuml.com/plantuml/svg/';
-                const encoded = this.encodePlantUML(code);
-                
-                // CRITICAL FIX: Create export-friendly HTML with embedded SVG
-                const svgUrl = `${server}${encoded}`;
+                // OFFLINE FIX: Render through the main process (local jar / local server) and
+                // inline the SVG, so exports embed the diagram instead of a remote URL
+                const svg = await this.renderPlantUMLSvg(code);
                 
-                element.innerHTML = `<div class="plantuml-diagram" id="${id}">
+                element.innerHTML = `<div class="plantuml-diagram" id="${this.escapeHtml(id)}">
                     <div class="diagram-header">
                         <span class="diagram-type">PlantUML Diagram</span>
                         <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                        <pre class="diagram-source hidden"><code>${code}</code></pre>
-                    </div>
-                    <div class="diagram-content">
-                        <img src="${svgUrl}" alt="PlantUML Diagram" 
-                             style="max-width: 100%; height: auto; display: block;" 
-                             onload="this.style.display='block'; this.parentElement.classList.add('diagram-loaded');" 
-                             onerror="this.style.display='none'; this.parentElement.innerHTML='<div class=&quot;diagram-error&quot;>Failed to render PlantUML diagram from server</div>'">
-                        <!-- EXPORT ENHANCEMENT: Static SVG embed for export -->
-                        <noscript>
-                            <img src="${svgUrl}" alt="PlantUML Diagram" style="max-width: 100%; height: auto;">
-                        </noscript>
+                        <pre class="diagram-source hidden"><code>${this.escapeHtml(code)}</code></pre>
                     </div>
+                    <div class="diagram-content diagram-loaded">${svg}</div>
                 </div>`;
+                
+                const svgElement = element.querySelector('.diagram-content svg');
+                if (svgElement) {
+                    svgElement.style.maxWidth = '100%';
+                    svgElement.style.height = 'auto';
+                }
                 element.classList.add('plantuml-rendered');
             } catch (error) {
                 console.error('[MarkdownRenderer] PlantUML error:', error);
                 element.innerHTML = `<div class="plantuml-error">
                     <h4>PlantUML Error</h4>
-                    <p>${error.message}</p>
+                    <p>${this.escapeHtml(error.message)}</p>
                     <details>
                         <summary>Source Code</summary>
-                        <pre><code>${code}</code></pre>
+                        <pre><code>${this.escapeHtml(code)}</code></pre>
                     </details>
                 </div>`;
                 element.classList.add('plantuml-error');
@@ -3366,155 +3759,885 @@ class MarkdownRenderer {
         }
     }
 
+    // Vega and Vega-Lite charts (```vega / ```vega-lite, JSON or YAML specs). Charts need a
+    // live element to measure, so containers in the detached post-processing document are left
+    // for the preview pass. `data.url` is loaded through the main process (see createVegaLoader).
     async processVegaLiteDiagrams(container) {
-        const vegaElements = container.querySelectorAll('.vega-lite-container');
-        
+        if (!container.isConnected) return;
+
+        const vegaElements = container.querySelectorAll('.vega-lite-container:not(.vega-rendered)');
         for (const element of vegaElements) {
-            const code = decodeURIComponent(element.getAttribute('data-vega-code'));
-            const id = element.getAttribute('data-vega-id');
-            try {
-                // Parse JSON/YAML spec
-                let spec;
-                try {
-                    spec = JSON.parse(code);
-                } catch (jsonError) {
-                    throw new Error('Vega-Lite spec must be valid JSON. Parse error: ' + jsonError.message);
-                }
-                
-                // ENHANCED: Create export-friendly structure
-                element.innerHTML = `
-                    <div class="vega-lite-diagram" id="${id}">
-                        <div class="diagram-header">
-                            <span class="diagram-type">Vega-Lite Visualization</span>
-                            <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Show Spec</button>
-                            <pre class="diagram-source hidden"><code>${JSON.stringify(spec, null, 2)}</code></pre>
+            await this.renderVegaElement(element);
+        }
+        this.watchVegaDataFiles(container);
+    }
+
+    // Re-render the charts in `container` that loaded `filePath` (called when it changes on disk)
+    async refreshVegaCharts(container, filePath) {
+        const elements = Array.from(container.querySelectorAll('.vega-lite-container[data-vega-files]'))
+            .filter(element => this.getVegaDataFiles(element).includes(filePath));
+        for (const element of elements) {
+            await this.renderVegaElement(element);
+        }
+        if (elements.length) {
+            this.watchVegaDataFiles(container);
+        }
+    }
+
+    async renderVegaElement(element) {
+        const code = decodeURIComponent(element.getAttribute('data-vega-code') || '');
+        const id = element.getAttribute('data-vega-id');
+        const mode = element.getAttribute('data-vega-mode') === 'vega' ? 'vega' : 'vega-lite';
+        const label = mode === 'vega' ? 'Vega' : 'Vega-Lite';
+        const dataFiles = new Set();
+
+        try {
+            const spec = this.parseVegaSpec(code, label);
+            const dataUrls = this.collectVegaDataUrls(spec);
+            const specJson = this.escapeHtml(JSON.stringify(spec, null, 2));
+
+            element.innerHTML = `
+                <div class="vega-lite-diagram" id="${this.escapeHtml(id)}">
+                    <div class="diagram-header">
+                        <span class="diagram-type">${label} Visualization</span>
+                        <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Show Spec</button>
+                        <pre class="diagram-source hidden"><code>${specJson}</code></pre>
+                    </div>
+                    <div class="diagram-content" id="${this.escapeHtml(id)}-chart"></div>
+                    <!-- EXPORT ENHANCEMENT: Static representation for export -->
+                    <div class="vega-export-fallback" style="display:none;">
+                        <div class="diagram-summary">
+                            <h4>📊 ${label} Visualization</h4>
+                            <p><strong>Data Source:</strong> ${dataUrls.length ? this.escapeHtml(dataUrls.join(', ')) : 'Inline data'}</p>
+                            <details>
+                                <summary>Full Specification</summary>
+                                <pre><code>${specJson}</code></pre>
+                            </details>
                         </div>
-                        <div class="diagram-content" id="${id}-chart"></div>
-                        <!-- EXPORT ENHANCEMENT: Static representation for export -->
-                        <div class="vega-export-fallback" style="display:none;">
-                            <div class="diagram-summary">
-                                <h4>📊 Vega-Lite Visualization</h4>
-                                <p><strong>Mark Type:</strong> ${spec.mark ? (typeof spec.mark === 'string' ? spec.mark : spec.mark.type || 'unknown') : 'Not specified'}</p>
-                                <p><strong>Data Source:</strong> ${spec.data ? (spec.data.url ? spec.data.url : 'Inline data') : 'No data specified'}</p>
-                                ${spec.encoding ? `<p><strong>Encodings:</strong> ${Object.keys(spec.encoding).join(', ')}</p>` : ''}
-                                <details>
-                                    <summary>Full Specification</summary>
-                                    <pre><code>${JSON.stringify(spec, null, 2)}</code></pre>
-                                </details>
-                            </div>
+                    </div>
+                </div>
+            `;
+
+            const chartEl = element.querySelector('.diagram-content');
+            if (!window.vegaEmbed || typeof window.vegaEmbed !== 'function') {
+                chartEl.innerHTML = `
+                    <div class="diagram-fallback vega-fallback">
+                        <div class="fallback-content">
+                            <h4>📊 ${label} Visualization</h4>
+                            <p><strong>Data Source:</strong> ${dataUrls.length ? this.escapeHtml(dataUrls.join(', ')) : 'Inline data'}</p>
+                            <p><small>Requires vega-embed library for interactive visualization</small></p>
                         </div>
                     </div>
                 `;
-                
-                // Ensure the chart container exists before calling vegaEmbed
-                await new Promise(r => setTimeout(r, 0));
-                const chartEl = document.getElementById(`${id}-chart`);
-                
-                if (window.vegaEmbed && typeof window.vegaEmbed === 'function' && chartEl) {
-                    try {
-                        const result = await window.vegaEmbed(chartEl, spec, {
-                            actions: false,
-                            renderer: 'svg',
-                            theme: 'default'
-                        });
-                        
-                        // EXPORT FIX: Extract SVG for export compatibility
-                        if (result && result.view) {
-                            const svgString = await result.view.toSVG();
-                            // Store SVG in data attribute for export
-                            chartEl.setAttribute('data-vega-svg', svgString);
-                        }
-                        
-                        element.classList.add('vega-rendered');
-                    } catch (embedError) {
-                        throw new Error('Vega-Embed rendering failed: ' + embedError.message);
-                    }
+                element.classList.add('vega-fallback');
+                return;
+            }
+
+            let result;
+            try {
+                result = await window.vegaEmbed(chartEl, spec, {
+                    mode,
+                    actions: false,
+                    renderer: 'svg',
+                    theme: this.isDarkThemeFor(element) ? 'dark' : undefined,
+                    loader: this.createVegaLoader(dataFiles)
+                });
+            } catch (embedError) {
+                throw new Error(`${label} rendering failed: ${embedError.message}`);
+            }
+
+            // EXPORT FIX: Extract SVG for export compatibility
+            if (result && result.view) {
+                chartEl.setAttribute('data-vega-svg', await result.view.toSVG());
+            }
+
+            element.classList.add('vega-rendered');
+            element.classList.remove('vega-error', 'vega-fallback');
+        } catch (error) {
+            console.error(`[MarkdownRenderer] ${label} error:`, error);
+            element.innerHTML = `
+                <div class="diagram-error">
+                    <strong>${label} Error:</strong> ${this.escapeHtml(error.message)}
+                    <details><summary>Show code</summary><pre><code>${this.escapeHtml(code)}</code></pre></details>
+                </div>
+            `;
+            element.classList.add('vega-error');
+            element.classList.remove('vega-rendered');
+        } finally {
+            // Kept on failures too, so fixing or creating the data file re-renders the chart
+            element.setAttribute('data-vega-files', JSON.stringify([...dataFiles]));
+        }
+    }
+
+    parseVegaSpec(code, label) {
+        let spec;
+        try {
+            spec = JSON.parse(code);
+        } catch (jsonError) {
+            // Specs that do not look like JSON are read as YAML
+            if (/^\s*[{[]/.test(code)) {
+                throw new Error(`${label} spec is not valid JSON: ${jsonError.message}`);
+            }
+            try {
+                spec = this.parseYAML(code);
+            } catch (yamlError) {
+                throw new Error(`${label} spec is not valid JSON or YAML: ${yamlError.message}`);
+            }
+        }
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error(`${label} spec must be an object`);
+        }
+        return spec;
+    }
+
+    // Every `url` under a `data` entry (Vega-Lite `data`, Vega `data: [...]`, layers, lookups)
+    collectVegaDataUrls(spec) {
+        const urls = new Set();
+        const visit = (node, inData) => {
+            if (Array.isArray(node)) {
+                node.forEach(item => visit(item, inData));
+            } else if (node && typeof node === 'object') {
+                if (inData && typeof node.url === 'string') urls.add(node.url);
+                Object.keys(node).forEach(key => visit(node[key], inData || key === 'data'));
+            }
+        };
+        visit(spec, false);
+        return [...urls];
+    }
+
+    // Vega loader that reads data through the main process instead of fetching: URLs resolve
+    // relative to the markdown file, must stay inside its folder or the opened workspace and
+    // may not use a network scheme. Loaded file paths are collected into `dataFiles`.
+    createVegaLoader(dataFiles) {
+        const loader = window.vega && typeof window.vega.loader === 'function' ? window.vega.loader() : {};
+        const documentPath = this.getDocumentPath();
+
+        loader.load = async (uri) => {
+            if (!window.markdd) {
+                throw new Error('Loading chart data files requires the desktop app');
+            }
+            const result = await window.markdd.loadDataFile({
+                url: uri,
+                documentPath,
+                workspaceRoot: this.getWorkspaceRoot()
+            });
+            if (result && result.filePath) {
+                dataFiles.add(result.filePath);
+            }
+            if (!result || !result.success) {
+                throw new Error(result && result.error ? result.error : `Failed to load ${uri}`);
+            }
+            return result.content;
+        };
+
+        // Links and image marks: only data: URLs and files next to the document
+        loader.sanitize = async (uri) => {
+            if (/^data:/i.test(uri)) return { href: uri };
+            if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || !documentPath || !window.markdd) {
+                throw new Error(`Blocked external resource: ${uri}`);
+            }
+            const { path } = window.markdd;
+            return { href: window.markdd.pathToFileURL(path.resolve(path.dirname(documentPath), uri)) };
+        };
+
+        return loader;
+    }
+
+    getVegaDataFiles(element) {
+        try {
+            return JSON.parse(element.getAttribute('data-vega-files') || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Ask the main process to watch the data files the charts in `container` loaded
+    watchVegaDataFiles(container) {
+        const filePaths = new Set();
+        container.querySelectorAll('.vega-lite-container[data-vega-files]').forEach(element => {
+            this.getVegaDataFiles(element).forEach(filePath => filePaths.add(filePath));
+        });
+        this.vegaDataFiles = filePaths;
+        this.syncWatchedDataFiles();
+    }
+
+    // The main process keeps one watcher for chart data files and @import-ed files
+    syncWatchedDataFiles() {
+        if (!window.markdd) return;
+        const filePaths = new Set([...(this.vegaDataFiles || []), ...(this.importedFiles || [])]);
+
+        const key = [...filePaths].sort().join('\n');
+        if (key === this.watchedDataFilesKey) return;
+        this.watchedDataFilesKey = key;
+
+        window.markdd.watchDataFiles({ filePaths: [...filePaths] }).catch(error => {
+            console.warn('[MarkdownRenderer] Failed to watch data files:', error);
+        });
+    }
+
+    // Replace every @import line outside code fences with the imported content and
+    // remember which files were read, so the preview can re-render when one changes
+    async expandImports(markdown) {
+        const importedFiles = new Set();
+        let expanded = markdown;
+        if (/@import\s+"/.test(markdown)) {
+            const documentPath = this.getDocumentPath();
+            expanded = await this.resolveImports(markdown, documentPath, documentPath ? [documentPath] : [], importedFiles);
+        }
+        this.importedFiles = importedFiles;
+        this.syncWatchedDataFiles();
+        return expanded;
+    }
+
+    async resolveImports(markdown, basePath, stack, importedFiles) {
+        const output = [];
+        let fence = null;
+        for (const line of markdown.split('\n')) {
+            if (fence) {
+                if (new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`).test(line)) fence = null;
+                output.push(line);
+                continue;
+            }
+            const fenceOpen = /^\s*(`{3,}|~{3,})/.exec(line);
+            if (fenceOpen) {
+                fence = fenceOpen[1];
+                output.push(line);
+                continue;
+            }
+            // @import "[TOC]" is a TOC marker (see insertTOC), not a file
+            const directive = IMPORT_DIRECTIVE_PATTERN.exec(line);
+            output.push(directive && directive[1] !== '[TOC]' ? await this.importFile(directive[1], directive[2] || '', basePath, stack, importedFiles) : line);
+        }
+        return output.join('\n');
+    }
+
+    // One @import: markdown is expanded recursively (paths inside it resolve against the
+    // imported file), CSV/TSV becomes a table, images an <img>, diagram sources the matching
+    // diagram fence and anything else a highlighted code block. line_begin/line_end slice
+    // the file's lines like Array.slice (0-based, end exclusive, negatives count from the end).
+    async importFile(target, attributeText, basePath, stack, importedFiles) {
+        const { attributes, classes } = this.parseFenceInfo(attributeText);
+        if (!window.markdd) {
+            return this.renderImportError(target, 'Imports require the desktop app');
+        }
+        if (!basePath) {
+            return this.renderImportError(target, 'Save the document first so imports can be found relative to it');
+        }
+        if (stack.length > 20) {
+            return this.renderImportError(target, 'Imports are nested too deeply');
+        }
+
+        const { path } = window.markdd;
+        const extension = path.extname(target.split(/[?#]/)[0]).toLowerCase();
+        if (IMPORT_IMAGE_EXTENSIONS.includes(extension) && !attributes.code_block) {
+            return this.renderImportedImage(target, attributes, basePath);
+        }
+
+        const result = await window.markdd.loadDataFile({
+            url: target,
+            documentPath: this.getDocumentPath(),
+            workspaceRoot: this.getWorkspaceRoot(),
+            basePath,
+            anyExtension: true
+        });
+        if (result && stack.includes(result.filePath)) {
+            return this.renderImportError(target, 'Circular import');
+        }
+        if (result && result.filePath) {
+            importedFiles.add(result.filePath);
+        }
+        if (!result || !result.success) {
+            return this.renderImportError(target, result && result.error ? result.error : 'Import failed');
+        }
+
+        let content = result.content.replace(/\r\n?/g, '\n');
+        if (attributes.line_begin !== undefined || attributes.line_end !== undefined) {
+            const lines = content.split('\n');
+            const begin = parseInt(attributes.line_begin, 10);
+            const end = parseInt(attributes.line_end, 10);
+            content = lines.slice(isNaN(begin) ? 0 : begin, isNaN(end) ? lines.length : end).join('\n');
+        }
+
+        const forced = attributes.code_block === true || attributes.code_block === 'true';
+        if (!forced && ['.md', '.markdown'].includes(extension)) {
+            // The imported file's own front-matter would otherwise replace the document's
+            content = content.replace(/^---\n[\s\S]*?\n---(?:\n|$)/, '');
+            const expanded = await this.resolveImports(content, result.filePath, [...stack, result.filePath], importedFiles);
+            return `\n${expanded}\n`;
+        }
+        if (!forced && ['.csv', '.tsv'].includes(extension)) {
+            return `\n${this.csvToMarkdownTable(content, extension === '.tsv' ? '\t' : ',')}\n`;
+        }
+        if (!forced && ['.html', '.htm'].includes(extension)) {
+            return `\n${content}\n`;
+        }
+
+        const lang = attributes.as || IMPORT_DIAGRAM_LANGUAGES[extension] || extension.slice(1) || 'text';
+        const forwarded = Object.entries(attributes)
+            .filter(([key]) => !IMPORT_OWN_ATTRIBUTES.includes(key))
+            .map(([key, value]) => (value === true ? key : `${key}="${String(value).replace(/"/g, "'")}"`))
+            .concat(classes.map(name => `.${name}`));
+        const longestBackticks = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+        const fenceMarker = '`'.repeat(Math.max(3, longestBackticks + 1));
+        const info = forwarded.length ? `${lang} {${forwarded.join(' ')}}` : lang;
+        return `\n${fenceMarker}${info}\n${content.replace(/\n$/, '')}\n${fenceMarker}\n`;
+    }
+
+    renderImportedImage(target, attributes, basePath) {
+        let src = target;
+        if (!/^(?:https?|data):/i.test(target)) {
+            const { path } = window.markdd;
+            src = window.markdd.pathToFileURL(path.resolve(path.dirname(basePath), decodeURIComponent(target)));
+        }
+        const imageAttributes = [`src="${this.escapeHtml(src)}"`, `alt="${this.escapeHtml(attributes.alt || '')}"`];
+        ['width', 'height', 'title'].forEach(name => {
+            if (typeof attributes[name] === 'string') {
+                imageAttributes.push(`${name}="${this.escapeHtml(attributes[name])}"`);
+            }
+        });
+        return `<img ${imageAttributes.join(' ')} />`;
+    }
+
+    renderImportError(target, message) {
+        return `\n<div class="import-error">Cannot import <code>${this.escapeHtml(target)}</code>: ${this.escapeHtml(message)}</div>\n`;
+    }
+
+    // RFC 4180-style CSV (quoted fields, "" escapes, newlines inside quotes) to a markdown table
+    csvToMarkdownTable(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
                 } else {
-                    // ENHANCED: Better fallback when vega-embed is not available
-                    if (chartEl) {
-                        chartEl.innerHTML = `
-                            <div class="diagram-fallback vega-fallback">
-                                <div class="fallback-content">
-                                    <h4>📊 Vega-Lite Visualization</h4>
-                                    <p><strong>Mark Type:</strong> ${spec.mark ? (typeof spec.mark === 'string' ? spec.mark : spec.mark.type || 'unknown') : 'Not specified'}</p>
-                                    <p><strong>Data Source:</strong> ${spec.data ? (spec.data.url ? spec.data.url : 'Inline data') : 'No data specified'}</p>
-                                    ${spec.encoding ? `<p><strong>Encodings:</strong> ${Object.keys(spec.encoding).join(', ')}</p>` : ''}
-                                    <p><small>Requires vega-embed library for interactive visualization</small></p>
-                                </div>
-                            </div>
-                        `;
-                    }
-                    element.classList.add('vega-fallback');
+                    field += char;
                 }
-            } catch (error) {
-                console.error('[MarkdownRenderer] Vega-Lite error:', error);
-                element.innerHTML = `
-                    <div class="diagram-error">
-                        <strong>Vega-Lite Error:</strong> ${error.message}
-                        <details><summary>Show code</summary><pre><code>${code}</code></pre></details>
-                    </div>
-                `;
-                element.classList.add('vega-error');
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
             }
         }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        if (rows.length === 0) return '';
+
+        const width = Math.max(...rows.map(cells => cells.length));
+        const formatRow = cells => {
+            const padded = cells.concat(new Array(width - cells.length).fill(''));
+            return `| ${padded.map(cell => this.escapeHtml(cell.trim()).replace(/\|/g, '\\|').replace(/\n/g, '<br>')).join(' | ')} |`;
+        };
+        return [formatRow(rows[0]), `| ${new Array(width).fill('---').join(' | ')} |`]
+            .concat(rows.slice(1).map(formatRow))
+            .join('\n');
+    }
+
+    // Path of the markdown file being rendered (data files and images resolve against it)
+    getDocumentPath() {
+        const editor = window.markddApp && window.markddApp.editor;
+        return editor && typeof editor.getCurrentFile === 'function' ? editor.getCurrentFile() : null;
     }
 
+    // file: URL for a path relative to the saved document, or null for URLs, anchors and unsaved documents
+    resolveDocumentRelativeUrl(url) {
+        const documentPath = this.getDocumentPath();
+        if (!url || !documentPath || !window.markdd || /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url)) {
+            return null;
+        }
+        const { path } = window.markdd;
+        try {
+            return window.markdd.pathToFileURL(path.resolve(path.dirname(documentPath), decodeURIComponent(url)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getWorkspaceRoot() {
+        const fileBrowser = window.markddApp && window.markddApp.fileBrowser;
+        return fileBrowser ? fileBrowser.workspaceRoot || null : null;
+    }
+
+    // ABC notation with a player per tune (play/pause, loop, tempo, note highlighting),
+    // transposition, tablature and MIDI/WAV export. The player needs live elements, so
+    // containers in the detached post-processing document are left for the preview pass.
     async processAbcMusic(container) {
-        const abcElements = container.querySelectorAll('.abc-container');
-        
+        if (!container.isConnected) return;
+        this.stopDetachedAbcPlayers();
+
+        const abcElements = container.querySelectorAll('.abc-container:not(.abc-rendered)');
         for (const element of abcElements) {
-            const id = element.getAttribute('data-abc-id');
-            const code = decodeURIComponent(element.getAttribute('data-abc-code'));
-            
+            const code = decodeURIComponent(element.getAttribute('data-abc-code') || '');
+
             try {
-                if (window.ABCJS) {
-                    const renderDiv = document.createElement('div');
-                    renderDiv.id = id;
-                    element.innerHTML = '';
-                    element.appendChild(renderDiv);
-                    
-                    window.ABCJS.renderAbc(renderDiv, code, {
-                        responsive: 'resize',
-                        clickListener: (abcElem, tuneNumber, classes) => {
-                            console.log('ABC note clicked:', abcElem);
-                        }
-                    });
-                    
-                    element.classList.add('abc-rendered');
-                } else {
+                if (!window.ABCJS) {
                     element.innerHTML = `<div class="diagram-error">ABC.js library not loaded. Music notation cannot be displayed.</div>`;
+                    continue;
                 }
+
+                const options = this.getAbcOptions(code, element);
+                const tuneCount = typeof window.ABCJS.numberOfTunes === 'function'
+                    ? Math.max(1, window.ABCJS.numberOfTunes(code))
+                    : 1;
+
+                element.innerHTML = '';
+                for (let index = 0; index < tuneCount; index++) {
+                    const tuneElement = document.createElement('div');
+                    tuneElement.className = 'abc-tune';
+                    element.appendChild(tuneElement);
+                    this.renderAbcTune(tuneElement, code, index, Object.assign({}, options));
+                }
+
+                element.classList.add('abc-rendered');
+                element.classList.remove('abc-error');
             } catch (error) {
                 console.error('[MarkdownRenderer] ABC Music error:', error);
-                element.innerHTML = `<div class="diagram-error">ABC Music Error: ${error.message}</div>`;
+                element.innerHTML = `<div class="diagram-error">ABC Music Error: ${this.escapeHtml(error.message)}</div>`;
                 element.classList.add('abc-error');
             }
         }
     }
 
-    async processWavedromDiagrams(container) {
+    // Fence attributes win over `%%transpose 2` / `%%tablature guitar` directives (or the
+    // same keywords in an `I:` field) inside the tune
+    getAbcOptions(code, element) {
+        const options = { transpose: 0, tablature: '' };
+        code.split('\n').forEach(line => {
+            const match = /^\s*(?:%%|I:\s*)(transpose|tablature)\s+(\S+)/i.exec(line);
+            if (match) options[match[1].toLowerCase()] = match[2];
+        });
+
+        try {
+            Object.assign(options, JSON.parse(decodeURIComponent(element.getAttribute('data-abc-options') || '%7B%7D')));
+        } catch (error) {
+            console.warn('[MarkdownRenderer] Ignoring invalid ABC fence attributes:', error);
+        }
+
+        const tablature = String(options.tablature || '').toLowerCase();
+        return {
+            transpose: Math.max(-24, Math.min(24, parseInt(options.transpose, 10) || 0)),
+            tablature: ABC_TABLATURE_INSTRUMENTS.includes(tablature) ? tablature : ''
+        };
+    }
+
+    // Render tune `index` of `code` into `tuneElement` with its toolbar; called again when
+    // the toolbar changes the transposition or tablature
+    renderAbcTune(tuneElement, code, index, options) {
+        this.stopAbcPlayer(tuneElement);
+
+        const instruments = ['', ...ABC_TABLATURE_INSTRUMENTS].map(instrument =>
+            `<option value="${instrument}"${instrument === options.tablature ? ' selected' : ''}>${instrument ? instrument.charAt(0).toUpperCase() + instrument.slice(1) : 'No tablature'}</option>`
+        ).join('');
+        const transposeLabel = options.transpose > 0 ? `+${options.transpose}` : String(options.transpose);
+
+        tuneElement.innerHTML = `
+            <div class="abc-player">
+                <div class="abc-player-toolbar">
+                    <span class="abc-transpose">
+                        <button type="button" class="abc-transpose-down" title="Transpose down a semitone">♭</button>
+                        <span class="abc-transpose-value" title="Transposition in semitones">${transposeLabel}</span>
+                        <button type="button" class="abc-transpose-up" title="Transpose up a semitone">♯</button>
+                    </span>
+                    <select class="abc-tablature" title="Tablature">${instruments}</select>
+                    <button type="button" class="abc-export" data-format="midi">Export MIDI</button>
+                    <button type="button" class="abc-export" data-format="wav">Export WAV</button>
+                </div>
+                <div class="abc-audio"></div>
+            </div>
+            <div class="abc-notation"></div>
+            <ul class="abc-warnings hidden"></ul>
+        `;
+
+        const renderParams = {
+            responsive: 'resize',
+            add_classes: true,
+            startingTune: index,
+            visualTranspose: options.transpose,
+            clickListener: (abcElem) => this.seekAbcPlayer(tuneElement, abcElem)
+        };
+        if (options.tablature) {
+            renderParams.tablature = [{ instrument: options.tablature }];
+        }
+
+        const visualObj = window.ABCJS.renderAbc(tuneElement.querySelector('.abc-notation'), code, renderParams)[0];
+        tuneElement.abcState = { code, index, options, visualObj, synthControl: null };
+
+        // Parse warnings are shown under the tune (abcjs marks them up with spans)
+        if (visualObj && visualObj.warnings && visualObj.warnings.length) {
+            const list = tuneElement.querySelector('.abc-warnings');
+            visualObj.warnings.forEach(warning => {
+                const item = document.createElement('li');
+                item.textContent = String(warning).replace(/<[^>]+>/g, '');
+                list.appendChild(item);
+            });
+            list.classList.remove('hidden');
+        }
+
+        const rerender = (changes) => this.renderAbcTune(tuneElement, code, index, Object.assign({}, options, changes));
+        tuneElement.querySelector('.abc-transpose-down').addEventListener('click', () => rerender({ transpose: Math.max(-24, options.transpose - 1) }));
+        tuneElement.querySelector('.abc-transpose-up').addEventListener('click', () => rerender({ transpose: Math.min(24, options.transpose + 1) }));
+        tuneElement.querySelector('.abc-tablature').addEventListener('change', (e) => rerender({ tablature: e.target.value }));
+        tuneElement.querySelectorAll('.abc-export').forEach(button => {
+            button.addEventListener('click', () => this.exportAbcTune(tuneElement, button.getAttribute('data-format'), button));
+        });
+
+        this.setupAbcPlayer(tuneElement);
+    }
+
+    setupAbcPlayer(tuneElement) {
+        const { visualObj, options } = tuneElement.abcState;
+        const audioElement = tuneElement.querySelector('.abc-audio');
+        const synth = window.ABCJS.synth;
+
+        if (!visualObj || !synth || typeof synth.supportsAudio !== 'function' || !synth.supportsAudio()) {
+            audioElement.innerHTML = '<span class="abc-audio-unavailable">Audio playback is not available</span>';
+            return;
+        }
+
+        // Highlight the notes being played
+        let highlighted = [];
+        const clearHighlight = () => {
+            highlighted.forEach(note => note.classList.remove('abc-note-playing'));
+            highlighted = [];
+        };
+        const cursorControl = {
+            onStart: clearHighlight,
+            onFinished: clearHighlight,
+            onEvent: (event) => {
+                clearHighlight();
+                (event.elements || []).forEach(group => {
+                    group.forEach(note => {
+                        note.classList.add('abc-note-playing');
+                        highlighted.push(note);
+                    });
+                });
+            }
+        };
+
+        const synthControl = new synth.SynthController();
+        synthControl.load(audioElement, cursorControl, {
+            displayLoop: true,
+            displayRestart: true,
+            displayPlay: true,
+            displayProgress: true,
+            displayWarp: true
+        });
+        synthControl.setTune(visualObj, false, { midiTranspose: options.transpose }).catch(error => {
+            console.warn('[MarkdownRenderer] ABC audio setup failed:', error);
+        });
+
+        tuneElement.abcState.synthControl = synthControl;
+        this.abcPlayers = this.abcPlayers || new Set();
+        this.abcPlayers.add(tuneElement);
+    }
+
+    // Clicking a note while the tune is loaded moves playback there
+    seekAbcPlayer(tuneElement, abcElem) {
+        const synthControl = tuneElement.abcState && tuneElement.abcState.synthControl;
+        const milliseconds = abcElem && abcElem.currentTrackMilliseconds;
+        const position = Array.isArray(milliseconds) ? milliseconds[0] : milliseconds;
+        if (!synthControl || typeof position !== 'number') return;
+        try {
+            synthControl.seek(position / 1000, 'seconds');
+        } catch (error) {
+            console.warn('[MarkdownRenderer] ABC seek failed:', error);
+        }
+    }
+
+    stopAbcPlayer(tuneElement) {
+        const synthControl = tuneElement.abcState && tuneElement.abcState.synthControl;
+        if (synthControl) {
+            try {
+                synthControl.pause();
+            } catch (error) {
+                console.warn('[MarkdownRenderer] Failed to stop ABC player:', error);
+            }
+        }
+        if (this.abcPlayers) this.abcPlayers.delete(tuneElement);
+    }
+
+    // A preview update replaces the tune elements but their audio would keep playing
+    stopDetachedAbcPlayers() {
+        if (!this.abcPlayers) return;
+        [...this.abcPlayers].forEach(tuneElement => {
+            if (!tuneElement.isConnected) this.stopAbcPlayer(tuneElement);
+        });
+    }
+
+    async exportAbcTune(tuneElement, format, button) {
+        const { visualObj, options } = tuneElement.abcState || {};
+        const app = window.markddApp;
+        if (!visualObj || !window.markdd) return;
+
+        button.disabled = true;
+        try {
+            let data;
+            if (format === 'midi') {
+                const midi = window.ABCJS.synth.getMidiFile(visualObj, { midiOutputType: 'binary', midiTranspose: options.transpose });
+                data = Array.isArray(midi) ? midi[0] : midi;
+            } else {
+                // Render the tune offline to a WAV buffer with the abcjs synth
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                const audioContext = new AudioContextClass();
+                try {
+                    const audio = new window.ABCJS.synth.CreateSynth();
+                    await audio.init({ audioContext, visualObj, options: { midiTranspose: options.transpose } });
+                    await audio.prime();
+                    const url = audio.download();
+                    const response = await fetch(url);
+                    data = new Uint8Array(await response.arrayBuffer());
+                    URL.revokeObjectURL(url);
+                } finally {
+                    audioContext.close();
+                }
+            }
+
+            const title = visualObj.metaText && visualObj.metaText.title ? visualObj.metaText.title : 'tune';
+            const result = await window.markdd.exportAudio({ data, format, fileName: title });
+            if (result && result.success && app) {
+                app.showMessage(`Exported ${format === 'midi' ? 'MIDI' : 'WAV'} to ${result.filePath}`);
+            } else if (result && result.error) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('[MarkdownRenderer] ABC export failed:', error);
+            if (app) app.showError(`${format === 'midi' ? 'MIDI' : 'WAV'} export failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // WaveDrom timing (signal), register (reg) and logic (assign) diagrams. Each SVG keeps
+    // its skin defs and a style sheet scoped to its own id, so it stays self-contained in
+    // HTML/PDF export. options.theme ('dark' | 'light') overrides the preview theme.
+    async processWavedromDiagrams(container, options = {}) {
         const wavedromElements = container.querySelectorAll('.wavedrom-container');
-        
+        if (wavedromElements.length === 0) return;
+
         for (const element of wavedromElements) {
-            const id = element.getAttribute('data-wavedrom-id');
-            const code = decodeURIComponent(element.getAttribute('data-wavedrom-code'));
-            
+            const code = decodeURIComponent(element.getAttribute('data-wavedrom-code') || '');
+            const dark = options.theme ? options.theme === 'dark' : this.isDarkThemeFor(element);
+
+            let source;
             try {
-                // For now, show placeholder since Wavedrom requires additional setup
-                element.innerHTML = `<div class="wavedrom-placeholder">
-                    <h4>Wavedrom Timing Diagram</h4>
-                    <pre><code>${code}</code></pre>
-                    <p><em>Wavedrom rendering would appear here with proper library integration</em></p>
-                </div>`;
-                element.classList.add('wavedrom-placeholder');
+                source = this.parseWavedromSource(code);
+            } catch (error) {
+                element.innerHTML = this.renderWavedromErrorBlock(code, error);
+                element.classList.add('wavedrom-error');
+                element.classList.remove('wavedrom-rendered');
+                continue;
+            }
+
+            try {
+                if (!window.WaveDrom || typeof window.WaveDrom.renderWaveElement !== 'function') {
+                    throw new Error('WaveDrom library not loaded. Timing diagrams cannot be displayed.');
+                }
+
+                const kind = source.reg ? 'reg' : (source.assign ? 'assign' : 'signal');
+                const skins = Object.assign({}, window.WaveDrom.waveSkin || {}, window.WaveSkin || {});
+                if (kind === 'signal' && dark && skins.dark) {
+                    source.config = Object.assign({}, source.config, { skin: 'dark' });
+                }
+
+                const index = this.wavedromRenderIndex = (this.wavedromRenderIndex || 0) + 1;
+                const output = document.createElement('div');
+                output.className = 'wavedrom-diagram';
+                window.WaveDrom.renderWaveElement(index, source, output, skins, false);
+
+                const svg = output.querySelector('svg');
+                if (!svg) {
+                    throw new Error('WaveDrom produced no output');
+                }
+                this.prepareWavedromSvg(svg, `wavedrom-svg-${index}`, kind === 'signal' ? false : dark);
+
+                element.innerHTML = '';
+                element.appendChild(output);
+                element.setAttribute('data-wavedrom-kind', kind);
+                element.classList.add('wavedrom-rendered');
+                element.classList.remove('wavedrom-error');
             } catch (error) {
                 console.error('[MarkdownRenderer] Wavedrom error:', error);
-                element.innerHTML = `<div class="diagram-error">Wavedrom Error: ${error.message}</div>`;
+                element.innerHTML = this.renderWavedromErrorBlock(code, error);
                 element.classList.add('wavedrom-error');
+                element.classList.remove('wavedrom-rendered');
             }
         }
     }
 
+    isDarkThemeFor(element) {
+        const themed = element.closest('[data-theme]') || document.documentElement;
+        return themed.getAttribute('data-theme') === 'dark';
+    }
+
+    // WaveDrom sources are JavaScript object literals (unquoted keys, single quotes, trailing
+    // commas, comments). Convert them to JSON token by token instead of evaluating them, and
+    // report problems with the line and column in the original source.
+    parseWavedromSource(code) {
+        const locate = (offset) => {
+            const before = code.slice(0, offset).split('\n');
+            return { line: before.length, column: before[before.length - 1].length + 1 };
+        };
+        const fail = (message, offset) => {
+            const { line, column } = locate(offset);
+            const error = new Error(`${message} (line ${line}, column ${column})`);
+            error.line = line;
+            throw error;
+        };
+
+        const tokens = [];
+        let i = 0;
+        while (i < code.length) {
+            const ch = code[i];
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '/' && code[i + 1] === '/') {
+                while (i < code.length && code[i] !== '\n') i++;
+            } else if (ch === '/' && code[i + 1] === '*') {
+                const close = code.indexOf('*/', i + 2);
+                if (close === -1) fail('Unterminated comment', i);
+                i = close + 2;
+            } else if (ch === '"' || ch === "'") {
+                let j = i + 1;
+                let value = '';
+                while (j < code.length && code[j] !== ch) {
+                    if (code[j] === '\n') fail('Unterminated string', i);
+                    if (code[j] === '\\' && j + 1 < code.length) {
+                        value += code[j] + code[j + 1];
+                        j += 2;
+                    } else {
+                        value += code[j] === '"' ? '\\"' : code[j];
+                        j++;
+                    }
+                }
+                if (j >= code.length) fail('Unterminated string', i);
+                // Single-quoted strings may contain \' which JSON does not accept
+                tokens.push({ text: `"${value.replace(/\\'/g, "'")}"`, offset: i });
+                i = j + 1;
+            } else if ('{}[]:,'.includes(ch)) {
+                tokens.push({ text: ch, offset: i });
+                i++;
+            } else {
+                const match = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|^[A-Za-z_$][\w$]*/.exec(code.slice(i));
+                if (!match) fail(`Unexpected character '${ch}'`, i);
+                const word = match[0];
+                const next = code.slice(i + word.length).match(/^\s*(\S)/);
+                let text = word;
+                if (/^[A-Za-z_$]/.test(word)) {
+                    if (next && next[1] === ':') {
+                        text = JSON.stringify(word);
+                    } else if (!['true', 'false', 'null'].includes(word)) {
+                        fail(`Unexpected identifier '${word}'`, i);
+                    }
+                } else if (next && next[1] === ':') {
+                    text = JSON.stringify(word);
+                } else {
+                    text = String(Number(word));
+                }
+                tokens.push({ text, offset: i });
+                i += word.length;
+            }
+        }
+
+        if (tokens.length === 0) fail('Empty WaveDrom source', 0);
+
+        // Drop trailing commas and remember where each token lands in the JSON text
+        const json = [];
+        const positions = [];
+        let length = 0;
+        tokens.forEach((token, index) => {
+            const next = tokens[index + 1];
+            if (token.text === ',' && next && (next.text === '}' || next.text === ']')) return;
+            positions.push({ start: length, offset: token.offset });
+            json.push(token.text);
+            length += token.text.length + 1;
+        });
+
+        let source;
+        try {
+            source = JSON.parse(json.join(' '));
+        } catch (error) {
+            const position = /position (\d+)/.exec(error.message);
+            let offset = tokens[tokens.length - 1].offset;
+            if (position) {
+                const target = Number(position[1]);
+                const hit = positions.filter(p => p.start <= target).pop();
+                if (hit) offset = hit.offset;
+            }
+            fail(`Invalid WaveDrom source: ${error.message.replace(/\s*in JSON at position \d+.*$/, '')}`, offset);
+        }
+
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            fail('WaveDrom source must be an object such as { signal: [...] }', tokens[0].offset);
+        }
+        if (!Array.isArray(source.signal) && !Array.isArray(source.reg) && !Array.isArray(source.assign)) {
+            fail('WaveDrom source needs a "signal", "reg" or "assign" array', tokens[0].offset);
+        }
+        return source;
+    }
+
+    // Give the SVG a unique id, scope its embedded style sheet to that id (WaveDrom skins
+    // ship global selectors such as `text` and `.info`) and recolor the black strokes and
+    // text of reg/assign diagrams, which do not use skins, for the dark theme
+    prepareWavedromSvg(svg, id, recolorForDark) {
+        svg.setAttribute('id', id);
+        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        svg.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        svg.style.maxWidth = '100%';
+        svg.style.height = 'auto';
+
+        svg.querySelectorAll('style').forEach(style => {
+            style.textContent = style.textContent.replace(/(^|})\s*([^{}@]+)\{/g, (match, close, selectors) => {
+                const scoped = selectors.split(',').map(selector => `#${id} ${selector.trim()}`).join(', ');
+                return `${close}${scoped} {`;
+            });
+        });
+
+        if (!recolorForDark) return;
+        const foreground = '#e0e0e0';
+        const isBlack = (value) => /^(black|#000|#000000|rgb\(0,\s*0,\s*0\))$/i.test((value || '').trim());
+        svg.querySelectorAll('*').forEach(node => {
+            ['stroke', 'fill'].forEach(attribute => {
+                if (isBlack(node.getAttribute(attribute))) node.setAttribute(attribute, foreground);
+                if (isBlack(node.style && node.style[attribute])) node.style[attribute] = foreground;
+            });
+            if (node.tagName.toLowerCase() === 'text' && !node.getAttribute('fill') && !(node.style && node.style.fill)) {
+                node.setAttribute('fill', foreground);
+            }
+        });
+    }
+
+    // WaveDrom errors: show the message and the source with the offending line marked
+    renderWavedromErrorBlock(code, error) {
+        const sourceLines = code.split('\n').map((line, index) => {
+            const lineNumber = index + 1;
+            const marked = error.line === lineNumber ? ' wavedrom-error-line' : '';
+            return `<span class="wavedrom-source-line${marked}"><span class="line-number">${lineNumber}</span>${this.escapeHtml(line)}</span>`;
+        }).join('\n');
+
+        return `
+            <div class="diagram-error">
+                <strong>WaveDrom Error:</strong> ${this.escapeHtml(error.message)}
+                <pre class="wavedrom-error-source"><code>${sourceLines}</code></pre>
+            </div>
+        `;
+    }
+
     async processTikZDiagrams(container) {
         console.log('[MarkdownRenderer] Processing TikZ diagrams...');
         
@@ -3635,11 +4758,11 @@ class MarkdownRenderer {
                     }
                     
                     element.innerHTML = `
-                        <div class="tikz-diagram" id="${id}">
+                        <div class="tikz-diagram" id="${this.escapeHtml(id)}">
                             <div class="diagram-header">
                                 <span class="diagram-type">${isCircuit ? 'CircuiTikZ' : 'TikZ'} Diagram</span>
                                 <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                                <pre class="diagram-source hidden"><code>${code}</code></pre>
+                                <pre class="diagram-source hidden"><code>${this.escapeHtml(code)}</code></pre>
                             </div>
                             <div class="diagram-content"></div>
                         </div>
@@ -3660,7 +4783,7 @@ class MarkdownRenderer {
                             <div class="fallback-header">
                                 <span class="diagram-type">${isCircuit ? 'CircuiTikZ' : 'TikZ'} Diagram - Not Available</span>
                                 <button class="fallback-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Show Source</button>
-                                <pre class="fallback-source hidden"><code>${code}</code></pre>
+                                <pre class="fallback-source hidden"><code>${this.escapeHtml(code)}</code></pre>
                             </div>
                             <div class="fallback-content">
                                 <div class="fallback-placeholder">
@@ -3690,10 +4813,10 @@ class MarkdownRenderer {
                             <h4>${isCircuit ? 'CircuiTikZ' : 'TikZ'} Processing Error</h4>
                         </div>
                         <div class="error-content">
-                            <p><strong>Error:</strong> ${tikzError.message}</p>
+                            <p><strong>Error:</strong> ${this.escapeHtml(tikzError.message)}</p>
                             <details>
                                 <summary>Show Source Code</summary>
-                                <pre><code>${code}</code></pre>
+                                <pre><code>${this.escapeHtml(code)}</code></pre>
                             </details>
                         </div>
                     </div>
@@ -3720,14 +4843,14 @@ class MarkdownRenderer {
                         <h4>${isCircuit ? 'CircuiTikZ' : 'TikZ'} System Error</h4>
                     </div>
                     <div class="error-content">
-                        <p><strong>TikZ processing system failed:</strong> ${error.message}</p>
+                        <p><strong>TikZ processing system failed:</strong> ${this.escapeHtml(error.message)}</p>
                         <details>
                             <summary>Show Source Code</summary>
-                            <pre><code>${code}</code></pre>
+                            <pre><code>${this.escapeHtml(code)}</code></pre>
                         </details>
                         <details>
                             <summary>Technical Details</summary>
-                            <pre><code>${error.stack || 'No stack trace available'}</code></pre>
+                            <pre><code>${this.escapeHtml(error.stack || 'No stack trace available')}</code></pre>
                         </details>
                     </div>
                 </div>
@@ -3741,6 +4864,13 @@ class MarkdownRenderer {
         // Process image embeds with advanced features
         const images = container.querySelectorAll('img');
         images.forEach(img => {
+            // Relative images (saved pasted images among them) live next to the document, not the app
+            const documentUrl = this.resolveDocumentRelativeUrl(img.getAttribute('src'));
+            if (documentUrl) {
+                // HTML exported beside the document gets the relative path back (see Preview.buildExportDocument)
+                img.setAttribute('data-markdd-src', img.getAttribute('src'));
+                img.setAttribute('src', documentUrl);
+            }
             img.setAttribute('loading', 'lazy');
             img.classList.add('responsive-image');
             // Immediately wrap in figure/figcaption if alt text exists and not already wrapped
@@ -3813,7 +4943,7 @@ class MarkdownRenderer {
                 }
             } catch (error) {
                 console.error('[MarkdownRenderer] Enhanced LaTeX error:', error);
-                element.innerHTML = `<div class="diagram-error">Enhanced LaTeX Error: ${error.message}</div>`;
+                element.innerHTML = `<div class="diagram-error">Enhanced LaTeX Error: ${this.escapeHtml(error.message)}</div>`;
                 element.classList.add('latex-enhanced-error');
             }
         }
@@ -3844,7 +4974,7 @@ class MarkdownRenderer {
                             <div class="diagram-header">
                                 <span class="diagram-type">LaTeX Document</span>
                                 <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Show Source</button>
-                                <pre class="diagram-source hidden"><code>${code}</code></pre>
+                                <pre class="diagram-source hidden"><code>${this.escapeHtml(code)}</code></pre>
                             </div>
                             <div class="latex-content"></div>
                         </div>
@@ -3856,69 +4986,49 @@ class MarkdownRenderer {
                 }
             } catch (error) {
                 console.error('[MarkdownRenderer] LaTeX error:', error);
-                element.innerHTML = `<div class="diagram-error">LaTeX Error: ${error.message}</div>`;
+                element.innerHTML = `<div class="diagram-error">LaTeX Error: ${this.escapeHtml(error.message)}</div>`;
                 element.classList.add('latex-error');
             }
         }
     }
 
-    encodePlantUML(text) {
-        // Proper PlantUML encoding for server URL
-        // Add PlantUML delimiters if not present
-        let uml = text.trim();
-        if (!uml.startsWith('@startuml')) {
-            uml = '@startuml\n' + uml + '\n@enduml';
-        }
-        
-        try {
-            // Try plantuml-encoder library first if available
-            if (window.plantumlEncoder && typeof window.plantumlEncoder.encode === 'function') {
-                return window.plantumlEncoder.encode(uml);
-            }
-            // Try alternative global names
-            else if (window.plantuml && typeof window.plantuml.encode === 'function') {
-                return window.plantuml.encode(uml);
-            }
-            // Try direct encode function
-            else if (typeof window.encode === 'function') {
-                return window.encode(uml);
-            }
-        } catch (e) {
-            console.warn('[MarkdownRenderer] plantumlEncoder failed, falling back:', e);
+    // The renderer (local plantuml.jar by default), jar, Java and server are main-process
+    // settings; only the diagram source is sent
+    async renderPlantUMLSvg(code) {
+        if (!window.markdd) {
+            throw new Error('PlantUML rendering requires the desktop app');
         }
-
-        // Fallback: proper UTF-8 base64 encoding
-        try {
-            // Encode to UTF-8 bytes and then to Base64
-            const utf8Bytes = new TextEncoder().encode(uml);
-            const base64 = btoa(String.fromCharCode(...utf8Bytes));
-            
-            // PlantUML server expects URL-safe base64
-            return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-        } catch (error) {
-            console.warn('PlantUML encoding error:', error);
-            // Final fallback to URL encoding
-            return encodeURIComponent(uml);
+        const result = await window.markdd.renderPlantUML({ code });
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'PlantUML rendering failed');
         }
+        return this.htmlSanitizer.sanitizeSvg(result.svg);
     }
 
     // Utility methods
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     extractMarkdownStructure(markdown) {
-        const lines = markdown.split('\n');
-        const structure = [];
-        
-        lines.forEach((line, index) => {
-            const headingMatch = line.match(/^(#{1,6})\s+(.+)/);
-            if (headingMatch) {
-                structure.push({
-                    level: headingMatch[1].length,
-                    text: headingMatch[2],
-                    line: index + 1
-                });
-            }
-        });
-        
-        return structure;
+        return Slugger.extractHeadings(markdown);
+    }
+
+    // Drop the {#id .class} block from the end of a heading's inline tokens
+    stripHeadingAttributes(tokens) {
+        const last = tokens[tokens.length - 1];
+        if (!last || last.type !== 'text') return tokens;
+        const pattern = /\s*\{(?:\s*[#.][\w:.-]+)+\s*\}\s*$/;
+        const stripped = { ...last, raw: last.raw.replace(pattern, ''), text: last.text.replace(pattern, '') };
+        if (Array.isArray(last.tokens)) {
+            stripped.tokens = this.stripHeadingAttributes(last.tokens);
+        }
+        return [...tokens.slice(0, -1), stripped];
     }
 
     addCopyCodeFunctionality(container) {
@@ -3947,86 +5057,146 @@ class MarkdownRenderer {
         });
     }
 
-    processFootnotes(container) {
-        // Process footnote references [^1]
-        const footnoteRefs = container.querySelectorAll('p');
-        const footnotes = new Map();
-        
-        footnoteRefs.forEach(p => {
-            const text = p.innerHTML;
-            
-            // Find footnote definitions [^1]: content
-            const footnoteDefRegex = /\[\^([^\]]+)\]:\s*(.+)/g;
-            let match;
-            const defsToRemove = [];
-            
-            while ((match = footnoteDefRegex.exec(text)) !== null) {
-                footnotes.set(match[1], match[2]);
-                // Collect footnote definitions for removal
-                defsToRemove.push(match[0]);
+    // Replace `[TOC levels=2-3 numbered]` lines and MPE-style blocks
+    //   <!-- @import "[TOC]" {levels=2-3} --> ... <!-- /TOC -->
+    // (written by Editor.insertTableOfContents) with a freshly generated TOC
+    insertTOC(markdown) {
+        if (!/\[TOC(?:\s+[^\]]*)?\]/i.test(markdown)) return markdown;
+
+        const lines = markdown.split('\n');
+        const output = [];
+        let fence = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (fence) {
+                if (new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`).test(line)) fence = null;
+                output.push(line);
+                continue;
             }
-            
-            // Remove footnote definitions using DOM-based approach
-            defsToRemove.forEach(defText => {
-                replacePlaceholderInDOM(p, defText, '');
-            });
-            
-            // Process footnote references using DOM-based approach
-            const footnoteRefRegex = /\[\^([^\]]+)\]/g;
-            const walker = document.createTreeWalker(p, NodeFilter.SHOW_TEXT);
-            const textNodes = [];
-            let node;
-            while (node = walker.nextNode()) {
-                textNodes.push(node);
+            const fenceOpen = /^\s*(`{3,}|~{3,})/.exec(line);
+            if (fenceOpen) {
+                fence = fenceOpen[1];
+                output.push(line);
+                continue;
             }
-            
-            textNodes.forEach(textNode => {
-                const matches = [];
-                let match;
-                footnoteRefRegex.lastIndex = 0;
-                while ((match = footnoteRefRegex.exec(textNode.textContent)) !== null) {
-                    matches.push({
-                        match: match[0],
-                        id: match[1]
-                    });
-                }
-                
-                matches.forEach(matchInfo => {
-                    if (footnotes.has(matchInfo.id)) {
-                        const replacement = `<sup><a href="#footnote-${matchInfo.id}" class="footnote-ref" id="ref-${matchInfo.id}">[${matchInfo.id}]</a></sup>`;
-                        replacePlaceholderInDOM(p, matchInfo.match, replacement);
-                    }
-                });
-            });
+
+            const marker = /^\s*\[TOC(?:\s+([^\]]*))?\]\s*$/i.exec(line);
+            const directive = IMPORT_DIRECTIVE_PATTERN.exec(line);
+            if (marker) {
+                output.push(this.generateTOC(markdown, this.parseTOCOptions(marker[1])));
+            } else if (directive && directive[1] === '[TOC]') {
+                const options = directive[2] ? directive[2].slice(1, -1) : '';
+                output.push(this.generateTOC(markdown, this.parseTOCOptions(options)));
+                // Drop the previously written list up to the closing marker
+                const end = lines.findIndex((candidate, index) => index > i && /^\s*<!--\s*\/TOC\s*-->\s*$/.test(candidate));
+                if (end !== -1) i = end;
+            } else {
+                output.push(line);
+            }
+        }
+        return output.join('\n');
+    }
+
+    // `levels=2-3` (or `levels=2`) limits the listed heading levels, `numbered` adds
+    // section numbers; headings marked {.unlisted} are always left out
+    parseTOCOptions(optionText) {
+        const { attributes } = this.parseFenceInfo(`{${optionText || ''}}`);
+        const levels = /^([1-6])(?:-([1-6]))?$/.exec(String(attributes.levels || '').trim());
+        const minLevel = levels ? parseInt(levels[1], 10) : 1;
+        const maxLevel = levels ? parseInt(levels[2] || levels[1], 10) : 6;
+        return {
+            minLevel: Math.min(minLevel, maxLevel),
+            maxLevel: Math.max(minLevel, maxLevel),
+            numbered: attributes.numbered === true || attributes.numbered === 'true'
+        };
+    }
+
+    // Headings to list, with their nesting depth and (when numbered) section number.
+    // Numbers count every heading from the base level down, listed or not, so they
+    // match the numbers number_sections puts on the headings themselves.
+    getTOCEntries(markdown, options = {}) {
+        const { minLevel = 1, maxLevel = 6, numbered = false } = options;
+        const headings = this.extractMarkdownStructure(markdown);
+        const isListed = heading => heading.level >= minLevel && heading.level <= maxLevel && !heading.classes.includes('unlisted');
+        const listed = headings.filter(isListed);
+        if (listed.length === 0) return [];
+
+        const topLevel = Math.min(...listed.map(heading => heading.level));
+        const baseLevel = this.sectionNumbering ? this.sectionNumbering.baseLevel : topLevel;
+        const counters = [];
+        const entries = [];
+        let previousDepth = -1;
+        headings.forEach(heading => {
+            let number = null;
+            if (numbered && heading.level >= baseLevel && !heading.classes.includes('unnumbered')) {
+                number = this.nextSectionNumber(counters, heading.level - baseLevel);
+            }
+            if (!isListed(heading)) return;
+            // A level may be skipped in the document, but not in the nested list
+            const depth = Math.min(heading.level - topLevel, previousDepth + 1);
+            previousDepth = depth;
+            entries.push({ ...heading, depth, number });
         });
+        return entries;
+    }
 
-        // Add footnotes section if any footnotes exist
-        if (footnotes.size > 0) {
-            let footnotesHtml = '<div class="footnotes"><hr><ol>';
-            
-            footnotes.forEach((content, id) => {
-                footnotesHtml += `<li id="footnote-${id}">${content} <a href="#ref-${id}" class="footnote-backref">↩</a></li>`;
-            });
-            
-            footnotesHtml += '</ol></div>';
-            container.innerHTML += footnotesHtml;
+    // Bump the counter at `depth` (resetting deeper ones) and return e.g. "2.1.3"
+    nextSectionNumber(counters, depth) {
+        counters.length = depth + 1;
+        for (let i = 0; i < depth; i++) {
+            if (!counters[i]) counters[i] = 0;
         }
+        counters[depth] = (counters[depth] || 0) + 1;
+        return counters.join('.');
     }
 
-    generateTOC(markdown) {
-        const structure = this.extractMarkdownStructure(markdown);
-        if (structure.length === 0) return '';
-        
-        let toc = '<div class="table-of-contents">\n<h3>Table of Contents</h3>\n<ul>\n';
-        
-        structure.forEach(heading => {
-            const anchor = heading.text.toLowerCase().replace(/[^\w]+/g, '-');
-            const indent = '  '.repeat(heading.level - 1);
-            toc += `${indent}<li><a href="#${anchor}">${heading.text}</a></li>\n`;
+    getSectionNumbering(frontmatter, markdown) {
+        const setting = frontmatter ? frontmatter.number_sections : null;
+        if (!setting) return null;
+        const level = parseInt(setting, 10);
+        if (level >= 1 && level <= 6) {
+            return { baseLevel: level, counters: [] };
+        }
+        const levels = this.extractMarkdownStructure(markdown)
+            .filter(heading => !heading.classes.includes('unnumbered'))
+            .map(heading => heading.level);
+        return levels.length ? { baseLevel: Math.min(...levels), counters: [] } : null;
+    }
+
+    nextHeadingNumber(level, classes) {
+        const numbering = this.sectionNumbering;
+        if (!numbering || level < numbering.baseLevel || classes.includes('unnumbered')) return null;
+        return this.nextSectionNumber(numbering.counters, level - numbering.baseLevel);
+    }
+
+    generateTOC(markdown, options = {}) {
+        const entries = this.getTOCEntries(markdown, options);
+        if (entries.length === 0) return '';
+
+        // Nested lists; the HTML has no blank lines so marked keeps it as one HTML block
+        let list = '';
+        let depth = -1;
+        entries.forEach(entry => {
+            if (entry.depth > depth) {
+                list += '<ul>';
+            } else {
+                list += '</li>' + '</ul></li>'.repeat(depth - entry.depth);
+            }
+            depth = entry.depth;
+            const number = entry.number ? `<span class="toc-number">${entry.number}</span> ` : '';
+            list += `<li><a href="#${this.escapeHtml(entry.id)}">${number}${this.escapeHtml(Slugger.plainText(entry.text))}</a>`;
         });
-        
-        toc += '</ul>\n</div>\n';
-        return toc;
+        list += '</li>' + '</ul></li>'.repeat(depth) + '</ul>';
+
+        return `<div class="table-of-contents${options.numbered ? ' toc-numbered' : ''}">\n<h3>Table of Contents</h3>\n${list}\n</div>\n`;
+    }
+
+    // The same TOC as a markdown list, for the block Editor.insertTableOfContents writes
+    generateTOCMarkdown(markdown, options = {}) {
+        return this.getTOCEntries(markdown, options).map(entry => {
+            const text = Slugger.plainText(entry.text).replace(/([[\]\\])/g, '\\$1');
+            return `${'  '.repeat(entry.depth)}- [${entry.number ? `${entry.number} ` : ''}${text}](#${entry.id})`;
+        }).join('\n');
     }
 
     async renderTikZToSVG(code, isCircuit = false) {
@@ -4042,7 +5212,7 @@ class MarkdownRenderer {
             // For now, return a placeholder
             return `<div class="tikz-placeholder">
                 <p>TikZ Diagram</p>
-                <pre><code>${code}</code></pre>
+                <pre><code>${this.escapeHtml(code)}</code></pre>
                 <p><em>TikZ rendering would appear here</em></p>
             </div>`;
         } catch (error) {
@@ -4062,9 +5232,122 @@ class MarkdownRenderer {
         }
     }
 
-    generateLineNumbers(code) {
+    generateLineNumbers(code, start = 1) {
         const lines = code.split('\n');
-        return lines.map((_, index) => `<span class="line-number">${index + 1}</span>`).join('');
+        return lines.map((_, index) => `<span class="line-number">${start + index}</span>`).join('');
+    }
+
+    // Code blocks with MPE-style fence attributes:
+    //   ```js {title="server.js" hl_lines="3-5" start=10 .numberLines}
+    // hl_lines counts from the first line of the block whatever `start` is. ```diff-<lang>
+    // highlights the lines as <lang> and marks +/- lines as added/removed.
+    renderCodeBlock(code, lang, fenceInfo = { attributes: {}, classes: [] }) {
+        const attributes = fenceInfo.attributes || {};
+        const classes = fenceInfo.classes || [];
+        const diffMatch = /^diff-(.+)$/.exec(lang);
+        const baseLang = diffMatch ? diffMatch[1] : lang;
+        const validLang = baseLang && this.hljs && this.hljs.getLanguage && this.hljs.getLanguage(baseLang) ? baseLang : 'plaintext';
+        const start = parseInt(attributes.start, 10);
+        const firstLine = isNaN(start) ? 1 : start;
+        const numbered = classes.includes('numberLines') || classes.includes('line-numbers') || !isNaN(start);
+        const highlightedLines = this.parseLineRanges(attributes.hl_lines || attributes.highlight || '');
+        const title = typeof attributes.title === 'string' ? attributes.title : '';
+        const codeId = `code-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+
+        // Diff markers are kept out of syntax highlighting and put back in front of each line
+        const rawLines = code.split('\n');
+        const markers = rawLines.map(line => (diffMatch && /^[+\- ]/.test(line) ? line[0] : null));
+        const source = rawLines.map((line, index) => (markers[index] !== null ? line.slice(1) : line)).join('\n');
+
+        const hasHighlighter = !!(this.hljs && this.hljs.highlight);
+        const highlightedHtml = hasHighlighter ? this.hljs.highlight(source, { language: validLang }).value : this.escapeHtml(source);
+        const wrapLine = (lineHtml, index) => {
+            const lineClasses = ['code-line'];
+            if (highlightedLines.has(index + 1)) lineClasses.push('code-line-highlighted');
+            if (markers[index] === '+') lineClasses.push('code-line-added');
+            if (markers[index] === '-') lineClasses.push('code-line-removed');
+            const marker = markers[index] !== null ? `<span class="code-diff-marker">${markers[index]}</span>` : '';
+            return `<span class="${lineClasses.join(' ')}">${marker}${lineHtml}</span>`;
+        };
+        const codeLines = this.splitHighlightedLines(highlightedHtml).map(wrapLine).join('\n');
+        // CRITICAL FIX: Preserve original code formatting for HTML export (line markup included)
+        const exportLines = source.split('\n').map(line => this.escapeHtml(line)).map(wrapLine).join('\n');
+
+        const containerClasses = ['code-block-container'];
+        if (numbered) containerClasses.push('code-numbered');
+        if (diffMatch) containerClasses.push('code-diff');
+
+        // Runnable code chunk (```python {cmd=true output="markdown"}), executed by CodeChunkRunner
+        const isChunk = attributes.cmd !== undefined && attributes.cmd !== 'false';
+        let chunkAttributes = '';
+        if (isChunk) {
+            containerClasses.push('code-chunk');
+            const command = typeof attributes.cmd === 'string' && attributes.cmd !== 'true' ? attributes.cmd : '';
+            chunkAttributes = ` data-chunk-lang="${this.escapeHtml(baseLang || '')}"` +
+                ` data-chunk-cmd="${this.escapeHtml(command)}"` +
+                ` data-chunk-args="${this.escapeHtml(typeof attributes.args === 'string' ? attributes.args : '')}"` +
+                ` data-chunk-output="${this.escapeHtml(typeof attributes.output === 'string' ? attributes.output : 'text')}"` +
+                ` data-chunk-code="${encodeURIComponent(source)}"`;
+        }
+
+        return `<div class="${containerClasses.join(' ')}" data-language="${validLang}"${attributes.id ? ` id="${this.escapeHtml(attributes.id)}"` : ''}${chunkAttributes}>
+                    <div class="code-block-header${title ? ' has-title' : ''}">
+                        ${title ? `<span class="code-title">${this.escapeHtml(title)}</span>` : ''}
+                        <span class="code-language">${this.escapeHtml(lang || 'text')}</span>
+                        ${isChunk ? '<button class="run-chunk-btn" title="Run this code chunk (Ctrl+Shift+Enter runs all)">▶ Run</button>' : ''}
+                        <button class="copy-code-btn" data-target="${codeId}" title="Copy code">
+                            <i class="icon-copy"></i> Copy
+                        </button>
+                    </div>
+                    <div class="code-block-content">
+                        <div class="line-numbers">${this.generateLineNumbers(source, firstLine)}</div>
+                        <pre class="code-pre"><code id="${codeId}" class="hljs ${validLang}" data-highlighted="yes">${codeLines}</code></pre>
+                        <!-- EXPORT FALLBACK: Hidden plain text version for export -->
+                        <pre class="code-export-fallback" style="display:none;"><code class="nohighlight">${exportLines}</code></pre>
+                    </div>
+                    ${isChunk ? '<div class="code-chunk-output"></div>' : ''}
+                </div>`;
+    }
+
+    // "1,3-5 8" -> Set {1, 3, 4, 5, 8}
+    parseLineRanges(spec) {
+        const lines = new Set();
+        String(spec).split(/[\s,]+/).forEach(part => {
+            const range = /^(\d+)(?:-(\d+))?$/.exec(part);
+            if (!range) return;
+            const from = parseInt(range[1], 10);
+            const to = range[2] ? parseInt(range[2], 10) : from;
+            for (let line = from; line <= to && line - from < 10000; line++) {
+                lines.add(line);
+            }
+        });
+        return lines;
+    }
+
+    // Split highlight.js output into lines; spans open at a line break are closed at the end
+    // of the line and reopened on the next, so each line can be wrapped on its own
+    splitHighlightedLines(html) {
+        const lines = [];
+        const open = [];
+        let current = '';
+        const tokenPattern = /<span[^>]*>|<\/span>|\n|[^<\n]+|</g;
+        let match;
+        while ((match = tokenPattern.exec(html)) !== null) {
+            const token = match[0];
+            if (token === '\n') {
+                lines.push(current + '</span>'.repeat(open.length));
+                current = open.join('');
+            } else {
+                if (token.startsWith('<span')) {
+                    open.push(token);
+                } else if (token === '</span>') {
+                    open.pop();
+                }
+                current += token;
+            }
+        }
+        lines.push(current + '</span>'.repeat(open.length));
+        return lines;
     }
 
     processMarkdownContent(content) {
@@ -4128,7 +5411,8 @@ class MarkdownRenderer {
             return `<sub>${content}</sub>`;
         });
         // More careful superscript processing - avoid LaTeX and math placeholders
-        processed = processed.replace(/\^([^^$]+)\^/g, (match, content) => {
+        // (carets of footnote references [^1] and inline footnotes ^[note] are not superscript)
+        processed = processed.replace(/(?<!\[)\^(?!\[)([^^$]+)\^/g, (match, content) => {
             // Skip if this contains math indicators or is inside placeholders
             if (content.includes('\\') || content.includes('{') || content.includes('}') || 
                 match.includes('MATH_') || match.includes('LATEX_') || match.includes('PLACEHOLDER')) {
@@ -4143,8 +5427,15 @@ class MarkdownRenderer {
         // Process strikethrough text  
         processed = processed.replace(/~~([^~]+)~~/g, '<del>$1</del>');
         
-        // Process keyboard keys
-        processed = processed.replace(/\[\[([^\]]+)\]\]/g, '<kbd>$1</kbd>');
+        // Process keyboard keys: ++Ctrl+Shift+P++ (wiki-links own [[...]])
+        processed = processed.replace(/\+\+([^\s+](?:[^+\n]*[^\s+])?(?:\+[^\s+](?:[^+\n]*[^\s+])?)*)\+\+/g, (match, keys) => {
+            return keys.split('+').map(key => `<kbd>${key}</kbd>`).join('+');
+        });
+        
+        // Process wiki-links: [[Note]], [[Note#Heading]], [[Note|alias]], [[Note#Heading|alias]]
+        processed = processed.replace(/\[\[([^\[\]\n|#]*)(?:#([^\[\]\n|]*))?(?:\|([^\[\]\n]*))?\]\]/g, (match, target, heading, alias) => {
+            return this.renderWikiLink(target.trim(), (heading || '').trim(), (alias || '').trim()) || match;
+        });
         
         // DEBUG: Check for display math after processing
         const afterMatches = processed.match(/\$\$[\s\S]*?\$\$/g);
@@ -4226,8 +5517,8 @@ class MarkdownRenderer {
     }
 
     processYAMLFrontmatter(content) {
-        // Extract and process YAML frontmatter
-        const frontmatterRegex = /^---\n([\s\S]*?)\n---\n/;
+        // Extract and process YAML frontmatter (must open the document)
+        const frontmatterRegex = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
         const match = content.match(frontmatterRegex);
         
         if (!match) {
@@ -4235,9 +5526,12 @@ class MarkdownRenderer {
         }
         
         try {
-            const yamlContent = match[1];
-            const frontmatter = this.parseSimpleYAML(yamlContent);
-            const cleanContent = content.replace(frontmatterRegex, '');
+            const frontmatter = this.parseYAML(match[1]);
+            // A leading thematic break followed by prose is not front-matter
+            if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+                return { content, frontmatter: null };
+            }
+            const cleanContent = content.slice(match[0].length);
             
             return { content: cleanContent, frontmatter };
         } catch (error) {
@@ -4246,8 +5540,24 @@ class MarkdownRenderer {
         }
     }
 
+    parseYAML(yamlString) {
+        // Full YAML (lists, nested maps, block scalars) via js-yaml when the library loader got it
+        if (window.jsyaml) {
+            try {
+                const yaml = window.jsyaml;
+                return yaml.load(yamlString, { schema: yaml.JSON_SCHEMA });
+            } catch (error) {
+                if (error && error.name === 'YAMLException') {
+                    throw error;
+                }
+                console.warn('[MarkdownRenderer] js-yaml failed, using simple YAML parser:', error.message);
+            }
+        }
+        return this.parseSimpleYAML(yamlString);
+    }
+
     parseSimpleYAML(yamlString) {
-        // Simple YAML parser for basic key-value pairs
+        // Simple YAML parser for basic key-value pairs (fallback when js-yaml is missing)
         const result = {};
         const lines = yamlString.split('\n');
         
@@ -4261,7 +5571,7 @@ class MarkdownRenderer {
                     
                     // Remove quotes if present
                     const cleanValue = value.replace(/^["'](.*)["']$/, '$1');
-                    result[key] = cleanValue;
+                    result[key] = cleanValue === 'true' ? true : cleanValue === 'false' ? false : cleanValue;
                 }
             }
         });
@@ -4269,6 +5579,358 @@ class MarkdownRenderer {
         return result;
     }
 
+    // Front-matter keys that configure rendering of the current document
+    applyFrontMatterOptions(frontmatter) {
+        const math = frontmatter && typeof frontmatter.math === 'string' ? frontmatter.math.toLowerCase() : null;
+        if (math === 'katex' || math === 'mathjax') {
+            this.mathEngine = math;
+        } else {
+            if (math) {
+                console.warn(`[MarkdownRenderer] Ignoring front-matter math engine: ${frontmatter.math}`);
+            }
+            this.mathEngine = this.preferredMathEngine;
+        }
+    }
+
+    getFrontMatter() {
+        return this.frontMatter;
+    }
+
+    // Per-document export options from front-matter, e.g.
+    //   pdf:
+    //     format: Letter      (or width: 8in / height: 5in for a custom size)
+    //     landscape: true
+    //     margin: 15mm        (or top/right/bottom/left map)
+    //     header: "{title}"
+    //     footer: "Page {page} of {pages}"
+    //     pageBreakBeforeH1: true
+    getFrontMatterExportOptions() {
+        const fm = this.frontMatter;
+        if (!fm) return {};
+
+        const pdf = (fm.pdf && typeof fm.pdf === 'object') ? fm.pdf
+            : (fm.export && typeof fm.export === 'object') ? fm.export : {};
+        const options = {};
+
+        const format = pdf.format || pdf.paper || pdf.pageSize;
+        if (typeof format === 'string' && format.trim()) {
+            options.format = format.trim();
+        }
+        if (typeof pdf.landscape === 'boolean') {
+            options.landscape = pdf.landscape;
+        } else if (typeof pdf.orientation === 'string') {
+            options.landscape = pdf.orientation.toLowerCase() === 'landscape';
+        }
+        ['width', 'height'].forEach(key => {
+            if (pdf[key] !== undefined) options[key] = String(pdf[key]);
+        });
+
+        const header = pdf.header !== undefined ? pdf.header : pdf.headerTemplate;
+        const footer = pdf.footer !== undefined ? pdf.footer : pdf.footerTemplate;
+        if (header !== undefined) options.headerTemplate = header === null ? '' : String(header);
+        if (footer !== undefined) options.footerTemplate = footer === null ? '' : String(footer);
+
+        if (typeof pdf.pageBreakBeforeH1 === 'boolean') {
+            options.pageBreakBeforeH1 = pdf.pageBreakBeforeH1;
+        }
+        if (typeof pdf.preferCSSPageSize === 'boolean') {
+            options.preferCSSPageSize = pdf.preferCSSPageSize;
+        }
+
+        const margin = pdf.margin !== undefined ? pdf.margin : pdf.margins;
+        if (typeof margin === 'string' || typeof margin === 'number') {
+            const value = String(margin);
+            options.margin = { top: value, right: value, bottom: value, left: value };
+        } else if (margin && typeof margin === 'object') {
+            options.margin = {};
+            ['top', 'right', 'bottom', 'left'].forEach(side => {
+                if (margin[side] !== undefined) options.margin[side] = String(margin[side]);
+            });
+        }
+
+        return options;
+    }
+
+    getFrontMatterDisplayMode() {
+        try {
+            return localStorage.getItem('front-matter-display') || 'hidden';
+        } catch (error) {
+            return 'hidden';
+        }
+    }
+
+    renderFrontMatterPanel(frontmatter) {
+        const renderValue = (value) => {
+            if (Array.isArray(value)) {
+                return `<ul>${value.map(item => `<li>${renderValue(item)}</li>`).join('')}</ul>`;
+            }
+            if (value && typeof value === 'object') {
+                return renderTable(value);
+            }
+            if (value === null || value === undefined) {
+                return '';
+            }
+            return this.escapeHtml(String(value)).replace(/\n/g, '<br>');
+        };
+        const renderTable = (obj) => {
+            const rows = Object.keys(obj).map(key =>
+                `<tr><th>${this.escapeHtml(key)}</th><td>${renderValue(obj[key])}</td></tr>`
+            ).join('');
+            return `<table>${rows}</table>`;
+        };
+
+        return `<div class="front-matter-panel">${renderTable(frontmatter)}</div>`;
+    }
+
+    // Wiki-links resolve against the markdown files of the opened folder (set by FileBrowser)
+    setWikiLinkIndex(files) {
+        this.wikiLinkIndex = new Map();
+        const depth = file => file.relativePath.split('/').length;
+        // Shallowest file wins when several folders contain the same note name (matches main.js)
+        [...(files || [])].sort((a, b) => depth(a) - depth(b)).forEach(file => {
+            this.wikiLinkIndex.set(this.normalizeWikiLinkTarget(file.relativePath), file.path);
+            const nameKey = this.normalizeWikiLinkTarget(file.name);
+            if (!this.wikiLinkIndex.has(nameKey)) {
+                this.wikiLinkIndex.set(nameKey, file.path);
+            }
+        });
+        console.log('[MarkdownRenderer] Wiki-link index updated:', this.wikiLinkIndex.size, 'entries');
+        if (this.renderWorker) {
+            this.renderWorker.setWikiLinkIndex(this.wikiLinkIndex);
+        }
+    }
+
+    normalizeWikiLinkTarget(target) {
+        return String(target).trim()
+            .replace(/\\/g, '/')
+            .replace(/^\.?\//, '')
+            .toLowerCase()
+            .replace(/\.(md|markdown|txt|text)$/, '');
+    }
+
+    resolveWikiLink(target) {
+        if (!target || !this.wikiLinkIndex) return null;
+        return this.wikiLinkIndex.get(this.normalizeWikiLinkTarget(target)) || null;
+    }
+
+    renderWikiLink(target, heading, alias) {
+        if (!target && !heading) return null;
+
+        const resolved = target ? this.resolveWikiLink(target) : null;
+        const label = alias || (heading ? (target ? `${target} › ${heading}` : heading) : target);
+        // Same slug as the heading renderer so [[Note#Heading]] lands on the heading id
+        const anchor = heading ? Slugger.slugify(heading) : '';
+        const classes = ['wiki-link'];
+        if (target && !resolved) {
+            classes.push('wiki-link-unresolved');
+        }
+
+        const title = target && !resolved ? `${target} (not found in opened folder)` : (resolved || `#${anchor}`);
+        return `<a href="${anchor ? '#' + this.escapeHtml(anchor) : '#'}" class="${classes.join(' ')}"` +
+            ` data-wiki-target="${this.escapeHtml(target)}" data-wiki-heading="${this.escapeHtml(anchor)}"` +
+            `${resolved ? ` data-wiki-path="${this.escapeHtml(resolved)}"` : ''}` +
+            ` title="${this.escapeHtml(title)}">${this.escapeHtml(label)}</a>`;
+    }
+
+    // Map each line of the text marked parses back to a line of the editor source.
+    // Front-matter removal, math protection and custom block rewriting add, drop and
+    // rewrite lines, so distinctive lines are matched in order first; the lines between
+    // two matches (blank lines, fences, rewritten lines) are then matched within that
+    // stretch of source, or take the position of the last match.
+    buildSourceLineMap(sourceText, processedText) {
+        const source = sourceText.replace(/\r\n?/g, '\n').split('\n');
+        const processed = processedText.split('\n');
+        const lookahead = 500;
+        const map = new Array(processed.length).fill(-1);
+
+        // Pass 1: lines long enough to be unambiguous
+        let next = 0;
+        for (let p = 0; p < processed.length; p++) {
+            const line = processed[p];
+            if (line.trim().length < 4) continue;
+            const limit = Math.min(source.length, next + lookahead);
+            for (let i = next; i < limit; i++) {
+                if (source[i] === line) {
+                    map[p] = i;
+                    next = i + 1;
+                    break;
+                }
+            }
+        }
+
+        // Pass 2: fill each gap between matched lines
+        let p = 0;
+        let lastSource = -1;
+        while (p < processed.length) {
+            if (map[p] !== -1) {
+                lastSource = map[p++];
+                continue;
+            }
+            let gapEnd = p;
+            while (gapEnd < processed.length && map[gapEnd] === -1) gapEnd++;
+            const sourceEnd = gapEnd < processed.length ? map[gapEnd] : source.length;
+
+            let pointer = lastSource + 1;
+            for (; p < gapEnd; p++) {
+                let found = -1;
+                for (let i = pointer; i < sourceEnd; i++) {
+                    if (source[i] === processed[p]) {
+                        found = i;
+                        break;
+                    }
+                }
+                if (found !== -1) {
+                    map[p] = found;
+                    pointer = found + 1;
+                } else {
+                    map[p] = Math.max(0, Math.min(pointer, sourceEnd - 1, source.length - 1));
+                }
+            }
+        }
+
+        return map;
+    }
+
+    // Lex with marked, locating every top-level token (and list item) in the text by its
+    // raw source. An HTML comment marker token goes before each block; parseLexedMarkdown
+    // renders them and applySourceLines turns the markers into data-source-line /
+    // data-source-line-end attributes (0-based). Runs in the render worker, so the result
+    // holds no functions or class instances.
+    lexWithSourceLines(markdown, sourceMarkdown) {
+        if (typeof this.marked.lexer !== 'function' || typeof this.marked.parser !== 'function') {
+            return { markdown, tokens: null, blocks: [] };
+        }
+
+        const text = markdown.replace(/\r\n?/g, '\n');
+        const lineMap = this.buildSourceLineMap(sourceMarkdown, text);
+        const toSource = (line) => lineMap[Math.max(0, Math.min(line, lineMap.length - 1))];
+
+        // Character offset of every line start, for offset -> line lookups
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) lineStarts.push(i + 1);
+        }
+        const lineAt = (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+            }
+            return low;
+        };
+
+        // Line range of `raw`, searched from character `from` (raw is normally contiguous)
+        const locate = (raw, from) => {
+            let index = raw ? text.indexOf(raw, from) : -1;
+            if (index === -1) index = from;
+            const trimmedLength = raw.replace(/\n+$/, '').length;
+            return {
+                index,
+                startLine: lineAt(index),
+                endLine: lineAt(index + Math.max(0, trimmedLength - 1)),
+                next: index + raw.length
+            };
+        };
+
+        // Footnote references are only recognized for labels defined in this document
+        this.resetFootnotes();
+        const tokens = this.marked.lexer(text);
+        const blocks = [];
+        const output = [];
+        let cursor = 0;
+
+        tokens.forEach(token => {
+            const raw = token.raw || '';
+            if (token.type === 'space' || !raw) {
+                if (raw) cursor = locate(raw, cursor).next;
+                output.push(token);
+                return;
+            }
+
+            const position = locate(raw, cursor);
+            const block = { start: toSource(position.startLine), end: toSource(position.endLine) };
+
+            if (token.type === 'list' && Array.isArray(token.items)) {
+                let itemCursor = position.index;
+                block.items = token.items.map(item => {
+                    const itemPosition = locate(item.raw || '', itemCursor);
+                    itemCursor = itemPosition.next;
+                    return { start: toSource(itemPosition.startLine), end: toSource(itemPosition.endLine) };
+                });
+            }
+
+            output.push({
+                type: 'html',
+                block: true,
+                pre: false,
+                raw: '',
+                text: `<!--markdd-block:${blocks.length}-->`
+            });
+            blocks.push(block);
+            output.push(token);
+            cursor = position.next;
+        });
+
+        // `links` is a property of the token array, which postMessage does not copy
+        return { tokens: output, links: tokens.links, blocks, lastLine: toSource(lineStarts.length - 1) };
+    }
+
+    // Render lexWithSourceLines' tokens to HTML
+    parseLexedMarkdown(lexed) {
+        this.sourceLineBlocks = lexed.blocks.slice();
+        if (!lexed.tokens) {
+            return this.markedParse(lexed.markdown);
+        }
+
+        this.resetFootnotes();
+        this.slugger.reset();
+        if (this.sectionNumbering) this.sectionNumbering.counters = [];
+        const tokens = lexed.tokens;
+        tokens.links = lexed.links || {};
+        const html = this.marked.parser(tokens);
+
+        // The footnotes section closes the document; anchor it to the last source line
+        const footnoteSection = this.renderFootnoteSection();
+        if (!footnoteSection) return html;
+        const marker = `<!--markdd-block:${this.sourceLineBlocks.length}-->`;
+        this.sourceLineBlocks.push({ start: lexed.lastLine, end: lexed.lastLine });
+        return html + marker + footnoteSection;
+    }
+
+    // Turn lexWithSourceLines' markers into attributes on the top-level elements
+    // (and list items) that follow them
+    applySourceLines(container) {
+        const blocks = this.sourceLineBlocks || [];
+        let current = null;
+
+        Array.from(container.childNodes).forEach(node => {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                const match = /^markdd-block:(\d+)$/.exec(node.nodeValue);
+                if (match) {
+                    current = blocks[parseInt(match[1], 10)] || null;
+                    node.remove();
+                }
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || !current) return;
+
+            node.setAttribute('data-source-line', current.start);
+            node.setAttribute('data-source-line-end', current.end);
+
+            if (current.items && (node.tagName === 'UL' || node.tagName === 'OL')) {
+                Array.from(node.children)
+                    .filter(child => child.tagName === 'LI')
+                    .forEach((li, index) => {
+                        const item = current.items[index];
+                        if (!item) return;
+                        li.setAttribute('data-source-line', item.start);
+                        li.setAttribute('data-source-line-end', item.end);
+                    });
+            }
+        });
+    }
+
     getWordCount(markdown) {
         return markdown.trim().split(/\s+/).filter(word => word.length > 0).length;
     }
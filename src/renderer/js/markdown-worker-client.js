@@ -0,0 +1,173 @@
+/**
+ * Markdown Worker Client
+ * Runs the text stages of MarkdownRenderer.render (prepareMarkdown: math protection,
+ * front-matter, TOC, custom block rewriting and marked's lexer) in js/markdown-worker.js,
+ * so a long document does not block typing while it is parsed. Rendering the tokens,
+ * sanitizing, math and diagrams need the page's DOM and libraries and stay on this thread.
+ *
+ * The worker loads the marked and js-yaml files the library loader loaded and the
+ * renderer's own script, so both threads transform text the same way. Only the newest
+ * render is wanted: a worker still busy with an older one is terminated and the next
+ * request starts a fresh one. When the worker cannot run, prepare() rejects and the
+ * renderer does the work on this thread.
+ */
+const MARKDOWN_WORKER_URL = 'js/markdown-worker.js';
+const MARKDOWN_WORKER_SCRIPTS = ['js/slugger.js', 'js/html-sanitizer.js', 'js/markdown-renderer.js'];
+const MARKDOWN_WORKER_STARTUP_TIMEOUT_MS = 10000;
+
+class MarkdownWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.ready = null; // startup promise of the current worker
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextRequestId = 1;
+        this.generation = 0; // bumped by cancel(); requests from an older generation are dropped
+        this.disabled = false; // set when the worker cannot load; renders stay on the UI thread
+        this.wikiLinkEntries = null;
+    }
+
+    isAvailable() {
+        return !this.disabled;
+    }
+
+    // Scripts for the worker, or null when marked (or js-yaml, which the page has) was not
+    // loaded from a file the worker can import too
+    getWorkerLibraries() {
+        const loader = window.libraryLoader;
+        if (!loader || typeof loader.getLibrarySource !== 'function') return null;
+
+        const marked = loader.getLibrarySource('Marked');
+        const jsyaml = window.jsyaml ? loader.getLibrarySource('JsYaml') : null;
+        if (!marked || (window.jsyaml && !jsyaml)) return null;
+
+        return {
+            marked,
+            jsyaml,
+            scripts: MARKDOWN_WORKER_SCRIPTS.map(script => new URL(script, document.baseURI).href)
+        };
+    }
+
+    start() {
+        if (this.ready) return this.ready;
+
+        const libraries = this.getWorkerLibraries();
+        if (!libraries) {
+            this.disable('libraries were not loaded from files the worker can import');
+            return Promise.reject(new Error('Markdown worker is not available'));
+        }
+
+        const worker = new Worker(MARKDOWN_WORKER_URL);
+        this.worker = worker;
+        this.ready = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.disable('it did not start in time');
+                reject(new Error('Markdown worker did not start'));
+            }, MARKDOWN_WORKER_STARTUP_TIMEOUT_MS);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    clearTimeout(timeout);
+                    resolve();
+                } else if (message.type === 'init-error') {
+                    clearTimeout(timeout);
+                    this.disable(message.error);
+                    reject(new Error(message.error));
+                } else {
+                    this.settle(message);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                clearTimeout(timeout);
+                const error = new Error(event.message || 'Markdown worker failed');
+                this.disable(error.message);
+                reject(error);
+            };
+        });
+
+        worker.postMessage({ type: 'init', libraries, wikiLinkEntries: this.wikiLinkEntries });
+        return this.ready;
+    }
+
+    settle(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+        if (message.type === 'prepared') {
+            request.resolve(message.result);
+        } else {
+            request.reject(new Error(message.error));
+        }
+    }
+
+    /**
+     * Run MarkdownRenderer.prepareMarkdown in the worker. A newer call, or cancel(),
+     * rejects the promise with an error whose `cancelled` is true.
+     * @param {string} markdown - the editor text (source lines are mapped back to it)
+     * @param {string} expandedMarkdown - the text with @import directives expanded
+     * @returns {Promise<Object>} prepareMarkdown's result
+     */
+    async prepare(markdown, expandedMarkdown) {
+        this.cancel();
+        const generation = this.generation;
+        await this.start();
+        if (generation !== this.generation) {
+            throw this.createCancelledError();
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'prepare', id, markdown, expandedMarkdown });
+        });
+    }
+
+    // Drop every render still waiting on the worker. A busy worker cannot be interrupted,
+    // so it is terminated; the next prepare() starts a new one.
+    cancel() {
+        this.generation++;
+        if (this.pending.size === 0) return;
+
+        this.stopWorker();
+        this.pending.forEach(request => request.reject(this.createCancelledError()));
+        this.pending.clear();
+    }
+
+    createCancelledError() {
+        const error = new Error('Render superseded by newer content');
+        error.cancelled = true;
+        return error;
+    }
+
+    // Wiki-links are resolved while custom blocks are rewritten, so the worker needs the index
+    setWikiLinkIndex(index) {
+        this.wikiLinkEntries = index ? Array.from(index) : null;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'wiki-link-index', entries: this.wikiLinkEntries });
+        }
+    }
+
+    disable(reason) {
+        console.warn('[MarkdownWorkerClient] Rendering on the UI thread, the worker cannot be used:', reason);
+        this.disabled = true;
+        this.stopWorker();
+        this.pending.forEach(request => request.reject(new Error(reason)));
+        this.pending.clear();
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        this.ready = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownWorkerClient;
+} else {
+    window.MarkdownWorkerClient = MarkdownWorkerClient;
+}
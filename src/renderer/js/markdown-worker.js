@@ -0,0 +1,53 @@
+/**
+ * Markdown worker
+ * Runs MarkdownRenderer.prepareMarkdown for MarkdownWorkerClient. It imports the renderer's
+ * own script with the page's marked and js-yaml, so the text stages work exactly as they
+ * do on the UI thread; nothing that needs a DOM is called here.
+ *
+ * Messages in:  {type: 'init', libraries, wikiLinkEntries}
+ *               {type: 'prepare', id, markdown, expandedMarkdown}
+ *               {type: 'wiki-link-index', entries}
+ * Messages out: {type: 'ready'} | {type: 'init-error', error}
+ *               {type: 'prepared', id, result} | {type: 'error', id, error}
+ */
+
+// The renderer scripts register their classes and helpers on `window`
+self.window = self;
+
+let renderer = null;
+
+function initialize({ libraries, wikiLinkEntries }) {
+    importScripts(...[libraries.marked, libraries.jsyaml].filter(Boolean), ...libraries.scripts);
+    if (!self.marked || typeof self.marked.lexer !== 'function') {
+        throw new Error('marked did not load in the markdown worker');
+    }
+
+    renderer = new MarkdownRenderer();
+    renderer.marked = self.marked;
+    renderer.initializeMarked();
+    renderer.wikiLinkIndex = wikiLinkEntries ? new Map(wikiLinkEntries) : null;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        try {
+            initialize(message);
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'init-error', error: error.message });
+        }
+    } else if (message.type === 'wiki-link-index') {
+        if (renderer) {
+            renderer.wikiLinkIndex = message.entries ? new Map(message.entries) : null;
+        }
+    } else if (message.type === 'prepare') {
+        try {
+            const result = renderer.prepareMarkdown(message.markdown, message.expandedMarkdown);
+            self.postMessage({ type: 'prepared', id: message.id, result });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: message.id, error: error.message });
+        }
+    }
+};
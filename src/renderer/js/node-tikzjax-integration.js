@@ -13,7 +13,7 @@ class NodeTikZIntegration {
         console.error('[DEBUG] NodeTikZIntegration constructor called');
         
         this.isInitialized = false;
-        this.ipcRenderer = null;
+        this.bridge = null;
         this.settings = {
             showConsole: true,
             optimizeSVG: true,
@@ -41,9 +41,8 @@ class NodeTikZIntegration {
             console.log('[NodeTikZIntegration] Initializing STRICT LOCAL ONLY mode...');
 
             // Check if running in Electron environment
-            if (typeof window !== 'undefined' && window.require) {
-                const { ipcRenderer } = window.require('electron');
-                this.ipcRenderer = ipcRenderer;
+            if (typeof window !== 'undefined' && window.markdd) {
+                this.bridge = window.markdd;
                 console.log('[NodeTikZIntegration] Electron IPC available for STRICT LOCAL rendering');
                 this.isInitialized = true;
                 console.log('[NodeTikZIntegration] STRICT LOCAL ONLY initialization successful');
@@ -71,7 +70,7 @@ class NodeTikZIntegration {
             return true;
         }
         
-        if (!this.isInitialized || !this.ipcRenderer) {
+        if (!this.isInitialized || !this.bridge) {
             throw new Error('NodeTikZIntegration not properly initialized for STRICT LOCAL ONLY mode');
         }
 
@@ -109,14 +108,15 @@ class NodeTikZIntegration {
 
         try {
             // Call server-side rendering via Electron IPC - STRICT LOCAL ONLY
-            const result = await this.ipcRenderer.invoke('render-tikz-server-side', {
+            const result = await this.bridge.renderTikzServerSide({
                 tikzCode: finalTikzCode,
                 isCircuit: isCircuit
             });
 
             if (result.success) {
                 console.error('[DEBUG] NodeTikZIntegration STRICT LOCAL rendering successful for:', id);
-                container.innerHTML = result.svg;
+                // The SVG is built from document source, so it is cleaned like raw HTML
+                container.innerHTML = new HtmlSanitizer().sanitizeSvg(result.svg);
                 container.classList.add('tikz-rendered');
                 return true;
             } else {
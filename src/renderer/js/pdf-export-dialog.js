@@ -0,0 +1,438 @@
+/**
+ * PDF Export Dialog
+ * Page size, orientation, margins, header/footer templates and page-break options
+ * for Export as PDF. Settings are remembered and can be saved as named presets;
+ * front-matter `pdf:` keys of the current document override them when the dialog opens.
+ *
+ * Header/footer templates are plain text with placeholders:
+ *   {title}  document title      {date}   export date
+ *   {page}   current page        {pages}  total pages
+ */
+class PdfExportDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this.presetsKey = 'markdd-pdf-presets';
+        this.lastOptionsKey = 'markdd-pdf-last-options';
+
+        this.defaults = {
+            format: 'A4',
+            width: '210mm',
+            height: '297mm',
+            landscape: false,
+            margin: { top: '20mm', right: '20mm', bottom: '20mm', left: '20mm' },
+            headerTemplate: '',
+            footerTemplate: '',
+            pageBreakBeforeH1: false,
+            preferCSSPageSize: false
+        };
+
+        this.setupModal();
+    }
+
+    setupModal() {
+        const modalHTML = `
+            <div id="pdf-export-modal" class="pdf-export-modal" style="display: none;">
+                <div class="pdf-export-modal-content">
+                    <div class="pdf-export-header">
+                        <h3>Export as PDF</h3>
+                        <button id="pdf-export-close" class="modal-close-btn">&times;</button>
+                    </div>
+
+                    <div class="pdf-export-body">
+                        <div class="pdf-export-row">
+                            <label for="pdf-export-preset">Preset</label>
+                            <select id="pdf-export-preset"></select>
+                            <input type="text" id="pdf-export-preset-name" placeholder="Preset name">
+                            <button id="pdf-export-save-preset" class="pdf-export-btn" title="Save current settings under this name">Save</button>
+                            <button id="pdf-export-delete-preset" class="pdf-export-btn" title="Delete selected preset">Delete</button>
+                        </div>
+
+                        <div class="pdf-export-row">
+                            <label for="pdf-export-format">Page size</label>
+                            <select id="pdf-export-format">
+                                <option value="Letter">Letter</option>
+                                <option value="Legal">Legal</option>
+                                <option value="A3">A3</option>
+                                <option value="A4">A4</option>
+                                <option value="A5">A5</option>
+                                <option value="Custom">Custom…</option>
+                            </select>
+                            <select id="pdf-export-orientation">
+                                <option value="portrait">Portrait</option>
+                                <option value="landscape">Landscape</option>
+                            </select>
+                        </div>
+
+                        <div class="pdf-export-row" id="pdf-export-custom-size">
+                            <label>Width × height</label>
+                            <input type="text" id="pdf-export-width" placeholder="210mm">
+                            <input type="text" id="pdf-export-height" placeholder="297mm">
+                        </div>
+
+                        <div class="pdf-export-row">
+                            <label>Margins</label>
+                            <input type="text" id="pdf-export-margin-top" title="Top" placeholder="top">
+                            <input type="text" id="pdf-export-margin-right" title="Right" placeholder="right">
+                            <input type="text" id="pdf-export-margin-bottom" title="Bottom" placeholder="bottom">
+                            <input type="text" id="pdf-export-margin-left" title="Left" placeholder="left">
+                        </div>
+
+                        <div class="pdf-export-row">
+                            <label for="pdf-export-header-template">Header</label>
+                            <input type="text" id="pdf-export-header-template" class="pdf-export-wide" placeholder="e.g. {title}">
+                        </div>
+
+                        <div class="pdf-export-row">
+                            <label for="pdf-export-footer-template">Footer</label>
+                            <input type="text" id="pdf-export-footer-template" class="pdf-export-wide" placeholder="e.g. Page {page} of {pages}">
+                        </div>
+                        <small class="pdf-export-hint">Placeholders: {title} {date} {page} {pages}. Leave empty for no header/footer.</small>
+
+                        <label class="pdf-export-check">
+                            <input type="checkbox" id="pdf-export-page-break-h1">
+                            Start each H1 on a new page
+                        </label>
+                        <label class="pdf-export-check">
+                            <input type="checkbox" id="pdf-export-prefer-css-page">
+                            Use CSS @page rules from the document when present
+                        </label>
+                    </div>
+
+                    <div class="pdf-export-footer">
+                        <button id="pdf-export-cancel" class="pdf-export-btn">Cancel</button>
+                        <button id="pdf-export-confirm" class="pdf-export-btn pdf-export-primary">Export</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const styles = `
+            <style>
+                .pdf-export-modal {
+                    position: fixed;
+                    inset: 0;
+                    z-index: 10000;
+                    background: rgba(0, 0, 0, 0.4);
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .pdf-export-modal-content {
+                    background: var(--bg-color, #ffffff);
+                    color: var(--text-color, #333);
+                    border: 1px solid var(--border-color, #ddd);
+                    border-radius: 8px;
+                    width: min(560px, 92vw);
+                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+                }
+
+                .pdf-export-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    padding: 12px 16px;
+                    border-bottom: 1px solid var(--border-color, #ddd);
+                    background: var(--header-bg, #f8f9fa);
+                    border-radius: 8px 8px 0 0;
+                }
+
+                .pdf-export-header h3 {
+                    margin: 0;
+                    font-size: 14px;
+                }
+
+                .pdf-export-body {
+                    padding: 16px 20px;
+                }
+
+                .pdf-export-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 10px;
+                }
+
+                .pdf-export-row label {
+                    width: 90px;
+                    flex-shrink: 0;
+                    font-size: 13px;
+                }
+
+                .pdf-export-row input,
+                .pdf-export-row select {
+                    min-width: 0;
+                    flex: 1;
+                    padding: 5px 8px;
+                    border: 1px solid var(--border-color, #ddd);
+                    border-radius: 4px;
+                    background: var(--input-bg, #ffffff);
+                    color: var(--text-color, #333);
+                    font-size: 13px;
+                }
+
+                .pdf-export-hint {
+                    display: block;
+                    margin: -4px 0 10px 98px;
+                    color: var(--text-muted, #666);
+                }
+
+                .pdf-export-check {
+                    display: block;
+                    margin: 6px 0;
+                    font-size: 13px;
+                }
+
+                .pdf-export-footer {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 8px;
+                    padding: 12px 16px;
+                    border-top: 1px solid var(--border-color, #ddd);
+                }
+
+                .pdf-export-btn {
+                    padding: 5px 12px;
+                    border: 1px solid var(--border-color, #ddd);
+                    border-radius: 4px;
+                    background: var(--button-bg, #ffffff);
+                    color: var(--text-color, #333);
+                    cursor: pointer;
+                    font-size: 13px;
+                    flex-shrink: 0;
+                }
+
+                .pdf-export-btn:hover {
+                    background: var(--hover-bg, #f0f0f0);
+                }
+
+                .pdf-export-primary {
+                    background: var(--primary-color, #007acc);
+                    border-color: var(--primary-color, #007acc);
+                    color: #ffffff;
+                }
+
+                .pdf-export-primary:hover {
+                    background: var(--primary-color-dark, #005a9e);
+                }
+            </style>
+        `;
+
+        document.head.insertAdjacentHTML('beforeend', styles);
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        this.modal = document.getElementById('pdf-export-modal');
+        this.presetSelect = document.getElementById('pdf-export-preset');
+        this.presetNameInput = document.getElementById('pdf-export-preset-name');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('pdf-export-close').addEventListener('click', () => this.close(null));
+        document.getElementById('pdf-export-cancel').addEventListener('click', () => this.close(null));
+
+        document.getElementById('pdf-export-confirm').addEventListener('click', () => {
+            const options = this.readForm();
+            this.saveLastOptions(options);
+            this.close(options);
+        });
+
+        document.getElementById('pdf-export-format').addEventListener('change', () => this.updateCustomSizeVisibility());
+
+        this.presetSelect.addEventListener('change', () => {
+            const preset = this.loadPresets()[this.presetSelect.value];
+            if (preset) {
+                this.fillForm(this.mergeOptions(this.defaults, preset));
+            }
+            this.presetNameInput.value = this.presetSelect.value;
+        });
+
+        document.getElementById('pdf-export-save-preset').addEventListener('click', () => this.savePreset());
+        document.getElementById('pdf-export-delete-preset').addEventListener('click', () => this.deletePreset());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close(null);
+            }
+        });
+    }
+
+    /**
+     * Open the dialog. Resolves with the chosen PDF options, or null when cancelled.
+     * @param {Object} overrides - per-document options (front-matter) applied on top of the last used settings
+     */
+    show(overrides = {}) {
+        if (this.resolve) {
+            this.close(null);
+        }
+
+        this.populatePresets();
+        this.fillForm(this.mergeOptions(this.mergeOptions(this.defaults, this.loadLastOptions()), overrides));
+        this.modal.style.display = 'flex';
+        document.getElementById('pdf-export-confirm').focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    isOpen() {
+        return this.modal && this.modal.style.display !== 'none';
+    }
+
+    close(result) {
+        this.modal.style.display = 'none';
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(result);
+        }
+    }
+
+    mergeOptions(base, overrides) {
+        const merged = { ...base, margin: { ...base.margin } };
+        if (!overrides) return merged;
+
+        Object.keys(overrides).forEach(key => {
+            if (key === 'margin' && overrides.margin && typeof overrides.margin === 'object') {
+                Object.assign(merged.margin, overrides.margin);
+            } else if (overrides[key] !== undefined) {
+                merged[key] = overrides[key];
+            }
+        });
+
+        // A custom width/height without a format means a custom page size
+        if ((overrides.width || overrides.height) && !overrides.format) {
+            merged.format = 'Custom';
+        }
+        return merged;
+    }
+
+    fillForm(options) {
+        const formatSelect = document.getElementById('pdf-export-format');
+        const format = Array.from(formatSelect.options).find(o => o.value.toLowerCase() === String(options.format).toLowerCase());
+        formatSelect.value = format ? format.value : 'A4';
+
+        document.getElementById('pdf-export-orientation').value = options.landscape ? 'landscape' : 'portrait';
+        document.getElementById('pdf-export-width').value = options.width || '';
+        document.getElementById('pdf-export-height').value = options.height || '';
+        ['top', 'right', 'bottom', 'left'].forEach(side => {
+            document.getElementById(`pdf-export-margin-${side}`).value = options.margin[side] || '';
+        });
+        document.getElementById('pdf-export-header-template').value = options.headerTemplate || '';
+        document.getElementById('pdf-export-footer-template').value = options.footerTemplate || '';
+        document.getElementById('pdf-export-page-break-h1').checked = !!options.pageBreakBeforeH1;
+        document.getElementById('pdf-export-prefer-css-page').checked = !!options.preferCSSPageSize;
+
+        this.updateCustomSizeVisibility();
+    }
+
+    readForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const options = {
+            format: value('pdf-export-format'),
+            landscape: value('pdf-export-orientation') === 'landscape',
+            margin: {},
+            headerTemplate: value('pdf-export-header-template'),
+            footerTemplate: value('pdf-export-footer-template'),
+            pageBreakBeforeH1: document.getElementById('pdf-export-page-break-h1').checked,
+            preferCSSPageSize: document.getElementById('pdf-export-prefer-css-page').checked
+        };
+
+        ['top', 'right', 'bottom', 'left'].forEach(side => {
+            options.margin[side] = value(`pdf-export-margin-${side}`) || '0';
+        });
+
+        if (options.format === 'Custom') {
+            options.width = value('pdf-export-width') || this.defaults.width;
+            options.height = value('pdf-export-height') || this.defaults.height;
+        }
+        return options;
+    }
+
+    updateCustomSizeVisibility() {
+        const isCustom = document.getElementById('pdf-export-format').value === 'Custom';
+        document.getElementById('pdf-export-custom-size').style.display = isCustom ? '' : 'none';
+    }
+
+    // Presets
+    loadPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(this.presetsKey) || '{}');
+        } catch (error) {
+            console.warn('[PdfExportDialog] Failed to load presets:', error);
+            return {};
+        }
+    }
+
+    storePresets(presets) {
+        try {
+            localStorage.setItem(this.presetsKey, JSON.stringify(presets));
+        } catch (error) {
+            console.warn('[PdfExportDialog] Failed to save presets:', error);
+        }
+    }
+
+    populatePresets(selected = '') {
+        const presets = this.loadPresets();
+        this.presetSelect.innerHTML = '<option value="">(last used)</option>';
+        Object.keys(presets).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.presetSelect.appendChild(option);
+        });
+        this.presetSelect.value = selected;
+        this.presetNameInput.value = selected;
+    }
+
+    // Name comes from an inline input - Electron does not implement prompt()
+    savePreset() {
+        const name = this.presetNameInput.value.trim();
+        if (!name) {
+            this.presetNameInput.focus();
+            return;
+        }
+
+        const presets = this.loadPresets();
+        presets[name] = this.readForm();
+        this.storePresets(presets);
+        this.populatePresets(name);
+        console.log('[PdfExportDialog] Saved preset:', name);
+    }
+
+    deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name) return;
+
+        const presets = this.loadPresets();
+        delete presets[name];
+        this.storePresets(presets);
+        this.populatePresets();
+        console.log('[PdfExportDialog] Deleted preset:', name);
+    }
+
+    loadLastOptions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.lastOptionsKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveLastOptions(options) {
+        try {
+            localStorage.setItem(this.lastOptionsKey, JSON.stringify(options));
+        } catch (error) {
+            console.warn('[PdfExportDialog] Failed to remember options:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfExportDialog;
+} else {
+    window.PdfExportDialog = PdfExportDialog;
+}
@@ -1,3 +1,7 @@
+// Themes a document may request with `theme:` in its front-matter (see main.css [data-theme];
+// createHTMLDocument has export styles for each)
+const DOCUMENT_THEMES = ['light', 'dark', 'blue', 'green', 'purple', 'orange', 'monochrome'];
+
 class Preview {
     /**
      * Re-render the preview with the current editor content.
@@ -7,6 +11,10 @@ class Preview {
         const editorElement = document.getElementById('editor');
         if (!editorElement) return;
         const content = editorElement.value;
+        // A refresh draws every diagram again rather than reusing cached blocks
+        if (this.renderer && typeof this.renderer.clearBlockCache === 'function') {
+            this.renderer.clearBlockCache();
+        }
         await this.updatePreview(content);
     }
     constructor(previewElement, renderer) {
@@ -19,8 +27,6 @@ class Preview {
         this.isUpdating = false;
         this.lastProcessedContent = null;  // Track last processed content to avoid redundant updates
         this.queuedContent = null;        // Queue content when updates are in progress
-        this.lastLineElementMapRebuild = 0; // Track when line mapping was last rebuilt
-        this.lineElementMapRebuildDebounceTimeout = null; // Debounce timeout for line mapping rebuild
         
         this.init();
     }
@@ -41,9 +47,41 @@ class Preview {
             }
         });
 
-        // Handle link clicks
+        // Handle link clicks; other clicks put the editor caret on the clicked block's source line
         this.element.addEventListener('click', (e) => {
+            this.handleKityMinderButtonClick(e);
             this.handleLinkClick(e);
+            this.placeEditorCaretFromClick(e);
+        });
+
+        // Charts re-render when a data file they loaded changes on disk; a changed
+        // @import-ed file re-renders the whole document
+        if (window.markdd) {
+            window.markdd.on('data-file-changed', ({ path }) => {
+                if (this.renderer && this.renderer.importedFiles && this.renderer.importedFiles.has(path)) {
+                    this.refresh();
+                } else if (this.renderer && typeof this.renderer.refreshVegaCharts === 'function') {
+                    this.renderer.refreshVegaCharts(this.element, path);
+                }
+            });
+        }
+
+        // Footnote references show their note in a popover on hover
+        this.element.addEventListener('mouseover', (e) => {
+            const link = e.target.closest('.footnote-ref a');
+            if (link) this.showFootnotePopover(link);
+        });
+        this.element.addEventListener('mouseout', (e) => {
+            const link = e.target.closest('.footnote-ref a');
+            if (link && !link.contains(e.relatedTarget)) this.hideFootnotePopover();
+        });
+        document.addEventListener('preview-updated', () => this.hideFootnotePopover());
+
+        // WaveDrom SVGs carry theme colors; redraw them when the app theme changes
+        document.addEventListener('theme-changed', () => {
+            if (this.renderer && typeof this.renderer.processWavedromDiagrams === 'function') {
+                this.renderer.processWavedromDiagrams(this.element);
+            }
         });
 
         // Handle image loading
@@ -58,8 +96,6 @@ class Preview {
         // Setup scroll synchronization between editor and preview
         this.isScrolling = false;
         this.scrollRatio = 0;
-        this.lineElementMap = new Map(); // Cache for line to element mapping
-        this.lastEditorLineCount = 0;
         this.scrollSyncEnabled = true; // Add explicit flag
         this.syncScroll = true; // Initialize syncScroll property for consistency
         
@@ -131,20 +167,7 @@ class Preview {
                     console.log('[Preview] Editor scroll BLOCKED - scrollSyncEnabled:', this.scrollSyncEnabled, 'isScrolling:', this.isScrolling);
                 }
             });
-
-            // Update line mapping when content changes with better debouncing
-            editorElement.addEventListener('input', () => {
-                if (this.scrollSyncEnabled) {
-                    // Use longer debounce for line mapping rebuild for performance
-                    this.debouncedRebuildLineElementMap();
-                }
-            });
         }
-        
-        // Initial line mapping with delay
-        setTimeout(() => {
-            this.debouncedRebuildLineElementMap();
-        }, 1000);
     }
 
 
@@ -166,10 +189,11 @@ class Preview {
         // Store the content we're about to process
         this.lastProcessedContent = content;
         
-        // Prevent multiple rapid updates
+        // Prevent multiple rapid updates; a render still parsing the older text is cancelled
         if (this.isUpdating) {
             console.log('[Preview] Update in progress, queuing new content');
             this.queuedContent = content;
+            this.renderer.cancelRender();
             return;
         }
         
@@ -199,14 +223,16 @@ class Preview {
             }
             
             this.isUpdating = true;
+            const previewStages = []; // this side's stages for the dev-mode timing overlay
             console.log('[Preview] updatePreview called with content length:', content.length);
             console.log('🔍🔍🔍 [Preview] Content preview (first 300 chars):', content.substring(0, 300));
             console.log('🔍🔍🔍 [Preview] Content includes "Math Rendering Test":', content.includes('Math Rendering Test'));
             console.log('🔍🔍🔍 [Preview] Content includes "MarkDD Editor - Complete Feature Showcase":', content.includes('MarkDD Editor - Complete Feature Showcase'));
             
-            // Show loading state for long operations
+            // Show loading state for long operations; once a document is on screen it stays
+            // there and changed blocks are patched in instead
             const isLongContent = content.length > 10000;
-            if (isLongContent) {
+            if (isLongContent && !this.element.querySelector('[data-block-hash]')) {
                 console.log('[Preview] Long content detected, showing loading...');
                 this.showLoading();
             }
@@ -221,14 +247,21 @@ class Preview {
                 
                 console.log('[Preview] Racing render vs timeout (30s limit)...');
                 const html = await Promise.race([renderPromise, timeoutPromise]);
+                if (html === null) {
+                    // Cancelled for newer content, which is rendered next (see finally)
+                    return;
+                }
                 console.log('[Preview] Renderer returned HTML length:', html ? html.length : 'NULL/UNDEFINED');
                 console.log('[Preview] HTML preview (first 200 chars):', html ? html.substring(0, 200) : 'NULL');
                 
                 // Update the preview element - SINGLE UPDATE ONLY
-                console.log('[Preview] Setting element.innerHTML...');
+                console.log('[Preview] Patching changed blocks into the preview...');
                 if (this.element) {
-                    this.element.innerHTML = html;
-                    console.log('[Preview] Element innerHTML updated successfully');
+                    const patchStart = performance.now();
+                    const replaced = this.patchContent(html);
+                    this.applyDocumentTheme();
+                    previewStages.push({ stage: 'patch preview', ms: performance.now() - patchStart });
+                    console.log('[Preview] Preview updated,', replaced, 'block(s) replaced');
                 } else {
                     console.error('[Preview] Preview element is null/undefined!');
                     return;
@@ -245,14 +278,17 @@ class Preview {
             
             // Post-process the rendered content - ONLY ONCE
             console.log('[Preview] Starting post-processing...');
+            const postProcessStart = performance.now();
             await this.postProcess();
+            previewStages.push({ stage: 'preview post-process', ms: performance.now() - postProcessStart });
             console.log('[Preview] Post-processing completed');
 
-            // --- FIX: Use debounced line-element map rebuild for performance ---
-            this.debouncedRebuildLineElementMap();
+            // Block heights changed; realign the preview with the editor position
+            this.updateScrollSync();
 
             // Dispatch update event
             this.dispatchUpdateEvent();
+            this.showRenderTimings(previewStages);
             console.log('[Preview] updatePreview completed successfully');
 
         } catch (error) {
@@ -263,18 +299,95 @@ class Preview {
             this.isUpdating = false;
             
             // --- FIX: Process any queued content after update completes ---
-            if (this.queuedContent !== null && this.queuedContent !== this.lastProcessedContent) {
+            // (debounceUpdate already recorded it as lastProcessedContent, so render it directly)
+            if (this.queuedContent !== null) {
                 console.log('[Preview] Processing queued content after update completion');
                 const queuedContent = this.queuedContent;
                 this.queuedContent = null;
                 // Process queued content with a small delay to avoid immediate recursion
                 setTimeout(() => {
-                    this.debounceUpdate(queuedContent);
+                    if (this.isUpdating) {
+                        this.queuedContent = queuedContent;
+                    } else {
+                        this.updatePreview(queuedContent);
+                    }
                 }, 50);
             }
         }
     }
 
+    // Put a rendered document into the preview block by block: top-level blocks whose
+    // data-block-hash (set by MarkdownRenderer) is unchanged keep their live nodes, with
+    // drawn diagrams, markmap zoom and ABC players intact; the rest are replaced.
+    // Returns the number of blocks that were replaced.
+    patchContent(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const reusable = new Map();
+        Array.from(this.element.children).forEach(node => {
+            const hash = node.getAttribute('data-block-hash');
+            if (!hash) return;
+            if (!reusable.has(hash)) reusable.set(hash, []);
+            reusable.get(hash).push(node);
+        });
+
+        let replaced = 0;
+        const nodes = Array.from(template.content.childNodes)
+            .filter(node => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim())
+            .map(node => {
+                const hash = node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-block-hash') : null;
+                const matches = hash ? reusable.get(hash) : null;
+                if (matches && matches.length) {
+                    const kept = matches.shift();
+                    this.copySourceLines(node, kept);
+                    return kept;
+                }
+                replaced++;
+                return node;
+            });
+
+        const keep = new Set(nodes);
+        Array.from(this.element.childNodes).forEach(node => {
+            if (!keep.has(node)) node.remove();
+        });
+        nodes.forEach((node, index) => {
+            const current = this.element.childNodes[index];
+            if (current !== node) {
+                this.element.insertBefore(node, current || null);
+            }
+        });
+        return replaced;
+    }
+
+    // Lines move when blocks above them change; kept blocks take the new numbers
+    copySourceLines(from, to) {
+        const sources = [from, ...from.querySelectorAll('[data-source-line]')];
+        const targets = [to, ...to.querySelectorAll('[data-source-line]')];
+        if (sources.length !== targets.length) return;
+        sources.forEach((source, index) => {
+            ['data-source-line', 'data-source-line-end'].forEach(attribute => {
+                if (source.hasAttribute(attribute)) {
+                    targets[index].setAttribute(attribute, source.getAttribute(attribute));
+                } else {
+                    targets[index].removeAttribute(attribute);
+                }
+            });
+        });
+    }
+
+    // Render a whole document and wait for it (command-line export). Pending live updates
+    // are dropped so they cannot replace the result while it is being exported.
+    async renderDocument(content) {
+        clearTimeout(this.debounceTimeout);
+        this.queuedContent = null;
+        while (this.isUpdating) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        this.lastProcessedContent = content;
+        await this.updatePreview(content);
+    }
+
     async postProcess() {
         // Process syntax highlighting
         this.highlightCode();
@@ -288,9 +401,6 @@ class Preview {
         // Process editable mindmaps
         await this.processEditableMindmaps();
         
-        // Update internal links
-        this.updateInternalLinks();
-        
         // Setup copy code buttons
         this.setupCodeCopyButtons();
     }
@@ -391,9 +501,6 @@ class Preview {
         } else {
             console.error('[DEBUG] Preview: No renderer available for TikZ delegation');
         }
-        
-        // --- FIX: Use debounced line-element map rebuild for performance ---
-        this.debouncedRebuildLineElementMap();
     }
 
     async processMarkmaps() {
@@ -422,295 +529,34 @@ class Preview {
     }
 
     async processPlantUMLDiagrams() {
-        const plantumlElements = this.element.querySelectorAll('.plantuml-container:not(.plantuml-rendered)');
-        
-        for (const element of plantumlElements) {
-            const code = decodeURIComponent(element.getAttribute('data-plantuml-code'));
-            const id = element.getAttribute('data-plantuml-id');
-            
-            try {
-                // Use PlantUML server for rendering
-                const server = 'https://www.plantuml.com/plantuml/svg/';
-                const encoded = this.encodePlantUML(code); // proper encoding applied
-                
-                element.innerHTML = `<div class="plantuml-diagram">
-                    <div class="diagram-header">
-                        <span class="diagram-type">PlantUML Diagram</span>
-                        <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                        <pre class="diagram-source hidden"><code>${code}</code></pre>
-                    </div>
-                    <div class="diagram-content">
-                        <img src="${server}${encoded}" alt="PlantUML Diagram" onerror="this.parentElement.innerHTML='<p class=\\\"diagram-error\\\">Failed to render PlantUML diagram</p>'">
-                    </div>
-                </div>`;
-                element.classList.add('plantuml-rendered');
-            } catch (error) {
-                element.innerHTML = `<div class="plantuml-error">PlantUML Error: ${error.message}</div>`;
-                element.classList.add('plantuml-error');
-            }
+        // Rendering (local jar/server via IPC, inline SVG) lives in MarkdownRenderer;
+        // this only picks up containers the renderer's postProcess did not reach
+        if (this.renderer && typeof this.renderer.processPlantUMLDiagrams === 'function') {
+            await this.renderer.processPlantUMLDiagrams(this.element);
         }
     }
 
     async processVegaLiteDiagrams() {
-        const vegaElements = this.element.querySelectorAll('.vega-lite-container:not(.vega-rendered)');
-        
-        for (const element of vegaElements) {
-            const code = decodeURIComponent(element.getAttribute('data-vega-code'));
-            const id = element.getAttribute('data-vega-id');
-            
-            try {
-                // Show loading indicator
-                element.innerHTML = this.createLoadingIndicator('Vega-Lite');
-                
-                // Load Vega-Embed library with proper dependencies
-                if (!window.vegaEmbed || !window.vega || !window.vegaLite) {
-                    // Load Vega first
-                    if (!window.vega) {
-                        await window.libraryLoader?.loadScript(
-                            'https://cdn.jsdelivr.net/npm/vega@5.33.0/build/vega.min.js',
-                            'Vega',
-                            () => window.vega !== undefined && typeof window.vega.parse === 'function'
-                        );
-                    }
-                    
-                    // Load Vega-Lite with compile function
-                    if (!window.vegaLite || !window.vegaLite.compile) {
-                        await window.libraryLoader?.loadScript(
-                            'https://cdn.jsdelivr.net/npm/vega-lite@5.23.0/build/vega-lite.min.js',
-                            'VegaLite',
-                            () => window.vegaLite !== undefined && typeof window.vegaLite.compile === 'function'
-                        );
-                    }
-                    
-                    // Load Vega-Embed
-                    if (!window.vegaEmbed) {
-                        await window.libraryLoader?.loadScript(
-                            'https://cdn.jsdelivr.net/npm/vega-embed@6.29.0/build/vega-embed.min.js',
-                            'VegaEmbed',
-                            () => window.vegaEmbed !== undefined && typeof window.vegaEmbed === 'function'
-                        );
-                    }
-                }
-                
-                // Verify all required functions are available
-                if (!window.vegaEmbed || !window.vega || !window.vegaLite || !window.vegaLite.compile) {
-                    throw new Error('Required Vega libraries (Vega, Vega-Lite with compile function, Vega-Embed) failed to load');
-                }
-                
-                // Parse JSON spec
-                let spec;
-                try {
-                    spec = JSON.parse(code);
-                } catch (e) {
-                    throw new Error('Vega-Lite spec must be valid JSON');
-                }
-                
-                element.innerHTML = `<div class="vega-lite-diagram" id="${id}">
-                    <div class="diagram-header">
-                        <span class="diagram-type">Vega-Lite Visualization</span>
-                        <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Spec</button>
-                        <pre class="diagram-source hidden"><code>${JSON.stringify(spec, null, 2)}</code></pre>
-                    </div>
-                    <div class="diagram-content" id="${id}-chart"></div>
-                </div>`;
-                
-                // Wait for DOM update, then render with Vega-Embed
-                setTimeout(async () => {
-                    const chartElement = document.getElementById(`${id}-chart`);
-                    if (chartElement && window.vegaEmbed) {
-                        try {
-                            await window.vegaEmbed(`#${id}-chart`, spec, {
-                                actions: false,
-                                renderer: 'svg',
-                                theme: document.body.classList.contains('dark-mode') ? 'dark' : 'light'
-                            });
-                        } catch (embedError) {
-                            chartElement.innerHTML = `<div class="diagram-error">Vega-Embed Error: ${embedError.message}</div>`;
-                        }
-                    } else {
-                        // Fallback display
-                        if (chartElement) {
-                            chartElement.innerHTML = `
-                                <div class="diagram-error">
-                                    <h4>Vega-Embed library failed to load</h4>
-                                    <p>Cannot render Vega-Lite visualization</p>
-                                    <p><small>Please check your internet connection and try again</small></p>
-                                </div>`;
-                        }
-                    }
-                }, 50);
-                
-                element.classList.add('vega-rendered');
-            } catch (error) {
-                element.innerHTML = `<div class="diagram-error">Vega-Lite Error: ${error.message}</div>`;
-                element.classList.add('vega-error');
-            }
+        // Rendering (JSON/YAML specs, data files loaded through the main process) lives in
+        // MarkdownRenderer; the preview pass renders the charts into the live element
+        if (this.renderer && typeof this.renderer.processVegaLiteDiagrams === 'function') {
+            await this.renderer.processVegaLiteDiagrams(this.element);
         }
     }
 
     async processGraphVizDiagrams() {
-        const graphvizElements = this.element.querySelectorAll('.graphviz-container:not(.graphviz-rendered)');
-        
-        for (const element of graphvizElements) {
-            const code = decodeURIComponent(element.getAttribute('data-graphviz-code'));
-            const id = element.getAttribute('data-graphviz-id');
-            const engine = element.getAttribute('data-graphviz-engine') || 'dot';
-            
-            try {
-                // Show loading indicator
-                element.innerHTML = this.createLoadingIndicator('GraphViz');
-                
-                // Load Viz.js library with proper configuration for original viz.js v2.1.2
-                if (!window.Viz) {
-                    // Try multiple CDN sources for original viz.js
-                    const cdnUrls = [
-                        'https://unpkg.com/viz.js@2.1.2/viz.js',
-                        'https://cdn.jsdelivr.net/npm/viz.js@2.1.2/viz.js'
-                    ];
-                    
-                    let loaded = false;
-                    for (const url of cdnUrls) {
-                        try {
-                            loaded = await window.libraryLoader?.loadScript(url, 'viz.js', () => typeof window.Viz === 'function');
-                            if (loaded) break;
-                        } catch (e) {
-                            console.warn(`Failed to load from ${url}:`, e);
-                        }
-                    }
-                    
-                    if (!loaded) {
-                        throw new Error('Failed to load Viz.js library from all CDNs');
-                    }
-                }
-                
-                // Render GraphViz diagram using sync API
-                let svg;
-                try {
-                    // Use the synchronous Viz.js API
-                    if (typeof window.Viz === 'function') {
-                        console.log('[GraphViz] Using synchronous Viz.js API');
-                        const svgText = window.Viz(code, { format: 'svg', engine: engine });
-                        if (svgText && svgText.includes('<svg')) {
-                            const parser = new DOMParser();
-                            const doc = parser.parseFromString(svgText, 'image/svg+xml');
-                            svg = doc.documentElement;
-                        } else {
-                            throw new Error('Viz.js returned invalid SVG output');
-                        }
-                    } else {
-                        throw new Error('Viz.js function not available');
-                    }
-                } catch (vizError) {
-                    console.error('[GraphViz] Viz.js rendering error:', vizError);
-                    throw new Error(`GraphViz rendering failed: ${vizError.message}`);
-                }
-                
-                element.innerHTML = `<div class="graphviz-diagram" id="${id}">
-                    <div class="diagram-header">
-                        <span class="diagram-type">GraphViz (${engine}) Diagram</span>
-                        <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                        <pre class="diagram-source hidden"><code>${code}</code></pre>
-                    </div>
-                    <div class="diagram-content"></div>
-                </div>`;
-                
-                // Append the SVG element
-                const contentDiv = element.querySelector('.diagram-content');
-                contentDiv.appendChild(svg);
-                
-                element.classList.add('graphviz-rendered');
-            } catch (error) {
-                element.innerHTML = `<div class="diagram-error">
-                    <h4>GraphViz Error</h4>
-                    <p>${error.message}</p>
-                    <p><small>Try using a simpler GraphViz diagram or check the syntax</small></p>
-                    <details>
-                        <summary>Source Code</summary>
-                        <pre><code>${code}</code></pre>
-                    </details>
-                </div>`;
-                element.classList.add('graphviz-error');
-            }
+        // Rendering (native Graphviz via IPC, Viz.js fallback, line-numbered errors) lives in
+        // MarkdownRenderer; this only picks up containers the renderer's postProcess did not reach
+        if (this.renderer && typeof this.renderer.processGraphvizDiagrams === 'function') {
+            await this.renderer.processGraphvizDiagrams(this.element);
         }
     }
 
     async processAbcNotation() {
-        const abcElements = this.element.querySelectorAll('.abc-container:not(.abc-rendered)');
-        
-        for (const element of abcElements) {
-            const code = decodeURIComponent(element.getAttribute('data-abc-code'));
-            const id = element.getAttribute('data-abc-id');
-            
-            try {
-                // Show loading indicator
-                element.innerHTML = this.createLoadingIndicator('ABC.js Music Notation');
-                
-                // Load ABC.js library
-                if (!window.ABCJS) {
-                    const loaded = await window.libraryLoader?.loadScript(
-                        'https://paulrosen.github.io/abcjs/dist/abcjs-basic-min.js',
-                        'abc.js',
-                        () => window.ABCJS !== undefined
-                    );
-                    
-                    if (!loaded) {
-                        throw new Error('Failed to load ABCJS library');
-                    }
-                }
-                
-                element.innerHTML = `<div class="abc-diagram" id="${id}">
-                    <div class="diagram-header">
-                        <span class="diagram-type">ABC Music Notation</span>
-                        <button class="diagram-toggle" onclick="this.nextElementSibling.classList.toggle('hidden')">Source</button>
-                        <pre class="diagram-source hidden"><code>${code}</code></pre>
-                    </div>
-                    <div class="diagram-content" id="${id}-notation"></div>
-                </div>`;
-                
-                // Render with ABCJS
-                window.ABCJS.renderAbc(`${id}-notation`, code, {
-                    responsive: 'resize',
-                    scale: 1.0,
-                    staffwidth: 740
-                });
-                
-                element.classList.add('abc-rendered');
-            } catch (error) {
-                element.innerHTML = `<div class="diagram-error">
-                    <h4>ABC Notation Error</h4>
-                    <p>${error.message}</p>
-                    <details>
-                        <summary>Source Code</summary>
-                        <pre><code>${code}</code></pre>
-                    </details>
-                </div>`;
-                element.classList.add('abc-error');
-            }
-        }
-    }
-
-    encodePlantUML(text) {
-        // Proper PlantUML encoding for server URL
-        // Add PlantUML delimiters if not present
-        let uml = text.trim();
-        if (!uml.startsWith('@startuml')) {
-            uml = '@startuml\n' + uml + '\n@enduml';
-        }
-        
-        try {
-            // Encode to UTF-8 bytes and then to Base64
-            const utf8Bytes = new TextEncoder().encode(uml);
-            const base64 = btoa(String.fromCharCode(...utf8Bytes));
-            
-            // PlantUML server expects URL-safe base64
-            return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-        } catch (error) {
-            console.warn('PlantUML encoding error:', error);
-            // Fallback to simple base64
-            return btoa(unescape(encodeURIComponent(uml)))
-                .replace(/\+/g, '-')
-                .replace(/\//g, '_')
-                .replace(/=+$/, '');
+        // Rendering and the per-tune player (playback, transposition, tablature, MIDI/WAV
+        // export) live in MarkdownRenderer; the preview pass renders into the live element
+        if (this.renderer && typeof this.renderer.processAbcMusic === 'function') {
+            await this.renderer.processAbcMusic(this.element);
         }
     }
 
@@ -736,19 +582,6 @@ class Preview {
         }
     }
 
-    updateInternalLinks() {
-        const links = this.element.querySelectorAll('a[href^="#"]');
-        links.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = document.querySelector(link.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({ behavior: 'smooth' });
-                }
-            });
-        });
-    }
-
     setupCodeCopyButtons() {
         const codeBlocks = this.element.querySelectorAll('pre code');
         codeBlocks.forEach(block => {
@@ -786,158 +619,152 @@ class Preview {
         const link = e.target.closest('a');
         if (!link) return;
         
+        // Wiki-links open the linked note in a tab (or jump to a heading in this one)
+        if (link.classList.contains('wiki-link')) {
+            e.preventDefault();
+            this.openWikiLink(link);
+            return;
+        }
+        
         const href = link.getAttribute('href');
         if (!href) return;
         
         // Handle external links
         if (href.startsWith('http://') || href.startsWith('https://')) {
             e.preventDefault();
-            if (typeof require !== 'undefined') {
-                const { ipcRenderer } = require('electron');
-                ipcRenderer.invoke('open-external', href);
+            if (window.markdd) {
+                window.markdd.openExternal(href);
             } else {
                 window.open(href, '_blank');
             }
+        } else if (href.startsWith('#')) {
+            // Anchors within the document: heading ids, footnotes, [TOC] entries
+            e.preventDefault();
+            this.scrollToAnchor(href.slice(1));
         }
-        // Internal links are handled by updateInternalLinks
     }
 
-    // Scroll synchronization with robust line-to-element mapping
-    rebuildLineElementMap() {
-        const editorElement = document.getElementById('editor');
-        if (!editorElement) return;
-        
-        // --- PERFORMANCE FIX: Debounce frequent line mapping rebuilds ---
-        const now = Date.now();
-        if (now - this.lastLineElementMapRebuild < 100) {
-            console.log('[Preview] Skipping line-element map rebuild - too frequent');
+    async openWikiLink(link) {
+        const filePath = link.getAttribute('data-wiki-path');
+        const target = link.getAttribute('data-wiki-target');
+        const anchor = link.getAttribute('data-wiki-heading');
+        const app = window.markddApp;
+
+        if (!target) {
+            this.scrollToAnchor(anchor);
             return;
         }
-        
-        this.lastLineElementMapRebuild = now;
-        
-        this.lineElementMap.clear();
-        const lines = editorElement.value.split('\n');
-        const totalLines = lines.length || 1;
-        
-        // Get ALL preview elements including rendered diagrams and math
-        const previewElements = Array.from(this.element.querySelectorAll(
-            'h1, h2, h3, h4, h5, h6, p, ul, ol, li, blockquote, pre, table, ' +
-            '.mermaid-container, .tikz-container, .markmap-inline-container, ' +
-            '.math-display, .math-environment, .plantuml-container, .vega-lite-container, ' +
-            '.graphviz-container, .abc-container, .latex-container, .wavedrom-container'
-        ));
-
-        console.log(`[Preview] Rebuilding line-element map: ${totalLines} lines, ${previewElements.length} elements`);
 
-        // Create dense mapping: assign multiple lines to each element
-        let currentLineIndex = 0;
-        const linesPerElement = Math.max(1, Math.floor(totalLines / Math.max(1, previewElements.length)));
-        
-        for (let i = 0; i < previewElements.length && currentLineIndex < totalLines; i++) {
-            const element = previewElements[i];
-            
-            // Assign this element to multiple consecutive lines for dense mapping
-            for (let j = 0; j < linesPerElement && currentLineIndex < totalLines; j++) {
-                if (!this.lineElementMap.has(currentLineIndex)) {
-                    this.lineElementMap.set(currentLineIndex, element);
-                    element.dataset.line = String(currentLineIndex);
-                }
-                currentLineIndex++;
-            }
-        }
-        
-        // Handle remaining lines by assigning to the last element
-        if (previewElements.length > 0 && currentLineIndex < totalLines) {
-            const lastElement = previewElements[previewElements.length - 1];
-            for (let i = currentLineIndex; i < totalLines; i++) {
-                if (!this.lineElementMap.has(i)) {
-                    this.lineElementMap.set(i, lastElement);
-                }
+        if (!filePath) {
+            if (app && typeof app.showError === 'function') {
+                app.showError(`No note named "${target}" in the opened folder`);
             }
+            return;
         }
 
-        // Special handling for rendered diagrams - ensure they have line mappings
-        const renderedDiagrams = this.element.querySelectorAll(
-            '.tikz-rendered, .mermaid-rendered, .markmap-rendered, .plantuml-rendered, ' +
-            '.vega-rendered, .graphviz-rendered, .abc-rendered, .latex-rendered'
-        );
-        
-        renderedDiagrams.forEach(diagram => {
-            if (!diagram.dataset.line) {
-                // Find the closest line that contains diagram-related content
-                const diagramLine = this.findDiagramLine(diagram, lines);
-                if (diagramLine !== -1) {
-                    diagram.dataset.line = String(diagramLine);
-                    // Map several lines around the diagram for better sync
-                    for (let offset = -2; offset <= 2; offset++) {
-                        const lineIdx = diagramLine + offset;
-                        if (lineIdx >= 0 && lineIdx < totalLines && !this.lineElementMap.has(lineIdx)) {
-                            this.lineElementMap.set(lineIdx, diagram);
-                        }
-                    }
-                }
+        if (!window.markdd || !app) return;
+
+        try {
+            const result = await window.markdd.readFile(filePath);
+            if (!result || !result.success) {
+                throw new Error(result && result.error ? result.error : 'File could not be read');
             }
-        });
 
-        this.lastEditorLineCount = totalLines;
-        console.log(`[Preview] Built dense line-element map with ${this.lineElementMap.size} mappings for ${totalLines} lines`);
+            // Scroll to the heading once the linked note has rendered
+            if (anchor) {
+                const onUpdated = () => {
+                    document.removeEventListener('preview-updated', onUpdated);
+                    this.scrollToAnchor(anchor);
+                };
+                document.addEventListener('preview-updated', onUpdated);
+            }
 
-        // Add head/tail anchors for edge cases
-        if (previewElements.length > 0) {
-            const first = previewElements[0];
-            const last = previewElements[previewElements.length - 1];
-            
-            if (first && !first.dataset.line) first.dataset.line = "0";
-            if (last && !last.dataset.line) last.dataset.line = String(totalLines - 1);
-            
-            // Ensure first and last lines are always mapped
-            if (!this.lineElementMap.has(0)) this.lineElementMap.set(0, first);
-            if (!this.lineElementMap.has(totalLines - 1)) this.lineElementMap.set(totalLines - 1, last);
-        }
-    }
-
-    findDiagramLine(diagram, lines) {
-        // Try to find the line that contains the diagram code
-        const diagramCode = diagram.getAttribute('data-tikz-code') || 
-                           diagram.getAttribute('data-mermaid-code') || 
-                           diagram.getAttribute('data-markmap-code') || 
-                           diagram.getAttribute('data-plantuml-code') ||
-                           diagram.getAttribute('data-vega-code') ||
-                           diagram.getAttribute('data-graphviz-code') ||
-                           diagram.getAttribute('data-abc-code') ||
-                           diagram.getAttribute('data-latex-code');
-        
-        if (!diagramCode) return -1;
-        
-        const decodedCode = decodeURIComponent(diagramCode);
-        const firstLine = decodedCode.split('\n')[0].trim().toLowerCase();
-        
-        // Search for the first line of the diagram code in the editor
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim().toLowerCase();
-            if (line.includes(firstLine.substring(0, Math.min(20, firstLine.length))) || 
-                firstLine.includes(line.substring(0, Math.min(20, line.length)))) {
-                return i;
+            await app.openFile(filePath, result.content);
+            if (app.fileBrowser && typeof app.fileBrowser.addToRecentFiles === 'function') {
+                app.fileBrowser.addToRecentFiles(filePath, filePath.split(/[\\/]/).pop());
+            }
+        } catch (error) {
+            console.error('[Preview] Failed to open wiki-link:', error);
+            if (typeof app.showError === 'function') {
+                app.showError(`Failed to open ${target}: ${error.message}`);
             }
         }
-        
-        return -1;
     }
 
-    getVisibleLineInEditor(editorElement) {
+    // `anchor` may be an id, a percent-encoded id or heading text written by hand
+    scrollToAnchor(anchor) {
+        if (!anchor) return;
+        let decoded = anchor;
         try {
-            const editorRect = editorElement.getBoundingClientRect();
-            const lineHeight = this.getEditorLineHeight(editorElement);
-            const scrollTop = editorElement.scrollTop;
-            const visibleLine = Math.floor(scrollTop / lineHeight);
-            return Math.max(0, visibleLine);
+            decoded = decodeURIComponent(anchor);
         } catch (error) {
-            console.warn('[Preview] Could not determine visible line:', error);
-            return -1;
+            // Not percent-encoded
+        }
+        const target = [anchor, decoded, Slugger.slugify(decoded)]
+            .map(id => this.element.querySelector(`[id="${CSS.escape(id)}"]`))
+            .find(Boolean);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth' });
         }
     }
 
+    // Scroll synchronization between editor lines and preview offsets. The renderer
+    // stamps block elements with data-source-line / data-source-line-end (0-based);
+    // each stamped block anchors its first line to its top edge and the line after its
+    // last line to its bottom edge, and positions in between are interpolated.
+    getSourceLineAnchors() {
+        const previewContainer = this.element.parentElement;
+        const origin = previewContainer.getBoundingClientRect().top - previewContainer.scrollTop;
+        const anchors = [];
+
+        this.element.querySelectorAll('[data-source-line]').forEach(element => {
+            const start = parseInt(element.getAttribute('data-source-line'), 10);
+            const end = parseInt(element.getAttribute('data-source-line-end'), 10);
+            if (isNaN(start)) return;
+            const rect = element.getBoundingClientRect();
+            // Hidden elements (display: none) have no box to anchor to
+            if (rect.width === 0 && rect.height === 0) return;
+            anchors.push({ line: start, offset: rect.top - origin });
+            anchors.push({ line: (isNaN(end) ? start : end) + 1, offset: rect.bottom - origin });
+        });
+
+        anchors.sort((a, b) => a.line - b.line || a.offset - b.offset);
+
+        // Keep offsets increasing with the line (floats and nested blocks can break order)
+        const monotonic = [{ line: 0, offset: 0 }];
+        anchors.forEach(anchor => {
+            if (anchor.offset >= monotonic[monotonic.length - 1].offset) {
+                monotonic.push(anchor);
+            }
+        });
+        return monotonic;
+    }
+
+    // Linear interpolation between sorted anchors: map `value` of key `from` to key `to`
+    interpolateAnchors(anchors, from, to, value) {
+        if (anchors.length === 0) return 0;
+        if (value <= anchors[0][from]) return anchors[0][to];
+
+        for (let i = 1; i < anchors.length; i++) {
+            const a = anchors[i - 1];
+            const b = anchors[i];
+            if (value <= b[from]) {
+                const span = b[from] - a[from];
+                return span > 0 ? a[to] + (value - a[from]) / span * (b[to] - a[to]) : a[to];
+            }
+        }
+        return anchors[anchors.length - 1][to];
+    }
+
+    // Fractional 0-based source line at the top of the editor viewport
+    getEditorTopLine(editorElement) {
+        const editor = window.markddApp?.editor;
+        if (editor && typeof editor.getTopVisibleLine === 'function') {
+            return editor.getTopVisibleLine();
+        }
+        return editorElement.scrollTop / this.getEditorLineHeight(editorElement);
+    }
+
     getEditorLineHeight(editorElement) {
         // Calculate approximate line height
         const style = window.getComputedStyle(editorElement);
@@ -955,206 +782,53 @@ class Preview {
         }
     }
 
-    findCorrespondingLine(element, editorElement) {
-        console.log('[Preview] Finding corresponding line for element:', element.tagName);
-        
-        // First check if we have it in our mapping
-        for (const [lineIndex, mappedElement] of this.lineElementMap.entries()) {
-            if (mappedElement === element) {
-                console.log('[Preview] Found in line mapping:', lineIndex);
-                return lineIndex;
-            }
-        }
-
-        // Enhanced fallback: search by content with better matching
-        const elementText = element.textContent || '';
-        const cleanElementText = elementText.trim().toLowerCase();
-        
-        console.log('[Preview] Element text for matching:', cleanElementText.substring(0, 50));
-        
-        if (cleanElementText.length < 2) {
-            console.log('[Preview] Element text too short for matching');
-            return -1;
-        }
-
-        const lines = editorElement.value.split('\n');
-        
-        // Try different matching strategies
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim().toLowerCase();
-            
-            // Strategy 1: Direct substring match
-            if (line.length > 2 && cleanElementText.includes(line)) {
-                console.log('[Preview] Direct match found at line:', i, 'line:', line.substring(0, 30));
-                return i;
-            }
-            
-            // Strategy 2: Header matching
-            if (element.tagName.match(/^H[1-6]$/)) {
-                const headerMatch = line.match(/^#+\s*(.+)$/);
-                if (headerMatch) {
-                    const headerText = headerMatch[1].toLowerCase();
-                    if (cleanElementText.includes(headerText) || headerText.includes(cleanElementText.substring(0, 20))) {
-                        console.log('[Preview] Header match found at line:', i);
-                        return i;
-                    }
-                }
-            }
-            
-            // Strategy 3: First words matching
-            const cleanLine = line.replace(/^#+\s*/, '').replace(/^[-*+\d.]\s*/, '').trim();
-            if (cleanLine.length > 5) {
-                const firstWords = cleanLine.substring(0, Math.min(25, cleanLine.length));
-                if (cleanElementText.includes(firstWords)) {
-                    console.log('[Preview] First words match found at line:', i);
-                    return i;
-                }
-            }
+    // Scroll the editor so the (fractional, 0-based) line is at the top of the viewport
+    scrollEditorToLine(editorElement, line) {
+        const editor = window.markddApp?.editor;
+        if (editor && typeof editor.scrollToSourceLine === 'function') {
+            editor.scrollToSourceLine(line);
+        } else {
+            editorElement.scrollTop = Math.max(0, line * this.getEditorLineHeight(editorElement));
         }
-
-        console.log('[Preview] No corresponding line found');
-        return -1;
     }
 
-    findCorrespondingElement(lineIndex, editorElement) {
-        // First check if we have it in our mapping
-        if (this.lineElementMap.has(lineIndex)) {
-            return this.lineElementMap.get(lineIndex);
-        }
-
-        // Fallback: search by content
-        const lines = editorElement.value.split('\n');
-        if (lineIndex >= lines.length) return null;
-
-        const line = lines[lineIndex].trim();
-        const cleanLine = line.replace(/^#+\s*/, '').replace(/^[-*+\d.]\s*/, '').trim().toLowerCase();
-        
-        if (cleanLine.length < 3) return null;
-
-        const previewElements = Array.from(this.element.querySelectorAll(
-            'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, table, .math-display, .mermaid-container, .tikz-container'
-        ));
-
-        for (const element of previewElements) {
-            const elementText = (element.textContent || '').trim().toLowerCase();
-            if (elementText.includes(cleanLine.substring(0, Math.min(30, cleanLine.length)))) {
-                return element;
-            }
-        }
+    // View JSON / Edit buttons of KityMinder mind maps (rendered HTML carries no inline handlers)
+    handleKityMinderButtonClick(e) {
+        const button = e.target.closest('.diagram-view-json-btn, .diagram-edit-btn');
+        const diagram = button && button.closest('.kityminder-diagram');
+        if (!diagram || !this.renderer) return;
 
-        return null;
-    }
-
-    scrollEditorToLine(editorElement, lineIndex) {
-        try {
-            const lineHeight = this.getEditorLineHeight(editorElement);
-            const targetScrollTop = lineIndex * lineHeight;
-            
-            // Position line in top third of viewport (not center) for better visibility
-            // This shows more context below the target line
-            const editorHeight = editorElement.clientHeight;
-            const positionedScrollTop = targetScrollTop - (editorHeight / 3);
-            
-            // Clamp to valid scroll range
-            const maxScrollTop = Math.max(0, editorElement.scrollHeight - editorHeight);
-            const finalScrollTop = Math.max(0, Math.min(positionedScrollTop, maxScrollTop));
-            
-            // CRITICAL: Use instant scroll to prevent oscillation from smooth animation
-            // Smooth scrolling triggers multiple events during animation, causing sync loop
-            editorElement.scrollTop = finalScrollTop;
-            
-            // Force reflow to ensure scroll is processed
-            void editorElement.offsetHeight;
-            
-        } catch (error) {
-            console.error('[Preview] Error in scrollEditorToLine:', error);
-            // Fallback to simple scroll
-            const lineHeight = this.getEditorLineHeight(editorElement);
-            editorElement.scrollTop = Math.max(0, lineIndex * lineHeight - editorElement.clientHeight / 3);
+        e.preventDefault();
+        if (button.classList.contains('diagram-edit-btn')) {
+            this.renderer.editKityMinder(diagram.id);
+        } else {
+            this.renderer.viewKityMinderJSON(diagram.id);
         }
     }
 
-    scrollPreviewToElement(element) {
-        if (!element || !this.element) {
+    // Put the editor caret on the source line of the clicked block, interpolating
+    // within blocks that span several lines (code, tables, paragraphs)
+    placeEditorCaretFromClick(e) {
+        if (e.defaultPrevented || e.target.closest('a, button, input, select, textarea, summary, label')) {
             return;
         }
-        
-        // CRITICAL FIX: Scroll the preview-container, not the preview content div
-        const previewContainer = this.element.parentElement;
-        if (!previewContainer || previewContainer.id !== 'preview-container') {
-            console.error('[Preview] Could not find preview-container for scrolling');
+        // Leave text selections in the preview alone
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed) return;
+
+        const block = e.target.closest('[data-source-line]');
+        const editor = window.markddApp?.editor;
+        if (!block || !this.element.contains(block) || !editor || typeof editor.setCursorLine !== 'function') {
             return;
         }
-        
-        try {
-            // CRITICAL: Use instant scroll instead of smooth to prevent oscillation
-            // Smooth scrolling triggers multiple scroll events during animation
-            // which causes the sync to fire repeatedly, creating a feedback loop
-            const elementRect = element.getBoundingClientRect();
-            const containerRect = previewContainer.getBoundingClientRect();
-            const relativeTop = elementRect.top - containerRect.top;
-            
-            // Position element in top third of viewport (not center) for better visibility
-            // This shows more context below the target element
-            const targetScrollTop = previewContainer.scrollTop + relativeTop - (previewContainer.clientHeight / 3);
-            
-            // Clamp to valid range
-            const maxScrollTop = Math.max(0, previewContainer.scrollHeight - previewContainer.clientHeight);
-            const finalScrollTop = Math.max(0, Math.min(targetScrollTop, maxScrollTop));
-            
-            // Use instant scroll to prevent sync oscillation - scroll the CONTAINER
-            previewContainer.scrollTop = finalScrollTop;
-            
-            // Force reflow to ensure scroll is processed
-            void previewContainer.offsetHeight;
-            
-        } catch (error) {
-            console.error('[Preview] Error in scrollPreviewToElement:', error);
-            // Fallback - also use instant scroll on container with top-third positioning
-            try {
-                const elementRect = element.getBoundingClientRect();
-                const containerRect = previewContainer.getBoundingClientRect();
-                const relativeTop = elementRect.top - containerRect.top;
-                const targetScrollTop = previewContainer.scrollTop + relativeTop - (previewContainer.clientHeight / 3);
-                const maxScrollTop = Math.max(0, previewContainer.scrollHeight - previewContainer.clientHeight);
-                const finalScrollTop = Math.max(0, Math.min(targetScrollTop, maxScrollTop));
-                previewContainer.scrollTop = finalScrollTop;
-            } catch (fallbackError) {
-                console.error('[Preview] Fallback scroll also failed:', fallbackError);
-            }
-        }
-    }
-    
-    isSignificantMarkdownLine(line) {
-        // Check for headers, list items, code blocks, blockquotes, etc.
-        return /^#{1,6}\s/.test(line) ||           // Headers
-               /^[-*+]\s/.test(line) ||           // Unordered lists
-               /^\d+\.\s/.test(line) ||           // Ordered lists
-               /^>\s/.test(line) ||               // Blockquotes
-               /^```/.test(line) ||               // Code blocks
-               /^\|/.test(line) ||                // Tables
-               /^\$\$/.test(line) ||              // Math blocks
-               (line.length > 10 && !/^[-*+\d\s>|#`]/.test(line)); // Regular paragraphs
-    }
-    
-    doesLineMatchElement(line, element) {
-        if (!element) return false;
-        
-        const elementText = element.textContent || '';
-        const cleanElementText = elementText.trim().toLowerCase();
-        const cleanLine = line.replace(/^#+\s*/, '').replace(/^[-*+\d.]\s*/, '').trim().toLowerCase();
-        
-        // For headers, check if the text matches
-        if (/^#{1,6}\s/.test(line)) {
-            return cleanElementText.includes(cleanLine) || cleanLine.includes(cleanElementText);
-        }
-        
-        // For other elements, check if line content appears in element
-        if (cleanLine.length > 5) {
-            return cleanElementText.includes(cleanLine.substring(0, Math.min(50, cleanLine.length)));
-        }
-        
-        return false;
+
+        const start = parseInt(block.getAttribute('data-source-line'), 10);
+        const end = parseInt(block.getAttribute('data-source-line-end'), 10) || start;
+        const rect = block.getBoundingClientRect();
+        const ratio = rect.height > 0 ? Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)) : 0;
+        const line = Math.min(end, start + Math.floor(ratio * (end - start + 1)));
+
+        editor.setCursorLine(line + 1);
     }
 
     syncScrollToEditor() {
@@ -1174,67 +848,23 @@ class Preview {
                 return;
             }
             
-            // Get preview scroll position from the scrollable container
             const previewScrollTop = previewContainer.scrollTop;
-            const previewScrollHeight = previewContainer.scrollHeight;
-            const previewClientHeight = previewContainer.clientHeight;
-            
-            console.log('[Preview] Preview container scroll - top:', previewScrollTop, 'height:', previewScrollHeight, 'client:', previewClientHeight);
-            
-            // Find the most visible element in preview
-            const previewRect = previewContainer.getBoundingClientRect();
-            const visibleElements = Array.from(this.element.querySelectorAll(
-                'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, table, .math-display, .mermaid-container, .tikz-container'
-            )).filter(el => {
-                const rect = el.getBoundingClientRect();
-                const isVisible = rect.bottom > previewRect.top && rect.top < previewRect.bottom;
-                if (isVisible) {
-                    console.log('[Preview] Visible element:', el.tagName, el.textContent.substring(0, 30));
-                }
-                return isVisible;
-            });
-
-            console.log('[Preview] Found', visibleElements.length, 'visible elements');
-
-            if (visibleElements.length > 0) {
-                // Choose element whose midpoint is closest to viewport center for stability
-                const viewportMid = previewRect.top + (previewRect.height / 2);
-                let best = null; let bestDist = Infinity;
-                for (const el of visibleElements) {
-                    const r = el.getBoundingClientRect();
-                    const mid = (r.top + r.bottom) / 2;
-                    const dist = Math.abs(mid - viewportMid);
-                    if (dist < bestDist) { best = el; bestDist = dist; }
-                }
-                if (best) {
-                    let lineFromDataset = -1;
-                    if (best.dataset && best.dataset.line) {
-                        const parsed = parseInt(best.dataset.line, 10);
-                        if (!isNaN(parsed)) lineFromDataset = parsed;
-                    }
-                    let correspondingLine = lineFromDataset;
-                    if (correspondingLine === -1) {
-                        correspondingLine = this.findCorrespondingLine(best, editorElement);
-                    }
-                    if (correspondingLine !== -1) {
-                        console.log('[Preview] Scrolling editor to line:', correspondingLine);
-                        this.scrollEditorToLine(editorElement, correspondingLine);
-                        // Reduced timeout for better responsiveness
-                        setTimeout(() => { this.isScrolling = false; }, 50);
-                        return;
-                    }
-                }
-            }
-            
-            // Fallback: Use proportional scrolling
-            console.log('[Preview] Using proportional scrolling fallback');
-            const previewScrollRatio = previewScrollTop / Math.max(1, previewScrollHeight - previewClientHeight);
+            const previewMaxScroll = Math.max(0, previewContainer.scrollHeight - previewContainer.clientHeight);
             const editorMaxScroll = Math.max(0, editorElement.scrollHeight - editorElement.clientHeight);
-            const targetScrollTop = Math.round(previewScrollRatio * editorMaxScroll);
-            
-            console.log('[Preview] Proportional sync - ratio:', previewScrollRatio, 'target:', targetScrollTop);
-            
-            editorElement.scrollTop = Math.max(0, Math.min(targetScrollTop, editorMaxScroll));
+            const anchors = this.getSourceLineAnchors();
+
+            if (previewScrollTop >= previewMaxScroll - 1 && previewMaxScroll > 0) {
+                // Bottom of the preview: show the end of the document
+                editorElement.scrollTop = editorMaxScroll;
+            } else if (anchors.length > 1) {
+                const line = this.interpolateAnchors(anchors, 'offset', 'line', previewScrollTop);
+                this.scrollEditorToLine(editorElement, line);
+            } else {
+                // No source line anchors (e.g. placeholder content): proportional scrolling
+                const previewScrollRatio = previewScrollTop / Math.max(1, previewMaxScroll);
+                editorElement.scrollTop = Math.round(previewScrollRatio * editorMaxScroll);
+            }
+
             // Reduced timeout for better responsiveness
             setTimeout(() => { this.isScrolling = false; }, 50);
             
@@ -1257,41 +887,25 @@ class Preview {
         
         try {
             this.isScrolling = true;
-            
-            // Get current editor cursor position or visible line
-            const visibleLine = this.getVisibleLineInEditor(editorElement);
-            
-            if (visibleLine !== -1) {
-                // Only log occasionally to avoid spam
-                if (this.lastLoggedLine !== visibleLine && (this.lastLoggedLine === undefined || Math.abs(this.lastLoggedLine - visibleLine) >= 10)) {
-                    console.log('[Preview] Editor sync - visible line:', visibleLine);
-                    this.lastLoggedLine = visibleLine;
-                }
-                
-                // Find corresponding element in preview
-                const correspondingElement = this.findCorrespondingElement(visibleLine, editorElement);
-                
-                if (correspondingElement) {
-                    // Only log when we actually find a corresponding element
-                    if (this.lastScrollLogTime === undefined || Date.now() - this.lastScrollLogTime > 1000) {
-                        console.log('[Preview] Found corresponding element, scrolling preview');
-                        this.lastScrollLogTime = Date.now();
-                    }
-                    this.scrollPreviewToElement(correspondingElement);
-                } else {
-                    // Fallback to proportional sync - FIXED: use previewContainer
-                    const editorScrollRatio = editorElement.scrollTop / (editorElement.scrollHeight - editorElement.clientHeight || 1);
-                    const previewMaxScroll = previewContainer.scrollHeight - previewContainer.clientHeight;
-                    const targetScrollTop = Math.round(editorScrollRatio * previewMaxScroll);
-                    previewContainer.scrollTop = Math.max(0, Math.min(targetScrollTop, previewMaxScroll));
-                }
+
+            const editorMaxScroll = Math.max(0, editorElement.scrollHeight - editorElement.clientHeight);
+            const previewMaxScroll = Math.max(0, previewContainer.scrollHeight - previewContainer.clientHeight);
+            const anchors = this.getSourceLineAnchors();
+            let targetScrollTop;
+
+            if (editorElement.scrollTop >= editorMaxScroll - 1 && editorMaxScroll > 0) {
+                // Bottom of the editor: show the end of the preview
+                targetScrollTop = previewMaxScroll;
+            } else if (anchors.length > 1) {
+                const line = this.getEditorTopLine(editorElement);
+                targetScrollTop = this.interpolateAnchors(anchors, 'line', 'offset', line);
             } else {
-                // Fallback to proportional sync - FIXED: use previewContainer
-                const editorScrollRatio = editorElement.scrollTop / (editorElement.scrollHeight - editorElement.clientHeight || 1);
-                const previewMaxScroll = previewContainer.scrollHeight - previewContainer.clientHeight;
-                const targetScrollTop = Math.round(editorScrollRatio * previewMaxScroll);
-                previewContainer.scrollTop = Math.max(0, Math.min(targetScrollTop, previewMaxScroll));
+                // No source line anchors: proportional scrolling
+                const editorScrollRatio = editorElement.scrollTop / Math.max(1, editorMaxScroll);
+                targetScrollTop = editorScrollRatio * previewMaxScroll;
             }
+
+            previewContainer.scrollTop = Math.max(0, Math.min(Math.round(targetScrollTop), previewMaxScroll));
             
             // Reduced timeout for better responsiveness (was 200ms, now 50ms)
             setTimeout(() => { this.isScrolling = false; }, 50);
@@ -1301,25 +915,6 @@ class Preview {
         }
     }
 
-    updateScrollSync() {
-        // --- PERFORMANCE FIX: Debounce line-element map rebuilds ---
-        this.debouncedRebuildLineElementMap();
-    }
-    
-    debouncedRebuildLineElementMap() {
-        // Clear existing timeout
-        if (this.lineElementMapRebuildDebounceTimeout) {
-            clearTimeout(this.lineElementMapRebuildDebounceTimeout);
-        }
-        
-        // Set new timeout for debounced rebuild - increased delay for better performance
-        this.lineElementMapRebuildDebounceTimeout = setTimeout(() => {
-            if (this.syncScroll) {
-                this.rebuildLineElementMap();
-            }
-        }, 300); // Increased from 150ms to 300ms to reduce rebuild frequency
-    }
-
     // Debounced scroll sync methods for performance
     debouncedSyncScrollFromEditor() {
         // CRITICAL FIX: Use separate timeout variable for editor→preview direction
@@ -1393,6 +988,58 @@ class Preview {
         `;
     }
 
+    // Dev mode (`--dev`): a corner overlay with the duration of every stage of the last
+    // render, the renderer's (MarkdownRenderer.lastRenderTimings) followed by this side's
+    showRenderTimings(previewStages) {
+        const timings = this.renderer.lastRenderTimings;
+        if (!window.markdd || !window.markdd.isDev || !timings) return;
+
+        if (!this.timingOverlay) {
+            this.timingOverlay = document.createElement('div');
+            this.timingOverlay.className = 'render-timing-overlay';
+            this.timingOverlay.title = 'Render stage timings (dev mode)';
+            (this.element.closest('.preview-panel') || document.body).appendChild(this.timingOverlay);
+        }
+
+        const stages = [...timings.stages, ...previewStages];
+        const total = stages.reduce((sum, entry) => sum + entry.ms, 0);
+        const row = (stage, ms) => `<tr><td>${stage}</td><td>${ms.toFixed(1)} ms</td></tr>`;
+        this.timingOverlay.innerHTML = `
+            <div class="render-timing-title">${timings.inWorker ? 'Text stages in worker' : 'All stages on UI thread'}</div>
+            <table>${stages.map(entry => row(entry.stage, entry.ms)).join('')}</table>
+            <table class="render-timing-total">${row('total', total)}</table>
+        `;
+    }
+
+    showFootnotePopover(link) {
+        const note = this.element.querySelector(`#fn-${link.getAttribute('data-footnote')}`);
+        if (!note) return;
+
+        if (!this.footnotePopover) {
+            this.footnotePopover = document.createElement('div');
+            this.footnotePopover.className = 'footnote-popover';
+            document.body.appendChild(this.footnotePopover);
+        }
+        const popover = this.footnotePopover;
+        popover.innerHTML = note.innerHTML;
+        popover.querySelectorAll('.footnote-backref').forEach(backref => backref.remove());
+        popover.style.display = 'block';
+
+        // Below the reference, or above it when there is no room underneath
+        const rect = link.getBoundingClientRect();
+        const left = Math.max(8, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8));
+        const below = rect.bottom + 6;
+        const top = below + popover.offsetHeight > window.innerHeight - 8 ? rect.top - popover.offsetHeight - 6 : below;
+        popover.style.left = `${left}px`;
+        popover.style.top = `${Math.max(8, top)}px`;
+    }
+
+    hideFootnotePopover() {
+        if (this.footnotePopover) {
+            this.footnotePopover.style.display = 'none';
+        }
+    }
+
     dispatchUpdateEvent() {
         const event = new CustomEvent('preview-updated', {
             detail: {
@@ -1404,7 +1051,14 @@ class Preview {
     }
 
     // Export functionality
-    async exportAsHTML(options = {}) {
+    // Standalone HTML document for the current preview. With `format: 'pdf'` the page options
+    // (options.pdfOptions, else the front-matter `pdf:` block) are applied and returned with it;
+    // options.theme overrides the document theme. `html` links images next to the document by
+    // file:// URL, for PDFs and HTML written elsewhere; `relativeHtml` keeps their relative
+    // paths, for HTML written beside the document.
+    async buildExportDocument(options = {}) {
+        const theme = options.theme || this.getDocumentTheme();
+
         // Wait for MathJax rendering to complete before exporting
         const waitForMathJax = () => new Promise((resolve) => {
             if (window.MathJax && window.MathJax.typesetPromise) {
@@ -1423,6 +1077,21 @@ class Preview {
         const kityMinderHeaders = previewClone.querySelectorAll('.kityminder-diagram .diagram-header');
         kityMinderHeaders.forEach(header => header.remove());
 
+        // The front-matter panel and ABC player toolbars are editing aids, not document content
+        previewClone.querySelectorAll('.front-matter-panel, .abc-player').forEach(panel => panel.remove());
+
+        // Images next to the document are shown through file:// URLs; their relative paths go into relativeHtml
+        const documentImages = Array.from(previewClone.querySelectorAll('img[data-markdd-src]')).map(img => {
+            const relativeSrc = img.getAttribute('data-markdd-src');
+            img.removeAttribute('data-markdd-src');
+            return { img, relativeSrc };
+        });
+
+        // Timing diagrams follow the exported document's theme rather than the app theme
+        if (this.renderer && typeof this.renderer.processWavedromDiagrams === 'function') {
+            await this.renderer.processWavedromDiagrams(previewClone, { theme: theme === 'dark' ? 'dark' : 'light' });
+        }
+
         // Ensure all inline/display math is rendered as SVG (handle both $...$ and \(...\))
         const mathElements = previewClone.querySelectorAll('.math-inline, .math-display');
         for (const el of Array.from(mathElements)) {
@@ -1469,100 +1138,50 @@ class Preview {
         try { this._inlineMathJaxSVGDefs(previewClone); } catch (e) { console.warn('[Preview] _inlineMathJaxSVGDefs failed on clone:', e); }
 
         // Serialize the cloned DOM to HTML and wrap in export template
-        const htmlContent = previewClone.outerHTML;
-        const title = options.title || this.getCurrentFileName();
-        const doc = this.createHTMLDocument(htmlContent, title);
-
+        const fileName = options.title || this.getCurrentFileName();
+        const title = this.getDocumentTitle(fileName);
+        const pdfOptions = options.format === 'pdf'
+            ? options.pdfOptions || this.renderer.getFrontMatterExportOptions()
+            : null;
         // Sanitize final doc to remove any remaining currentColor references
-        const sanitizedDoc = this._sanitizeExportHtmlString(doc);
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
-            const result = await ipcRenderer.invoke('export-html', {
-                html: sanitizedDoc,
-                fileName: title.replace(/\.md$/, '.html')
+        const serialize = () => this._sanitizeExportHtmlString(this.createHTMLDocument(previewClone.outerHTML, title, {
+            theme,
+            pageBreakBeforeH1: !!(pdfOptions && pdfOptions.pageBreakBeforeH1)
+        }));
+
+        const html = serialize();
+        let relativeHtml = html;
+        if (documentImages.length > 0) {
+            documentImages.forEach(({ img, relativeSrc }) => img.setAttribute('src', relativeSrc));
+            relativeHtml = serialize();
+        }
+        return { html, relativeHtml, fileName, pdfOptions };
+    }
+
+    async exportAsHTML(options = {}) {
+        const { html, relativeHtml, fileName } = await this.buildExportDocument({ title: options.title });
+        if (window.markdd) {
+            const result = await window.markdd.exportHtml({
+                html,
+                relativeHtml,
+                documentPath: this.renderer ? this.renderer.getDocumentPath() : null,
+                fileName: fileName.replace(/\.md$/, '.html')
             });
             if (result && result.success) {
                 console.log('HTML exported successfully:', result.filePath);
                 return result.filePath;
             }
         }
-        return sanitizedDoc;
+        return html;
     }
 
     async exportAsPDF(options = {}) {
-        // Wait for MathJax rendering to complete before exporting
-        const waitForMathJax = () => new Promise((resolve) => {
-            if (window.MathJax && window.MathJax.typesetPromise) {
-                window.MathJax.typesetPromise().then(() => resolve()).catch(() => resolve());
-            } else {
-                resolve();
-            }
-        });
-
-        await waitForMathJax();
-
-        // Clone the preview DOM to avoid mutation
-        const previewClone = this.element.cloneNode(true);
-
-        // Remove KityMinder interactive controls from export (View JSON, Edit buttons, and diagram headers)
-        const kityMinderHeaders = previewClone.querySelectorAll('.kityminder-diagram .diagram-header');
-        kityMinderHeaders.forEach(header => header.remove());
-
-        // Ensure all inline/display math is rendered as SVG (handle both $...$ and \(...\))
-        const mathElements = previewClone.querySelectorAll('.math-inline, .math-display');
-        for (const el of Array.from(mathElements)) {
-            // If MathJax or KaTeX already rendered this element, skip re-rendering.
-            try {
-                if (el.querySelector('mjx-container') || el.querySelector('.katex')) {
-                    continue;
-                }
-
-                const originalMath = decodeURIComponent(el.getAttribute('data-original-math') || '');
-                el.innerHTML = '';
-
-                if (window.MathJax) {
-                    if (typeof window.MathJax.tex2svgSync === 'function') {
-                        try {
-                            const node = window.MathJax.tex2svgSync(originalMath, { display: el.classList.contains('math-display') });
-                            el.appendChild(node);
-                        } catch (e) {
-                            el.textContent = originalMath;
-                        }
-                    } else if (typeof window.MathJax.tex2svgPromise === 'function') {
-                        try {
-                            const node = await window.MathJax.tex2svgPromise(originalMath, { display: el.classList.contains('math-display') });
-                            el.appendChild(node);
-                        } catch (e) {
-                            el.textContent = originalMath;
-                        }
-                    } else {
-                        el.textContent = originalMath;
-                    }
-                } else {
-                    el.textContent = originalMath;
-                }
-            } catch (e) {
-                try { el.textContent = el.textContent || ''; } catch (_) {}
-            }
-        }
-
-        // Ensure MathJax/KaTeX SVGs are explicitly visible by setting fill/stroke
-        try { this._forceMathSvgBlack(previewClone); } catch (e) { console.warn('[Preview] _forceMathSvgBlack failed on clone:', e); }
-        // Ensure MathJax SVG <defs> (font/glyph defs) are inlined so exported SVGs are self-contained
-        try { this._inlineMathJaxSVGDefs(previewClone); } catch (e) { console.warn('[Preview] _inlineMathJaxSVGDefs failed on clone:', e); }
-
-        // Serialize the cloned DOM to HTML and wrap in export template
-        const htmlContent = previewClone.outerHTML;
-        const title = this.getCurrentFileName();
-        const doc = this.createHTMLDocument(htmlContent, title);
-
-        // Sanitize final doc to remove any remaining currentColor references
-        const sanitizedDoc = this._sanitizeExportHtmlString(doc);
-        if (typeof require !== 'undefined') {
-            const { ipcRenderer } = require('electron');
-            const result = await ipcRenderer.invoke('export-pdf', {
-                html: sanitizedDoc,
-                fileName: title.replace(/\.md$/, '.pdf')
+        const { html, fileName, pdfOptions } = await this.buildExportDocument({ format: 'pdf', pdfOptions: options.pdfOptions });
+        if (window.markdd) {
+            const result = await window.markdd.exportPdf({
+                html,
+                fileName: fileName.replace(/\.md$/, '.pdf'),
+                pdfOptions
             });
             if (result && result.success) {
                 console.log('PDF exported successfully:', result.filePath);
@@ -1571,18 +1190,48 @@ class Preview {
                 throw new Error(result.error);
             }
         }
-        return sanitizedDoc;
+        return html;
     }
 
     // debugExportSample removed - use manual exportAsHTML() or the UI export workflow
 
-    createHTMLDocument(content, title) {
+    // Front-matter `title` wins over the file name for exported documents
+    getDocumentTitle(fallback) {
+        const frontMatter = this.renderer && this.renderer.frontMatter;
+        if (frontMatter && frontMatter.title !== undefined && frontMatter.title !== null && String(frontMatter.title).trim()) {
+            return String(frontMatter.title).trim();
+        }
+        return fallback;
+    }
+
+    getDocumentTheme() {
+        const frontMatter = this.renderer && this.renderer.frontMatter;
+        const theme = frontMatter && typeof frontMatter.theme === 'string' ? frontMatter.theme.trim().toLowerCase() : '';
+        return DOCUMENT_THEMES.includes(theme) ? theme : null;
+    }
+
+    // Front-matter `theme` re-themes the preview pane only, leaving the app theme alone
+    applyDocumentTheme() {
+        if (!this.element) return;
+        const theme = this.getDocumentTheme();
+        if (theme) {
+            this.element.setAttribute('data-theme', theme);
+        } else {
+            this.element.removeAttribute('data-theme');
+        }
+    }
+
+    createHTMLDocument(content, title, options = {}) {
+        const safeTitle = this.renderer && typeof this.renderer.escapeHtml === 'function'
+            ? this.renderer.escapeHtml(title)
+            : title;
+        const theme = options.theme || 'light';
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
+    <title>${safeTitle}</title>
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/styles/github.min.css">
     <link rel="stylesheet" href="https://unpkg.com/mermaid@10.6.1/dist/mermaid.min.css">
     
@@ -1689,6 +1338,80 @@ class Preview {
             font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
         }
         
+        /* Code blocks: line numbers only where the fence asks for them (.numberLines / start=) */
+        .code-block-header {
+            display: flex;
+            gap: 12px;
+            padding: 6px 12px;
+            background: #f6f8fa;
+            border: 1px solid #d0d7de;
+            border-bottom: none;
+            border-radius: 6px 6px 0 0;
+            font-size: 12px;
+        }
+        
+        .code-block-header + .code-block-content pre {
+            margin-top: 0;
+            border-radius: 0 0 6px 6px;
+        }
+        
+        .code-title {
+            flex: 1;
+            font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+        }
+        
+        .code-language {
+            color: #57606a;
+            text-transform: uppercase;
+        }
+        
+        .code-block-content {
+            display: flex;
+        }
+        
+        .code-block-content pre {
+            flex: 1;
+            min-width: 0;
+        }
+        
+        .code-block-container .line-numbers {
+            display: none;
+        }
+        
+        .code-numbered .line-numbers {
+            display: flex;
+            flex-direction: column;
+            padding: 16px 8px;
+            color: #8c959f;
+            text-align: right;
+            font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+            font-size: 85%;
+            line-height: 1.45;
+            user-select: none;
+        }
+        
+        pre code .code-line {
+            display: inline-block;
+            min-width: 100%;
+        }
+        
+        .code-line-highlighted {
+            background: rgba(255, 212, 0, 0.25);
+        }
+        
+        .code-line-added {
+            background: rgba(46, 160, 67, 0.15);
+        }
+        
+        .code-line-removed {
+            background: rgba(248, 81, 73, 0.15);
+        }
+        
+        .code-diff-marker {
+            display: inline-block;
+            width: 1.5ch;
+        }
+        
         /* Table improvements */
         table {
             border-collapse: collapse;
@@ -1719,8 +1442,31 @@ class Preview {
         del {
         }
         
+        /* Table of contents and section numbers */
+        .table-of-contents {
+            margin: 16px 0 24px;
+            padding: 12px 16px;
+            border: 1px solid #d0d7de;
+            border-radius: 6px;
+        }
+        
+        .table-of-contents ul {
+            margin: 0;
+            padding-left: 20px;
+            list-style: none;
+        }
+        
+        .table-of-contents > ul {
+            padding-left: 0;
+        }
+        
+        .toc-number, .section-number {
+            margin-right: 4px;
+            color: #656d76;
+        }
+        
         /* Hide interactive elements in export */
-        .copy-button, .copy-code-btn, .diagram-toggle, 
+        .copy-button, .copy-code-btn, .run-chunk-btn, .heading-anchor, .diagram-toggle, 
         .fallback-toggle, .export-btn { 
             display: none !important; 
         }
@@ -1739,6 +1485,138 @@ class Preview {
             margin: 1em 0;
         }
         
+${options.pageBreakBeforeH1 ? `        /* PDF export: start each top-level section on a new page */
+        h1 {
+            break-before: page;
+        }
+        
+` : ''}        /* Front-matter theme: dark */
+        body[data-theme="dark"] {
+            color: #cccccc;
+            background-color: #1e1e1e;
+        }
+        
+        body[data-theme="dark"] pre,
+        body[data-theme="dark"] code,
+        body[data-theme="dark"] th {
+            background: #2d2d30;
+        }
+        
+        body[data-theme="dark"] th, body[data-theme="dark"] td {
+            border-color: #3e3e42;
+        }
+        
+        /* The light themes below use the app palettes of main.css [data-theme] */
+        /* Front-matter theme: blue */
+        body[data-theme="blue"] {
+            color: #1e3a5f;
+            background-color: #f8f9fa;
+        }
+        
+        body[data-theme="blue"] pre,
+        body[data-theme="blue"] code,
+        body[data-theme="blue"] th {
+            background: #e3f2fd;
+        }
+        
+        body[data-theme="blue"] th, body[data-theme="blue"] td {
+            border-color: #b8d4f0;
+        }
+        
+        body[data-theme="blue"] a,
+        body[data-theme="blue"] h1,
+        body[data-theme="blue"] h2 {
+            color: #1976d2;
+        }
+        
+        /* Front-matter theme: green */
+        body[data-theme="green"] {
+            color: #2e4d32;
+            background-color: #f1f8e9;
+        }
+        
+        body[data-theme="green"] pre,
+        body[data-theme="green"] code,
+        body[data-theme="green"] th {
+            background: #e8f5e8;
+        }
+        
+        body[data-theme="green"] th, body[data-theme="green"] td {
+            border-color: #c8e6c9;
+        }
+        
+        body[data-theme="green"] a,
+        body[data-theme="green"] h1,
+        body[data-theme="green"] h2 {
+            color: #388e3c;
+        }
+        
+        /* Front-matter theme: purple */
+        body[data-theme="purple"] {
+            color: #4a148c;
+            background-color: #f3e5f5;
+        }
+        
+        body[data-theme="purple"] pre,
+        body[data-theme="purple"] code,
+        body[data-theme="purple"] th {
+            background: #f8f5ff;
+        }
+        
+        body[data-theme="purple"] th, body[data-theme="purple"] td {
+            border-color: #ce93d8;
+        }
+        
+        body[data-theme="purple"] a,
+        body[data-theme="purple"] h1,
+        body[data-theme="purple"] h2 {
+            color: #7b1fa2;
+        }
+        
+        /* Front-matter theme: orange */
+        body[data-theme="orange"] {
+            color: #bf360c;
+            background-color: #fff3e0;
+        }
+        
+        body[data-theme="orange"] pre,
+        body[data-theme="orange"] code,
+        body[data-theme="orange"] th {
+            background: #fff8e1;
+        }
+        
+        body[data-theme="orange"] th, body[data-theme="orange"] td {
+            border-color: #ffcc02;
+        }
+        
+        body[data-theme="orange"] a,
+        body[data-theme="orange"] h1,
+        body[data-theme="orange"] h2 {
+            color: #f57c00;
+        }
+        
+        /* Front-matter theme: monochrome */
+        body[data-theme="monochrome"] {
+            color: #000000;
+            background-color: #ffffff;
+        }
+        
+        body[data-theme="monochrome"] pre,
+        body[data-theme="monochrome"] code,
+        body[data-theme="monochrome"] th {
+            background: #f5f5f5;
+        }
+        
+        body[data-theme="monochrome"] th, body[data-theme="monochrome"] td {
+            border-color: #000000;
+        }
+        
+        body[data-theme="monochrome"] a,
+        body[data-theme="monochrome"] h1,
+        body[data-theme="monochrome"] h2 {
+            color: #000000;
+        }
+        
         @media print {
             body { 
                 margin: 0; 
@@ -1757,10 +1635,16 @@ class Preview {
         }
     </style>
 </head>
-<body>
+<body data-theme="${theme}">
     ${content}
     
     <script>
+        // Render-complete signal for PDF export: the main process awaits
+        // window.__markddRenderComplete before calling printToPDF.
+        window.__markddRenderComplete = new Promise(function(resolve) {
+            window.__markddResolveRenderComplete = resolve;
+        });
+
         // Initialize rendering after page load
         document.addEventListener('DOMContentLoaded', function() {
             // Since content is already pre-rendered with MathJax, no re-processing needed
@@ -1771,12 +1655,12 @@ class Preview {
                 hljs.highlightAll();
             }
             
-            // Initialize Mermaid diagrams
+            // Initialize Mermaid diagrams (rendered explicitly so completion can be awaited)
             if (typeof mermaid !== 'undefined') {
                 mermaid.initialize({
-                    startOnLoad: true,
+                    startOnLoad: false,
                     theme: 'default',
-                    securityLevel: 'loose'
+                    securityLevel: 'strict'
                 });
             }
             
@@ -1805,33 +1689,6 @@ class Preview {
                             container.appendChild(svg);
                             
                             const { root } = markmap.transform(code);
-                        // Signal to the embedding process that MathJax has finished typesetting.
-                        // This sets a deterministic global flag window.__MATHJAX_DONE = true which
-                        // the main process will poll to know when it is safe to print to PDF.
-                        try {
-                            if (window.MathJax) {
-                                const setDone = () => { try { window.__MATHJAX_DONE = true; } catch (e) {} };
-                                if (window.MathJax.startup && window.MathJax.startup.promise) {
-                                    window.MathJax.startup.promise.then(() => {
-                                        if (window.MathJax.typesetPromise) {
-                                            window.MathJax.typesetPromise().then(setDone).catch(setDone);
-                                        } else {
-                                            setDone();
-                                        }
-                                    }).catch(setDone);
-                                } else if (window.MathJax.typesetPromise) {
-                                    window.MathJax.typesetPromise().then(setDone).catch(setDone);
-                                } else {
-                                    // Fallback: set done after a short delay
-                                    setTimeout(setDone, 300);
-                                }
-                            } else {
-                                // No MathJax on the page: mark done immediately
-                                window.__MATHJAX_DONE = true;
-                            }
-                        } catch (e) {
-                            try { window.__MATHJAX_DONE = true; } catch (e) {}
-                        }
                             markmap.Markmap.create(svg, null, root);
                         } catch (error) {
                             container.innerHTML = '<div class="diagram-error">Markmap Error: ' + error.message + '</div>';
@@ -1840,6 +1697,55 @@ class Preview {
                 });
             }
         });
+
+        // Async scripts (MathJax) delay the load event, so wait for it before checking engines
+        window.addEventListener('load', function() {
+            const tasks = [];
+
+            // MathJax typesetting
+            if (window.MathJax && window.MathJax.startup && window.MathJax.startup.promise) {
+                tasks.push(window.MathJax.startup.promise.then(function() {
+                    return window.MathJax.typesetPromise ? window.MathJax.typesetPromise() : null;
+                }));
+            }
+
+            // Mermaid diagrams not yet turned into SVG
+            if (typeof mermaid !== 'undefined' && mermaid.run && document.querySelector('.mermaid:not([data-processed])')) {
+                tasks.push(mermaid.run({ querySelector: '.mermaid:not([data-processed])' }));
+            }
+
+            // Web fonts used by math and code
+            if (document.fonts && document.fonts.ready) {
+                tasks.push(document.fonts.ready);
+            }
+
+            // TikZ, Vega and other diagrams finish asynchronously: wait for their
+            // loading placeholders and pending TikZ scripts to disappear (10s cap)
+            const pendingSelector = 'script[type="text/tikz"], .mermaid-loading, .tikz-loading, .vega-loading, ' +
+                '.graphviz-loading, .plantuml-loading, .wavedrom-loading, .abc-loading, .diagram-loading';
+            tasks.push(new Promise(function(resolve) {
+                const started = Date.now();
+                (function poll() {
+                    if (!document.querySelector(pendingSelector) || Date.now() - started > 10000) {
+                        resolve();
+                    } else {
+                        setTimeout(poll, 100);
+                    }
+                })();
+            }));
+
+            const settled = tasks.map(function(task) {
+                return Promise.resolve(task).catch(function(error) {
+                    console.warn('Export render task failed:', error);
+                });
+            });
+            Promise.all(settled).then(function() {
+                // One frame so the final layout is painted before printing
+                requestAnimationFrame(function() {
+                    window.__markddResolveRenderComplete(true);
+                });
+            });
+        });
     </script>
 </body>
 </html>`;
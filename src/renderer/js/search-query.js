@@ -0,0 +1,36 @@
+/**
+ * Search Query
+ * Turns the Search panel's query and options (regex, case, whole word) into a RegExp. The
+ * panel uses it to check and run a query in the open document; main.js requires the same
+ * file for workspace search and replace, so both sides accept the same queries.
+ */
+class SearchQuery {
+    /**
+     * @param {string} query
+     * @param {{isRegex?: boolean, isCaseSensitive?: boolean, isWholeWord?: boolean}} [options]
+     * @returns {RegExp} global regex; throws SyntaxError for an invalid regular expression
+     */
+    static buildRegex(query, { isRegex = false, isCaseSensitive = false, isWholeWord = false } = {}) {
+        const flags = isCaseSensitive ? 'g' : 'gi';
+        if (isRegex) {
+            return new RegExp(query, flags);
+        }
+        const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(isWholeWord ? `\\b${escapedQuery}\\b` : escapedQuery, flags);
+    }
+
+    // True when the regex matches empty text somewhere in `text` (^, $, \b, a* ...). Replacing
+    // with such a pattern would insert the replacement at those places as well
+    static matchesEmptyText(regex, text = '') {
+        const matches = text.match(regex);
+        regex.lastIndex = 0;
+        return matches !== null && matches.some(match => match.length === 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+} else {
+    window.SearchQuery = SearchQuery;
+}
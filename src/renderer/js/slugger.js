@@ -0,0 +1,126 @@
+/**
+ * Slugger
+ * GitHub-compatible heading ids shared by the heading renderer, the [TOC] generator, the
+ * outline sidebar and anchor links. An instance numbers the duplicates of one document
+ * (`intro`, `intro-1`, `intro-2`); the static helpers work on a single heading.
+ */
+class Slugger {
+    constructor() {
+        this.occurrences = new Map();
+    }
+
+    reset() {
+        this.occurrences.clear();
+    }
+
+    // Id for the next heading of the document; a custom {#id} is used as given but
+    // still counts, so a later heading with the same text gets a suffix
+    slug(text, customId = null) {
+        if (customId) {
+            if (!this.occurrences.has(customId)) this.occurrences.set(customId, 0);
+            return customId;
+        }
+
+        const base = Slugger.slugify(text);
+        let result = base;
+        while (this.occurrences.has(result)) {
+            const count = this.occurrences.get(base) + 1;
+            this.occurrences.set(base, count);
+            result = `${base}-${count}`;
+        }
+        this.occurrences.set(result, 0);
+        return result;
+    }
+
+    // GitHub's rules: lowercase, keep letters, marks, numbers, connector punctuation,
+    // spaces and hyphens (in any script), then turn spaces into hyphens
+    static slugify(text) {
+        const slug = Slugger.plainText(text)
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+            .replace(/ /g, '-');
+        return slug || 'section';
+    }
+
+    // Heading source (markdown, possibly with inline HTML) as it reads once rendered
+    static plainText(text) {
+        return String(text || '')
+            .replace(/\[\^[^\]\s]+\]|\^\[[^\]]*\]/g, '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[\[([^\]|]*)(?:\|([^\]]*))?\]\]/g, (match, target, alias) => alias || target)
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(amp|lt|gt|quot|#39);/g, (match, entity) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[entity])
+            .replace(/(?<!\\)(\*{1,3}|`+|~~|==)/g, '')
+            .replace(/\\([\\`*_{}[\]()#+\-.!~|])/g, '$1')
+            .replace(/(^|[^\p{L}\p{N}_])_{1,3}([^_]+?)_{1,3}(?![\p{L}\p{N}_])/gu, '$1$2');
+    }
+
+    // Split a trailing {#id .class} attribute block off heading text
+    static parseHeading(text) {
+        const source = String(text || '');
+        const match = /\s*\{((?:\s*[#.][\w:.-]+)+)\s*\}\s*$/.exec(source);
+        if (!match) {
+            return { text: source.trim(), id: null, classes: [] };
+        }
+
+        let id = null;
+        const classes = [];
+        match[1].trim().split(/\s+/).forEach(part => {
+            if (part[0] === '#') {
+                id = part.slice(1);
+            } else {
+                classes.push(part.slice(1));
+            }
+        });
+        return { text: source.slice(0, match.index).trim(), id, classes };
+    }
+
+    // ATX headings of a markdown document (front-matter and fenced code skipped) with the
+    // ids the renderer gives them; `line` is 1-based
+    static extractHeadings(markdown) {
+        const slugger = new Slugger();
+        const headings = [];
+        const lines = String(markdown || '').split('\n');
+        let fence = null;
+        let index = 0;
+
+        if (/^---\s*$/.test(lines[0] || '')) {
+            const end = lines.findIndex((line, i) => i > 0 && /^(---|\.\.\.)\s*$/.test(line));
+            if (end !== -1) index = end + 1;
+        }
+
+        for (; index < lines.length; index++) {
+            const line = lines[index];
+            if (fence) {
+                if (new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`).test(line)) fence = null;
+                continue;
+            }
+            const fenceOpen = /^\s*(`{3,}|~{3,})/.exec(line);
+            if (fenceOpen) {
+                fence = fenceOpen[1];
+                continue;
+            }
+
+            const match = /^ {0,3}(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/.exec(line);
+            if (!match) continue;
+            const heading = Slugger.parseHeading(match[2]);
+            headings.push({
+                level: match[1].length,
+                text: heading.text,
+                id: slugger.slug(heading.text, heading.id),
+                classes: heading.classes,
+                line: index + 1
+            });
+        }
+
+        return headings;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Slugger;
+} else {
+    window.Slugger = Slugger;
+}
@@ -493,6 +493,45 @@ class TabManager {
         return null;
     }
 
+    /**
+     * Point tabs at a new path after a file or folder was renamed or moved
+     * @param {string} oldPath - Previous file or folder path
+     * @param {string} newPath - New file or folder path
+     * @returns {Array<string>} - IDs of the tabs that were updated
+     */
+    updateTabFilepaths(oldPath, newPath) {
+        const updated = [];
+
+        for (const [tabId, tabData] of this.tabs) {
+            if (!tabData.filepath) continue;
+
+            let filepath = null;
+            if (tabData.filepath === oldPath) {
+                filepath = newPath;
+            } else if (tabData.filepath.startsWith(oldPath + '/') || tabData.filepath.startsWith(oldPath + '\\')) {
+                // File inside a renamed/moved folder
+                filepath = newPath + tabData.filepath.slice(oldPath.length);
+            }
+
+            if (filepath) {
+                tabData.filepath = filepath;
+                const filename = filepath.split(/[/\\]/).pop();
+                if (filename !== tabData.title) {
+                    tabData.title = filename;
+                    this.emit('tab-title-changed', { tabId, title: filename });
+                }
+                updated.push(tabId);
+            }
+        }
+
+        if (updated.length > 0) {
+            console.log(`[TabManager] Updated paths for ${updated.length} tab(s): ${oldPath} -> ${newPath}`);
+            this.persist();
+        }
+
+        return updated;
+    }
+
     /**
      * Get next tab ID (for cycling through tabs)
      * @returns {string|null} - Next tab ID or null if no tabs